@@ -0,0 +1,56 @@
+// api.js
+// Sobe a API REST somente leitura sobre os dados do scraper (ver lib/api.js).
+//
+// Uso:
+//   node api.js
+//
+// ENV:
+//   API_PORT   -> porta (padrão 3000)
+//   API_FONTE  -> auto|historico|xlsx (padrão auto: histórico SQLite se existir)
+//   API_CORS   -> Access-Control-Allow-Origin (padrão "*"; vazio desliga)
+//   API_DIR    -> pasta com os XLSX (padrão diretório atual)
+//   HISTORICO_DB -> SQLite do histórico (padrão historico_imoveis.sqlite)
+
+import http from "node:http";
+import path from "node:path";
+import { criarFonteDados, criarHandlerApi } from "./lib/api.js";
+
+const porta = parseInt(process.env.API_PORT || "3000", 10) || 3000;
+const fonteTipo = (process.env.API_FONTE || "auto").toLowerCase();
+
+if (!["auto", "historico", "xlsx"].includes(fonteTipo)) {
+  console.error(`❌ API_FONTE inválido: ${fonteTipo} (auto|historico|xlsx)`);
+  process.exit(1);
+}
+
+const dir = path.resolve(process.env.API_DIR || process.cwd());
+const fonte = criarFonteDados({
+  dir,
+  historicoDb: process.env.HISTORICO_DB || path.join(dir, "historico_imoveis.sqlite"),
+  fonte: fonteTipo,
+});
+
+// carrega já na subida (erro de fonte aparece aqui, não na 1ª requisição)
+try {
+  fonte.dados();
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
+
+const server = http.createServer(
+  criarHandlerApi(fonte, { cors: process.env.API_CORS ?? "*" })
+);
+
+server.listen(porta, () => {
+  console.log(`🌐 API em http://localhost:${porta} (/imoveis, /imoveis/:codigo, /cidades)`);
+});
+
+const encerrar = () => {
+  server.close(() => {
+    fonte.fechar();
+    process.exit(0);
+  });
+};
+process.once("SIGINT", encerrar);
+process.once("SIGTERM", encerrar);
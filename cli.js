@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+// cli.js
+// Linha de comando única para as etapas do scraper.
+//
+// Uso:
+//   node cli.js <comando> [--out-dir=DIR] [--states=RO,AC] [opções]
+//
+//   urls                  varre as cidades e grava urls_<uf>_por_cidade.json
+//   details --from=ARQ    extrai os detalhes das URLs de um JSON já gravado
+//                         (urls_<uf>_por_cidade.json ou urls_por_estado.json)
+//   details --codes=1,2   re-extrai só esses imóveis e mescla nos detalhes salvos
+//   export --format=csv   reexporta os detalhes salvos (xlsx,analise,csv,jsonl,json)
+//   sync                  envia para o WordPress (sync-wp.js)
+//   run                   tudo acima: scraper completo + sync (se houver WP_URL e a
+//                         execução não falhou)
+//
+// --out-dir (padrão cwd) vale para leitura e escrita; --states (padrão ESTADOS/RO)
+// filtra os estados. As demais flags seguem para as etapas (--resume, --perfil=,
+// --filtros=, --documentos, --dry-run, --ignorar-qualidade...), assim como as ENVs
+// de index.js e sync-wp.js. Um logger só (LOG_NIVEL, LOG_JSON) para o comando todo.
+
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { normalizarEstados, opcoesDaLinhaDeComando, runExport, runScrape } from "./index.js";
+import { runSync } from "./sync-wp.js";
+import { lerFormatos } from "./lib/exportadores.js";
+import { criarLogger } from "./lib/log.js";
+import { lerArquivoUrls, urlsDosCodigos } from "./lib/urls-salvas.js";
+import { codigoDaUrl } from "./lib/checkpoint.js";
+
+const AJUDA = `Uso: node cli.js <comando> [opções]
+
+Comandos:
+  urls                     varre as cidades e grava urls_<uf>_por_cidade.json
+  details --from <json>    extrai os detalhes das URLs de um JSON já gravado
+  details --codes <1,2,…>  re-extrai só esses imóveis (mescla nos detalhes salvos)
+  export --format <lista>  reexporta os detalhes salvos (xlsx,analise,csv,jsonl,json)
+  sync                     envia os detalhes para o WordPress
+  run                      scraper completo + sync (sync só com WP_URL ou --dry-run,
+                           e só se a execução não falhou)
+
+Opções:
+  --out-dir <dir>          diretório dos arquivos (padrão: diretório atual)
+  --states <RO,AC|all>     estados (padrão: ESTADOS ou RO)
+  --format <lista>         formatos dos detalhes (padrão: EXPORTAR ou xlsx,analise)
+  -h, --help               esta ajuda
+
+Flags das etapas seguem adiante: --resume, --perfil=, --filtros=, --documentos,
+--imagens, --geocodificar, --dry-run, --forcar, --sem-retirada, --ignorar-qualidade…`;
+
+const COMANDOS = ["urls", "details", "export", "sync", "run"];
+
+/** "1,2 3" + posicionais -> lista de códigos */
+const listaCodigos = (...partes) =>
+  partes
+    .flat()
+    .filter(Boolean)
+    .flatMap((p) => String(p).split(/[\s,;]+/))
+    .filter(Boolean);
+
+/** URLs de entrada do details: JSON (--from), códigos (--codes) ou os dois */
+function entradaDetalhes({ from, codigos, estados, dir }) {
+  if (!from) return { urls: urlsDosCodigos(codigos, { dir, estados }), meta: null };
+
+  const { meta, porEstado } = lerArquivoUrls(path.resolve(from));
+  const urls = {};
+  for (const [uf, cidades] of Object.entries(porEstado)) {
+    if (estados.length > 0 && !estados.includes(uf)) continue;
+    urls[uf] = {};
+    for (const [codCidade, info] of Object.entries(cidades)) {
+      // com --codes, só as URLs desses imóveis
+      const lista = (info.urls || []).filter(
+        (u) => codigos.length === 0 || codigos.includes(codigoDaUrl(u))
+      );
+      if (lista.length > 0 || codigos.length === 0) {
+        urls[uf][codCidade] = { cidade: info.cidade, urls: lista };
+      }
+    }
+    if (Object.keys(urls[uf]).length === 0) delete urls[uf];
+  }
+  return { urls, meta };
+}
+
+/** Executa o comando; retorna o código de saída */
+async function main(argv = process.argv.slice(2)) {
+  const log = criarLogger();
+  try {
+    const { values, positionals } = parseArgs({
+      args: argv,
+      strict: false,
+      allowPositionals: true,
+      options: {
+        "out-dir": { type: "string" },
+        states: { type: "string" },
+        from: { type: "string" },
+        codes: { type: "string" },
+        format: { type: "string" },
+        help: { type: "boolean", short: "h" },
+      },
+    });
+
+    const [comando, ...resto] = positionals;
+    if (values.help || !comando) {
+      console.log(AJUDA);
+      return values.help ? 0 : 1;
+    }
+    if (!COMANDOS.includes(comando)) {
+      log.error(`❌ Comando desconhecido: ${comando}\n\n${AJUDA}`, { comando });
+      return 1;
+    }
+
+    const dir = path.resolve(values["out-dir"] || process.cwd());
+    const estados = values.states ? normalizarEstados(values.states) : null;
+    if (estados && estados.length === 0) {
+      throw new Error(`Nenhuma UF válida em --states=${values.states}.`);
+    }
+    // --resume, --perfil=, --filtros=, --documentos... das etapas do scraper;
+    // --states/--format daqui têm prioridade sobre --estados/--exportar
+    const flags = opcoesDaLinhaDeComando(argv);
+    const formatos = values.format
+      ? lerFormatos([`--exportar=${values.format}`])
+      : flags.formatos;
+    const estadosScrape = estados || flags.estados;
+
+    if (comando === "urls") {
+      const { execucaoFalhou } = await runScrape({
+        ...flags,
+        estados: estadosScrape,
+        dir,
+        apenasUrls: true,
+        sinais: true,
+        log,
+      });
+      return execucaoFalhou ? 1 : 0;
+    }
+
+    if (comando === "details") {
+      const codigos = listaCodigos(values.codes, resto);
+      if (!values.from && codigos.length === 0) {
+        throw new Error("details precisa de --from <json> e/ou --codes <lista>.");
+      }
+      const filtrarEstados = estados && estados[0] !== "ALL" ? estados : [];
+      const { urls, meta } = entradaDetalhes({
+        from: values.from,
+        codigos,
+        estados: filtrarEstados,
+        dir,
+      });
+      if (Object.keys(urls).length === 0) {
+        throw new Error("Nenhuma URL para extrair (confira --from, --codes e --states).");
+      }
+
+      // os mesmos filtros da varredura que gerou o JSON, salvo FILTROS/--filtros
+      const filtrosExplicitos =
+        !!process.env.FILTROS || argv.some((a) => a.startsWith("--filtros="));
+      const { execucaoFalhou } = await runScrape({
+        ...flags,
+        dir,
+        urls,
+        formatos,
+        mesclar: codigos.length > 0,
+        filtros: !filtrosExplicitos && meta && meta.filtros ? meta.filtros : flags.filtros,
+        sinais: true,
+        log,
+      });
+      return execucaoFalhou ? 1 : 0;
+    }
+
+    if (comando === "export") {
+      const { faltando } = await runExport({ estados, dir, formatos, log });
+      return faltando.length > 0 ? 1 : 0;
+    }
+
+    const estadosSync = estados && estados[0] !== "ALL" ? estados : null;
+
+    if (comando === "sync") {
+      const { falhas } = await runSync({ dir, estados: estadosSync, log });
+      return falhas > 0 ? 1 : 0;
+    }
+
+    // run
+    const { execucaoFalhou } = await runScrape({
+      ...flags,
+      estados: estadosScrape,
+      dir,
+      formatos,
+      sinais: true,
+      log,
+    });
+    // gate de falhas/qualidade reprovado: nada de publicar estado pela metade
+    if (execucaoFalhou) {
+      log.error("🛑 Execução com falhas: sync com o WordPress não executado.", { fase: "sync" });
+      return 1;
+    }
+    if (!process.env.WP_URL && !argv.includes("--dry-run")) {
+      log.warn("⚠️ Sem WP_URL: sync com o WordPress ignorado.", { fase: "sync" });
+      return 0;
+    }
+    const { falhas } = await runSync({ dir, estados: estadosSync, log });
+    return falhas > 0 ? 1 : 0;
+  } catch (err) {
+    log.error(`❌ ${err.message}`);
+    return 1;
+  } finally {
+    log.fechar();
+  }
+}
+
+main()
+  .then((codigo) => {
+    process.exitCode = codigo;
+  })
+  .catch((err) => {
+    // só o que vem antes do logger existir (ex.: LOG_NIVEL inválido)
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,37 @@
+// diff.js
+// Compara duas execuções do scraper (XLSX de detalhes) e gera o relatório de mudanças.
+//
+// Uso:
+//   node diff.js <anterior.xlsx> <atual.xlsx> [prefixo_saida]
+//
+// Gera <prefixo>.json (máquina) e <prefixo>.xlsx (resumo p/ analistas).
+// Padrão do prefixo: mudancas
+
+import path from "node:path";
+import {
+  lerDetalhesXlsx,
+  compararExecucoes,
+  gravarRelatorioDiff,
+} from "./lib/diff-execucoes.js";
+
+const [anteriorFile, atualFile, prefixo = "mudancas"] = process.argv.slice(2);
+
+if (!anteriorFile || !atualFile) {
+  console.error("❌ Uso: node diff.js <anterior.xlsx> <atual.xlsx> [prefixo_saida]");
+  process.exit(1);
+}
+
+const anteriores = lerDetalhesXlsx(anteriorFile);
+const atuais = lerDetalhesXlsx(atualFile);
+
+console.log(`🔎 Comparando ${anteriorFile} (${anteriores.length}) -> ${atualFile} (${atuais.length})`);
+
+const diff = compararExecucoes(anteriores, atuais);
+gravarRelatorioDiff(diff, {
+  jsonPath: path.resolve(`${prefixo}.json`),
+  xlsxPath: path.resolve(`${prefixo}.xlsx`),
+  origem: { anterior: anteriorFile, atual: atualFile },
+});
+
+const { novos, removidos, alterados } = diff.resumo;
+console.log(`✅ Novos: ${novos} | Removidos: ${removidos} | Alterados: ${alterados}`);
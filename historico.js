@@ -0,0 +1,39 @@
+// historico.js
+// Consulta o histórico de preços de um imóvel no SQLite gravado pelo scraper.
+//
+// Uso:
+//   node historico.js <codigo_imovel> [arquivo.sqlite]
+//
+// Padrão do banco: HISTORICO_DB ou historico_imoveis.sqlite no diretório atual.
+
+import fs from "node:fs";
+import path from "node:path";
+import { abrirHistoricoLeitura } from "./lib/historico.js";
+
+const [codigo, dbArg] = process.argv.slice(2);
+const dbFile =
+  dbArg ||
+  process.env.HISTORICO_DB ||
+  path.join(process.cwd(), "historico_imoveis.sqlite");
+
+if (!codigo) {
+  console.error("❌ Uso: node historico.js <codigo_imovel> [arquivo.sqlite]");
+  process.exit(1);
+}
+
+if (!fs.existsSync(dbFile)) {
+  console.error(`❌ Histórico não encontrado: ${dbFile}`);
+  process.exit(1);
+}
+
+const historico = abrirHistoricoLeitura(dbFile);
+const info = historico.consultarImovel(codigo);
+historico.fechar();
+
+if (!info) {
+  console.error(`❌ Imóvel ${codigo} não consta no histórico.`);
+  process.exit(1);
+}
+
+const { ultimoRegistro, ...resumo } = info;
+console.log(JSON.stringify(resumo, null, 2));
@@ -1,13 +1,93 @@
 // index.js
-// Scraper CAIXA - Imóveis RO (fluxo WEB original: estado -> cidades -> lista -> detalhes -> XLSX)
+// Scraper CAIXA - Imóveis por UF (fluxo WEB original: estado -> cidades -> lista -> detalhes -> XLSX)
 //
 // Mantém o fluxo original:
 // 1) Abre a busca
-// 2) Seleciona estado (RO)
+// 2) Seleciona estado (ESTADOS/--estados, padrão RO; "all" = todos do #cmb_estado)
 // 3) Aguarda cidades carregarem via AJAX
 // 4) Para cada cidade: avança etapas e coleta URLs
 // 5) Para cada URL: abre detalhe e extrai metas
-// 6) Gera JSON + XLSX
+// 6) Gera JSON + XLSX por estado e um combinado com todos
+//
+// Formatos dos detalhes: EXPORTAR / --exportar=xlsx,analise,csv,jsonl,json (padrão
+// xlsx,analise; lib/exportadores.js). diff, sync-wp.js e a API leem o XLSX plano;
+// imoveis_<uf>_detalhes.analise.xlsx é a planilha de análise (resumo, abas por cidade).
+//
+// Checkpoint em .checkpoint_<uf>.json (+ .detalhes.jsonl): --resume (ou RESUME=true) pula cidades e
+// imóveis já processados; SIGINT/SIGTERM grava o parcial em JSON/XLSX antes de sair.
+//
+// Se já existir imoveis_<uf>_detalhes.xlsx da execução anterior, gera
+// mudancas_<uf>.json/.xlsx (novos, removidos, alterados). Só entra o escopo desta
+// execução: códigos avulsos, cidades varridas sem erro e o mesmo filtro; o resto
+// conta em foraDoEscopo, não como removido. Ver também diff.js.
+//
+// Detalhes em paralelo: DETALHES_CONCORRENCIA páginas (padrão 1), limite global
+// DETALHES_RPS req/s (padrão 0.66) + DETALHES_JITTER_MS; freia sozinho com
+// respostas lentas ou erros.
+//
+// Filtros da busca (modalidade, tipo, quartos, faixa/valor): runScrape({ filtros })
+// ou FILTROS / --filtros=<json>; ficam gravados em _meta (JSON) e na aba Metadados.
+//
+// Seletores, rótulos e regexes das páginas da Caixa ficam no perfil de extração
+// (perfis/caixa.json, validado na carga); PERFIL / --perfil=<arquivo.json> troca
+// o perfil quando o layout muda (lib/perfil.js).
+//
+// ENGINE=http troca o browser por requisições diretas aos endpoints ASP
+// (lib/motor-http.js; CAIXA_BASE_URL aponta pra outro host); puppeteer é o padrão.
+//
+// Retry com backoff por cidade/URL (RETRY_TENTATIVAS, RETRY_BASE_MS); falhas
+// classificadas vão para failures.json. Sai com código 1 se um estado falhar ou
+// se a taxa de falhas passar de FALHAS_LIMITE (padrão 0.2).
+//
+// Histórico de preços em SQLite (HISTORICO_DB, padrão historico_imoveis.sqlite;
+// HISTORICO=false desliga). Consulta: node historico.js <codigo>. A varredura
+// completa de um estado grava também a sua listagem, base dos imóveis atuais.
+//
+// --documentos (ou DOCUMENTOS=true) baixa edital e matrícula para DOCUMENTOS_DIR
+// (padrão ./documentos, arquivo por sha256, sem rebaixar o que não mudou),
+// extrai o texto e marca ocupado/penhora/alienação fiduciária/débitos no XLSX.
+//
+// --imagens (ou IMAGENS=true) espelha as fotos em IMAGENS_DIR/<codigo>/ (padrão
+// ./imagens, nome = sha256, incremental) e grava caminhos/dimensões/bytes.
+//
+// Buscas salvas (ALERTAS_BUSCAS, padrão buscas.json; ALERTAS=false desliga):
+// imóveis que passam a casar com uma busca geram alerta por webhook, email ou
+// arquivo (ALERTAS_OUTBOX, padrão alertas_outbox.jsonl), uma vez só por imóvel
+// (.alertas_enviados.json; lib/alertas.js).
+//
+// Qualidade: qualidade_<uf>.json com a taxa de preenchimento de cada campo
+// (comparada à última execução aprovada) e registros que violam invariantes;
+// campo crítico abaixo do mínimo ou em queda brusca reprova o estado e a
+// execução sai com código 1 (QUALIDADE_MINIMOS, QUALIDADE_QUEDA_MAX,
+// QUALIDADE_GATE=false; lib/qualidade.js). sync-wp.js pula estado reprovado.
+//
+// --geocodificar (ou GEOCODIFICAR=true) busca lat/lon (Nominatim em GEO_URL,
+// cache em GEO_CACHE; cai para CEP ou centro da cidade) e grava
+// imoveis_<uf>.geojson + imoveis_combinado.geojson.
+//
+// Subcomandos (urls, details, export, sync, run) com --out-dir e --states: cli.js.
+// runScrape({ dir, estados, urls, mesclar, apenasUrls }) e runExport() são as
+// etapas que ele chama. Os padrões relativos acima (histórico, buscas.json,
+// outbox e dedup dos alertas, documentos/, imagens/, geocache.json) ficam em
+// `dir`, junto das saídas.
+//
+// Como biblioteca: runScrape({ estados, dir, filtros, navegador | lancamento,
+// signal, aoEvento }) ou iterarScrape(opts), com os eventos
+// city:start, city:urls, property, property:error e done (lib/eventos.js);
+// dir: null não lê nem grava arquivos, os registros vêm só pelos eventos/retorno.
+// Só as entradas de linha de comando (index.js, cli.js) passam sinais: true e
+// tratam SIGINT/SIGTERM; embutido, o desligamento fica com quem chamou.
+//
+// Log com níveis (LOG_NIVEL=debug|info|warn|error, padrão info) e, com
+// LOG_JSON=<arquivo>, uma linha JSON por evento com execucao, estado, cidade,
+// codigo, fase, duracaoMs e categoria do erro (lib/log.js). Cada execução grava
+// run-manifest.json: versões, configuração efetiva, contagens por estado/cidade,
+// resumo das falhas e sha256 de cada arquivo gerado (lib/manifesto.js).
+//
+// Métricas de investimento (lib/metricas.js): preço/m² (privativa, total,
+// terreno), desconto de cada leilão, percentil do preço/m² entre comparáveis
+// (cidade + bairro + tipo), score ponderado (METRICAS_PESOS) e ranking na
+// cidade, como colunas; aba Oportunidades na planilha de análise (METRICAS_TOP).
 //
 // Ajustes de robustez:
 // - usa puppeteer (não puppeteer-core) -> roda em GitHub Actions sem Chrome fixo
@@ -19,36 +99,71 @@
 // - imagens com fallback data-src
 // - waits mais confiáveis na paginação
 
+import crypto from "node:crypto";
 import fs from "node:fs";
 import path from "node:path";
 import { pathToFileURL } from "node:url";
 import puppeteer from "puppeteer";
-import * as XLSX from "xlsx";
+import { parseDetalheImovel, urlDetalhe } from "./lib/detalhe-parser.js";
+import { carregarPerfil, lerPerfil, regexPerfil, validarPerfil } from "./lib/perfil.js";
+import { codigoDaUrl, criarCheckpoint, removerCheckpoint } from "./lib/checkpoint.js";
+import { criarLimitador, processarEmPool } from "./lib/pool.js";
+import { criarMotorHttp } from "./lib/motor-http.js";
+import { criarArquivoDocumentos } from "./lib/documentos.js";
+import { criarEspelhoImagens } from "./lib/imagens.js";
+import { processarAlertas } from "./lib/alertas.js";
+import { criarGeocodificador, gravarGeoJson } from "./lib/geocodificacao.js";
+import {
+  FORMATOS_PADRAO,
+  exportarDetalhes,
+  lerDetalhesSalvos,
+  lerFormatos,
+} from "./lib/exportadores.js";
+import { lerArquivoUrls } from "./lib/urls-salvas.js";
+import {
+  avaliarQualidade,
+  gravarRelatorioQualidade,
+  lerConfigQualidade,
+  lerRelatorioQualidade,
+} from "./lib/qualidade.js";
+import {
+  normalizarFiltros,
+  lerFiltros,
+  escolherOpcao,
+  filtrosParaSelects,
+  filtrarDetalhes,
+} from "./lib/filtros.js";
+import {
+  ErroScraper,
+  classificarErro,
+  classificarTextoPagina,
+  comRetry,
+  criarRegistroFalhas,
+} from "./lib/falhas.js";
+import {
+  lerDetalhesXlsx,
+  compararExecucoes,
+  gravarRelatorioDiff,
+} from "./lib/diff-execucoes.js";
+import { abrirHistorico } from "./lib/historico.js";
+import { criarEmissor, criarFilaEventos } from "./lib/eventos.js";
+import { criarLogger, logConsole } from "./lib/log.js";
+import { enriquecerMetricas, lerConfigMetricas, metricasImovel } from "./lib/metricas.js";
+import {
+  ARQUIVO_MANIFESTO,
+  gravarManifesto,
+  montarManifesto,
+  versoesExecucao,
+} from "./lib/manifesto.js";
 
 const BASE_BUSCA_URL =
   "https://venda-imoveis.caixa.gov.br/sistema/busca-imovel.asp?sltTipoBusca=imoveis";
 
 const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
-/** Normaliza string para comparações (lowercase, sem acentos, espaços colapsados) */
-function norm(s) {
-  return (s || "")
-    .toString()
-    .normalize("NFD")
-    .replace(/[\u0300-\u036f]/g, "")
-    .toLowerCase()
-    .replace(/\s+/g, " ")
-    .trim();
-}
-
 /** Fecha overlays/cookies se existir */
-async function closeOverlays(page) {
-  const selectors = [
-    "#onetrust-accept-btn-handler",
-    ".cookie-accept",
-    ".close, .fechar, .btn-close",
-  ];
-  for (const sel of selectors) {
+async function closeOverlays(page, busca) {
+  for (const sel of busca.overlays) {
     const el = await page.$(sel).catch(() => null);
     if (el) {
       await el.click().catch(() => null);
@@ -60,36 +175,102 @@ async function closeOverlays(page) {
 /**
  * Seleciona estado e AGUARDA a lista de cidades carregar via AJAX
  */
-async function selectEstadoAndWaitCidades(page, estado) {
-  await page.waitForSelector("#cmb_estado", { timeout: 60000 });
-
-  await page.select("#cmb_estado", estado);
-  await page.evaluate((uf) => {
-    const sel = document.querySelector("#cmb_estado");
-    if (sel) {
-      sel.value = uf;
-      sel.dispatchEvent(new Event("change", { bubbles: true }));
-    }
-  }, estado);
+async function selectEstadoAndWaitCidades(page, estado, busca) {
+  await page.waitForSelector(busca.estado, { timeout: 60000 });
+
+  await page.select(busca.estado, estado);
+  await page.evaluate(
+    (uf, seletor) => {
+      const sel = document.querySelector(seletor);
+      if (sel) {
+        sel.value = uf;
+        sel.dispatchEvent(new Event("change", { bubbles: true }));
+      }
+    },
+    estado,
+    busca.estado
+  );
 
   // espera até existir pelo menos 1 cidade válida
   await page.waitForFunction(
-    () => {
-      const c = document.querySelector("#cmb_cidade");
+    (seletor) => {
+      const c = document.querySelector(seletor);
       if (!c) return false;
       const opts = Array.from(c.options || []).filter(
         (o) => o.value && o.value !== "0" && (o.textContent || "").trim()
       );
       return opts.length > 0;
     },
-    { timeout: 60000 }
+    { timeout: 60000 },
+    busca.cidade
   );
 }
 
+/** Lê UFs disponíveis no select de estado */
+async function getEstados(page, busca) {
+  await page.waitForSelector(busca.estado, { timeout: 60000 });
+  return await page.evaluate((seletor) => {
+    const sel = document.querySelector(seletor);
+    if (!sel) return [];
+    return Array.from(sel.querySelectorAll("option"))
+      .map((o) => (o.value || "").trim().toUpperCase())
+      .filter((v) => /^[A-Z]{2}$/.test(v));
+  }, busca.estado);
+}
+
+/**
+ * Normaliza "RO,AC" (ou lista) em UFs únicas em maiúsculas.
+ * Retorna ["ALL"] quando pedido "all"/"todos".
+ */
+export function normalizarEstados(raw) {
+  const lista = []
+    .concat(raw)
+    .join(",")
+    .split(/[\s,;]+/)
+    .map((s) => s.trim().toUpperCase())
+    .filter(Boolean);
+
+  if (lista.some((s) => s === "ALL" || s === "TODOS")) return ["ALL"];
+  return Array.from(new Set(lista.filter((s) => /^[A-Z]{2}$/.test(s))));
+}
+
+/** Lê a lista de UFs de --estados=RO,AC ou ENV ESTADOS (padrão RO) */
+function parseEstados(argv = process.argv, env = process.env) {
+  const arg = argv.find((a) => a.startsWith("--estados="));
+  return normalizarEstados((arg ? arg.slice("--estados=".length) : env.ESTADOS) || "RO");
+}
+
+/**
+ * Opções de runScrape vindas das flags (index.js e cli.js). Só entram as flags
+ * presentes; o que faltar fica com o padrão do ENV dentro de runScrape, que
+ * não lê process.argv.
+ * @param {string[]} [argv]
+ */
+export function opcoesDaLinhaDeComando(argv = process.argv.slice(2)) {
+  const temValor = (nome) => argv.some((a) => a.startsWith(`--${nome}=`));
+  const opts = {};
+
+  if (temValor("estados")) opts.estados = parseEstados(argv, {});
+  if (temValor("filtros")) opts.filtros = lerFiltros(argv, {});
+  if (temValor("exportar")) opts.formatos = lerFormatos(argv, {});
+  if (temValor("perfil")) {
+    opts.perfil = argv.find((a) => a.startsWith("--perfil=")).slice("--perfil=".length);
+  }
+  for (const [flag, opcao] of [
+    ["--resume", "resume"],
+    ["--documentos", "documentos"],
+    ["--imagens", "imagens"],
+    ["--geocodificar", "geocodificar"],
+  ]) {
+    if (argv.includes(flag)) opts[opcao] = true;
+  }
+  return opts;
+}
+
 /** Lê cidades do select */
-async function getCidades(page) {
-  return await page.evaluate(() => {
-    const sel = document.querySelector("#cmb_cidade");
+async function getCidades(page, busca) {
+  return await page.evaluate((seletor) => {
+    const sel = document.querySelector(seletor);
     if (!sel) return [];
     const opts = Array.from(sel.querySelectorAll("option"));
     return opts
@@ -98,770 +279,1459 @@ async function getCidades(page) {
         text: (o.textContent || "").trim(),
       }))
       .filter((o) => o.value && o.value !== "0");
-  });
+  }, busca.cidade);
 }
 
 /**
- * Extrai os detalhes de um imóvel na página de detalhe-imovel.asp
+ * Abre a página de detalhe-imovel.asp e extrai os metas via parseDetalheImovel.
+ * Lança ErroScraper classificado (bloqueado, imóvel retirado, sem #dadosImovel).
  */
-async function extrairDetalhesImovel(page, url, meta) {
+async function abrirDetalheImovel(page, url, meta, perfil) {
   const { estado = "RO", cidadeCodigo = "", cidadeNome = "" } = meta || {};
-  console.log(`   🏠 Detalhes: ${url}`);
+  const raiz = perfil.detalhe.raiz;
+
+  const resp = await page.goto(url, { waitUntil: "networkidle2", timeout: 120000 });
+  const status = resp ? resp.status() : 0;
+  if (status === 403 || status === 429) {
+    throw new ErroScraper("bloqueado", `HTTP ${status}`, { status });
+  }
 
   try {
-    await page.goto(url, { waitUntil: "networkidle2", timeout: 120000 });
-    await page.waitForSelector("#dadosImovel", { timeout: 60000 });
-
-    const dados = await page.evaluate((estado, cidadeCodigo, cidadeNome) => {
-      const safeText = (el) =>
-        el && (el.innerText || el.textContent)
-          ? (el.innerText || el.textContent).trim()
-          : "";
-
-      const norm = (s) =>
-        (s || "")
-          .toString()
-          .normalize("NFD")
-          .replace(/[\u0300-\u036f]/g, "")
-          .toLowerCase()
-          .replace(/\s+/g, " ")
-          .trim();
-
-      /* 1) Nome / ID */
-      const dadosImovel = document.querySelector("#dadosImovel");
-      let tituloImovel = "";
-      let codigoImovel = "";
-
-      if (dadosImovel) {
-        const h5 = dadosImovel.querySelector("h5");
-        if (h5) {
-          const firstNode = h5.firstChild;
-          if (firstNode && firstNode.nodeType === Node.TEXT_NODE) {
-            tituloImovel = (firstNode.textContent || "").trim();
-          } else {
-            tituloImovel = safeText(h5);
-          }
-        }
-      }
+    await page.waitForSelector(raiz, { timeout: 60000 });
+  } catch (err) {
+    const texto = await page
+      .evaluate(() => (document.body ? document.body.innerText : ""))
+      .catch(() => "");
+    const categoria = classificarTextoPagina(texto);
+    if (categoria) throw new ErroScraper(categoria, err.message);
+    if (err.name === "TimeoutError") {
+      throw new ErroScraper("dados_ausentes", `${raiz} não encontrado`);
+    }
+    throw err;
+  }
 
-      const hdnimovel = document.querySelector("#hdnimovel");
-      if (hdnimovel && hdnimovel.value) {
-        codigoImovel = hdnimovel.value.trim();
-      }
+  const html = await page.content();
+  const dados = parseDetalheImovel(
+    html,
+    { url: page.url() || url, estado, cidadeCodigo, cidadeNome },
+    perfil
+  );
+  if (!dados) {
+    throw new ErroScraper("dados_ausentes", `${raiz} não encontrado`);
+  }
 
-      /* 2) Valores */
-      let valorAvaliacao = "";
-      let valorMinimo1 = "";
-      let valorMinimo2 = "";
-      let valorMinimoGenerico = "";
-      let valorMinimoGeral = "";
-      let descontoPercentual = "";
-
-      if (dadosImovel) {
-        const pValores = Array.from(
-          dadosImovel.querySelectorAll(".content p")
-        ).find((p) =>
-          (p.innerText || "").toUpperCase().includes("VALOR DE AVALIAÇÃO")
-        );
+  return dados;
+}
 
-        if (pValores) {
-          const text = (pValores.innerText || "").replace(/\s+/g, " ").trim();
-
-          const matchAval = text.match(
-            /Valor de avaliação:\s*R\$\s*([\d\.,]+)/i
-          );
-          const matchMin1 = text.match(
-            /Valor mínimo de venda\s*1º Leilão:\s*R\$\s*([\d\.,]+)/i
-          );
-          const matchMin2 = text.match(
-            /Valor mínimo de venda\s*2º Leilão:\s*R\$\s*([\d\.,]+)/i
-          );
-          const matchMinGeneric = text.match(
-            /Valor mínimo de venda:\s*R\$\s*([\d\.,]+)/i
-          );
-
-          if (matchAval) valorAvaliacao = matchAval[1].trim();
-          if (matchMin1) valorMinimo1 = matchMin1[1].trim();
-          if (matchMin2) valorMinimo2 = matchMin2[1].trim();
-          if (!matchMin1 && !matchMin2 && matchMinGeneric) {
-            valorMinimoGenerico = matchMinGeneric[1].trim();
-          }
+/**
+ * Extrai os detalhes de um imóvel com retry (via motor puppeteer ou http); a
+ * falha final vai para o registro de falhas e retorna null. Com limitador,
+ * cada tentativa (não só a primeira) espera a vez e informa o resultado.
+ */
+async function extrairDetalhesImovel(
+  motor,
+  worker,
+  url,
+  meta,
+  { falhas = null, retry = {}, emitir = null, limitador = null, log = logConsole } = {}
+) {
+  const contexto = {
+    estado: meta?.estado || "",
+    cidadeCodigo: meta?.cidadeCodigo || "",
+    cidade: meta?.cidadeNome || "",
+    url,
+  };
+  const logImovel = log.filho({ ...contexto, codigo: codigoDaUrl(url), fase: "detalhe" });
+  logImovel.info(`   🏠 Detalhes: ${url}`);
+  if (falhas) falhas.contar("detalhe");
+  const inicio = Date.now();
 
-          const parseBRL = (s) => {
-            const only = (s || "")
-              .replace(/[^\d,.-]/g, "")
-              .replace(/\./g, "")
-              .replace(",", ".");
-            const n = parseFloat(only);
-            return Number.isNaN(n) ? null : n;
-          };
-
-          const vAval = parseBRL(valorAvaliacao);
-          const vMin1 = parseBRL(valorMinimo1);
-          const vMin2 = parseBRL(valorMinimo2);
-          const vMinGen = parseBRL(valorMinimoGenerico);
-
-          const candidatos = [vMin1, vMin2, vMinGen].filter(
-            (v) => v !== null
-          );
-
-          let vMinGeral = null;
-          if (candidatos.length > 0) {
-            vMinGeral = Math.min(...candidatos);
-            valorMinimoGeral = vMinGeral.toFixed(2).replace(".", ",");
-          }
+  try {
+    const abrir = () => motor.abrirDetalhe(worker, url, meta);
+    const det = await comRetry(() => (limitador ? limitador.executar(abrir) : abrir()), {
+      ...retry,
+      rotulo: url,
+      log: logImovel,
+    });
+    logImovel.info(`      ✅ OK ${url}`, { duracaoMs: Date.now() - inicio });
+    return det;
+  } catch (err) {
+    const categoria = classificarErro(err);
+    logImovel.error(`      ❌ Erro ao extrair ${url} (${categoria}): ${err.message}`, {
+      categoria,
+      tentativas: err.tentativas || 1,
+      duracaoMs: Date.now() - inicio,
+    });
+    if (falhas) falhas.registrar("detalhe", err, contexto);
+    if (emitir) {
+      emitir("property:error", {
+        ...contexto,
+        categoria,
+        mensagem: err.message,
+        tentativas: err.tentativas || 1,
+      });
+    }
+    return null;
+  }
+}
+
+/**
+ * Coleta todas as URLs de imóveis da cidade atual com paginação
+ */
+async function coletarUrlsCidade(page, busca, log = logConsole) {
+  log.info("   🔗 Coletando URLs de imóveis da cidade atual...");
+
+  const totalPages = await page.evaluate((seletor) => {
+    const hdnQtdPag = document.querySelector(seletor);
+    if (!hdnQtdPag || !hdnQtdPag.value) return 1;
+    const n = parseInt(hdnQtdPag.value, 10);
+    return Number.isNaN(n) || n <= 0 ? 1 : n;
+  }, busca.totalPaginas);
 
-          if (vAval !== null && vMinGeral !== null && vAval > 0) {
-            let desc = ((vAval - vMinGeral) / vAval) * 100;
-            if (desc < 0) desc = 0;
-            descontoPercentual = `${desc.toFixed(2).replace(".", ",")}%`;
+  const urlsSet = new Set();
+
+  for (let p = 1; p <= totalPages; p++) {
+    if (p > 1) {
+      log.info(`      👉 Carregando página ${p}/${totalPages}...`, { pagina: p, paginas: totalPages });
+      await page.evaluate(
+        (pagina, funcao) => {
+          if (typeof window[funcao] === "function") {
+            window[funcao](pagina);
           }
-        }
-      }
+        },
+        p,
+        busca.funcaoPaginacao
+      );
 
-      /* 3) Dados principais */
-      const colInfo1 = document.querySelectorAll(
-        "#dadosImovel .content .control-item.control-span-6_12"
-      )[0];
-
-      let tipoImovel = "";
-      let quartos = "";
-      let garagem = "";
-      let numeroImovelStr = "";
-      let matricula = "";
-      let comarca = "";
-      let oficio = "";
-      let inscricaoImobiliaria = "";
-      let averbacaoLeiloes = "";
-
-      if (colInfo1) {
-        const spans = Array.from(colInfo1.querySelectorAll("span")).map((s) =>
-          (s.innerText || "").trim()
-        );
+      await page.waitForFunction(
+        (seletor) => document.querySelectorAll(seletor).length > 0,
+        { timeout: 60000 },
+        busca.itemLista
+      ).catch(() => delay(2500));
+    }
 
-        const getValueAfterLabel = (arr, label) => {
-          const lab = norm(label);
-          const row = arr.find((t) => {
-            const n = norm(t);
-            return n.startsWith(lab) || n.includes(lab);
-          });
-          if (!row) return "";
-          const parts = row.split(":");
-          return parts[1] ? parts[1].trim() : "";
-        };
+    const reId = regexPerfil(busca.idDetalhe);
+    const ids = await page.evaluate(
+      (itemLista, linkDetalhe, idDetalhe, flags) => {
+        const re = new RegExp(idDetalhe, flags);
+        const list = [];
+        document.querySelectorAll(itemLista).forEach((it) => {
+          const link = it.querySelector(linkDetalhe);
+          if (!link) return;
+          const m = (link.getAttribute("onclick") || "").match(re);
+          if (m) list.push(m[1]);
+        });
+        return list;
+      },
+      busca.itemLista,
+      busca.linkDetalhe,
+      reId.source,
+      reId.flags
+    );
 
-        tipoImovel = getValueAfterLabel(spans, "Tipo de imóvel");
-        quartos = getValueAfterLabel(spans, "Quartos");
-        garagem = getValueAfterLabel(spans, "Garagem");
-        numeroImovelStr = getValueAfterLabel(spans, "Número do imóvel");
-        matricula = getValueAfterLabel(spans, "Matrícula");
-        comarca = getValueAfterLabel(spans, "Comarca");
-        oficio = getValueAfterLabel(spans, "Ofício");
-        inscricaoImobiliaria = getValueAfterLabel(
-          spans,
-          "Inscrição imobiliária"
-        );
-        averbacaoLeiloes = getValueAfterLabel(
-          spans,
-          "Averbação dos leilões negativos"
-        );
-      }
+    ids.forEach((id) => urlsSet.add(urlDetalhe(id)));
+  }
 
-      /* 4) Áreas */
-      const colInfo2 = document.querySelectorAll(
-        "#dadosImovel .content .control-item.control-span-6_12"
-      )[1];
+  return Array.from(urlsSet);
+}
 
-      let areaTotal = "";
-      let areaPrivativa = "";
-      let areaTerreno = "";
+/** Preenche os selects de filtro da etapa 2 da busca (opção escolhida por value/texto) */
+async function aplicarFiltrosPagina(page, filtros, log = logConsole) {
+  for (const [id, desejado] of Object.entries(filtrosParaSelects(filtros))) {
+    const options = await page.evaluate((selId) => {
+      const sel = document.getElementById(selId);
+      if (!sel) return null;
+      return Array.from(sel.options || []).map((o) => ({
+        value: o.value,
+        text: (o.textContent || "").trim(),
+      }));
+    }, id);
 
-      if (colInfo2) {
-        const spans2 = Array.from(colInfo2.querySelectorAll("span")).map((s) =>
-          (s.innerText || "").trim()
-        );
+    if (!options) {
+      log.warn(`   ⚠️ Select #${id} não encontrado, filtro "${desejado}" só no pós-filtro.`, { select: id });
+      continue;
+    }
 
-        const getValueAfterEqOrColon = (arr, label) => {
-          const lab = norm(label);
-          const row = arr.find((t) => {
-            const n = norm(t);
-            return n.startsWith(lab) || n.includes(lab);
-          });
-          if (!row) return "";
-          const parts = row.includes("=") ? row.split("=") : row.split(":");
-          return parts[1]
-            ? parts[1].replace(/^\s*\*?\s*/, "").trim()
-            : "";
-        };
+    const valor = escolherOpcao(options, desejado);
+    if (!valor) {
+      log.warn(`   ⚠️ Nenhuma opção de #${id} casa com "${desejado}".`, { select: id });
+      continue;
+    }
+
+    await page.evaluate(
+      (selId, v) => {
+        const sel = document.getElementById(selId);
+        sel.value = v;
+        sel.dispatchEvent(new Event("change", { bubbles: true }));
+      },
+      id,
+      valor
+    );
+    await delay(300);
+  }
+}
 
-        areaTotal = getValueAfterEqOrColon(spans2, "Área total");
-        areaPrivativa = getValueAfterEqOrColon(spans2, "Área privativa");
-        areaTerreno = getValueAfterEqOrColon(spans2, "Área do terreno");
+/**
+ * Refaz a busca para uma cidade (estado -> cidade -> etapas) e coleta as URLs.
+ * Retorna [] só quando a Caixa responde "nenhum imóvel"; timeout vira ErroScraper.
+ */
+async function buscarUrlsCidade(page, uf, cidade, filtros = {}, busca, log = logConsole) {
+  await page.goto(BASE_BUSCA_URL, {
+    waitUntil: "networkidle2",
+    timeout: 120000,
+  });
+  await closeOverlays(page, busca);
+
+  await selectEstadoAndWaitCidades(page, uf, busca);
+  await delay(800);
+
+  // seleciona cidade
+  await page.evaluate(
+    (cidadeValue, seletor) => {
+      const cmbCidade = document.querySelector(seletor);
+      if (cmbCidade) {
+        cmbCidade.value = cidadeValue;
+        cmbCidade.dispatchEvent(new Event("change", { bubbles: true }));
       }
+    },
+    cidade.value,
+    busca.cidade
+  );
 
-      /* 5) Related-box */
-      const relatedBox = document.querySelector(".related-box");
-
-      let tipoLeilao = "";
-      let editalTexto = "";
-      let numeroItem = "";
-      let leiloeiro = "";
-      let dataLeilao1 = "";
-      let dataLeilao2 = "";
-      let enderecoCompleto = "";
-      let descricao = "";
-      let formasPagamento = "";
-      let linkMatricula = "";
-      let linkEdital = "";
-
-      if (relatedBox) {
-        const tipoNode =
-          relatedBox.querySelector("#divContador .control-span-12_12 span b") ||
-          relatedBox.querySelector("#divContador b") ||
-          relatedBox.querySelector("div span b");
-
-        if (tipoNode) tipoLeilao = safeText(tipoNode);
-
-        const spansRel = Array.from(relatedBox.querySelectorAll("span"));
-        spansRel.forEach((span) => {
-          const raw = span.innerText || span.textContent || "";
-          const t = raw.replace(/\s+/g, " ").trim();
-          const tn = t.toUpperCase();
-
-          if (tn.startsWith("EDITAL")) {
-            editalTexto = t.replace(/^Edital:\s*/i, "").trim();
-          } else if (tn.startsWith("LEILOEIRO")) {
-            leiloeiro = t.replace(/^Leiloeiro(?:\(a\))?:\s*/i, "").trim();
-          } else if (tn.startsWith("NÚMERO DO ITEM") || tn.startsWith("NUMERO DO ITEM")) {
-            numeroItem = t.replace(/^Número do item:\s*/i, "").trim();
-          } else if (t.includes("Data do 1º Leilão") || t.includes("Data do 1o Leilão")) {
-            dataLeilao1 = t;
-          } else if (t.includes("Data do 2º Leilão") || t.includes("Data do 2o Leilão")) {
-            dataLeilao2 = t;
-          }
-        });
+  await delay(1500);
+
+  const btnNext0 = await page.$(busca.botaoEtapa1);
+  if (btnNext0) {
+    await btnNext0.click();
+    await page
+      .waitForFunction(
+        (seletores) => seletores.some((s) => document.querySelector(s)),
+        { timeout: 120000 },
+        busca.aguardarEtapa2
+      )
+      .catch(() => log.warn("   ⚠️ Timeout após btn_next0."));
+  }
 
-        const pList = Array.from(relatedBox.querySelectorAll("p"));
-        pList.forEach((p) => {
-          const txt = (p.innerText || "").trim();
-          if (txt.startsWith("Endereço:") || txt.startsWith("Endereco:")) {
-            enderecoCompleto = txt.replace(/^Endere[cç]o:\s*/i, "").trim();
-          } else if (txt.startsWith("Descrição:") || txt.startsWith("Descricao:")) {
-            descricao = txt.replace(/^Descri[cç][aã]o:\s*/i, "").trim();
-          } else if (txt.includes("FORMAS DE PAGAMENTO ACEITAS")) {
-            formasPagamento = txt;
-          }
-        });
+  // etapa 2: modalidade, tipo, quartos, faixa de valor...
+  await aplicarFiltrosPagina(page, filtros, log);
+
+  const btnNext1 = await page.$(busca.botaoEtapa2);
+  if (btnNext1) await btnNext1.click();
+
+  // sem lista nem mensagem de "nenhum imóvel" é erro, não cidade vazia
+  await page
+    .waitForFunction(
+      (itemLista, mensagemVazia) =>
+        document.querySelector(itemLista) ||
+        document.body.innerText.toUpperCase().includes(mensagemVazia.toUpperCase()),
+      { timeout: 120000 },
+      busca.itemLista,
+      busca.mensagemVazia
+    )
+    .catch(async (err) => {
+      log.warn("   ⚠️ Timeout aguardando lista/mensagem.");
+      const texto = await page
+        .evaluate(() => (document.body ? document.body.innerText : ""))
+        .catch(() => "");
+      throw new ErroScraper(
+        classificarTextoPagina(texto) || "timeout_navegacao",
+        err.message
+      );
+    });
 
-        const linkMat = relatedBox.querySelector(
-          "a[onclick*='ExibeDoc'][onclick*='/matricula/']"
-        );
-        if (linkMat) {
-          const onclick = linkMat.getAttribute("onclick") || "";
-          const m = onclick.match(/ExibeDoc\(['"]([^'"]+)['"]\)/i);
-          if (m) {
-            const rel = m[1];
-            try {
-              linkMatricula = new URL(rel, window.location.origin).href;
-            } catch {
-              linkMatricula = rel;
-            }
-          }
-        }
-      }
+  const temImoveis = await page.evaluate(
+    (itemLista) => document.querySelectorAll(itemLista).length > 0,
+    busca.itemLista
+  );
 
-      if (!linkMatricula) {
-        const linkMatGlobal = document.querySelector(
-          "a[onclick*='ExibeDoc'][onclick*='/matricula/']"
-        );
-        if (linkMatGlobal) {
-          const onclick = linkMatGlobal.getAttribute("onclick") || "";
-          const m = onclick.match(/ExibeDoc\(['"]([^'"]+)['"]\)/i);
-          if (m) {
-            const rel = m[1];
-            try {
-              linkMatricula = new URL(rel, window.location.origin).href;
-            } catch {
-              linkMatricula = rel;
-            }
-          }
-        }
-      }
+  if (!temImoveis) return [];
+
+  return await coletarUrlsCidade(page, busca, log);
+}
+
+/**
+ * Motor puppeteer (padrão): browser + pool de páginas.
+ * Mesma interface do motor http (lib/motor-http.js).
+ * Com `navegador` (Browser já aberto) só abre/fecha as próprias páginas;
+ * senão lança um browser com `lancamento` mesclado às opções padrão.
+ */
+async function criarMotorPuppeteer({
+  concorrencia = 1,
+  perfil = carregarPerfil(),
+  navegador = null,
+  lancamento = {},
+} = {}) {
+  const busca = perfil.busca;
+  const headless = process.env.HEADLESS !== "false";
+  const chromePath = process.env.CHROME_PATH || undefined;
+
+  const browser =
+    navegador ||
+    (await puppeteer.launch({
+      headless: headless ? "new" : false,
+      executablePath: chromePath, // opcional local
+      args: [
+        "--no-sandbox",
+        "--disable-setuid-sandbox",
+        "--disable-dev-shm-usage",
+        "--disable-gpu",
+      ],
+      defaultViewport: { width: 1366, height: 768 },
+      ...lancamento,
+    }));
+
+  const novaPagina = async () => {
+    const p = await browser.newPage();
+    await p.setUserAgent(
+      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36"
+    );
+    return p;
+  };
+
+  // Pool de páginas da fase de detalhes (a primeira é a mesma da busca)
+  const page = await novaPagina();
+  const paginas = [page];
+  while (paginas.length < concorrencia) paginas.push(await novaPagina());
 
-      const editalAnchor = Array.from(
-        document.querySelectorAll("a[onclick*='ExibeDoc']")
-      ).find((a) => {
-        const txt = (a.textContent || "").toUpperCase();
-        return txt.includes("BAIXAR EDITAL");
+  return {
+    nome: "puppeteer",
+    browser,
+    workers: paginas,
+
+    async listarEstados() {
+      await page.goto(BASE_BUSCA_URL, {
+        waitUntil: "networkidle2",
+        timeout: 120000,
       });
+      await closeOverlays(page, busca);
+      return await getEstados(page, busca);
+    },
 
-      if (editalAnchor) {
-        const onclick = editalAnchor.getAttribute("onclick") || "";
-        const m = onclick.match(/ExibeDoc\(['"]([^'"]+)['"]\)/i);
-        if (m) {
-          const rel = m[1];
-          try {
-            linkEdital = new URL(rel, window.location.origin).href;
-          } catch {
-            linkEdital = rel;
-          }
-        }
-      }
+    async listarCidades(uf) {
+      // 1) Acessa a busca
+      await page.goto(BASE_BUSCA_URL, {
+        waitUntil: "networkidle2",
+        timeout: 120000,
+      });
+      await closeOverlays(page, busca);
 
-      /* 5.3) Quebra do endereço */
-      let enderecoLogradouro = "";
-      let enderecoNumero = "";
-      let enderecoBairroTexto = "";
-      let enderecoCep = "";
-      let enderecoCidadeTexto = "";
-      let enderecoEstadoTexto = "";
-
-      if (enderecoCompleto) {
-        let e = enderecoCompleto;
-
-        const cepMatch = e.match(/CEP:\s*([\d\-]+)/i);
-        if (cepMatch) {
-          enderecoCep = cepMatch[1].trim();
-          e = e.replace(cepMatch[0], "").replace(/\s*,\s*$/, "");
-        }
+      // 2) Seleciona estado e aguarda cidades
+      await selectEstadoAndWaitCidades(page, uf, busca);
+      await delay(1000);
 
-        const parts = e
-          .split(",")
-          .map((p) => p.trim())
-          .filter(Boolean);
+      // 3) Lê cidades
+      return await getCidades(page, busca);
+    },
 
-        if (parts.length >= 1) enderecoLogradouro = parts[0];
+    buscarUrlsCidade: (uf, cidade, filtros, { log } = {}) =>
+      buscarUrlsCidade(page, uf, cidade, filtros, busca, log),
 
-        if (parts.length >= 2) {
-          const numParte = parts[1];
-          const mNum = numParte.match(/N[º.]?\s*([\d]+)/i);
-          if (mNum) enderecoNumero = mNum[1].trim();
-        }
+    abrirDetalhe: (pagina, url, meta) => abrirDetalheImovel(pagina, url, meta, perfil),
 
-        if (parts.length >= 3) {
-          let b = parts[2];
-          b = b.replace(/\-\s*$/i, "").trim();
-          enderecoBairroTexto = b;
-        }
+    // browser de quem chamou continua aberto
+    fechar: () =>
+      navegador
+        ? Promise.all(paginas.map((p) => p.close().catch(() => null)))
+        : browser.close(),
+  };
+}
 
-        if (parts.length >= 4) {
-          const ultima = parts[parts.length - 1];
-          const mCidadeUf = ultima.match(/^(.+?)\s*-\s*([A-Z]{2})$/i);
-          if (mCidadeUf) {
-            enderecoCidadeTexto = mCidadeUf[1].trim();
-            enderecoEstadoTexto = mCidadeUf[2].toUpperCase();
-          } else {
-            enderecoCidadeTexto = ultima;
-          }
-        }
-      }
+/**
+ * Grava o JSON de URLs com os metadados da execução (filtros, motor...) em `_meta`.
+ * Quem lê o arquivo como { codCidade: {...} } deve ignorar chaves com "_".
+ */
+function gravarJsonUrls(jsonPath, urls, meta = {}, log = logConsole) {
+  const conteudo = { _meta: meta, ...urls };
+  fs.writeFileSync(jsonPath, JSON.stringify(conteudo, null, 2), "utf-8");
+  log.info(`\n💾 JSON de URLs salvo em: ${jsonPath}`, { arquivo: jsonPath });
+  return jsonPath;
+}
 
-      /* 6) Imagens com fallback lazy */
-      const thumbs = Array.from(
-        document.querySelectorAll("#galeria-imagens .thumbnails img")
-      );
-      const imgsLista = thumbs
-        .map((img) => {
-          const src =
-            img.src ||
-            img.dataset?.src ||
-            img.getAttribute("data-src") ||
-            img.getAttribute("data-original");
-          if (!src) return "";
-          try {
-            return new URL(src, window.location.origin).href;
-          } catch {
-            return src;
-          }
-        })
-        .filter(Boolean);
-
-      /* 7) Estado / cidade / bairro */
-      let estadoCod = "";
-      let cidadeCod = "";
-      let cidadeNomeFinal = "";
-      let bairroFinal = "";
-
-      const hEstado = document.querySelector("#hdn_estado");
-      const hCidade = document.querySelector("#hdn_cidade");
-      const hBairro = document.querySelector("#hdn_bairro");
-
-      if (hEstado && hEstado.value) estadoCod = hEstado.value.trim();
-      else if (estado) estadoCod = estado;
-
-      if (hCidade && hCidade.value) cidadeCod = hCidade.value.trim();
-      else if (cidadeCodigo) cidadeCod = cidadeCodigo;
-
-      if (hBairro && hBairro.value) bairroFinal = hBairro.value.trim();
-      else if (enderecoBairroTexto) bairroFinal = enderecoBairroTexto;
-
-      if (cidadeNome) cidadeNomeFinal = cidadeNome;
-      else if (enderecoCidadeTexto) cidadeNomeFinal = enderecoCidadeTexto;
-
-      return {
-        _imoveis_codigo_imovel: codigoImovel,
-        _imoveis_titulo: tituloImovel,
-
-        _imoveis_valor_avaliacao: valorAvaliacao,
-        _imoveis_valor_minimo_1_leilao: valorMinimo1,
-        _imoveis_valor_minimo_2_leilao: valorMinimo2,
-        _imoveis_valor_minimo_generico: valorMinimoGenerico,
-        _imoveis_valor_minimo: valorMinimoGeral,
-        _imoveis_desconto_percentual: descontoPercentual,
-        _imoveis_desconto_pct: descontoPercentual,
-
-        _imoveis_tipo_imovel: tipoImovel,
-        _imoveis_quartos: quartos,
-        _imoveis_garagem: garagem,
-        _imoveis_numero_imovel: numeroImovelStr,
-        _imoveis_matricula: matricula,
-        _imoveis_comarca: comarca,
-        _imoveis_oficio: oficio,
-        _imoveis_inscricao_imobiliaria: inscricaoImobiliaria,
-        _imoveis_averbacao_leiloes: averbacaoLeiloes,
-
-        _imoveis_area_total: areaTotal,
-        _imoveis_area_privativa: areaPrivativa,
-        _imoveis_area_terreno: areaTerreno,
-
-        _imoveis_tipo_leilao: tipoLeilao,
-        _imoveis_edital: editalTexto,
-        _imoveis_leiloeiro: leiloeiro,
-        _imoveis_numero_item: numeroItem,
-        _imoveis_data_leilao_1: dataLeilao1,
-        _imoveis_data_leilao_2: dataLeilao2,
-
-        _imoveis_endereco_completo: enderecoCompleto,
-        _imoveis_endereco_logradouro: enderecoLogradouro,
-        _imoveis_endereco_numero: enderecoNumero,
-        _imoveis_endereco_bairro_texto: enderecoBairroTexto,
-        _imoveis_endereco_cidade_texto: enderecoCidadeTexto,
-        _imoveis_endereco_estado_texto: enderecoEstadoTexto,
-        _imoveis_cep: enderecoCep,
-
-        _imoveis_descricao: descricao,
-        _imoveis_formas_pagamento: formasPagamento,
-        _imoveis_link_matricula: linkMatricula,
-        _imoveis_link_edital: linkEdital,
-
-        _imoveis_imgs_lista: imgsLista.join("|"),
-
-        _imoveis_estado: estadoCod,
-        _imoveis_cidade_codigo: cidadeCod,
-        _imoveis_cidade: cidadeNomeFinal,
-        _imoveis_bairro: bairroFinal,
-      };
-    }, estado, cidadeCodigo, cidadeNome);
+/**
+ * Grava JSON de URLs + detalhes (formatos de EXPORTAR) de um estado.
+ * comUrls=false mantém o JSON de URLs existente (detalhes refeitos a partir dele).
+ */
+async function gravarSaidasEstado(
+  uf,
+  urlsPorCidade,
+  detalhes,
+  { meta = {}, formatos = FORMATOS_PADRAO, dir = process.cwd(), comUrls = true, log = logConsole } = {}
+) {
+  const sufixo = uf.toLowerCase();
+  const metaEstado = { ...meta, estado: uf };
+
+  const jsonPath = comUrls
+    ? gravarJsonUrls(path.join(dir, `urls_${sufixo}_por_cidade.json`), urlsPorCidade, metaEstado, log)
+    : null;
+
+  const arquivos = await exportarDetalhes(detalhes, {
+    base: path.join(dir, `imoveis_${sufixo}_detalhes`),
+    formatos,
+    meta: metaEstado,
+    sheetName: `Imoveis_${uf}`,
+    log,
+  });
 
-    return dados;
-  } catch (err) {
-    console.error(`      ❌ Erro ao extrair ${url}:`, err.message);
-    return null;
-  }
+  return { jsonPath, xlsxPath: arquivos.xlsx || null, arquivos };
+}
+
+/** Grava JSON + detalhes combinados (nomes fora do padrão por UF para o sync não importar em dobro) */
+async function gravarSaidasCombinadas(
+  urlsPorEstado,
+  detalhes,
+  { meta = {}, formatos = FORMATOS_PADRAO, dir = process.cwd(), comUrls = true, log = logConsole } = {}
+) {
+  const metaCombinado = { ...meta, estados: Object.keys(urlsPorEstado) };
+
+  const jsonPath = comUrls
+    ? gravarJsonUrls(path.join(dir, "urls_por_estado.json"), urlsPorEstado, metaCombinado, log)
+    : null;
+
+  const arquivos = await exportarDetalhes(detalhes, {
+    base: path.join(dir, "imoveis_detalhes_combinado"),
+    formatos,
+    meta: metaCombinado,
+    sheetName: "Imoveis",
+    log,
+  });
+
+  return { jsonPath, xlsxPath: arquivos.xlsx || null, arquivos };
 }
 
 /**
- * Coleta todas as URLs de imóveis da cidade atual com paginação
+ * Imóveis extraídos de novo substituem os salvos de mesmo código; os demais
+ * ficam como estavam. Cidade vazia no novo (código avulso) herda a do salvo.
+ */
+function mesclarDetalhes(salvos, novos) {
+  const porCodigo = new Map(novos.map((d) => [String(d._imoveis_codigo_imovel), d]));
+  const mesclados = salvos.map((antigo) => {
+    const novo = porCodigo.get(String(antigo._imoveis_codigo_imovel));
+    if (!novo) return antigo;
+    porCodigo.delete(String(antigo._imoveis_codigo_imovel));
+    return {
+      ...novo,
+      _imoveis_cidade: novo._imoveis_cidade || antigo._imoveis_cidade,
+      _imoveis_cidade_codigo: novo._imoveis_cidade_codigo || antigo._imoveis_cidade_codigo,
+    };
+  });
+  return [...mesclados, ...porCodigo.values()];
+}
+
+/**
+ * Coleta URLs por cidade e detalhes de um estado, gravando JSON + XLSX do estado.
+ * O progresso vai para o checkpoint; `parcial` é exposto para o flush em SIGINT/SIGTERM.
+ *
+ * `urls` ({ codCidade: { cidade, urls } }) pula a varredura e o checkpoint e não
+ * regrava o JSON de URLs; `mesclar` junta o resultado aos detalhes já salvos do
+ * estado; `apenasUrls` para depois de gravar o JSON de URLs. Com `dir` null nada
+ * é lido nem gravado em disco (só eventos e retorno).
  */
-async function coletarUrlsCidade(page) {
-  console.log("   🔗 Coletando URLs de imóveis da cidade atual...");
+async function scrapeEstado(
+  motor,
+  estado,
+  {
+    resume = false,
+    parcial = {},
+    limitador = null,
+    falhas = null,
+    retry = {},
+    filtros = {},
+    documentos = null,
+    imagens = null,
+    geocodificador = null,
+    formatos = FORMATOS_PADRAO,
+    configQualidade = lerConfigQualidade(),
+    configMetricas = lerConfigMetricas(),
+    meta = {},
+    dir = process.cwd(),
+    urls = null,
+    mesclar = false,
+    apenasUrls = false,
+    emitir = criarEmissor(null),
+    signal = null,
+    log = logConsole,
+  } = {}
+) {
+  const uf = estado.toUpperCase();
+  const sufixo = uf.toLowerCase();
+  const logEstado = log.filho({ estado: uf });
+  const gravar = dir != null;
+  const checkpoint =
+    urls || !gravar
+      ? null
+      : criarCheckpoint(uf, { dir, resume, log: logEstado.filho({ fase: "checkpoint" }) });
+
+  // execução anterior, lida antes de qualquer sobrescrita (base do diff)
+  const anteriores = gravar
+    ? lerDetalhesXlsx(path.join(dir, `imoveis_${sufixo}_detalhes.xlsx`))
+    : [];
+  const jsonUrlsAnterior = gravar ? path.join(dir, `urls_${sufixo}_por_cidade.json`) : null;
+  const metaAnterior =
+    anteriores.length > 0 && fs.existsSync(jsonUrlsAnterior)
+      ? lerArquivoUrls(jsonUrlsAnterior).meta
+      : null;
+  const salvos =
+    mesclar && gravar
+      ? (lerDetalhesSalvos(path.join(dir, `imoveis_${sufixo}_detalhes`)) || { detalhes: [] })
+          .detalhes
+      : null;
 
-  const totalPages = await page.evaluate(() => {
-    const hdnQtdPag = document.querySelector("#hdnQtdPag");
-    if (!hdnQtdPag || !hdnQtdPag.value) return 1;
-    const n = parseInt(hdnQtdPag.value, 10);
-    return Number.isNaN(n) || n <= 0 ? 1 : n;
+  const urlsPorCidade = {};
+  const resultados = [];
+  Object.assign(parcial, {
+    uf,
+    urlsPorCidade,
+    comUrls: !urls,
+    detalhesAteAgora: () =>
+      salvos ? mesclarDetalhes(salvos, resultados.filter(Boolean)) : resultados.filter(Boolean),
   });
 
-  const urlsSet = new Set();
+  const emitirCidade = (codCidade, info) =>
+    emitir("city:urls", { estado: uf, cidadeCodigo: codCidade, ...info });
+
+  // cidade com erro impede marcar o estado como concluído (o --resume refaz)
+  let estadoIncompleto = false;
+
+  if (urls) {
+    Object.assign(urlsPorCidade, urls);
+    const total = Object.values(urls).reduce((n, c) => n + (c.urls || []).length, 0);
+    logEstado.info(`📥 ${uf}: ${total} URLs informadas, sem varrer as cidades.`, { fase: "urls" });
+    for (const [codCidade, info] of Object.entries(urlsPorCidade)) emitirCidade(codCidade, info);
+  } else if (checkpoint && checkpoint.concluido) {
+    logEstado.info(`♻️  ${uf} já concluído no checkpoint, reaproveitando.`, { fase: "urls" });
+    Object.assign(urlsPorCidade, checkpoint.cidades);
+    for (const [codCidade, info] of Object.entries(urlsPorCidade)) emitirCidade(codCidade, info);
+  } else {
+    // 1-3) Abre a busca, seleciona o estado e lê as cidades
+    const cidades = await motor.listarCidades(uf);
+    logEstado.info(`📌 Encontradas ${cidades.length} cidades em ${uf}.`, {
+      fase: "cidades",
+      cidades: cidades.length,
+    });
 
-  for (let p = 1; p <= totalPages; p++) {
-    if (p > 1) {
-      console.log(`      👉 Carregando página ${p}/${totalPages}...`);
-      await page.evaluate((pagina) => {
-        if (typeof window.carregaListaImoveis === "function") {
-          window.carregaListaImoveis(pagina);
+    // 4) Para cada cidade: refaz busca e coleta URLs
+    let cidadesComErro = 0;
+
+    for (const cidade of cidades) {
+      if (signal) signal.throwIfAborted();
+      const logCidade = logEstado.filho({
+        cidadeCodigo: cidade.value,
+        cidade: cidade.text,
+        fase: "urls",
+      });
+      logCidade.info(`\n🌆 Cidade: [${cidade.text}] (${cidade.value})`);
+      emitir("city:start", { estado: uf, cidadeCodigo: cidade.value, cidade: cidade.text });
+
+      if (checkpoint && checkpoint.cidadeFeita(cidade.value)) {
+        urlsPorCidade[cidade.value] = checkpoint.cidade(cidade.value);
+        logCidade.info(
+          `  ♻️ ${urlsPorCidade[cidade.value].urls.length} URLs já coletadas (checkpoint).`,
+          { urls: urlsPorCidade[cidade.value].urls.length, checkpoint: true }
+        );
+        emitirCidade(cidade.value, urlsPorCidade[cidade.value]);
+        continue;
+      }
+
+      if (falhas) falhas.contar("cidade");
+      const inicioCidade = Date.now();
+
+      try {
+        const urls = await comRetry(() => motor.buscarUrlsCidade(uf, cidade, filtros, { log: logCidade }), {
+          ...retry,
+          rotulo: `Cidade ${cidade.text}`,
+          log: logCidade,
+        });
+
+        const campos = { urls: urls.length, duracaoMs: Date.now() - inicioCidade };
+        if (urls.length === 0) {
+          logCidade.info(`  ⚠️ Nenhum imóvel encontrado para ${cidade.text}.`, campos);
+        } else {
+          logCidade.info(`  ✅ ${urls.length} imóveis encontrados em ${cidade.text}`, campos);
         }
-      }, p);
 
-      await page.waitForFunction(
-        () =>
-          document.querySelectorAll(
-            "#listaimoveispaginacao .group-block-item"
-          ).length > 0,
-        { timeout: 60000 }
-      ).catch(() => delay(2500));
+        urlsPorCidade[cidade.value] = { cidade: cidade.text, urls };
+        if (checkpoint) checkpoint.marcarCidade(cidade.value, urlsPorCidade[cidade.value]);
+        emitirCidade(cidade.value, urlsPorCidade[cidade.value]);
+      } catch (erroCidade) {
+        if (signal && signal.aborted) throw signal.reason;
+        logCidade.error(
+          `  ❌ Erro ao processar cidade ${cidade.text} (${classificarErro(erroCidade)}): ${erroCidade.message}`,
+          {
+            categoria: classificarErro(erroCidade),
+            tentativas: erroCidade.tentativas || 1,
+            duracaoMs: Date.now() - inicioCidade,
+          }
+        );
+        if (falhas) {
+          falhas.registrar("cidade", erroCidade, {
+            estado: uf,
+            cidadeCodigo: cidade.value,
+            cidade: cidade.text,
+          });
+        }
+        // fica fora do checkpoint para ser refeita no --resume; "erro" distingue
+        // de cidade sem imóveis (o sync-wp.js não retira anúncios dela)
+        urlsPorCidade[cidade.value] = {
+          cidade: cidade.text,
+          urls: [],
+          erro: classificarErro(erroCidade),
+        };
+        emitirCidade(cidade.value, urlsPorCidade[cidade.value]);
+        cidadesComErro++;
+      }
     }
 
-    const urls = await page.evaluate(() => {
-      const items = Array.from(
-        document.querySelectorAll("#listaimoveispaginacao .group-block-item")
-      );
+    if (cidadesComErro > 0) estadoIncompleto = true;
+  }
+  // varredura de todas as cidades, sem erro nem filtro: a listagem do estado
+  // substitui a anterior no histórico (base dos imóveis atuais da API)
+  const listagemCompleta = !urls && !estadoIncompleto && Object.keys(filtros).length === 0;
 
-      const list = [];
-      items.forEach((it) => {
-        const link = it.querySelector("a[onclick*='detalhe_imovel']");
-        if (!link) return;
-        const onclick = link.getAttribute("onclick") || "";
-        const m = onclick.match(/detalhe_imovel\((\d+)\)/);
-        if (!m) return;
-
-        const idImovel = m[1];
-        const urlDet = `https://venda-imoveis.caixa.gov.br/sistema/detalhe-imovel.asp?hdnimovel=${idImovel}`;
-        list.push(urlDet);
-      });
-      return list;
+  // JSON intermediário
+  const jsonUrls =
+    urls || !gravar
+      ? null
+      : gravarJsonUrls(
+          path.join(dir, `urls_${sufixo}_por_cidade.json`),
+          urlsPorCidade,
+          { ...meta, estado: uf },
+          logEstado.filho({ fase: "urls" })
+        );
+  if (apenasUrls) {
+    return {
+      urlsPorCidade,
+      detalhes: [],
+      coletados: [],
+      completo: !estadoIncompleto,
+      listagemCompleta,
+      mudancas: null,
+      qualidade: null,
+      outrosArquivos: [],
+      jsonPath: jsonUrls,
+      xlsxPath: null,
+      arquivos: {},
+    };
+  }
+
+  // 5) Detalhes (pool de páginas + limitador; ordem igual à sequencial)
+  const pendentes = [];
+  let total = 0;
+
+  // evento só para quem passa no filtro fino (o mesmo aplicado às saídas)
+  const emitirImovel = (det, url, codCidade, nomeCidade) => {
+    if (filtrarDetalhes([det], filtros).length === 0) return;
+    emitir("property", {
+      estado: uf,
+      cidadeCodigo: codCidade,
+      cidade: nomeCidade,
+      url,
+      detalhe: det,
     });
+  };
 
-    urls.forEach((u) => urlsSet.add(u));
-  }
+  for (const [codCidade, infoCidade] of Object.entries(urlsPorCidade)) {
+    const { cidade: nomeCidade, urls } = infoCidade;
+    const logCidade = logEstado.filho({
+      cidadeCodigo: codCidade,
+      cidade: nomeCidade,
+      fase: "detalhes",
+    });
+    logCidade.info(`\n🏙  Extraindo detalhes da cidade: ${nomeCidade} (${codCidade})`);
 
-  return Array.from(urlsSet);
-}
+    if (!urls || urls.length === 0) {
+      logCidade.info("   ⚠️ Não há URLs para esta cidade.", { urls: 0 });
+      continue;
+    }
 
-/**
- * Exporta todos os detalhes em um único XLSX
- */
-function salvarComoXlsx(detalhes, filename) {
-  const campos = [
-    "_imoveis_codigo_imovel",
-    "_imoveis_titulo",
-    "_imoveis_valor_avaliacao",
-    "_imoveis_valor_minimo_1_leilao",
-    "_imoveis_valor_minimo_2_leilao",
-    "_imoveis_valor_minimo_generico",
-    "_imoveis_valor_minimo",
-    "_imoveis_desconto_percentual",
-    "_imoveis_desconto_pct",
-    "_imoveis_tipo_imovel",
-    "_imoveis_quartos",
-    "_imoveis_garagem",
-    "_imoveis_numero_imovel",
-    "_imoveis_matricula",
-    "_imoveis_comarca",
-    "_imoveis_oficio",
-    "_imoveis_inscricao_imobiliaria",
-    "_imoveis_averbacao_leiloes",
-    "_imoveis_area_total",
-    "_imoveis_area_privativa",
-    "_imoveis_area_terreno",
-    "_imoveis_tipo_leilao",
-    "_imoveis_edital",
-    "_imoveis_leiloeiro",
-    "_imoveis_numero_item",
-    "_imoveis_data_leilao_1",
-    "_imoveis_data_leilao_2",
-    "_imoveis_endereco_completo",
-    "_imoveis_endereco_logradouro",
-    "_imoveis_endereco_numero",
-    "_imoveis_endereco_bairro_texto",
-    "_imoveis_endereco_cidade_texto",
-    "_imoveis_endereco_estado_texto",
-    "_imoveis_cep",
-    "_imoveis_descricao",
-    "_imoveis_formas_pagamento",
-    "_imoveis_link_matricula",
-    "_imoveis_link_edital",
-    "_imoveis_imgs_lista",
-    "_imoveis_estado",
-    "_imoveis_cidade_codigo",
-    "_imoveis_cidade",
-    "_imoveis_bairro",
-  ];
-
-  const sanitize = (value) => {
-    if (value == null) return "";
-    return String(value)
-      .replace(/\r?\n|\r/g, " ")
-      .replace(/\s{2,}/g, " ")
-      .trim();
+    for (const u of urls) {
+      const salvo = checkpoint && checkpoint.detalhe(u);
+      if (salvo) {
+        resultados[total] = salvo;
+        emitirImovel(salvo, u, codCidade, nomeCidade);
+      } else pendentes.push({ indice: total, url: u, codCidade, nomeCidade });
+      total++;
+    }
+    logCidade.info(`   📋 ${urls.length} URLs na fila.`, { urls: urls.length });
+  }
+  resultados.length = total;
+
+  await processarEmPool(
+    pendentes,
+    motor.workers,
+    async (item, worker) => {
+      const det = await extrairDetalhesImovel(
+        motor,
+        worker,
+        item.url,
+        {
+          estado: uf,
+          cidadeCodigo: item.codCidade,
+          cidadeNome: item.nomeCidade,
+        },
+        { falhas, retry, emitir, limitador, log: logEstado }
+      );
+      // métricas do próprio imóvel já saem no evento; comparáveis e score no fim do estado
+      return det && { ...det, ...metricasImovel(det) };
+    },
+    {
+      // o limitador vai para extrairDetalhesImovel: uma vaga por tentativa
+      signal,
+      log: logEstado,
+      aoConcluir: (det, item) => {
+        if (det) {
+          resultados[item.indice] = det;
+          if (checkpoint) checkpoint.marcarDetalhe(item.url, det);
+          emitirImovel(det, item.url, item.codCidade, item.nomeCidade);
+        } else {
+          logEstado.warn(`      ⚠️ Retorno vazio ao extrair detalhes ${item.url}`, {
+            cidadeCodigo: item.codCidade,
+            cidade: item.nomeCidade,
+            codigo: codigoDaUrl(item.url),
+            url: item.url,
+            fase: "detalhe",
+          });
+        }
+      },
+    }
+  );
+  // cancelado no meio: nada de gravar o estado como se estivesse completo
+  if (signal) signal.throwIfAborted();
+
+  // filtro fino (as faixas dos selects da Caixa são grossas)
+  const extraidos = resultados.filter(Boolean);
+  let detalhes = filtrarDetalhes(extraidos, filtros);
+  if (detalhes.length !== extraidos.length) {
+    logEstado.info(`   🔎 Filtros: ${detalhes.length}/${extraidos.length} imóveis mantidos.`, {
+      fase: "filtros",
+      mantidos: detalhes.length,
+      extraidos: extraidos.length,
+    });
+  }
+
+  // Fases opcionais (duração vai para o log em nível debug)
+  const rodarFase = async (fase, mensagem, processador) => {
+    const inicioFase = Date.now();
+    logEstado.info(mensagem, { fase, imoveis: detalhes.length });
+    await processador.processar(detalhes, { log: logEstado.filho({ fase }) });
+    const duracaoMs = Date.now() - inicioFase;
+    logEstado.debug(`   ⏱  ${uf}: ${fase} em ${duracaoMs}ms`, { fase, duracaoMs });
   };
+  // edital/matrícula arquivados e palavras-chave marcadas
+  if (documentos && detalhes.length > 0) {
+    await rodarFase("documentos", `📄 ${uf}: baixando/verificando documentos...`, documentos);
+  }
+  if (imagens && detalhes.length > 0) {
+    await rodarFase("imagens", `🖼  ${uf}: espelhando fotos...`, imagens);
+  }
+  if (geocodificador && detalhes.length > 0) {
+    await rodarFase("geocodificacao", `🗺  ${uf}: geocodificando endereços...`, geocodificador);
+  }
 
-  const rows = detalhes.map((det) => {
-    const row = {};
-    campos.forEach((campo) => {
-      row[campo] = sanitize(det[campo]);
-    });
-    return row;
+  // códigos avulsos: as fases acima só rodaram nos re-extraídos
+  const codigosColetados = new Set(detalhes.map((d) => String(d._imoveis_codigo_imovel)));
+  if (salvos) {
+    detalhes = mesclarDetalhes(salvos, detalhes);
+    logEstado.info(
+      `   🔀 ${uf}: ${extraidos.length} re-extraídos mesclados aos salvos (${detalhes.length} imóveis).`,
+      { fase: "mesclar", extraidos: extraidos.length, imoveis: detalhes.length }
+    );
+  }
+
+  // Métricas de investimento: percentil entre comparáveis, score e ranking por cidade
+  const metricas = enriquecerMetricas(detalhes, configMetricas);
+  if (detalhes.length > 0) {
+    logEstado.info(
+      `   📈 ${uf}: score de ${metricas.pontuados}/${metricas.imoveis} imóveis (${metricas.comparados} com comparáveis).`,
+      { fase: "metricas", ...metricas }
+    );
+  }
+  // só o que esta execução viu vai para o diff e o histórico (os salvos que não
+  // foram re-extraídos não avançam ultimo_visto)
+  const coletados = salvos
+    ? detalhes.filter((d) => codigosColetados.has(String(d._imoveis_codigo_imovel)))
+    : detalhes;
+  let geojsonPath = null;
+  if (gravar && geocodificador && detalhes.length > 0) {
+    geojsonPath = path.join(dir, `imoveis_${sufixo}.geojson`);
+    gravarGeoJson(detalhes, geojsonPath, { log: logEstado });
+  }
+
+  // Qualidade: preenchimento x última execução aprovada, invariantes e gate
+  const qualidadePath = gravar ? path.join(dir, `qualidade_${sufixo}.json`) : null;
+  const qualidade = avaliarQualidade(detalhes, {
+    estado: uf,
+    anterior: qualidadePath ? lerRelatorioQualidade(qualidadePath) : null,
+    config: configQualidade,
   });
+  if (qualidadePath) {
+    gravarRelatorioQualidade(qualidade, qualidadePath, { log: logEstado.filho({ fase: "qualidade" }) });
+  }
 
-  const ws = XLSX.utils.json_to_sheet(rows, { header: campos });
-  const wb = XLSX.utils.book_new();
-  XLSX.utils.book_append_sheet(wb, ws, "Imoveis_RO");
+  const saidas = gravar
+    ? await gravarSaidasEstado(uf, urlsPorCidade, detalhes, {
+        meta,
+        formatos,
+        dir,
+        comUrls: !urls,
+        log: logEstado,
+      })
+    : { jsonPath: null, xlsxPath: null, arquivos: {} };
+  if (checkpoint && !estadoIncompleto) checkpoint.concluir();
+
+  // 6) Diff com a execução anterior (novos / removidos / alterados)
+  let mudancas = null;
+  // demais arquivos do estado, para o run-manifest.json
+  const outrosArquivos = [qualidadePath, geojsonPath];
+  if (anteriores.length > 0) {
+    // só o que esta execução coletou: URLs informadas, cidades sem erro, mesmo filtro
+    mudancas = compararExecucoes(anteriores, coletados, {
+      urlsPorCidade,
+      listaCompleta: !urls && Object.keys(filtros).length === 0,
+      codigos: urls
+        ? Object.values(urlsPorCidade).flatMap((c) => (c.urls || []).map(codigoDaUrl))
+        : null,
+      filtros,
+      filtrosAnteriores: urls || !metaAnterior ? undefined : metaAnterior.filtros || {},
+    });
+    const diffPaths = {
+      jsonPath: path.join(dir, `mudancas_${sufixo}.json`),
+      xlsxPath: path.join(dir, `mudancas_${sufixo}.xlsx`),
+    };
+    gravarRelatorioDiff(mudancas, {
+      ...diffPaths,
+      origem: { estado: uf },
+      log: logEstado.filho({ fase: "diff" }),
+    });
+    outrosArquivos.push(diffPaths.jsonPath, diffPaths.xlsxPath);
+    const { novos, removidos, alterados, foraDoEscopo } = mudancas.resumo;
+    logEstado.info(
+      `📊 ${uf}: ${novos} novos, ${removidos} removidos, ${alterados} alterados` +
+        (foraDoEscopo > 0 ? ` (${foraDoEscopo} anteriores fora desta execução).` : "."),
+      { fase: "diff", novos, removidos, alterados, foraDoEscopo }
+    );
+  }
 
-  XLSX.writeFile(wb, filename);
-  console.log(`💾 XLSX salvo em: ${filename}`);
+  return {
+    urlsPorCidade,
+    detalhes,
+    coletados,
+    completo: !estadoIncompleto,
+    listagemCompleta,
+    mudancas,
+    qualidade,
+    outrosArquivos,
+    ...saidas,
+  };
 }
 
 /**
- * Fluxo principal (igual ao original)
+ * Fluxo principal (igual ao original, repetido para cada UF pedida).
+ * resume (ou ENV RESUME=true) retoma do checkpoint; com sinais, SIGINT/SIGTERM grava o
+ * parcial antes de sair.
+ * Não lê process.argv: as flags viram opts em opcoesDaLinhaDeComando().
+ * @param {object} [opts]
+ * @param {object} [opts.filtros] padrão FILTROS
+ * @param {string|string[]} [opts.estados] padrão ESTADOS (ou RO)
+ * @param {string[]} [opts.formatos] padrão EXPORTAR
+ * @param {string} [opts.dir] diretório das saídas e das bases de apoio: histórico,
+ *   buscas.json, outbox/dedup dos alertas, documentos/, imagens/, geocache.json (padrão cwd)
+ * @param {Object<string, object>} [opts.urls] UF -> { codCidade: { cidade, urls } } já coletadas
+ * @param {boolean} [opts.mesclar] junta o resultado aos detalhes salvos de cada estado
+ * @param {boolean} [opts.apenasUrls] só coleta e grava as URLs
+ *
+ * Para embutir (padrões entre parênteses):
+ * @param {string|null} [opts.dir] null = não lê nem grava arquivo algum
+ * @param {string} [opts.engine] "puppeteer" | "http" (ENGINE)
+ * @param {object} [opts.navegador] Browser do puppeteer já aberto (não é fechado no fim)
+ * @param {object} [opts.lancamento] opções extras de puppeteer.launch
+ * @param {number} [opts.concorrencia] páginas de detalhe em paralelo (DETALHES_CONCORRENCIA)
+ * @param {boolean} [opts.resume] retoma do checkpoint (RESUME)
+ * @param {string|object} [opts.perfil] arquivo ou perfil de extração (PERFIL)
+ * @param {boolean} [opts.documentos] (DOCUMENTOS)
+ * @param {boolean} [opts.imagens] (IMAGENS)
+ * @param {boolean} [opts.geocodificar] (GEOCODIFICAR)
+ * @param {AbortSignal} [opts.signal] cancela: para de abrir cidades/imóveis e rejeita com signal.reason
+ * @param {(evento: object) => void} [opts.aoEvento] eventos de progresso (lib/eventos.js)
+ * @param {boolean} [opts.sinais] SIGINT/SIGTERM gravam o parcial e encerram o processo
+ *   (false; só as entradas de linha de comando ligam)
+ * @param {object} [opts.log] logger (lib/log.js); padrão um novo com LOG_NIVEL/LOG_JSON
  */
-export async function runScrape() {
-  const headless = process.env.HEADLESS !== "false";
-  const chromePath = process.env.CHROME_PATH || undefined;
-
-  const browser = await puppeteer.launch({
-    headless: headless ? "new" : false,
-    executablePath: chromePath, // opcional local
-    args: [
-      "--no-sandbox",
-      "--disable-setuid-sandbox",
-      "--disable-dev-shm-usage",
-      "--disable-gpu",
-    ],
-    defaultViewport: { width: 1366, height: 768 },
+export async function runScrape({
+  filtros: filtrosOpt,
+  estados: estadosOpt,
+  formatos: formatosOpt,
+  dir = process.cwd(),
+  urls = null,
+  mesclar = false,
+  apenasUrls = false,
+  engine: engineOpt,
+  navegador = null,
+  lancamento = {},
+  concorrencia: concorrenciaOpt,
+  resume = process.env.RESUME === "true",
+  perfil: perfilOpt,
+  documentos: usarDocumentos = process.env.DOCUMENTOS === "true",
+  imagens: usarImagens = process.env.IMAGENS === "true",
+  geocodificar = process.env.GEOCODIFICAR === "true",
+  signal = null,
+  aoEvento = null,
+  sinais = false,
+  log: logOpt = null,
+} = {}) {
+  if (signal) signal.throwIfAborted();
+  const execucao = crypto.randomUUID();
+  const inicio = new Date();
+  const gravar = dir != null;
+  // padrões só do ENV (argv vazio): flags chegam como opts
+  const filtros = filtrosOpt ? normalizarFiltros(filtrosOpt) : lerFiltros([]);
+  const formatos = formatosOpt || lerFormatos([]);
+  const configQualidade = lerConfigQualidade();
+  const configMetricas = lerConfigMetricas();
+  // perfil de extração validado antes de abrir o browser
+  const perfil =
+    typeof perfilOpt === "string"
+      ? carregarPerfil(perfilOpt)
+      : perfilOpt
+        ? validarPerfil(perfilOpt, "runScrape({ perfil })")
+        : lerPerfil([]);
+
+  // toda linha do log (e o manifesto) leva o id da execução
+  const log = logOpt ? logOpt.filho({ execucao }) : criarLogger({ contexto: { execucao } });
+  const fecharLog = () => {
+    if (!logOpt) log.fechar();
+  };
+  const emitir = criarEmissor(aoEvento, { log });
+  if (gravar && !formatos.includes("xlsx")) {
+    log.warn("⚠️ Sem xlsx em EXPORTAR: diff, sync-wp.js e a API leem o XLSX e não verão esta execução.");
+  }
+  log.info(`🧩 Perfil de extração: ${perfil.nome} ${perfil.versao}`, {
+    perfil: `${perfil.nome}@${perfil.versao}`,
   });
+  if (gravar) fs.mkdirSync(dir, { recursive: true });
 
-  const page = await browser.newPage();
-  await page.setUserAgent(
-    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36"
+  const concorrencia = Math.max(
+    1,
+    concorrenciaOpt || parseInt(process.env.DETALHES_CONCORRENCIA || "1", 10) || 1
   );
 
-  console.log("🚀 Iniciando scraper CAIXA (RO)...");
+  // ENGINE=http usa o motor sem browser; puppeteer é o padrão/fallback
+  const engine = (engineOpt || process.env.ENGINE || "puppeteer").toLowerCase();
+  let motor;
+  try {
+    motor =
+      engine === "http"
+        ? criarMotorHttp({ concorrencia, perfil })
+        : await criarMotorPuppeteer({ concorrencia, perfil, navegador, lancamento });
+  } catch (err) {
+    fecharLog();
+    throw err;
+  }
 
-  // 1) Acessa a busca
-  await page.goto(BASE_BUSCA_URL, {
-    waitUntil: "networkidle2",
-    timeout: 120000,
-  });
-  await closeOverlays(page);
+  const rps = parseFloat(process.env.DETALHES_RPS || "0.66") || 0.66;
+  const jitterMs = parseInt(process.env.DETALHES_JITTER_MS || "500", 10) || 0;
+  const limitador = criarLimitador({ rps, jitterMs, log: log.filho({ fase: "detalhe" }) });
+
+  let estados = urls
+    ? Object.keys(urls)
+    : estadosOpt
+      ? normalizarEstados(estadosOpt)
+      : parseEstados([]);
+  if (estados.length === 0) {
+    await motor.fechar();
+    fecharLog();
+    throw new Error("Nenhuma UF válida em ESTADOS/--estados.");
+  }
+
+  if (estados[0] === "ALL") {
+    try {
+      estados = await motor.listarEstados();
+    } catch (err) {
+      await motor.fechar();
+      fecharLog();
+      throw err;
+    }
+  }
 
-  // 2) Seleciona estado e aguarda cidades
-  await selectEstadoAndWaitCidades(page, "RO");
-  await delay(1000);
+  log.info(
+    `🚀 Iniciando scraper CAIXA (${estados.join(", ")}) [${motor.nome}]${resume ? " [resume]" : ""}...`,
+    { estados, motor: motor.nome, resume }
+  );
+  if (Object.keys(filtros).length > 0) {
+    log.info(`🔎 Filtros ativos: ${JSON.stringify(filtros)}`, { filtros });
+  }
 
-  // 3) Lê cidades
-  const cidades = await getCidades(page);
-  console.log(`📌 Encontradas ${cidades.length} cidades em RO.`);
+  // vai para _meta dos JSONs e aba Metadados dos XLSX
+  const meta = {
+    execucao,
+    geradoEm: new Date().toISOString(),
+    motor: motor.nome,
+    perfil: `${perfil.nome}@${perfil.versao}`,
+    filtros,
+  };
 
-  const urlsPorCidade = {};
+  const porEstado = {};
+  const falhasEstado = {};
+  const detalhes = [];
+  // re-extraídos de fato (sem os salvos mesclados): base do histórico
+  const coletados = [];
+  const parcial = {};
+
+  // Retry por cidade/URL e relatório failures.json
+  const falhas = criarRegistroFalhas();
+  const retry = {
+    tentativas: Math.max(1, parseInt(process.env.RETRY_TENTATIVAS || "3", 10) || 1),
+    baseMs: parseInt(process.env.RETRY_BASE_MS || "2000", 10) || 0,
+    signal,
+  };
+  const limiteLido = parseFloat(process.env.FALHAS_LIMITE || "0.2");
+  const limiteFalhas = Number.isNaN(limiteLido) ? 0.2 : limiteLido;
+  const failuresPath = gravar ? path.join(dir, "failures.json") : null;
+
+  // bases de apoio (documentos, imagens, geocache, histórico, buscas, alertas) ficam em
+  // `dir` junto das saídas; o ENV de cada uma continua tendo prioridade
+  const emDir = (nome) => path.join(dir ?? process.cwd(), nome);
+  const documentos = usarDocumentos
+    ? criarArquivoDocumentos({ dir: process.env.DOCUMENTOS_DIR || emDir("documentos"), retry })
+    : null;
+  const imagens = usarImagens
+    ? criarEspelhoImagens({ dir: process.env.IMAGENS_DIR || emDir("imagens"), retry })
+    : null;
+  const geocodificador = geocodificar
+    ? criarGeocodificador({ cacheFile: process.env.GEO_CACHE || emDir("geocache.json"), retry })
+    : null;
+
+  // run-manifest.json: o que rodou, com qual configuração e o que saiu
+  const manifestPath = gravar ? path.join(dir, ARQUIVO_MANIFESTO) : null;
+  const versoes = versoesExecucao({ motor: motor.nome, perfil: meta.perfil });
+  const configuracao = {
+    estados,
+    filtros,
+    formatos,
+    motor: motor.nome,
+    concorrencia,
+    rps,
+    jitterMs,
+    retry: { tentativas: retry.tentativas, baseMs: retry.baseMs },
+    limiteFalhas,
+    resume,
+    fases: { documentos: !!documentos, imagens: !!imagens, geocodificar: !!geocodificador },
+    qualidade: configQualidade,
+    metricas: configMetricas,
+    dir,
+    urlsInformadas: !!urls,
+    mesclar,
+    apenasUrls,
+    log: { nivel: log.nivel, json: log.arquivoJson },
+  };
+  const arquivosEstados = () =>
+    Object.values(porEstado).flatMap((res) => [
+      res.jsonPath,
+      ...Object.values(res.arquivos || {}),
+      ...(res.outrosArquivos || []),
+    ]);
+  /** Grava o manifesto; erro aqui só vai para o log */
+  const escreverManifesto = (situacao, { arquivos = [], relatorio = falhas.relatorio(), erro } = {}) => {
+    if (!manifestPath) return null;
+    try {
+      gravarManifesto(
+        montarManifesto({
+          execucao,
+          inicio,
+          situacao,
+          versoes,
+          configuracao,
+          porEstado,
+          falhas: relatorio,
+          arquivos: [...arquivosEstados(), ...arquivos],
+          dir,
+          erro,
+        }),
+        manifestPath
+      );
+      log.info(`💾 Manifesto da execução salvo em: ${manifestPath}`, { situacao });
+      return manifestPath;
+    } catch (err) {
+      log.error(`❌ Erro ao gravar manifesto: ${err.message}`);
+      return null;
+    }
+  };
 
-  // 4) Para cada cidade: refaz busca e coleta URLs
-  for (const cidade of cidades) {
-    console.log(`\n🌆 Cidade: [${cidade.text}] (${cidade.value})`);
+  const montarUrlsPorEstado = () => {
+    const urlsPorEstado = {};
+    for (const [uf, res] of Object.entries(porEstado)) {
+      urlsPorEstado[uf] = res.urlsPorCidade;
+    }
+    return urlsPorEstado;
+  };
 
+  // Interrupção: grava o que já foi feito (estado atual + combinado) e sai
+  const onSignal = async (sinal) => {
+    log.warn(`\n🛑 ${sinal} recebido, gravando resultados parciais...`, { sinal });
+    if (!gravar) {
+      Promise.resolve(motor.fechar()).catch(() => null);
+      fecharLog();
+      process.exit(sinal === "SIGINT" ? 130 : 143);
+    }
     try {
-      await page.goto(BASE_BUSCA_URL, {
-        waitUntil: "networkidle2",
-        timeout: 120000,
+      const urlsPorEstado = montarUrlsPorEstado();
+      const todos = [...detalhes];
+      const saidasParciais = [];
+      if (parcial.uf && !porEstado[parcial.uf]) {
+        const detParciais = parcial.detalhesAteAgora();
+        const saidasUf = await gravarSaidasEstado(parcial.uf, parcial.urlsPorCidade, detParciais, {
+          meta: { ...meta, parcial: true },
+          formatos,
+          dir,
+          comUrls: parcial.comUrls,
+          log: log.filho({ estado: parcial.uf }),
+        });
+        saidasParciais.push(saidasUf);
+        urlsPorEstado[parcial.uf] = parcial.urlsPorCidade;
+        todos.push(...detParciais);
+      }
+      saidasParciais.push(
+        await gravarSaidasCombinadas(urlsPorEstado, todos, {
+          meta: { ...meta, parcial: true },
+          formatos,
+          dir,
+          comUrls: !urls,
+          log,
+        })
+      );
+      const relatorio = falhas.gravar(failuresPath, { log });
+      escreverManifesto("interrompida", {
+        relatorio,
+        erro: sinal,
+        arquivos: [
+          ...saidasParciais.flatMap((s) => [s.jsonPath, ...Object.values(s.arquivos)]),
+          failuresPath,
+        ],
       });
-      await closeOverlays(page);
-
-      await selectEstadoAndWaitCidades(page, "RO");
-      await delay(800);
+    } catch (err) {
+      log.error(`❌ Erro ao gravar parcial: ${err.message}`);
+    }
+    Promise.resolve(motor.fechar()).catch(() => null);
+    fecharLog();
+    process.exit(sinal === "SIGINT" ? 130 : 143);
+  };
+  if (sinais) {
+    process.once("SIGINT", onSignal);
+    process.once("SIGTERM", onSignal);
+  }
 
-      // seleciona cidade
-      await page.evaluate((cidadeValue) => {
-        const cmbCidade = document.querySelector("#cmb_cidade");
-        if (cmbCidade) {
-          cmbCidade.value = cidadeValue;
-          cmbCidade.dispatchEvent(new Event("change", { bubbles: true }));
-        }
-      }, cidade.value);
-
-      await delay(1500);
-
-      const btnNext0 = await page.$("#btn_next0");
-      if (btnNext0) {
-        await btnNext0.click();
-        await page
-          .waitForFunction(
-            () =>
-              document.querySelector("#btn_next1") ||
-              document.querySelector("#listaimoveispaginacao") ||
-              document.querySelector("#divImoveisLista"),
-            { timeout: 120000 }
-          )
-          .catch(() =>
-            console.warn("   ⚠️ Timeout após btn_next0.")
-          );
+  try {
+    // Um estado com erro não interrompe os demais
+    for (const uf of estados) {
+      if (signal) signal.throwIfAborted();
+      log.info(`\n🗺  Estado: ${uf}`, { estado: uf });
+      try {
+        const res = await scrapeEstado(motor, uf, {
+          resume,
+          parcial,
+          limitador,
+          falhas,
+          retry,
+          filtros,
+          documentos,
+          imagens,
+          geocodificador,
+          formatos,
+          configQualidade,
+          configMetricas,
+          meta,
+          dir,
+          urls: urls ? urls[uf] : null,
+          mesclar,
+          apenasUrls,
+          emitir,
+          signal,
+          log,
+        });
+        porEstado[uf] = res;
+        detalhes.push(...res.detalhes);
+        coletados.push(...res.coletados);
+      } catch (erroEstado) {
+        // cancelamento não é falha do estado: interrompe a execução toda
+        if (signal && signal.aborted) throw erroEstado;
+        log.error(`❌ Erro ao processar estado ${uf}: ${erroEstado.message}`, {
+          estado: uf,
+          categoria: classificarErro(erroEstado),
+        });
+        falhasEstado[uf] = erroEstado.message;
+        falhas.registrar("estado", erroEstado, { estado: uf });
       }
+    }
 
-      const btnNext1 = await page.$("#btn_next1");
-      if (btnNext1) await btnNext1.click();
-
-      await page
-        .waitForFunction(
-          () =>
-            document.querySelector("#listaimoveispaginacao .group-block-item") ||
-            document.body.innerText
-              .toUpperCase()
-              .includes("NENHUM IMÓVEL ENCONTRADO"),
-          { timeout: 120000 }
-        )
-        .catch(() =>
-          console.warn("   ⚠️ Timeout aguardando lista/mensagem.")
-        );
+    const urlsPorEstado = montarUrlsPorEstado();
+    let saidas = { jsonPath: null, xlsxPath: null, arquivos: {} };
+    if (gravar && apenasUrls) {
+      saidas.jsonPath = gravarJsonUrls(
+        path.join(dir, "urls_por_estado.json"),
+        urlsPorEstado,
+        { ...meta, estados: Object.keys(urlsPorEstado) },
+        log
+      );
+    } else if (gravar) {
+      saidas = await gravarSaidasCombinadas(urlsPorEstado, detalhes, {
+        meta,
+        formatos,
+        dir,
+        comUrls: !urls,
+        log,
+      });
+    }
+    const { jsonPath, xlsxPath, arquivos } = saidas;
+    let geojsonPath = null;
+    if (gravar && geocodificador && !apenasUrls) {
+      geojsonPath = path.join(dir, "imoveis_combinado.geojson");
+      gravarGeoJson(detalhes, geojsonPath, { log });
+    }
 
-      const temImoveis = await page.evaluate(() => {
-        return (
-          document.querySelectorAll(
-            "#listaimoveispaginacao .group-block-item"
-          ).length > 0
+    // Histórico de preços e listagens completas (um erro aqui não invalida a execução)
+    if (gravar && process.env.HISTORICO !== "false") {
+      try {
+        const historico = abrirHistorico(
+          process.env.HISTORICO_DB || emDir("historico_imoveis.sqlite")
         );
-      });
+        try {
+          for (const [uf, res] of Object.entries(porEstado)) {
+            if (!res.listagemCompleta) continue;
+            historico.registrarListagem(
+              uf,
+              Object.values(res.urlsPorCidade).flatMap((c) => (c.urls || []).map(codigoDaUrl))
+            );
+          }
+          if (!apenasUrls) {
+            const { novos, alterados, inalterados } =
+              historico.registrarExecucao(coletados);
+            log.info(
+              `🗃  Histórico: ${novos} novos, ${alterados} com mudança, ${inalterados} sem mudança.`,
+              { fase: "historico", novos, alterados, inalterados }
+            );
+          }
+        } finally {
+          historico.fechar();
+        }
+      } catch (err) {
+        log.error(`❌ Erro ao gravar histórico: ${err.message}`, { fase: "historico" });
+      }
+    }
 
-      if (!temImoveis) {
-        console.log(`  ⚠️ Nenhum imóvel encontrado para ${cidade.text}.`);
-        urlsPorCidade[cidade.value] = { cidade: cidade.text, urls: [] };
-        continue;
+    const ufsReprovadas = Object.keys(porEstado).filter(
+      (uf) => porEstado[uf].qualidade && !porEstado[uf].qualidade.aprovado
+    );
+
+    // Alertas das buscas salvas (só se houver config; erro não invalida a execução).
+    // Estado reprovado no gate de qualidade fica de fora, como no sync do WordPress.
+    const buscasFile = process.env.ALERTAS_BUSCAS || emDir("buscas.json");
+    if (gravar && process.env.ALERTAS !== "false" && !apenasUrls && fs.existsSync(buscasFile)) {
+      try {
+        const paraAlertas = Object.entries(porEstado)
+          .filter(([uf]) => !ufsReprovadas.includes(uf))
+          .flatMap(([, res]) => res.detalhes);
+        await processarAlertas(paraAlertas, {
+          buscasFile,
+          estadoFile: emDir(".alertas_enviados.json"),
+          outboxFile: process.env.ALERTAS_OUTBOX || emDir("alertas_outbox.jsonl"),
+          retry,
+          log: log.filho({ fase: "alertas" }),
+        });
+      } catch (err) {
+        log.error(`❌ Erro ao processar alertas: ${err.message}`, { fase: "alertas" });
       }
+    }
 
-      const urls = await coletarUrlsCidade(page);
-      console.log(`  ✅ ${urls.length} imóveis encontrados em ${cidade.text}`);
+    const ufsComFalha = Object.keys(falhasEstado);
+    if (ufsComFalha.length > 0) {
+      log.warn(`⚠️ Estados com falha: ${ufsComFalha.join(", ")}`, { estados: ufsComFalha });
+    }
 
-      urlsPorCidade[cidade.value] = { cidade: cidade.text, urls };
-    } catch (erroCidade) {
-      console.error(
-        `  ❌ Erro ao processar cidade ${cidade.text}:`,
-        erroCidade.message
+    // Falhas: relatório + gate (estado com erro ou taxa acima de FALHAS_LIMITE)
+    const relatorioFalhas = failuresPath ? falhas.gravar(failuresPath, { log }) : falhas.relatorio();
+    const taxasAcima = Object.entries(relatorioFalhas.taxas).filter(
+      ([, taxa]) => taxa > limiteFalhas
+    );
+    if (ufsReprovadas.length > 0) {
+      log.error(`❌ Qualidade reprovada: ${ufsReprovadas.join(", ")} (ver qualidade_<uf>.json).`, {
+        estados: ufsReprovadas,
+      });
+    }
+    const execucaoFalhou =
+      ufsComFalha.length > 0 || taxasAcima.length > 0 || ufsReprovadas.length > 0;
+    for (const [tipo, taxa] of taxasAcima) {
+      log.error(
+        `❌ Taxa de falhas de ${tipo}: ${(taxa * 100).toFixed(1)}% (limite ${(limiteFalhas * 100).toFixed(1)}%).`,
+        { tipo, taxa, limite: limiteFalhas }
       );
-      urlsPorCidade[cidade.value] = { cidade: cidade.text, urls: [] };
     }
+
+    // Execução completa e sem falhas: os checkpoints já não servem ao --resume
+    const estadosCompletos = Object.values(porEstado).every((res) => res.completo);
+    if (gravar && !urls && !execucaoFalhou && estadosCompletos) {
+      for (const uf of estados) removerCheckpoint(uf, { dir });
+      log.info("🧹 Checkpoints removidos (execução completa).", { fase: "checkpoint" });
+    }
+
+    const manifesto = escreverManifesto(execucaoFalhou ? "falhou" : "concluida", {
+      relatorio: relatorioFalhas,
+      arquivos: [jsonPath, ...Object.values(arquivos), geojsonPath, failuresPath],
+    });
+    log.info("🏁 Scraper finalizado.", {
+      duracaoMs: Date.now() - inicio.getTime(),
+      imoveis: detalhes.length,
+      execucaoFalhou,
+    });
+    const resultado = {
+      execucao,
+      porEstado,
+      falhasEstado,
+      ufsReprovadas,
+      relatorioFalhas,
+      execucaoFalhou,
+      urlsPorEstado,
+      detalhes,
+      jsonPath,
+      xlsxPath,
+      arquivos,
+      failuresPath,
+      manifestPath: manifesto,
+    };
+    emitir("done", { resultado });
+    return resultado;
+  } catch (err) {
+    const cancelada = !!(signal && signal.aborted);
+    escreverManifesto(cancelada ? "cancelada" : "erro", { erro: err.message });
+    throw err;
+  } finally {
+    process.removeListener("SIGINT", onSignal);
+    process.removeListener("SIGTERM", onSignal);
+    await motor.fechar();
+    fecharLog();
   }
+}
 
-  // JSON intermediário
-  const jsonPath = path.join(process.cwd(), "urls_ro_por_cidade.json");
-  fs.writeFileSync(jsonPath, JSON.stringify(urlsPorCidade, null, 2), "utf-8");
-  console.log(`\n💾 JSON de URLs salvo em: ${jsonPath}`);
+/**
+ * runScrape como async iterator dos eventos (lib/eventos.js): cada { tipo, ... }
+ * sai assim que acontece e o último é "done". Sair do for await antes do fim
+ * cancela a execução; erro da execução é lançado no for await.
+ * @param {Parameters<typeof runScrape>[0]} [opts]
+ */
+export async function* iterarScrape(opts = {}) {
+  const controle = new AbortController();
+  const signal = opts.signal
+    ? AbortSignal.any([opts.signal, controle.signal])
+    : controle.signal;
+  const fila = criarFilaEventos();
+  const execucao = runScrape({
+    ...opts,
+    signal,
+    aoEvento: (evento) => {
+      if (opts.aoEvento) opts.aoEvento(evento);
+      fila.push(evento);
+    },
+  }).then(
+    () => fila.fechar(),
+    (err) => fila.fechar(err)
+  );
 
-  // 5) Detalhes
-  const detalhes = [];
+  try {
+    yield* fila;
+  } finally {
+    // já terminou: abortar não muda nada; senão para a execução e espera fechar
+    controle.abort();
+    await execucao;
+  }
+}
 
-  for (const [codCidade, infoCidade] of Object.entries(urlsPorCidade)) {
-    const { cidade: nomeCidade, urls } = infoCidade;
-    console.log(
-      `\n🏙  Extraindo detalhes da cidade: ${nomeCidade} (${codCidade})`
-    );
+const RE_DETALHES_ESTADO = /^imoveis_([a-z]{2})_detalhes\.(?:xlsx|json|jsonl)$/i;
 
-    if (!urls || urls.length === 0) {
-      console.log("   ⚠️ Não há URLs para esta cidade.");
-      continue;
-    }
+/**
+ * Reexporta os detalhes já gravados de cada estado (e o combinado) nos formatos
+ * pedidos, sem raspar nada. Sem estados (ou "all"), usa todos os do diretório.
+ * As métricas são recalculadas (pesos atuais de METRICAS_PESOS).
+ * @param {object} [opts]
+ * @param {string|string[]} [opts.estados]
+ * @param {string[]} [opts.formatos] padrão EXPORTAR
+ * @param {string} [opts.dir] onde estão (e vão ficar) os arquivos
+ * @param {object} [opts.log] logger (lib/log.js); sem ele, um de LOG_NIVEL/LOG_JSON
+ */
+export async function runExport({
+  estados: estadosOpt,
+  formatos = lerFormatos([]),
+  dir = process.cwd(),
+  log: logOpt = null,
+} = {}) {
+  const noDiretorio = fs.existsSync(dir)
+    ? Array.from(
+        new Set(
+          fs
+            .readdirSync(dir)
+            .filter((f) => RE_DETALHES_ESTADO.test(f))
+            .map((f) => f.match(RE_DETALHES_ESTADO)[1].toUpperCase())
+        )
+      ).sort()
+    : [];
+  let estados = estadosOpt ? normalizarEstados(estadosOpt) : ["ALL"];
+  if (estados[0] === "ALL") estados = noDiretorio;
+  if (estados.length === 0) {
+    throw new Error(`Nenhum imoveis_<uf>_detalhes.(xlsx|json|jsonl) em ${dir}. Rode o scraper antes.`);
+  }
 
-    for (const u of urls) {
-      const det = await extrairDetalhesImovel(page, u, {
-        estado: "RO",
-        cidadeCodigo: codCidade,
-        cidadeNome: nomeCidade,
-      });
-      if (det) {
-        detalhes.push(det);
-        console.log("      ✅ OK");
-      } else {
-        console.log("      ⚠️ Retorno vazio ao extrair detalhes");
+  const log = logOpt || criarLogger();
+  try {
+    const configMetricas = lerConfigMetricas();
+    log.info(`📦 Reexportando ${estados.join(", ")} em ${formatos.join(", ")}...`);
+
+    const arquivos = {};
+    const faltando = [];
+    const todos = [];
+    for (const uf of estados) {
+      const sufixo = uf.toLowerCase();
+      const base = path.join(dir, `imoveis_${sufixo}_detalhes`);
+      const salvos = lerDetalhesSalvos(base);
+      if (!salvos) {
+        log.warn(`⚠️ ${uf}: nenhum detalhe salvo em ${dir}.`, { estado: uf });
+        faltando.push(uf);
+        continue;
       }
-      await delay(1500);
+      log.info(`\n🗺  ${uf}: ${salvos.detalhes.length} imóveis (${path.basename(salvos.arquivo)})`, {
+        estado: uf,
+        imoveis: salvos.detalhes.length,
+      });
+      enriquecerMetricas(salvos.detalhes, configMetricas);
+
+      // _meta da execução que gerou os dados (filtros, motor, perfil)
+      const jsonUrls = path.join(dir, `urls_${sufixo}_por_cidade.json`);
+      const meta = {
+        ...((fs.existsSync(jsonUrls) && lerArquivoUrls(jsonUrls).meta) || {}),
+        estado: uf,
+      };
+      arquivos[uf] = await exportarDetalhes(salvos.detalhes, {
+        base,
+        formatos,
+        meta,
+        sheetName: `Imoveis_${uf}`,
+        log,
+      });
+      todos.push(...salvos.detalhes);
     }
-  }
 
-  // XLSX
-  const xlsxPath = path.join(process.cwd(), "imoveis_ro_detalhes.xlsx");
-  salvarComoXlsx(detalhes, xlsxPath);
+    // sem nenhum estado lido, o combinado existente fica como está
+    const combinado =
+      Object.keys(arquivos).length === 0
+        ? {}
+        : await exportarDetalhes(todos, {
+            base: path.join(dir, "imoveis_detalhes_combinado"),
+            formatos,
+            meta: { exportadoEm: new Date().toISOString(), estados: Object.keys(arquivos) },
+            sheetName: "Imoveis",
+            log,
+          });
 
-  await browser.close();
-  console.log("🏁 Scraper finalizado.");
-  return { urlsPorCidade, detalhes, jsonPath, xlsxPath };
+    return { arquivos, combinado, faltando };
+  } finally {
+    if (!logOpt) log.fechar();
+  }
 }
 
 /** Detecção de main (Windows-friendly) */
@@ -870,8 +1740,14 @@ const isMain =
   import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href;
 
 if (isMain) {
-  runScrape().catch((err) => {
-    console.error("Erro geral no scraper:", err);
-    process.exit(1);
-  });
+  // flag inválida (ex.: --filtros com JSON quebrado) cai no mesmo catch
+  Promise.resolve()
+    .then(() => runScrape({ ...opcoesDaLinhaDeComando(), sinais: true }))
+    .then(({ execucaoFalhou }) => {
+      if (execucaoFalhou) process.exitCode = 1;
+    })
+    .catch((err) => {
+      console.error("Erro geral no scraper:", err);
+      process.exit(1);
+    });
 }
@@ -0,0 +1,286 @@
+// lib/alertas.js
+// Buscas salvas com alerta de imóveis novos que passam a casar com a busca.
+//
+// Config (ALERTAS_BUSCAS, padrão buscas.json):
+//   {
+//     "buscas": [
+//       {
+//         "nome": "pvh-casas-baratas",
+//         "filtros": { "estado": "RO", "cidade": "Porto Velho", "tipo": "casa",
+//                      "descontoMin": 40, "valorMax": 200000 },
+//         "canais": {
+//           "webhook": { "url": "https://...", "headers": { "X-Token": "..." } },
+//           "email": { "para": ["analista@exemplo.com"] },
+//           "arquivo": {}
+//         },
+//         "notificarExistentes": false
+//       }
+//     ]
+//   }
+//
+// Filtros: os mesmos de GET /imoveis (lib/api.js), sem paginação.
+// Canais: webhook (POST JSON), email (SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS/
+// SMTP_FROM) e arquivo (JSONL em ALERTAS_OUTBOX, padrão alertas_outbox.jsonl ao
+// lado das buscas; o scraper usa o diretório de saída da execução).
+// Outros canais entram com registrarCanal(nome, fabrica).
+//
+// Dedup em .alertas_enviados.json (busca -> canal -> código; mesma pasta do
+// outbox): um imóvel só é
+// notificado uma vez por busca/canal, e só é marcado depois da entrega. Na
+// primeira vez que uma busca/canal roda, o que já casa é só registrado (a não
+// ser com notificarExistentes: true).
+
+import fs from "node:fs";
+import path from "node:path";
+import nodemailer from "nodemailer";
+import { casaFiltros, lerFiltrosApi } from "./api.js";
+import { urlDetalhe } from "./detalhe-parser.js";
+import { comRetry } from "./falhas.js";
+import { logConsole } from "./log.js";
+
+/** Campos do imóvel que vão no alerta */
+export const CAMPOS_ALERTA = [
+  "_imoveis_codigo_imovel",
+  "_imoveis_titulo",
+  "_imoveis_estado",
+  "_imoveis_cidade",
+  "_imoveis_bairro",
+  "_imoveis_endereco_completo",
+  "_imoveis_tipo_imovel",
+  "_imoveis_quartos",
+  "_imoveis_area_privativa",
+  "_imoveis_tipo_leilao",
+  "_imoveis_data_leilao_1",
+  "_imoveis_data_leilao_2",
+  "_imoveis_valor_avaliacao",
+  "_imoveis_valor_minimo",
+  "_imoveis_desconto_percentual",
+];
+
+/** Resumo do imóvel enviado nos canais */
+export function resumoAlerta(det) {
+  const resumo = {};
+  for (const campo of CAMPOS_ALERTA) resumo[campo] = det[campo] ?? "";
+  resumo.url = urlDetalhe(det._imoveis_codigo_imovel);
+  return resumo;
+}
+
+/** Texto simples (assunto + corpo) para email */
+export function textoAlerta(busca, imoveis) {
+  const assunto = `[Imóveis Caixa] ${imoveis.length} novo(s) em "${busca.nome}"`;
+  const linhas = imoveis.map((im) =>
+    [
+      `${im._imoveis_titulo || im._imoveis_tipo_imovel} — ${im._imoveis_cidade}/${im._imoveis_estado}`,
+      `  Bairro: ${im._imoveis_bairro}`,
+      `  Valor mínimo: ${im._imoveis_valor_minimo} (avaliação ${im._imoveis_valor_avaliacao}, desconto ${im._imoveis_desconto_percentual})`,
+      `  Modalidade: ${im._imoveis_tipo_leilao}`,
+      `  ${im.url}`,
+    ].join("\n")
+  );
+  return { assunto, corpo: linhas.join("\n\n") };
+}
+
+// ---- canais ----
+
+const fabricas = new Map();
+
+/**
+ * Registra um canal. fabrica(config, { outboxFile }) devolve { enviar(busca, imoveis) }.
+ * @param {string} nome chave usada em "canais" na config
+ */
+export function registrarCanal(nome, fabrica) {
+  fabricas.set(nome, fabrica);
+}
+
+registrarCanal("webhook", (config = {}) => {
+  const url = config.url || process.env.ALERTAS_WEBHOOK_URL;
+  if (!url) throw new Error("Canal webhook sem url (config ou ALERTAS_WEBHOOK_URL).");
+
+  return {
+    async enviar(busca, imoveis) {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...(config.headers || {}) },
+        body: JSON.stringify({
+          busca: busca.nome,
+          filtros: busca.filtros,
+          geradoEm: new Date().toISOString(),
+          imoveis,
+        }),
+        signal: AbortSignal.timeout(30000),
+      });
+      if (!res.ok) throw new Error(`Webhook HTTP ${res.status}`);
+    },
+  };
+});
+
+registrarCanal("email", (config = {}) => {
+  const para = [].concat(config.para || process.env.ALERTAS_EMAIL_PARA || []).filter(Boolean);
+  if (para.length === 0) throw new Error("Canal email sem destinatário (para).");
+  if (!process.env.SMTP_HOST) throw new Error("Canal email sem SMTP_HOST.");
+
+  const porta = parseInt(process.env.SMTP_PORT || "587", 10);
+  const transporte = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: porta,
+    secure: porta === 465,
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS || "" }
+      : undefined,
+  });
+
+  return {
+    async enviar(busca, imoveis) {
+      const { assunto, corpo } = textoAlerta(busca, imoveis);
+      await transporte.sendMail({
+        from: process.env.SMTP_FROM || process.env.SMTP_USER,
+        to: para.join(", "),
+        subject: assunto,
+        text: corpo,
+      });
+    },
+  };
+});
+
+registrarCanal("arquivo", (config = {}, { outboxFile } = {}) => {
+  const file =
+    config.arquivo ||
+    outboxFile ||
+    process.env.ALERTAS_OUTBOX ||
+    path.join(process.cwd(), "alertas_outbox.jsonl");
+
+  return {
+    async enviar(busca, imoveis) {
+      const linha = { busca: busca.nome, geradoEm: new Date().toISOString(), imoveis };
+      fs.appendFileSync(file, `${JSON.stringify(linha)}\n`, "utf-8");
+    },
+  };
+});
+
+// ---- config e dedup ----
+
+/** Lê e valida o arquivo de buscas salvas */
+export function lerBuscas(file) {
+  const conteudo = JSON.parse(fs.readFileSync(file, "utf-8"));
+  const buscas = Array.isArray(conteudo) ? conteudo : conteudo.buscas;
+  if (!Array.isArray(buscas)) throw new Error(`${file}: esperado { "buscas": [...] }.`);
+
+  const nomes = new Set();
+  return buscas.map((b, i) => {
+    if (!b || !b.nome) throw new Error(`${file}: busca #${i + 1} sem nome.`);
+    if (nomes.has(b.nome)) throw new Error(`${file}: busca "${b.nome}" repetida.`);
+    nomes.add(b.nome);
+
+    const canais = b.canais || {};
+    for (const canal of Object.keys(canais)) {
+      if (!fabricas.has(canal)) {
+        throw new Error(`${file}: canal desconhecido "${canal}" em "${b.nome}".`);
+      }
+    }
+    if (Object.keys(canais).length === 0) throw new Error(`${file}: busca "${b.nome}" sem canais.`);
+
+    // mesmos filtros da API; valida já na leitura
+    const params = new URLSearchParams(
+      Object.entries(b.filtros || {}).map(([k, v]) => [k, String(v)])
+    );
+    let filtros;
+    try {
+      filtros = lerFiltrosApi(params);
+    } catch (err) {
+      throw new Error(`${file}: filtros de "${b.nome}": ${err.message}`);
+    }
+
+    return {
+      nome: b.nome,
+      filtros: b.filtros || {},
+      filtrosApi: filtros,
+      canais,
+      notificarExistentes: Boolean(b.notificarExistentes),
+    };
+  });
+}
+
+/**
+ * Avalia as buscas salvas contra os detalhes da execução e dispara os alertas.
+ * @param {object[]} detalhes registros da execução
+ * @param {object} [opts]
+ * @param {string} [opts.buscasFile] config das buscas
+ * @param {string} [opts.estadoFile] dedup (padrão .alertas_enviados.json ao lado das buscas)
+ * @param {string} [opts.outboxFile] JSONL do canal arquivo (padrão ALERTAS_OUTBOX ou
+ *   alertas_outbox.jsonl ao lado das buscas)
+ * @param {{tentativas: number, baseMs: number}} [opts.retry]
+ * @param {object} [opts.log] logger da fase (padrão: só console)
+ * @returns {Promise<{busca: string, canal: string, enviados: number, erro?: string}[]>}
+ */
+export async function processarAlertas(
+  detalhes,
+  {
+    buscasFile = process.env.ALERTAS_BUSCAS || path.join(process.cwd(), "buscas.json"),
+    estadoFile = path.join(path.dirname(buscasFile), ".alertas_enviados.json"),
+    outboxFile = process.env.ALERTAS_OUTBOX || path.join(path.dirname(buscasFile), "alertas_outbox.jsonl"),
+    retry = { tentativas: 3, baseMs: 2000 },
+    log = logConsole,
+  } = {}
+) {
+  const buscas = lerBuscas(buscasFile);
+  const enviados = fs.existsSync(estadoFile)
+    ? JSON.parse(fs.readFileSync(estadoFile, "utf-8"))
+    : {};
+  const resultado = [];
+
+  const gravarEstado = () => {
+    const tmp = `${estadoFile}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(enviados, null, 2), "utf-8");
+    fs.renameSync(tmp, estadoFile);
+  };
+
+  for (const busca of buscas) {
+    const casados = detalhes.filter(
+      (d) => d._imoveis_codigo_imovel && casaFiltros(d, busca.filtrosApi)
+    );
+    enviados[busca.nome] = enviados[busca.nome] || {};
+
+    for (const [canal, config] of Object.entries(busca.canais)) {
+      const primeiraVez = !enviados[busca.nome][canal];
+      const jaEnviados = (enviados[busca.nome][canal] = enviados[busca.nome][canal] || {});
+      const novos = casados.filter((d) => !jaEnviados[String(d._imoveis_codigo_imovel)]);
+      const agora = new Date().toISOString();
+      const marcar = () => {
+        for (const d of novos) jaEnviados[String(d._imoveis_codigo_imovel)] = agora;
+      };
+
+      if (novos.length === 0) continue;
+
+      if (primeiraVez && !busca.notificarExistentes) {
+        marcar();
+        log.info(
+          `🔔 ${busca.nome}/${canal}: ${novos.length} imóveis já existentes registrados (sem alerta).`,
+          { busca: busca.nome, canal, imoveis: novos.length }
+        );
+        continue;
+      }
+
+      try {
+        const impl = fabricas.get(canal)(config, { outboxFile });
+        await comRetry(() => impl.enviar(busca, novos.map(resumoAlerta)), {
+          ...retry,
+          rotulo: `Alerta ${busca.nome}/${canal}`,
+          log,
+        });
+        marcar();
+        resultado.push({ busca: busca.nome, canal, enviados: novos.length });
+        log.info(`🔔 ${busca.nome}/${canal}: ${novos.length} imóveis notificados.`, {
+          busca: busca.nome,
+          canal,
+          imoveis: novos.length,
+        });
+      } catch (err) {
+        resultado.push({ busca: busca.nome, canal, enviados: 0, erro: err.message });
+        log.error(`❌ Alerta ${busca.nome}/${canal}: ${err.message}`, { busca: busca.nome, canal });
+      }
+    }
+  }
+
+  gravarEstado();
+  return resultado;
+}
@@ -0,0 +1,378 @@
+// lib/api.js
+// API REST somente leitura sobre os dados do scraper.
+//
+// Fonte: histórico SQLite (se existir; aberto só para leitura) ou os XLSX da
+// última execução (imoveis_<uf>_detalhes.xlsx; sem eles, imoveis_detalhes_combinado.xlsx).
+// A fonte é recarregada quando o arquivo muda.
+//
+// Rotas (GET):
+//   /imoveis            filtros + paginação (ver FILTROS_API)
+//   /imoveis/:codigo    registro completo (+ histórico de preços, se houver)
+//   /cidades            cidades com contagem de imóveis (?estado=RO)
+
+import fs from "node:fs";
+import path from "node:path";
+import { lerDetalhesXlsx } from "./diff-execucoes.js";
+import { abrirHistoricoLeitura } from "./historico.js";
+import { logConsole } from "./log.js";
+
+const RE_XLSX_ESTADO = /^imoveis_([a-z]{2})_detalhes\.xlsx$/i;
+const XLSX_COMBINADO = "imoveis_detalhes_combinado.xlsx";
+
+/** Parâmetros aceitos em /imoveis */
+export const FILTROS_API = [
+  "estado",
+  "cidade",
+  "bairro",
+  "tipo",
+  "valorMin",
+  "valorMax",
+  "descontoMin",
+  "quartos",
+  "modalidade",
+  "dataDe",
+  "dataAte",
+  "pagina",
+  "porPagina",
+];
+
+const POR_PAGINA_MAX = 100;
+
+const norm = (s) =>
+  (s == null ? "" : String(s))
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+
+/** Erro de requisição (vira resposta 4xx) */
+class ErroApi extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/** "dd/mm/aaaa ..." -> "aaaa-mm-dd" (null se não tiver data) */
+export function dataIso(texto) {
+  const m = String(texto || "").match(/(\d{2})\/(\d{2})\/(\d{4})/);
+  return m ? `${m[3]}-${m[2]}-${m[1]}` : null;
+}
+
+const numeroParam = (params, nome) => {
+  const v = params.get(nome);
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  if (!Number.isFinite(n)) throw new ErroApi(400, `Parâmetro ${nome} deve ser numérico.`);
+  return n;
+};
+
+const dataParam = (params, nome) => {
+  const v = params.get(nome);
+  if (v == null || v === "") return null;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(v)) {
+    throw new ErroApi(400, `Parâmetro ${nome} deve ser AAAA-MM-DD.`);
+  }
+  return v;
+};
+
+/**
+ * Converte a query string em filtros validados.
+ * @param {URLSearchParams} params
+ */
+export function lerFiltrosApi(params) {
+  for (const nome of params.keys()) {
+    if (!FILTROS_API.includes(nome)) {
+      throw new ErroApi(400, `Parâmetro desconhecido: ${nome} (válidos: ${FILTROS_API.join(", ")})`);
+    }
+  }
+
+  const lista = (nome) =>
+    (params.get(nome) || "")
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean);
+
+  const pagina = numeroParam(params, "pagina") ?? 1;
+  const porPagina = numeroParam(params, "porPagina") ?? 20;
+  if (pagina < 1 || !Number.isInteger(pagina)) throw new ErroApi(400, "pagina deve ser inteiro >= 1.");
+  if (porPagina < 1 || porPagina > POR_PAGINA_MAX || !Number.isInteger(porPagina)) {
+    throw new ErroApi(400, `porPagina deve ser inteiro entre 1 e ${POR_PAGINA_MAX}.`);
+  }
+
+  return {
+    estados: lista("estado").map((s) => s.toUpperCase()),
+    cidades: lista("cidade"),
+    bairro: norm(params.get("bairro")),
+    tipo: norm(params.get("tipo")),
+    modalidade: norm(params.get("modalidade")),
+    valorMin: numeroParam(params, "valorMin"),
+    valorMax: numeroParam(params, "valorMax"),
+    descontoMin: numeroParam(params, "descontoMin"),
+    quartos: numeroParam(params, "quartos"),
+    dataDe: dataParam(params, "dataDe"),
+    dataAte: dataParam(params, "dataAte"),
+    pagina,
+    porPagina,
+  };
+}
+
+/** Aplica os filtros de /imoveis em um registro */
+export function casaFiltros(d, f) {
+  if (f.estados.length > 0 && !f.estados.includes(String(d._imoveis_estado || "").toUpperCase())) {
+    return false;
+  }
+  // cidade: código (?cidade=1234) ou nome (?cidade=porto velho)
+  if (
+    f.cidades.length > 0 &&
+    !f.cidades.some(
+      (c) => c === String(d._imoveis_cidade_codigo || "") || norm(c) === norm(d._imoveis_cidade)
+    )
+  ) {
+    return false;
+  }
+  if (f.bairro && !norm(d._imoveis_bairro).includes(f.bairro)) return false;
+  if (f.tipo && !norm(d._imoveis_tipo_imovel).includes(f.tipo)) return false;
+  if (f.modalidade && !norm(d._imoveis_tipo_leilao).includes(f.modalidade)) return false;
+
+  // célula vazia ("" no XLSX, null no histórico) não passa em filtro numérico
+  const num = (v) => (typeof v === "number" ? v : NaN);
+  const valor = num(d._imoveis_valor_minimo_brl);
+  if (f.valorMin != null && !(valor >= f.valorMin)) return false;
+  if (f.valorMax != null && !(valor <= f.valorMax)) return false;
+  if (f.descontoMin != null && !(num(d._imoveis_desconto_percentual_pct) >= f.descontoMin)) return false;
+  if (f.quartos != null && !(num(d._imoveis_quartos_qtd) >= f.quartos)) return false;
+
+  // período: basta uma das praças (1º ou 2º leilão) cair dentro
+  if (f.dataDe || f.dataAte) {
+    const datas = [d._imoveis_data_leilao_1, d._imoveis_data_leilao_2].map(dataIso).filter(Boolean);
+    const dentro = datas.some(
+      (x) => (!f.dataDe || x >= f.dataDe) && (!f.dataAte || x <= f.dataAte)
+    );
+    if (!dentro) return false;
+  }
+  return true;
+}
+
+/**
+ * Fonte de dados com recarga quando os arquivos mudam.
+ * @param {object} [opts]
+ * @param {string} [opts.dir] onde estão os XLSX
+ * @param {string} [opts.historicoDb] SQLite do histórico (usado se existir)
+ * @param {"auto"|"historico"|"xlsx"} [opts.fonte]
+ * @param {object} [opts.log] logger das recargas (padrão: só console)
+ */
+export function criarFonteDados({
+  dir = process.cwd(),
+  historicoDb = process.env.HISTORICO_DB || path.join(dir, "historico_imoveis.sqlite"),
+  fonte = "auto",
+  log = logConsole,
+} = {}) {
+  let assinatura = null;
+  let cache = { origem: null, imoveis: [], porCodigo: new Map() };
+  let historico = null;
+
+  const arquivosXlsx = () => {
+    const porEstado = fs
+      .readdirSync(dir)
+      .filter((f) => RE_XLSX_ESTADO.test(f))
+      .sort()
+      .map((f) => path.join(dir, f));
+    if (porEstado.length > 0) return porEstado;
+    const combinado = path.join(dir, XLSX_COMBINADO);
+    return fs.existsSync(combinado) ? [combinado] : [];
+  };
+
+  const usarHistorico = () =>
+    fonte === "historico" || (fonte === "auto" && fs.existsSync(historicoDb));
+
+  // mtime + tamanho dos arquivos da fonte (WAL incluso no SQLite)
+  const assinar = (arquivos) =>
+    arquivos
+      .filter((f) => fs.existsSync(f))
+      .map((f) => {
+        const st = fs.statSync(f);
+        return `${f}:${st.mtimeMs}:${st.size}`;
+      })
+      .join("|");
+
+  /** Dados atuais (recarrega se a fonte mudou) */
+  const dados = () => {
+    const viaHistorico = usarHistorico();
+    const arquivos = viaHistorico ? [historicoDb, `${historicoDb}-wal`] : arquivosXlsx();
+    const nova = `${viaHistorico}:${assinar(arquivos)}`;
+    if (nova === assinatura) return cache;
+
+    let imoveis;
+    if (viaHistorico) {
+      // só leitura: a API não cria o banco nem disputa o lock com o scraper
+      if (!fs.existsSync(historicoDb)) {
+        throw new ErroApi(503, `Histórico não encontrado: ${historicoDb}.`);
+      }
+      if (!historico) historico = abrirHistoricoLeitura(historicoDb);
+      imoveis = historico.imoveisAtuais();
+    } else {
+      imoveis = arquivos.flatMap((f) => lerDetalhesXlsx(f, { raw: true }));
+    }
+
+    const porCodigo = new Map();
+    for (const d of imoveis) {
+      const codigo = String(d._imoveis_codigo_imovel || "").trim();
+      if (codigo) porCodigo.set(codigo, d);
+    }
+
+    cache = {
+      origem: viaHistorico ? path.basename(historicoDb) : arquivos.map((f) => path.basename(f)),
+      carregadoEm: new Date().toISOString(),
+      imoveis: Array.from(porCodigo.values()),
+      porCodigo,
+    };
+    // abrir o SQLite mexe no -wal: assina de novo depois de ler
+    assinatura = `${viaHistorico}:${assinar(arquivos)}`;
+    log.info(
+      `📚 API: ${cache.imoveis.length} imóveis carregados de ${[].concat(cache.origem).join(", ") || "(nada)"}.`,
+      { imoveis: cache.imoveis.length, origem: cache.origem }
+    );
+    return cache;
+  };
+
+  return {
+    dados,
+    /** Histórico de preços do imóvel (null sem SQLite) */
+    historicoImovel(codigo) {
+      if (!historico && fs.existsSync(historicoDb)) historico = abrirHistoricoLeitura(historicoDb);
+      return historico ? historico.consultarImovel(codigo) : null;
+    },
+    fechar() {
+      if (historico) historico.fechar();
+      historico = null;
+    },
+  };
+}
+
+/** GET /imoveis */
+export function listarImoveis(imoveis, filtros) {
+  const encontrados = imoveis
+    .filter((d) => casaFiltros(d, filtros))
+    .sort((a, b) => String(a._imoveis_codigo_imovel).localeCompare(String(b._imoveis_codigo_imovel)));
+
+  const inicio = (filtros.pagina - 1) * filtros.porPagina;
+  return {
+    total: encontrados.length,
+    pagina: filtros.pagina,
+    porPagina: filtros.porPagina,
+    paginas: Math.ceil(encontrados.length / filtros.porPagina),
+    itens: encontrados.slice(inicio, inicio + filtros.porPagina),
+  };
+}
+
+/** GET /cidades */
+export function listarCidades(imoveis, estado = "") {
+  const uf = String(estado || "").toUpperCase();
+  const cidades = new Map();
+
+  for (const d of imoveis) {
+    const e = String(d._imoveis_estado || "").toUpperCase();
+    if (uf && e !== uf) continue;
+    const chave = `${e}|${d._imoveis_cidade_codigo || ""}`;
+    if (!cidades.has(chave)) {
+      cidades.set(chave, {
+        estado: e,
+        codigo: String(d._imoveis_cidade_codigo || ""),
+        cidade: d._imoveis_cidade || "",
+        total: 0,
+      });
+    }
+    cidades.get(chave).total++;
+  }
+
+  return Array.from(cidades.values()).sort(
+    (a, b) => a.estado.localeCompare(b.estado) || a.cidade.localeCompare(b.cidade)
+  );
+}
+
+/** Segmento da URL decodificado; escape quebrado ("%E0%A4%A") é erro do cliente */
+function decodificarSegmento(segmento) {
+  try {
+    return decodeURIComponent(segmento);
+  } catch {
+    throw new ErroApi(400, `Código inválido na URL: ${segmento}`);
+  }
+}
+
+/**
+ * Handler para http.createServer.
+ * @param {ReturnType<typeof criarFonteDados>} fonte
+ * @param {object} [opts]
+ * @param {string} [opts.cors] valor de Access-Control-Allow-Origin ("" desliga)
+ * @param {object} [opts.log] logger dos erros internos (padrão: só console)
+ */
+export function criarHandlerApi(fonte, { cors = "*", log = logConsole } = {}) {
+  const responder = (res, status, corpo) => {
+    const headers = { "Content-Type": "application/json; charset=utf-8" };
+    if (cors) headers["Access-Control-Allow-Origin"] = cors;
+    res.writeHead(status, headers);
+    res.end(JSON.stringify(corpo));
+  };
+
+  return (req, res) => {
+    if (req.method === "OPTIONS") {
+      res.writeHead(204, {
+        ...(cors ? { "Access-Control-Allow-Origin": cors } : {}),
+        "Access-Control-Allow-Methods": "GET, OPTIONS",
+      });
+      return res.end();
+    }
+    if (req.method !== "GET") return responder(res, 405, { erro: "Somente GET." });
+
+    try {
+      const url = new URL(req.url, "http://localhost");
+      const rota = url.pathname.replace(/\/+$/, "") || "/";
+      const { imoveis, porCodigo, origem, carregadoEm } = fonte.dados();
+
+      if (rota === "/imoveis") {
+        return responder(res, 200, listarImoveis(imoveis, lerFiltrosApi(url.searchParams)));
+      }
+
+      const m = rota.match(/^\/imoveis\/([^/]+)$/);
+      if (m) {
+        const codigo = decodificarSegmento(m[1]);
+        const imovel = porCodigo.get(codigo);
+        if (!imovel) return responder(res, 404, { erro: `Imóvel ${codigo} não encontrado.` });
+        const hist = fonte.historicoImovel(codigo);
+        return responder(res, 200, {
+          imovel,
+          historico: hist
+            ? {
+                primeiroVisto: hist.primeiroVisto,
+                ultimoVisto: hist.ultimoVisto,
+                diasAVenda: hist.diasAVenda,
+                precos: hist.precos,
+              }
+            : null,
+        });
+      }
+
+      if (rota === "/cidades") {
+        return responder(res, 200, listarCidades(imoveis, url.searchParams.get("estado")));
+      }
+
+      if (rota === "/") {
+        return responder(res, 200, {
+          rotas: ["/imoveis", "/imoveis/:codigo", "/cidades"],
+          filtros: FILTROS_API,
+          origem,
+          carregadoEm,
+          total: imoveis.length,
+        });
+      }
+
+      return responder(res, 404, { erro: "Rota não encontrada." });
+    } catch (err) {
+      if (err instanceof ErroApi) return responder(res, err.status, { erro: err.message });
+      log.error(`❌ Erro na API: ${err.stack || err.message}`, { rota: req.url });
+      return responder(res, 500, { erro: "Erro interno." });
+    }
+  };
+}
@@ -0,0 +1,51 @@
+// lib/campos-detalhe.js
+// Campos de texto que o parser (lib/detalhe-parser.js) grava em todo registro,
+// na ordem das planilhas. Fica fora de lib/colunas.js para o parser não
+// importar os módulos de fase (geocodificação etc.), que importam o parser.
+
+/** Campos de texto extraídos da página de detalhe */
+export const CAMPOS_DETALHE = [
+  "_imoveis_codigo_imovel",
+  "_imoveis_titulo",
+  "_imoveis_valor_avaliacao",
+  "_imoveis_valor_minimo_1_leilao",
+  "_imoveis_valor_minimo_2_leilao",
+  "_imoveis_valor_minimo_generico",
+  "_imoveis_valor_minimo",
+  "_imoveis_desconto_percentual",
+  "_imoveis_desconto_pct",
+  "_imoveis_tipo_imovel",
+  "_imoveis_quartos",
+  "_imoveis_garagem",
+  "_imoveis_numero_imovel",
+  "_imoveis_matricula",
+  "_imoveis_comarca",
+  "_imoveis_oficio",
+  "_imoveis_inscricao_imobiliaria",
+  "_imoveis_averbacao_leiloes",
+  "_imoveis_area_total",
+  "_imoveis_area_privativa",
+  "_imoveis_area_terreno",
+  "_imoveis_tipo_leilao",
+  "_imoveis_edital",
+  "_imoveis_leiloeiro",
+  "_imoveis_numero_item",
+  "_imoveis_data_leilao_1",
+  "_imoveis_data_leilao_2",
+  "_imoveis_endereco_completo",
+  "_imoveis_endereco_logradouro",
+  "_imoveis_endereco_numero",
+  "_imoveis_endereco_bairro_texto",
+  "_imoveis_endereco_cidade_texto",
+  "_imoveis_endereco_estado_texto",
+  "_imoveis_cep",
+  "_imoveis_descricao",
+  "_imoveis_formas_pagamento",
+  "_imoveis_link_matricula",
+  "_imoveis_link_edital",
+  "_imoveis_imgs_lista",
+  "_imoveis_estado",
+  "_imoveis_cidade_codigo",
+  "_imoveis_cidade",
+  "_imoveis_bairro",
+];
@@ -0,0 +1,68 @@
+// lib/campos-tipados.js
+// Camada numérica sobre os metas _imoveis_* (que continuam strings pro WordPress).
+//
+// Cada campo tipado ganha um sufixo com a unidade (_brl, _m2, _qtd, _pct) e vale
+// number ou null. Campos com texto que não deu pra converter vão listados em
+// _imoveis_campos_nao_parseados (separados por "|").
+
+/**
+ * Converte número no formato brasileiro ("1.234,56", "120,50m2", "35,20%").
+ * Usa o primeiro número do texto; null se não houver.
+ */
+export function parseNumeroBR(s) {
+  const m = (s == null ? "" : String(s)).match(
+    /-?\d{1,3}(?:\.\d{3})+(?:,\d+)?|-?\d+(?:,\d+)?/
+  );
+  if (!m) return null;
+  const n = parseFloat(m[0].replace(/\./g, "").replace(",", "."));
+  return Number.isNaN(n) ? null : n;
+}
+
+/** Contagem (quartos/garagem): número inteiro, "não"/"nenhuma" = 0 */
+function parseContagem(s) {
+  const t = (s == null ? "" : String(s))
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+  const m = t.match(/\d+/);
+  if (m) return parseInt(m[0], 10);
+  if (/^\s*(nao|nenhum|nenhuma|sem)\b/.test(t)) return 0;
+  return null;
+}
+
+/** campo tipado -> { origem, unidade, parse } */
+export const CAMPOS_TIPADOS = {
+  _imoveis_valor_avaliacao_brl: { origem: "_imoveis_valor_avaliacao", unidade: "BRL", parse: parseNumeroBR },
+  _imoveis_valor_minimo_1_leilao_brl: { origem: "_imoveis_valor_minimo_1_leilao", unidade: "BRL", parse: parseNumeroBR },
+  _imoveis_valor_minimo_2_leilao_brl: { origem: "_imoveis_valor_minimo_2_leilao", unidade: "BRL", parse: parseNumeroBR },
+  _imoveis_valor_minimo_generico_brl: { origem: "_imoveis_valor_minimo_generico", unidade: "BRL", parse: parseNumeroBR },
+  _imoveis_valor_minimo_brl: { origem: "_imoveis_valor_minimo", unidade: "BRL", parse: parseNumeroBR },
+  _imoveis_desconto_percentual_pct: { origem: "_imoveis_desconto_percentual", unidade: "%", parse: parseNumeroBR },
+  _imoveis_area_total_m2: { origem: "_imoveis_area_total", unidade: "m2", parse: parseNumeroBR },
+  _imoveis_area_privativa_m2: { origem: "_imoveis_area_privativa", unidade: "m2", parse: parseNumeroBR },
+  _imoveis_area_terreno_m2: { origem: "_imoveis_area_terreno", unidade: "m2", parse: parseNumeroBR },
+  _imoveis_quartos_qtd: { origem: "_imoveis_quartos", unidade: "un", parse: parseContagem },
+  _imoveis_garagem_qtd: { origem: "_imoveis_garagem", unidade: "un", parse: parseContagem },
+};
+
+export const CAMPO_NAO_PARSEADOS = "_imoveis_campos_nao_parseados";
+
+/**
+ * Calcula os campos tipados de um registro _imoveis_*.
+ * Campo vazio vira null sem ser marcado; texto não convertido é marcado.
+ */
+export function tiparDetalhe(det) {
+  const tipados = {};
+  const naoParseados = [];
+
+  for (const [campo, { origem, parse }] of Object.entries(CAMPOS_TIPADOS)) {
+    const raw = det ? det[origem] : "";
+    const texto = raw == null ? "" : String(raw).trim();
+    const valor = texto ? parse(texto) : null;
+    tipados[campo] = valor;
+    if (texto && valor === null) naoParseados.push(origem);
+  }
+
+  tipados[CAMPO_NAO_PARSEADOS] = naoParseados.join("|");
+  return tipados;
+}
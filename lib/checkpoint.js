@@ -0,0 +1,142 @@
+// lib/checkpoint.js
+// Checkpoint por estado: cidades já varridas (com URLs) e imóveis já extraídos.
+//
+// .checkpoint_<uf>.json (cidades + concluído) é regravado a cada cidade (escrita
+// atômica via arquivo temporário + rename); os imóveis vão, um por linha, para
+// .checkpoint_<uf>.detalhes.jsonl, só acrescentado (custo constante por imóvel,
+// em vez de regravar o estado todo). --resume retoma de onde parou.
+//
+// Estado concluído continua no disco enquanto outro estado da mesma execução
+// não termina; execução completa sem falhas apaga os dois arquivos
+// (removerCheckpoint), para um --resume posterior raspar de novo.
+
+import fs from "node:fs";
+import path from "node:path";
+import { logConsole } from "./log.js";
+
+/** Código do imóvel a partir da URL de detalhe (?hdnimovel=ID) */
+export function codigoDaUrl(url) {
+  const m = (url || "").match(/hdnimovel=(\d+)/i);
+  return m ? m[1] : url;
+}
+
+/** Grava JSON de forma atômica (tmp + rename) */
+export function gravarJsonAtomico(file, data) {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2), "utf-8");
+  fs.renameSync(tmp, file);
+}
+
+/** { codigo: det } do JSON-lines (linha cortada por uma queda é ignorada) */
+function lerDetalhesJsonl(file) {
+  const detalhes = {};
+  if (!fs.existsSync(file)) return detalhes;
+  for (const linha of fs.readFileSync(file, "utf-8").split("\n")) {
+    if (!linha.trim()) continue;
+    try {
+      const { codigo, det } = JSON.parse(linha);
+      detalhes[codigo] = det;
+    } catch {
+      // última linha incompleta
+    }
+  }
+  return detalhes;
+}
+
+const arquivosCheckpoint = (uf, dir) => [
+  path.join(dir, `.checkpoint_${uf.toLowerCase()}.json`),
+  path.join(dir, `.checkpoint_${uf.toLowerCase()}.detalhes.jsonl`),
+];
+
+/** Apaga o checkpoint de um estado (nada acontece se não existir) */
+export function removerCheckpoint(estado, { dir = process.cwd() } = {}) {
+  for (const file of arquivosCheckpoint(estado, dir)) fs.rmSync(file, { force: true });
+}
+
+/**
+ * Cria o checkpoint de um estado.
+ * Sem resume, descarta o que houver no disco e começa do zero.
+ */
+export function criarCheckpoint(
+  estado,
+  { dir = process.cwd(), resume = false, log = logConsole } = {}
+) {
+  const uf = estado.toUpperCase();
+  const [file, fileDetalhes] = arquivosCheckpoint(uf, dir);
+
+  let data = { estado: uf, concluido: false, cidades: {}, detalhes: {} };
+
+  if (resume && fs.existsSync(file)) {
+    try {
+      const lido = JSON.parse(fs.readFileSync(file, "utf-8"));
+      data = {
+        estado: uf,
+        concluido: !!lido.concluido,
+        cidades: lido.cidades || {},
+        // checkpoints antigos guardavam os imóveis no próprio JSON
+        detalhes: lido.detalhes || {},
+      };
+    } catch (err) {
+      log.warn(`⚠️ Checkpoint ilegível (${file}), recomeçando: ${err.message}`, { arquivo: file });
+    }
+  }
+
+  if (resume) {
+    Object.assign(data.detalhes, lerDetalhesJsonl(fileDetalhes));
+    const cidades = Object.keys(data.cidades).length;
+    const imoveis = Object.keys(data.detalhes).length;
+    if (cidades + imoveis > 0) {
+      log.info(`♻️  Checkpoint ${uf}: ${cidades} cidades, ${imoveis} imóveis já processados.`, {
+        cidades,
+        imoveis,
+      });
+    }
+  } else {
+    fs.rmSync(fileDetalhes, { force: true });
+  }
+
+  // imóveis ficam só no JSON-lines
+  const salvar = () =>
+    gravarJsonAtomico(file, { estado: uf, concluido: data.concluido, cidades: data.cidades });
+
+  return {
+    file,
+
+    get concluido() {
+      return data.concluido;
+    },
+
+    /** { codCidade: { cidade, urls } } na ordem em que foram varridas */
+    get cidades() {
+      return data.cidades;
+    },
+
+    cidadeFeita(codCidade) {
+      return Object.prototype.hasOwnProperty.call(data.cidades, codCidade);
+    },
+
+    cidade(codCidade) {
+      return data.cidades[codCidade];
+    },
+
+    marcarCidade(codCidade, info) {
+      data.cidades[codCidade] = info;
+      salvar();
+    },
+
+    detalhe(url) {
+      return data.detalhes[codigoDaUrl(url)];
+    },
+
+    marcarDetalhe(url, det) {
+      const codigo = codigoDaUrl(url);
+      data.detalhes[codigo] = det;
+      fs.appendFileSync(fileDetalhes, `${JSON.stringify({ codigo, det })}\n`, "utf-8");
+    },
+
+    concluir() {
+      data.concluido = true;
+      salvar();
+    },
+  };
+}
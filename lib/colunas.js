@@ -0,0 +1,55 @@
+// lib/colunas.js
+// Definição única das colunas de saída (XLSX, CSV...), na ordem das planilhas.
+//
+// CAMPOS_DETALHE são os campos de texto do parser (lib/campos-detalhe.js); as
+// demais colunas vêm dos módulos que as preenchem (tipados, métricas,
+// documentos, imagens, geocodificação) e ficam vazias quando a fase não roda.
+
+import { CAMPOS_DETALHE } from "./campos-detalhe.js";
+import { CAMPOS_TIPADOS, CAMPO_NAO_PARSEADOS } from "./campos-tipados.js";
+import { CAMPOS_METRICAS } from "./metricas.js";
+import { CAMPOS_DOCUMENTOS } from "./documentos.js";
+import { CAMPOS_IMAGENS } from "./imagens.js";
+import { CAMPOS_GEO } from "./geocodificacao.js";
+
+export { CAMPOS_DETALHE };
+
+/** Todas as colunas exportadas, na ordem */
+export const COLUNAS = [
+  ...CAMPOS_DETALHE,
+  ...Object.keys(CAMPOS_TIPADOS),
+  CAMPO_NAO_PARSEADOS,
+  ...CAMPOS_METRICAS,
+  ...CAMPOS_DOCUMENTOS,
+  ...CAMPOS_IMAGENS,
+  ...CAMPOS_GEO,
+];
+
+/**
+ * Colunas que não contam como mudança do imóvel (hash do histórico e do sync
+ * WP, diff entre execuções): métricas mudam junto com os comparáveis e
+ * documentos/imagens/geo só existem quando a fase opcional roda.
+ */
+export const CAMPOS_NAO_COMPARADOS = new Set([
+  ...CAMPOS_METRICAS,
+  ...CAMPOS_DOCUMENTOS,
+  ...CAMPOS_IMAGENS,
+  ...CAMPOS_GEO,
+]);
+
+/** Valor de célula: números finitos ficam number; texto sem quebras de linha */
+export function valorCelula(value) {
+  if (value == null) return "";
+  if (typeof value === "number") return Number.isFinite(value) ? value : "";
+  return String(value)
+    .replace(/\r?\n|\r/g, " ")
+    .replace(/\s{2,}/g, " ")
+    .trim();
+}
+
+/** Linha com exatamente as COLUNAS (faltantes = "") */
+export function linhaExportacao(det, colunas = COLUNAS) {
+  const row = {};
+  for (const campo of colunas) row[campo] = valorCelula(det[campo]);
+  return row;
+}
@@ -0,0 +1,477 @@
+// lib/detalhe-parser.js
+// Extração dos metas _imoveis_* a partir do HTML de detalhe-imovel.asp
+//
+// Função pura (sem browser): recebe o HTML já baixado e devolve o mesmo objeto
+// que o scraper grava no JSON/XLSX. O fluxo puppeteer usa page.content() + esta
+// função, então dá pra reprocessar páginas salvas offline.
+//
+// Seletores, rótulos e regexes vêm do perfil de extração (lib/perfil.js). O
+// registro sai com os CAMPOS_DETALHE (lib/campos-detalhe.js), na ordem das planilhas,
+// mais os campos que o perfil mapear além deles.
+
+import { parseHTML } from "linkedom";
+import { CAMPOS_DETALHE } from "./campos-detalhe.js";
+import { tiparDetalhe } from "./campos-tipados.js";
+import { carregarPerfil, regexPerfil } from "./perfil.js";
+
+export const CAIXA_ORIGIN = "https://venda-imoveis.caixa.gov.br";
+
+/** URL pública do detalhe do imóvel */
+export const urlDetalhe = (codigo) =>
+  `${CAIXA_ORIGIN}/sistema/detalhe-imovel.asp?hdnimovel=${codigo}`;
+
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+
+/** Nome do estado (sem acento) -> UF, para endereços "CIDADE - RONDONIA" */
+const UF_POR_NOME = {
+  ACRE: "AC",
+  ALAGOAS: "AL",
+  AMAPA: "AP",
+  AMAZONAS: "AM",
+  BAHIA: "BA",
+  CEARA: "CE",
+  "DISTRITO FEDERAL": "DF",
+  "ESPIRITO SANTO": "ES",
+  GOIAS: "GO",
+  MARANHAO: "MA",
+  "MATO GROSSO": "MT",
+  "MATO GROSSO DO SUL": "MS",
+  "MINAS GERAIS": "MG",
+  PARA: "PA",
+  PARAIBA: "PB",
+  PARANA: "PR",
+  PERNAMBUCO: "PE",
+  PIAUI: "PI",
+  "RIO DE JANEIRO": "RJ",
+  "RIO GRANDE DO NORTE": "RN",
+  "RIO GRANDE DO SUL": "RS",
+  RONDONIA: "RO",
+  RORAIMA: "RR",
+  "SANTA CATARINA": "SC",
+  "SAO PAULO": "SP",
+  SERGIPE: "SE",
+  TOCANTINS: "TO",
+};
+
+/** Normaliza string para comparações (lowercase, sem acentos, espaços colapsados) */
+function norm(s) {
+  return (s || "")
+    .toString()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/** Converte "123.456,78" em 123456.78 (null se não der) */
+export function parseBRL(s) {
+  const only = (s || "")
+    .replace(/[^\d,.-]/g, "")
+    .replace(/\./g, "")
+    .replace(",", ".");
+  const n = parseFloat(only);
+  return Number.isNaN(n) ? null : n;
+}
+
+/** Elementos que quebram linha no texto renderizado (além de <br>) */
+const BLOCOS = new Set([
+  "ADDRESS", "ARTICLE", "ASIDE", "BLOCKQUOTE", "DD", "DIV", "DL", "DT",
+  "FIELDSET", "FIGCAPTION", "FIGURE", "FOOTER", "FORM", "H1", "H2", "H3",
+  "H4", "H5", "H6", "HEADER", "HR", "LI", "MAIN", "NAV", "OL", "P", "PRE",
+  "SECTION", "TABLE", "TR", "UL",
+]);
+
+/**
+ * Texto do elemento com uma linha por <br>/bloco, como o innerText do browser.
+ * O innerText do linkedom só aproxima isso (ignora <br> no fim, não quebra
+ * depois de um bloco), e aí campos vizinhos grudam na mesma linha.
+ */
+function textOf(el) {
+  if (!el) return "";
+  const partes = [];
+  const visitar = (no) => {
+    for (const filho of no.childNodes) {
+      if (filho.nodeType === TEXT_NODE) {
+        partes.push(filho.textContent.replace(/\s+/g, " "));
+        continue;
+      }
+      if (filho.nodeType !== ELEMENT_NODE) continue;
+      const tag = filho.tagName.toUpperCase();
+      if (tag === "BR") {
+        partes.push("\n");
+      } else if (tag !== "SCRIPT" && tag !== "STYLE") {
+        const bloco = BLOCOS.has(tag);
+        if (bloco) partes.push("\n");
+        visitar(filho);
+        if (bloco) partes.push("\n");
+      }
+    }
+  };
+  visitar(el);
+  return partes
+    .join("")
+    .split("\n")
+    .map((linha) => linha.replace(/ +/g, " ").trim())
+    .filter(Boolean)
+    .join("\n");
+}
+
+const safeText = (el) => textOf(el).trim();
+
+/** Resolve URL relativa; se falhar devolve o valor original */
+function resolveUrl(rel, base) {
+  try {
+    return new URL(rel, base).href;
+  } catch {
+    return rel;
+  }
+}
+
+/** Campos que o perfil mapeia (valores, rótulos e regras da caixa relacionada) */
+function camposDoPerfil(sel) {
+  return [
+    ...Object.keys(sel.valores),
+    ...Object.keys(sel.rotulosDados),
+    ...Object.keys(sel.rotulosAreas),
+    ...sel.spansRelacionados.map((r) => r.campo),
+    ...sel.paragrafosRelacionados.map((r) => r.campo),
+  ];
+}
+
+/** Extrai o caminho de onclick="ExibeDoc('...')" */
+function linkExibeDoc(anchor, origin) {
+  const onclick = anchor.getAttribute("onclick") || "";
+  const m = onclick.match(/ExibeDoc\(['"]([^'"]+)['"]\)/i);
+  return m ? resolveUrl(m[1], origin) : "";
+}
+
+/**
+ * Extrai os detalhes de um imóvel a partir do HTML de detalhe-imovel.asp
+ *
+ * @param {string} html HTML completo da página
+ * @param {object} [meta] { url, estado, cidadeCodigo, cidadeNome } — url serve de base p/ links relativos
+ * @param {object} [perfil] perfil de extração (padrão perfis/caixa.json)
+ * @returns {object|null} objeto _imoveis_* (+ campos tipados) ou null se não houver a raiz (#dadosImovel)
+ */
+export function parseDetalheImovel(html, meta, perfil = carregarPerfil()) {
+  const sel = perfil.detalhe;
+  const {
+    url = "",
+    estado = "",
+    cidadeCodigo = "",
+    cidadeNome = "",
+  } = meta || {};
+
+  const { document } = parseHTML(html || "");
+  const pageUrl = url || `${CAIXA_ORIGIN}/sistema/detalhe-imovel.asp`;
+  const origin = resolveUrl("/", pageUrl).replace(/\/$/, "");
+
+  /* 1) Nome / ID */
+  const dadosImovel = document.querySelector(sel.raiz);
+  if (!dadosImovel) return null;
+
+  let tituloImovel = "";
+  let codigoImovel = "";
+
+  const h5 = dadosImovel.querySelector(sel.titulo);
+  if (h5) {
+    const firstNode = h5.firstChild;
+    if (firstNode && firstNode.nodeType === TEXT_NODE) {
+      tituloImovel = (firstNode.textContent || "").trim();
+    } else {
+      tituloImovel = safeText(h5);
+    }
+  }
+
+  const hdnimovel = document.querySelector(sel.codigo);
+  if (hdnimovel && hdnimovel.value) {
+    codigoImovel = hdnimovel.value.trim();
+  }
+
+  /* 2) Valores */
+  const valores = {};
+  let valorMinimoGeral = "";
+  let descontoPercentual = "";
+
+  const marcador = sel.marcadorValores.toUpperCase();
+  const pValores = Array.from(dadosImovel.querySelectorAll(sel.paragrafosValores)).find(
+    (p) => textOf(p).toUpperCase().includes(marcador)
+  );
+
+  if (pValores) {
+    const text = textOf(pValores).replace(/\s+/g, " ").trim();
+    for (const [campo, re] of Object.entries(sel.valores)) {
+      const m = text.match(regexPerfil(re));
+      valores[campo] = m ? m[1].trim() : "";
+    }
+    // o "valor mínimo de venda" genérico só vale sem os valores por leilão
+    if (valores._imoveis_valor_minimo_1_leilao || valores._imoveis_valor_minimo_2_leilao) {
+      valores._imoveis_valor_minimo_generico = "";
+    }
+
+    const vAval = parseBRL(valores._imoveis_valor_avaliacao);
+    const vMin1 = parseBRL(valores._imoveis_valor_minimo_1_leilao);
+    const vMin2 = parseBRL(valores._imoveis_valor_minimo_2_leilao);
+    const vMinGen = parseBRL(valores._imoveis_valor_minimo_generico);
+
+    const candidatos = [vMin1, vMin2, vMinGen].filter((v) => v !== null);
+
+    let vMinGeral = null;
+    if (candidatos.length > 0) {
+      vMinGeral = Math.min(...candidatos);
+      valorMinimoGeral = vMinGeral.toFixed(2).replace(".", ",");
+    }
+
+    if (vAval !== null && vMinGeral !== null && vAval > 0) {
+      let desc = ((vAval - vMinGeral) / vAval) * 100;
+      if (desc < 0) desc = 0;
+      descontoPercentual = `${desc.toFixed(2).replace(".", ",")}%`;
+    }
+  }
+
+  /* 3) Dados principais */
+  const colunas = document.querySelectorAll(sel.colunas);
+  const colInfo1 = colunas[0];
+
+  // rótulo do perfil pode ter alternativas (layouts antigos/novos)
+  const findRow = (arr, rotulo) => {
+    for (const label of [].concat(rotulo)) {
+      const lab = norm(label);
+      const row = arr.find((t) => {
+        const n = norm(t);
+        return n.startsWith(lab) || n.includes(lab);
+      });
+      if (row) return row;
+    }
+    return undefined;
+  };
+
+  const dadosRotulados = {};
+  if (colInfo1) {
+    const spans = Array.from(colInfo1.querySelectorAll("span")).map((s) =>
+      textOf(s).trim()
+    );
+
+    const getValueAfterLabel = (arr, label) => {
+      const row = findRow(arr, label);
+      if (!row) return "";
+      const parts = row.split(":");
+      return parts[1] ? parts[1].trim() : "";
+    };
+
+    for (const [campo, rotulo] of Object.entries(sel.rotulosDados)) {
+      dadosRotulados[campo] = getValueAfterLabel(spans, rotulo);
+    }
+  }
+
+  /* 4) Áreas */
+  const colInfo2 = colunas[1];
+
+  const areas = {};
+  if (colInfo2) {
+    const spans2 = Array.from(colInfo2.querySelectorAll("span")).map((s) =>
+      textOf(s).trim()
+    );
+
+    const getValueAfterEqOrColon = (arr, label) => {
+      const row = findRow(arr, label);
+      if (!row) return "";
+      const parts = row.includes("=") ? row.split("=") : row.split(":");
+      return parts[1] ? parts[1].replace(/^\s*\*?\s*/, "").trim() : "";
+    };
+
+    for (const [campo, rotulo] of Object.entries(sel.rotulosAreas)) {
+      areas[campo] = getValueAfterEqOrColon(spans2, rotulo);
+    }
+  }
+
+  /* 5) Related-box */
+  const relatedBox = document.querySelector(sel.caixaRelacionada);
+
+  let tipoLeilao = "";
+  let linkMatricula = "";
+  let linkEdital = "";
+  const relacionados = {};
+
+  // cada texto vai para o primeiro campo cuja regra "detectar" casar; "remover"
+  // tira o rótulo (sem "remover" fica o texto inteiro)
+  const aplicarRegras = (regras, texto) => {
+    const regra = regras.find((r) => regexPerfil(r.detectar).test(texto));
+    if (!regra) return;
+    relacionados[regra.campo] = regra.remover
+      ? texto.replace(regexPerfil(regra.remover), "").trim()
+      : texto;
+  };
+
+  if (relatedBox) {
+    const tipoNode = sel.tipoLeilao
+      .map((s) => relatedBox.querySelector(s))
+      .find(Boolean);
+
+    if (tipoNode) tipoLeilao = safeText(tipoNode);
+
+    relatedBox.querySelectorAll("span").forEach((span) => {
+      aplicarRegras(sel.spansRelacionados, textOf(span).replace(/\s+/g, " ").trim());
+    });
+
+    // um <p> pode trazer vários campos separados por <br>: cada linha que casa
+    // uma regra abre um trecho novo, as demais continuam o trecho anterior
+    relatedBox.querySelectorAll("p").forEach((p) => {
+      const trechos = [];
+      for (const linha of textOf(p).split("\n")) {
+        const abre = sel.paragrafosRelacionados.some((r) => regexPerfil(r.detectar).test(linha));
+        if (abre || trechos.length === 0) trechos.push([linha]);
+        else trechos.at(-1).push(linha);
+      }
+      for (const trecho of trechos) {
+        aplicarRegras(sel.paragrafosRelacionados, trecho.join("\n"));
+      }
+    });
+
+    const linkMat = relatedBox.querySelector(sel.linkMatricula);
+    if (linkMat) linkMatricula = linkExibeDoc(linkMat, origin);
+  }
+
+  if (!linkMatricula) {
+    const linkMatGlobal = document.querySelector(sel.linkMatricula);
+    if (linkMatGlobal) linkMatricula = linkExibeDoc(linkMatGlobal, origin);
+  }
+
+  const textoEdital = sel.textoLinkEdital.toUpperCase();
+  const editalAnchor = Array.from(
+    document.querySelectorAll(sel.linksDocumento)
+  ).find((a) => (a.textContent || "").toUpperCase().includes(textoEdital));
+
+  if (editalAnchor) linkEdital = linkExibeDoc(editalAnchor, origin);
+
+  const enderecoCompleto = relacionados._imoveis_endereco_completo || "";
+
+  /* 5.3) Quebra do endereço */
+  let enderecoLogradouro = "";
+  let enderecoNumero = "";
+  let enderecoBairroTexto = "";
+  let enderecoCep = "";
+  let enderecoCidadeTexto = "";
+  let enderecoEstadoTexto = "";
+
+  if (enderecoCompleto) {
+    let e = enderecoCompleto;
+
+    const cepMatch = e.match(/CEP:\s*([\d\-]+)/i);
+    if (cepMatch) {
+      enderecoCep = cepMatch[1].trim();
+      e = e.replace(cepMatch[0], "").replace(/\s*,\s*$/, "");
+    }
+
+    const parts = e
+      .split(",")
+      .map((p) => p.trim())
+      .filter(Boolean);
+
+    if (parts.length >= 1) enderecoLogradouro = parts[0];
+
+    if (parts.length >= 2) {
+      const numParte = parts[1];
+      const mNum = numParte.match(/N[º.]?\s*([\d]+)/i);
+      if (mNum) enderecoNumero = mNum[1].trim();
+    }
+
+    if (parts.length >= 3) {
+      let b = parts[2];
+      b = b.replace(/\-\s*$/i, "").trim();
+      enderecoBairroTexto = b;
+    }
+
+    if (parts.length >= 4) {
+      const ultima = parts[parts.length - 1];
+      // "CIDADE - RO" ou "CIDADE - RONDONIA" (a Caixa usa os dois)
+      const mCidadeUf = ultima.match(/^(.+?)\s*-\s*([A-Z]{2})$/i);
+      const mCidadeNome = ultima.match(/^(.+?)\s+-\s+([^-]+)$/);
+      const ufPorNome = mCidadeNome && UF_POR_NOME[norm(mCidadeNome[2]).toUpperCase()];
+      if (mCidadeUf) {
+        enderecoCidadeTexto = mCidadeUf[1].trim();
+        enderecoEstadoTexto = mCidadeUf[2].toUpperCase();
+      } else if (ufPorNome) {
+        enderecoCidadeTexto = mCidadeNome[1].trim();
+        enderecoEstadoTexto = ufPorNome;
+      } else {
+        enderecoCidadeTexto = ultima;
+      }
+    }
+  }
+
+  /* 6) Imagens com fallback lazy */
+  const thumbs = Array.from(
+    document.querySelectorAll(sel.miniaturas)
+  );
+  const imgsLista = thumbs
+    .map((img) => {
+      const src =
+        img.getAttribute("src") ||
+        img.getAttribute("data-src") ||
+        img.getAttribute("data-original");
+      return src ? resolveUrl(src, pageUrl) : "";
+    })
+    .filter(Boolean);
+
+  /* 7) Estado / cidade / bairro */
+  let estadoCod = "";
+  let cidadeCod = "";
+  let cidadeNomeFinal = "";
+  let bairroFinal = "";
+
+  const hEstado = document.querySelector(sel.ocultos.estado);
+  const hCidade = document.querySelector(sel.ocultos.cidade);
+  const hBairro = document.querySelector(sel.ocultos.bairro);
+
+  if (hEstado && hEstado.value) estadoCod = hEstado.value.trim();
+  else if (estado) estadoCod = estado;
+
+  if (hCidade && hCidade.value) cidadeCod = hCidade.value.trim();
+  else if (cidadeCodigo) cidadeCod = cidadeCodigo;
+
+  if (hBairro && hBairro.value) bairroFinal = hBairro.value.trim();
+  else if (enderecoBairroTexto) bairroFinal = enderecoBairroTexto;
+
+  if (cidadeNome) cidadeNomeFinal = cidadeNome;
+  else if (enderecoCidadeTexto) cidadeNomeFinal = enderecoCidadeTexto;
+
+  // tudo o que foi extraído, pelo nome do campo
+  const extraidos = {
+    _imoveis_codigo_imovel: codigoImovel,
+    _imoveis_titulo: tituloImovel,
+    ...valores,
+    _imoveis_valor_minimo: valorMinimoGeral,
+    _imoveis_desconto_percentual: descontoPercentual,
+    _imoveis_desconto_pct: descontoPercentual,
+    ...dadosRotulados,
+    ...areas,
+    _imoveis_tipo_leilao: tipoLeilao,
+    ...relacionados,
+    _imoveis_endereco_completo: enderecoCompleto,
+    _imoveis_endereco_logradouro: enderecoLogradouro,
+    _imoveis_endereco_numero: enderecoNumero,
+    _imoveis_endereco_bairro_texto: enderecoBairroTexto,
+    _imoveis_endereco_cidade_texto: enderecoCidadeTexto,
+    _imoveis_endereco_estado_texto: enderecoEstadoTexto,
+    _imoveis_cep: enderecoCep,
+    _imoveis_link_matricula: linkMatricula,
+    _imoveis_link_edital: linkEdital,
+    _imoveis_imgs_lista: imgsLista.join("|"),
+    _imoveis_estado: estadoCod,
+    _imoveis_cidade_codigo: cidadeCod,
+    _imoveis_cidade: cidadeNomeFinal,
+    _imoveis_bairro: bairroFinal,
+  };
+
+  // colunas fixas primeiro; campos extras que um perfil novo mapeie vão no fim
+  const registro = {};
+  for (const campo of [...CAMPOS_DETALHE, ...camposDoPerfil(sel)]) {
+    if (!(campo in registro)) registro[campo] = extraidos[campo] ?? "";
+  }
+
+  // strings ficam como estão (WordPress); números vão em campos com sufixo de unidade
+  return { ...registro, ...tiparDetalhe(registro) };
+}
@@ -0,0 +1,241 @@
+// lib/diff-execucoes.js
+// Compara duas execuções (XLSX de detalhes) por _imoveis_codigo_imovel:
+// novos, removidos e alterados (com a lista de campos que mudaram).
+//
+// Com escopo, a execução anterior é recortada ao que a atual de fato coletou
+// (códigos avulsos, cidades varridas sem erro, mesmos filtros): o que ficou de
+// fora não vira "Removido" no relatório.
+
+import fs from "node:fs";
+import * as XLSX from "xlsx";
+import { CAMPOS_TIPADOS } from "./campos-tipados.js";
+import { CAMPOS_NAO_COMPARADOS } from "./colunas.js";
+import { logConsole } from "./log.js";
+
+/** Campos acompanhados de perto pelos analistas (vêm primeiro no relatório) */
+export const CAMPOS_PRINCIPAIS = [
+  "_imoveis_valor_minimo",
+  "_imoveis_desconto_percentual",
+  "_imoveis_tipo_leilao",
+  "_imoveis_data_leilao_1",
+  "_imoveis_data_leilao_2",
+  "_imoveis_valor_minimo_1_leilao",
+  "_imoveis_valor_minimo_2_leilao",
+  "_imoveis_valor_avaliacao",
+];
+
+// Duplicatas (desconto_pct e espelhos numéricos) só poluem o relatório; o
+// resto não conta como mudança (lib/colunas.js)
+const CAMPOS_IGNORADOS = new Set([
+  "_imoveis_desconto_pct",
+  ...Object.keys(CAMPOS_TIPADOS),
+  ...CAMPOS_NAO_COMPARADOS,
+]);
+
+/** Mesmo tratamento do XLSX: sem quebras de linha e espaços repetidos */
+const sanitize = (value) => {
+  if (value == null) return "";
+  return String(value)
+    .replace(/\r?\n|\r/g, " ")
+    .replace(/\s{2,}/g, " ")
+    .trim();
+};
+
+/**
+ * Lê os registros da primeira planilha de um XLSX de detalhes ([] se não existir).
+ * raw=true mantém as células numéricas como number (padrão: tudo texto, p/ comparar).
+ */
+export function lerDetalhesXlsx(filename, { raw = false } = {}) {
+  if (!filename || !fs.existsSync(filename)) return [];
+  const wb = XLSX.read(fs.readFileSync(filename), { type: "buffer" });
+  const ws = wb.Sheets[wb.SheetNames[0]];
+  if (!ws) return [];
+  return XLSX.utils.sheet_to_json(ws, { defval: "", raw });
+}
+
+const porCodigo = (registros) => {
+  const map = new Map();
+  for (const r of registros || []) {
+    const cod = sanitize(r._imoveis_codigo_imovel);
+    if (cod) map.set(cod, r);
+  }
+  return map;
+};
+
+const resumoImovel = (r) => ({
+  codigo: sanitize(r._imoveis_codigo_imovel),
+  titulo: sanitize(r._imoveis_titulo),
+  estado: sanitize(r._imoveis_estado),
+  cidade: sanitize(r._imoveis_cidade),
+  valor_minimo: sanitize(r._imoveis_valor_minimo),
+  desconto_percentual: sanitize(r._imoveis_desconto_percentual),
+  tipo_leilao: sanitize(r._imoveis_tipo_leilao),
+});
+
+const mesmosFiltros = (a, b) =>
+  JSON.stringify(Object.entries(a || {}).sort()) === JSON.stringify(Object.entries(b || {}).sort());
+
+/**
+ * Separa os registros anteriores que a execução atual teria como rever.
+ * - codigos: só eles (--codes / URLs informadas)
+ * - cidade com "erro" na coleta: fora
+ * - cidade ausente de urlsPorCidade: numa varredura completa e sem filtro saiu
+ *   da lista da Caixa (conta); senão não foi varrida (fora)
+ * - filtros diferentes dos da execução anterior: só os códigos presentes nas duas
+ */
+function recortarEscopo(antes, depois, escopo) {
+  const { urlsPorCidade = null, listaCompleta = false, codigos = null } = escopo;
+  const pedidos = codigos ? new Set([...codigos].map(String)) : null;
+  const filtrosMudaram =
+    escopo.filtrosAnteriores !== undefined &&
+    !mesmosFiltros(escopo.filtrosAnteriores, escopo.filtros);
+
+  const dentro = new Map();
+  let fora = 0;
+  for (const [cod, r] of antes) {
+    let noEscopo = true;
+    if (pedidos) noEscopo = pedidos.has(cod);
+    else if (urlsPorCidade) {
+      const info = urlsPorCidade[sanitize(r._imoveis_cidade_codigo)];
+      noEscopo = info ? !info.erro : listaCompleta;
+    }
+    if (noEscopo && filtrosMudaram) noEscopo = depois.has(cod);
+    if (noEscopo) dentro.set(cod, r);
+    else fora++;
+  }
+
+  // com filtro novo, quem só aparece agora pode ter estado fora do filtro antigo
+  const atuais = filtrosMudaram
+    ? new Map([...depois].filter(([cod]) => antes.has(cod)))
+    : depois;
+  return { antes: dentro, depois: atuais, fora };
+}
+
+/**
+ * Classifica cada código como novo, removido ou alterado.
+ * @param {object[]} anteriores registros da execução anterior
+ * @param {object[]} atuais registros desta execução
+ * @param {object} [escopo] o que esta execução coletou (sem ele, compara tudo)
+ * @param {object} [escopo.urlsPorCidade] { codCidade: { cidade, urls, erro? } }
+ * @param {boolean} [escopo.listaCompleta] todas as cidades do estado, sem filtro
+ * @param {Iterable<string>} [escopo.codigos] só estes códigos
+ * @param {object} [escopo.filtros] filtros desta execução
+ * @param {object} [escopo.filtrosAnteriores] filtros da anterior (undefined: desconhecidos)
+ * @returns {{resumo: object, novos: object[], removidos: object[], alterados: object[]}}
+ */
+export function compararExecucoes(anteriores, atuais, escopo = null) {
+  let antes = porCodigo(anteriores);
+  let depois = porCodigo(atuais);
+  let fora = 0;
+  if (escopo) ({ antes, depois, fora } = recortarEscopo(antes, depois, escopo));
+
+  const novos = [];
+  const removidos = [];
+  const alterados = [];
+  let inalterados = 0;
+
+  for (const [cod, atual] of depois) {
+    const anterior = antes.get(cod);
+    if (!anterior) {
+      novos.push(resumoImovel(atual));
+      continue;
+    }
+
+    const chaves = new Set([...Object.keys(anterior), ...Object.keys(atual)]);
+    const campos = [];
+    for (const campo of chaves) {
+      if (!campo.startsWith("_imoveis_") || CAMPOS_IGNORADOS.has(campo)) continue;
+      const a = sanitize(anterior[campo]);
+      const d = sanitize(atual[campo]);
+      if (a !== d) campos.push({ campo, antes: a, depois: d });
+    }
+
+    if (campos.length === 0) {
+      inalterados++;
+      continue;
+    }
+
+    const ordem = (c) => {
+      const i = CAMPOS_PRINCIPAIS.indexOf(c.campo);
+      return i === -1 ? CAMPOS_PRINCIPAIS.length : i;
+    };
+    campos.sort((x, y) => ordem(x) - ordem(y));
+
+    alterados.push({
+      ...resumoImovel(atual),
+      principais: campos
+        .filter((c) => CAMPOS_PRINCIPAIS.includes(c.campo))
+        .map((c) => c.campo),
+      campos,
+    });
+  }
+
+  for (const [cod, anterior] of antes) {
+    if (!depois.has(cod)) removidos.push(resumoImovel(anterior));
+  }
+
+  return {
+    resumo: {
+      anteriores: antes.size,
+      atuais: depois.size,
+      novos: novos.length,
+      removidos: removidos.length,
+      alterados: alterados.length,
+      inalterados,
+      foraDoEscopo: fora,
+    },
+    novos,
+    removidos,
+    alterados,
+  };
+}
+
+/**
+ * Grava o relatório de mudanças em JSON (máquina) e XLSX (analistas)
+ */
+export function gravarRelatorioDiff(diff, { jsonPath, xlsxPath, origem = {}, log = logConsole }) {
+  const relatorio = { geradoEm: new Date().toISOString(), ...origem, ...diff };
+
+  if (jsonPath) {
+    fs.writeFileSync(jsonPath, JSON.stringify(relatorio, null, 2), "utf-8");
+    log.info(`💾 Relatório de mudanças (JSON) salvo em: ${jsonPath}`, { arquivo: jsonPath });
+  }
+
+  if (xlsxPath) {
+    const linhas = [];
+    const linha = (situacao, r, extra = {}) => ({
+      Situacao: situacao,
+      Codigo: r.codigo,
+      Titulo: r.titulo,
+      Estado: r.estado,
+      Cidade: r.cidade,
+      "Valor minimo": r.valor_minimo,
+      Desconto: r.desconto_percentual,
+      "Tipo leilao": r.tipo_leilao,
+      "Campos alterados": "",
+      ...extra,
+    });
+
+    diff.novos.forEach((r) => linhas.push(linha("Novo", r)));
+    diff.removidos.forEach((r) => linhas.push(linha("Removido", r)));
+    diff.alterados.forEach((r) => {
+      const campos = r.campos
+        .map((c) => `${c.campo.replace(/^_imoveis_/, "")}: ${c.antes} -> ${c.depois}`)
+        .join("; ");
+      linhas.push(linha("Alterado", r, { "Campos alterados": campos }));
+    });
+
+    const resumo = Object.entries(diff.resumo).map(([Item, Quantidade]) => ({
+      Item,
+      Quantidade,
+    }));
+
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(resumo), "Resumo");
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(linhas), "Mudancas");
+    XLSX.writeFile(wb, xlsxPath);
+    log.info(`💾 Relatório de mudanças (XLSX) salvo em: ${xlsxPath}`, { arquivo: xlsxPath });
+  }
+
+  return relatorio;
+}
@@ -0,0 +1,264 @@
+// lib/documentos.js
+// Fase opcional: baixa edital e matrícula, arquiva por hash e indexa o texto.
+//
+// Estrutura (DOCUMENTOS_DIR, padrão ./documentos):
+//   objetos/ab/abcdef...pdf   conteúdo, nome = sha256 (um edital serve vários imóveis)
+//   objetos/ab/abcdef...txt   texto extraído do PDF
+//   indice.json               url -> { sha256, etag, lastModified, baixadoEm, verificadoEm }
+//
+// As palavras-chave olham só o que é do imóvel: a matrícula inteira e, no
+// edital (um texto para vários imóveis), o trecho do item dele. Edital sem o
+// item do imóvel não conta — as cláusulas gerais falam de "ocupado" para todos.
+//
+// Não baixa de novo o que não mudou: manda If-None-Match/If-Modified-Since e,
+// se o servidor devolver o arquivo mesmo assim, compara o hash antes de gravar.
+// O índice é gravado durante a fase (salvarACadaMs) e no fim, mesmo com erro.
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { extractText, getDocumentProxy } from "unpdf";
+import { comRetry } from "./falhas.js";
+import { logConsole } from "./log.js";
+
+const USER_AGENT =
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36";
+
+/** Palavras-chave procuradas no texto (já sem acento e em minúsculas) */
+export const PALAVRAS_CHAVE = {
+  _imoveis_doc_ocupado: /\bocupad[oa]\b/,
+  _imoveis_doc_penhora: /\bpenhora/,
+  _imoveis_doc_alienacao_fiduciaria: /alienacao fiduciaria/,
+  _imoveis_doc_debitos_condominio: /debitos? (de |do |com )?condomin/,
+  _imoveis_doc_debitos_iptu: /debitos? (de |do |com )?iptu/,
+};
+
+/** Campos que a fase acrescenta em cada registro */
+export const CAMPOS_DOCUMENTOS = [
+  "_imoveis_edital_sha256",
+  "_imoveis_edital_baixado_em",
+  "_imoveis_matricula_sha256",
+  "_imoveis_matricula_baixado_em",
+  ...Object.keys(PALAVRAS_CHAVE),
+];
+
+const DOCS = [
+  { tipo: "edital", campoLink: "_imoveis_link_edital" },
+  { tipo: "matricula", campoLink: "_imoveis_link_matricula" },
+];
+
+const normTexto = (s) =>
+  (s || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\s+/g, " ");
+
+// trecho máximo de um item do edital, quando não se acha o começo do próximo
+const TAMANHO_MAX_TRECHO = 4000;
+
+/**
+ * Trecho do edital que fala do imóvel: do cabeçalho "Item N" (ou da primeira
+ * menção ao código/número do imóvel) até o próximo item. "" se não aparece.
+ */
+export function trechoDoImovel(texto, det) {
+  const t = normTexto(texto);
+  if (!t) return "";
+
+  const soDigitos = (v) => String(v || "").replace(/\D/g, "");
+  const marcas = [];
+  const item = soDigitos(det._imoveis_numero_item).replace(/^0+/, "");
+  if (item) marcas.push(new RegExp(`\\bitem:?\\s*(n[o.º°]*\\s*)?0*${item}\\b`));
+  for (const campo of ["_imoveis_codigo_imovel", "_imoveis_numero_imovel"]) {
+    const numero = soDigitos(det[campo]);
+    if (numero.length >= 6) marcas.push(new RegExp(`(?<!\\d)0*${numero.replace(/^0+/, "")}(?!\\d)`));
+  }
+
+  const posicoes = marcas.map((re) => t.search(re)).filter((i) => i >= 0);
+  if (posicoes.length === 0) return "";
+  let inicio = Math.min(...posicoes);
+
+  // o código costuma vir logo abaixo do cabeçalho do item: volta até ele
+  const cabecalhos = Array.from(t.matchAll(/\bitem:?\s*(n[o.º°]*\s*)?\d+\b/g), (m) => m.index);
+  const anterior = cabecalhos.filter((i) => i <= inicio && inicio - i < 500).pop();
+  if (anterior !== undefined) inicio = anterior;
+
+  const proximo = cabecalhos.find((i) => i > inicio);
+  const fim = Math.min(proximo ?? t.length, inicio + TAMANHO_MAX_TRECHO);
+  return t.slice(inicio, fim);
+}
+
+/** Marca "sim"/"nao" para cada palavra-chave ("" se não há texto) */
+export function marcarPalavrasChave(texto) {
+  const marcas = {};
+  const t = normTexto(texto);
+  for (const [campo, re] of Object.entries(PALAVRAS_CHAVE)) {
+    marcas[campo] = t ? (re.test(t) ? "sim" : "nao") : "";
+  }
+  return marcas;
+}
+
+/** Texto de um PDF (vazio se não for PDF legível) */
+async function extrairTextoPdf(buf, log) {
+  try {
+    const pdf = await getDocumentProxy(new Uint8Array(buf));
+    const { text } = await extractText(pdf, { mergePages: true });
+    return text || "";
+  } catch (err) {
+    log.warn(`      ⚠️ Não foi possível extrair texto do PDF: ${err.message}`);
+    return "";
+  }
+}
+
+/**
+ * Cria o arquivo de documentos.
+ * @param {object} [opts]
+ * @param {string} [opts.dir] pasta do arquivo
+ * @param {number} [opts.timeoutMs]
+ * @param {{tentativas: number, baseMs: number}} [opts.retry]
+ * @param {number} [opts.salvarACadaMs] intervalo mínimo entre gravações do índice
+ *   durante a fase (uma execução interrompida não perde o que já baixou)
+ */
+export function criarArquivoDocumentos({
+  dir = process.env.DOCUMENTOS_DIR || path.join(process.cwd(), "documentos"),
+  timeoutMs = 120000,
+  retry = { tentativas: 3, baseMs: 2000 },
+  salvarACadaMs = 5000,
+} = {}) {
+  const indiceFile = path.join(dir, "indice.json");
+  fs.mkdirSync(path.join(dir, "objetos"), { recursive: true });
+
+  const indice = fs.existsSync(indiceFile)
+    ? JSON.parse(fs.readFileSync(indiceFile, "utf-8"))
+    : {};
+
+  const caminhoObjeto = (sha, ext) =>
+    path.join(dir, "objetos", sha.slice(0, 2), `${sha}.${ext}`);
+
+  let indiceSujo = false;
+  let ultimaGravacao = Date.now();
+  const salvarIndice = () => {
+    const tmp = `${indiceFile}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(indice, null, 2), "utf-8");
+    fs.renameSync(tmp, indiceFile);
+    indiceSujo = false;
+    ultimaGravacao = Date.now();
+  };
+  const salvarIndiceSeDevido = () => {
+    if (indiceSujo && Date.now() - ultimaGravacao >= salvarACadaMs) salvarIndice();
+  };
+
+  // mesma URL (edital compartilhado) só é verificada uma vez por execução
+  const verificadosNestaExecucao = new Map();
+
+  /** Garante o texto do objeto (extrai só uma vez por hash) */
+  const textoDoObjeto = async (sha, log = logConsole) => {
+    const txt = caminhoObjeto(sha, "txt");
+    if (fs.existsSync(txt)) return fs.readFileSync(txt, "utf-8");
+    const pdf = caminhoObjeto(sha, "pdf");
+    if (!fs.existsSync(pdf)) return "";
+    const texto = await extrairTextoPdf(fs.readFileSync(pdf), log.filho({ sha256: sha }));
+    fs.writeFileSync(txt, texto, "utf-8");
+    return texto;
+  };
+
+  /** Baixa (se mudou) e devolve a entrada do índice */
+  const obter = async (url) => {
+    const anterior = indice[url];
+    const headers = { "User-Agent": USER_AGENT };
+    if (anterior && fs.existsSync(caminhoObjeto(anterior.sha256, "pdf"))) {
+      if (anterior.etag) headers["If-None-Match"] = anterior.etag;
+      if (anterior.lastModified) headers["If-Modified-Since"] = anterior.lastModified;
+    }
+
+    const res = await fetch(url, { headers, signal: AbortSignal.timeout(timeoutMs) });
+    const agora = new Date().toISOString();
+
+    indiceSujo = true;
+    if (res.status === 304 && anterior) {
+      anterior.verificadoEm = agora;
+      return anterior;
+    }
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+    const buf = Buffer.from(await res.arrayBuffer());
+    const sha = crypto.createHash("sha256").update(buf).digest("hex");
+    const destino = caminhoObjeto(sha, "pdf");
+
+    if (!fs.existsSync(destino)) {
+      fs.mkdirSync(path.dirname(destino), { recursive: true });
+      fs.writeFileSync(destino, buf);
+    }
+
+    const mudou = !anterior || anterior.sha256 !== sha;
+    indice[url] = {
+      sha256: sha,
+      bytes: buf.length,
+      etag: res.headers.get("etag") || "",
+      lastModified: res.headers.get("last-modified") || "",
+      baixadoEm: mudou ? agora : anterior.baixadoEm,
+      verificadoEm: agora,
+    };
+    return indice[url];
+  };
+
+  /**
+   * Acrescenta hash, data de download e marcas de palavras-chave em cada registro
+   * (matrícula inteira + trecho do imóvel no edital). Falha de download não
+   * derruba a execução (campos ficam vazios).
+   * @param {object} [opts.log] logger da fase (estado/fase no contexto)
+   */
+  const processar = async (detalhes, { log = logConsole } = {}) => {
+    let baixados = 0;
+
+    try {
+      for (const det of detalhes) {
+        const textos = [];
+
+        for (const { tipo, campoLink } of DOCS) {
+          const url = det[campoLink];
+          det[`_imoveis_${tipo}_sha256`] = "";
+          det[`_imoveis_${tipo}_baixado_em`] = "";
+          if (!url) continue;
+
+          try {
+            if (!verificadosNestaExecucao.has(url)) {
+              const antes = indice[url] && indice[url].baixadoEm;
+              const info = await comRetry(() => obter(url), {
+                tentativas: retry.tentativas,
+                baseMs: retry.baseMs,
+                rotulo: `${tipo} ${url}`,
+                log,
+              });
+              if (info.baixadoEm !== antes) baixados++;
+              verificadosNestaExecucao.set(url, info);
+            }
+            const info = verificadosNestaExecucao.get(url);
+            det[`_imoveis_${tipo}_sha256`] = info.sha256;
+            det[`_imoveis_${tipo}_baixado_em`] = info.baixadoEm;
+            const texto = await textoDoObjeto(info.sha256, log);
+            textos.push(tipo === "edital" ? trechoDoImovel(texto, det) : texto);
+          } catch (err) {
+            log.warn(`      ⚠️ ${tipo} de ${det._imoveis_codigo_imovel}: ${err.message}`, {
+              codigo: det._imoveis_codigo_imovel,
+              documento: tipo,
+            });
+          }
+          salvarIndiceSeDevido();
+        }
+
+        Object.assign(det, marcarPalavrasChave(textos.filter(Boolean).join("\n")));
+      }
+    } finally {
+      salvarIndice();
+    }
+
+    log.info(
+      `📄 Documentos: ${verificadosNestaExecucao.size} verificados, ${baixados} novos/alterados.`,
+      { verificados: verificadosNestaExecucao.size, baixados }
+    );
+    return detalhes;
+  };
+
+  return { dir, processar, textoDoObjeto };
+}
@@ -0,0 +1,83 @@
+// lib/eventos.js
+// Eventos de progresso do scraper, para quem embute runScrape() e quer receber
+// os registros conforme saem (sem ler os arquivos no fim).
+//
+// Cada evento é um objeto { tipo, ...dados }:
+//   city:start      { estado, cidadeCodigo, cidade }
+//   city:urls       { estado, cidadeCodigo, cidade, urls, erro? }
+//   property        { estado, cidadeCodigo, cidade, url, detalhe }
+//   property:error  { estado, cidadeCodigo, cidade, url, categoria, mensagem, tentativas }
+//   done            { resultado } (o mesmo objeto que runScrape retorna)
+// runScrape({ aoEvento }) chama o callback; iterarScrape() entrega como async iterator.
+
+import { logConsole } from "./log.js";
+
+/** Tipos de evento emitidos pelo scraper */
+export const TIPOS_EVENTO = ["city:start", "city:urls", "property", "property:error", "done"];
+
+/**
+ * Emissor que nunca derruba a execução: erro no callback só vai para o log.
+ * @param {((evento: object) => void) | null} aoEvento
+ * @param {object} [opts]
+ * @param {object} [opts.log] logger (lib/log.js)
+ */
+export function criarEmissor(aoEvento, { log = logConsole } = {}) {
+  return (tipo, dados = {}) => {
+    if (!aoEvento) return;
+    try {
+      aoEvento({ tipo, ...dados });
+    } catch (err) {
+      log.error(`❌ Erro no callback do evento ${tipo}: ${err.message}`, {
+        evento: tipo,
+        estado: dados.estado,
+        cidadeCodigo: dados.cidadeCodigo,
+      });
+    }
+  };
+}
+
+/**
+ * Fila assíncrona: push() de um lado, for await do outro; fechar(erro) encerra
+ * a iteração (com erro, ele é lançado depois dos eventos já enfileirados).
+ */
+export function criarFilaEventos() {
+  const pendentes = [];
+  let esperando = null;
+  let fim = false;
+  let erroFinal = null;
+
+  const acordar = () => {
+    if (!esperando) return;
+    const resolve = esperando;
+    esperando = null;
+    resolve();
+  };
+
+  return {
+    push(evento) {
+      if (fim) return;
+      pendentes.push(evento);
+      acordar();
+    },
+
+    fechar(erro = null) {
+      fim = true;
+      erroFinal = erro;
+      acordar();
+    },
+
+    async *[Symbol.asyncIterator]() {
+      while (true) {
+        if (pendentes.length > 0) {
+          yield pendentes.shift();
+          continue;
+        }
+        if (fim) break;
+        await new Promise((resolve) => {
+          esperando = resolve;
+        });
+      }
+      if (erroFinal) throw erroFinal;
+    },
+  };
+}
@@ -0,0 +1,190 @@
+// lib/exportadores.js
+// Exportadores dos detalhes: cada um recebe os registros + metadados da execução
+// e grava <base>.<extensao>.
+//
+// Interface: { extensao, exportar(detalhes, { arquivo, meta, sheetName }) }
+// (exportar pode ser async).
+// Nativos: xlsx (planilha plana), analise (.analise.xlsx para leitura humana,
+// lib/planilha-analise.js), csv (UTF-8 com BOM, ";" e vírgula decimal, p/ Excel
+// em pt-BR), jsonl (um imóvel por linha) e json (completo, indentado, com _meta).
+// Escolha por EXPORTAR=xlsx,csv ou --exportar=xlsx,csv (padrão xlsx,analise);
+// outros formatos entram com registrarExportador(nome, exportador).
+//
+// diff, sync-wp.js e a API leem o XLSX: sem "xlsx" na lista eles ficam sem dados.
+// lerDetalhesSalvos lê de volta xlsx, json ou jsonl (reexportar/mesclar sem raspar).
+
+import fs from "node:fs";
+import * as XLSX from "xlsx";
+import { COLUNAS, linhaExportacao } from "./colunas.js";
+import { lerDetalhesXlsx } from "./diff-execucoes.js";
+import { logConsole } from "./log.js";
+import { gravarPlanilhaAnalise } from "./planilha-analise.js";
+
+/** Formatos gravados quando EXPORTAR/--exportar não é informado */
+export const FORMATOS_PADRAO = ["xlsx", "analise"];
+
+const exportadores = new Map();
+
+/**
+ * Registra um exportador.
+ * @param {string} nome usado em EXPORTAR/--exportar
+ * @param {{extensao: string, exportar: Function}} exportador
+ */
+export function registrarExportador(nome, exportador) {
+  exportadores.set(nome, exportador);
+}
+
+/** Nomes dos exportadores registrados */
+export const formatosDisponiveis = () => Array.from(exportadores.keys());
+
+registrarExportador("xlsx", {
+  extensao: "xlsx",
+  exportar(detalhes, { arquivo, meta = null, sheetName = "Imoveis" }) {
+    // números tipados viram células numéricas (filtros/somas no Excel)
+    const rows = detalhes.map((det) => linhaExportacao(det));
+    const ws = XLSX.utils.json_to_sheet(rows, { header: COLUNAS });
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, ws, sheetName);
+
+    // metadados (filtros, motor, estado) numa aba à parte; a 1ª aba segue igual
+    if (meta) {
+      const linhasMeta = Object.entries(meta).map(([chave, valor]) => ({
+        chave,
+        valor: typeof valor === "object" ? JSON.stringify(valor) : String(valor),
+      }));
+      XLSX.utils.book_append_sheet(
+        wb,
+        XLSX.utils.json_to_sheet(linhasMeta, { header: ["chave", "valor"] }),
+        "Metadados"
+      );
+    }
+
+    XLSX.writeFile(wb, arquivo);
+  },
+});
+
+registrarExportador("analise", {
+  extensao: "analise.xlsx",
+  exportar: (detalhes, { arquivo, meta = null }) => gravarPlanilhaAnalise(detalhes, arquivo, meta),
+});
+
+/** Campo CSV com ";" (aspas quando precisa; número com vírgula decimal) */
+const campoCsv = (valor) => {
+  if (typeof valor === "number") return String(valor).replace(".", ",");
+  const s = String(valor);
+  return /[;"\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+registrarExportador("csv", {
+  extensao: "csv",
+  exportar(detalhes, { arquivo }) {
+    const linhas = [COLUNAS.join(";")];
+    for (const det of detalhes) {
+      const row = linhaExportacao(det);
+      linhas.push(COLUNAS.map((c) => campoCsv(row[c])).join(";"));
+    }
+    // BOM: sem ele o Excel abre UTF-8 como ANSI e estraga os acentos
+    fs.writeFileSync(arquivo, `\uFEFF${linhas.join("\r\n")}\r\n`, "utf-8");
+  },
+});
+
+registrarExportador("jsonl", {
+  extensao: "jsonl",
+  exportar(detalhes, { arquivo }) {
+    const linhas = detalhes.map((det) => JSON.stringify(det));
+    fs.writeFileSync(arquivo, linhas.length ? `${linhas.join("\n")}\n` : "", "utf-8");
+  },
+});
+
+registrarExportador("json", {
+  extensao: "json",
+  exportar(detalhes, { arquivo, meta = null }) {
+    fs.writeFileSync(
+      arquivo,
+      JSON.stringify({ _meta: meta, imoveis: detalhes }, null, 2),
+      "utf-8"
+    );
+  },
+});
+
+/** Lê os formatos de --exportar=a,b ou ENV EXPORTAR (padrão FORMATOS_PADRAO) */
+export function lerFormatos(argv = process.argv, env = process.env) {
+  const arg = argv.find((a) => a.startsWith("--exportar="));
+  const raw = arg ? arg.slice("--exportar=".length) : env.EXPORTAR || FORMATOS_PADRAO.join(",");
+  const formatos = Array.from(
+    new Set(
+      raw
+        .split(",")
+        .map((s) => s.trim().toLowerCase())
+        .filter(Boolean)
+    )
+  );
+
+  const invalidos = formatos.filter((f) => !exportadores.has(f));
+  if (invalidos.length > 0) {
+    throw new Error(
+      `Formato de exportação desconhecido: ${invalidos.join(", ")} (disponíveis: ${formatosDisponiveis().join(", ")})`
+    );
+  }
+  if (formatos.length === 0) throw new Error("Nenhum formato em EXPORTAR/--exportar.");
+  return formatos;
+}
+
+/**
+ * Exporta os detalhes em cada formato pedido.
+ * @param {object[]} detalhes
+ * @param {object} opts
+ * @param {string} opts.base caminho sem extensão (ex.: .../imoveis_ro_detalhes)
+ * @param {string[]} [opts.formatos]
+ * @param {object} [opts.meta]
+ * @param {string} [opts.sheetName]
+ * @param {object} [opts.log] logger (padrão: só console)
+ * @returns {Promise<Object<string, string>>} formato -> arquivo gravado
+ */
+export async function exportarDetalhes(
+  detalhes,
+  { base, formatos = FORMATOS_PADRAO, meta = null, sheetName, log = logConsole }
+) {
+  const arquivos = {};
+  for (const formato of formatos) {
+    const exportador = exportadores.get(formato);
+    if (!exportador) throw new Error(`Formato de exportação desconhecido: ${formato}`);
+    const arquivo = `${base}.${exportador.extensao}`;
+    await exportador.exportar(detalhes, { arquivo, meta, sheetName });
+    log.info(`💾 ${formato.toUpperCase()} salvo em: ${arquivo}`, { formato, arquivo });
+    arquivos[formato] = arquivo;
+  }
+  return arquivos;
+}
+
+// formatos que dá para ler de volta, com o leitor de cada um
+const LEITORES = {
+  xlsx: (arquivo) => lerDetalhesXlsx(arquivo, { raw: true }),
+  json: (arquivo) => JSON.parse(fs.readFileSync(arquivo, "utf-8")).imoveis || [],
+  jsonl: (arquivo) =>
+    fs
+      .readFileSync(arquivo, "utf-8")
+      .split("\n")
+      .filter((linha) => linha.trim())
+      .map((linha) => JSON.parse(linha)),
+};
+
+/**
+ * Lê os detalhes já exportados em <base>.xlsx, .json ou .jsonl (o mais recente).
+ * @param {string} base caminho sem extensão
+ * @returns {{ detalhes: object[], arquivo: string } | null} null se não houver nenhum
+ */
+export function lerDetalhesSalvos(base) {
+  const candidatos = Object.keys(LEITORES)
+    .map((formato) => ({ formato, arquivo: `${base}.${formato}` }))
+    .filter(({ arquivo }) => fs.existsSync(arquivo))
+    .sort((a, b) => fs.statSync(b.arquivo).mtimeMs - fs.statSync(a.arquivo).mtimeMs);
+  if (candidatos.length === 0) return null;
+
+  const { formato, arquivo } = candidatos[0];
+  try {
+    return { detalhes: LEITORES[formato](arquivo), arquivo };
+  } catch (err) {
+    throw new Error(`Detalhes ilegíveis (${arquivo}): ${err.message}`);
+  }
+}
@@ -0,0 +1,186 @@
+// lib/falhas.js
+// Retry com backoff exponencial, classificação de erros e relatório failures.json.
+//
+// Categorias:
+//   timeout_navegacao -> goto/wait estourou o tempo
+//   dados_ausentes    -> página abriu mas sem #dadosImovel (ou lista sem resposta)
+//   imovel_retirado   -> Caixa informa que o imóvel não está mais à venda
+//   bloqueado         -> 403/429, WAF, captcha
+//   desconhecido      -> qualquer outro erro
+
+import fs from "node:fs";
+import { logConsole } from "./log.js";
+
+/** Espera ms; com `signal`, termina antes assim que ele abortar */
+function esperar(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal && signal.aborted) return resolve();
+    const acabar = () => {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener("abort", acabar);
+      resolve();
+    };
+    const timer = setTimeout(acabar, ms);
+    if (signal) signal.addEventListener("abort", acabar, { once: true });
+  });
+}
+
+export const CATEGORIAS = [
+  "timeout_navegacao",
+  "dados_ausentes",
+  "imovel_retirado",
+  "bloqueado",
+  "desconhecido",
+];
+
+// Não adianta repetir: o imóvel saiu do ar
+const NAO_REPETIR = new Set(["imovel_retirado"]);
+
+/** Erro do scraper já classificado */
+export class ErroScraper extends Error {
+  constructor(categoria, message, { status } = {}) {
+    super(message);
+    this.name = "ErroScraper";
+    this.categoria = categoria;
+    if (status !== undefined) this.status = status;
+  }
+}
+
+const normTexto = (s) =>
+  (s || "")
+    .toString()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\s+/g, " ");
+
+/** Classifica pelo texto visível da página (null se nada conhecido) */
+export function classificarTextoPagina(texto) {
+  const t = normTexto(texto);
+  if (
+    /access denied|acesso negado|request rejected|url was rejected|captcha|too many requests/.test(t)
+  ) {
+    return "bloqueado";
+  }
+  if (
+    /nao esta mais disponivel|imovel (nao encontrado|indisponivel|vendido|retirado)|nao (foi|e) possivel localizar o imovel/.test(t)
+  ) {
+    return "imovel_retirado";
+  }
+  return null;
+}
+
+/** Categoria de um erro qualquer */
+export function classificarErro(err) {
+  if (!err) return "desconhecido";
+  if (err.categoria) return err.categoria;
+  if (err.name === "TimeoutError" || /timeout|timed out/i.test(err.message || "")) {
+    return "timeout_navegacao";
+  }
+  if (/net::ERR_(BLOCKED|ACCESS_DENIED)|status 4(03|29)/i.test(err.message || "")) {
+    return "bloqueado";
+  }
+  return "desconhecido";
+}
+
+/**
+ * Executa fn com retry e backoff exponencial (baseMs, baseMs*2, baseMs*4...).
+ * Imóvel retirado não é repetido, nem o que repetir(err) recusar, nem nada
+ * depois de `signal` abortado (o abort também corta a espera do backoff). Cada
+ * nova tentativa é avisada em `log`.
+ * Lança o último erro com .tentativas preenchido.
+ */
+export async function comRetry(
+  fn,
+  {
+    tentativas = 3,
+    baseMs = 2000,
+    rotulo = "",
+    repetir = null,
+    signal = null,
+    log = logConsole,
+  } = {}
+) {
+  let ultimoErro = null;
+
+  for (let t = 1; t <= tentativas; t++) {
+    try {
+      return await fn(t);
+    } catch (err) {
+      ultimoErro = err;
+      err.tentativas = t;
+      const categoria = classificarErro(err);
+      if (t >= tentativas || NAO_REPETIR.has(categoria)) break;
+      if (repetir && !repetir(err)) break;
+      if (signal && signal.aborted) break;
+
+      const espera = baseMs * 2 ** (t - 1);
+      log.warn(
+        `      🔁 ${rotulo} falhou (${categoria}), tentativa ${t + 1}/${tentativas} em ${espera}ms...`,
+        { categoria, tentativa: t + 1, esperaMs: espera }
+      );
+      await esperar(espera, signal);
+      if (signal && signal.aborted) break;
+    }
+  }
+
+  throw ultimoErro;
+}
+
+/** Registro das falhas e das tentativas (para a taxa de falhas) */
+export function criarRegistroFalhas() {
+  const itens = [];
+  const tentados = { cidade: 0, detalhe: 0 };
+
+  return {
+    itens,
+
+    contar(tipo) {
+      tentados[tipo] = (tentados[tipo] || 0) + 1;
+    },
+
+    /** tipo: "estado" | "cidade" | "detalhe" */
+    registrar(tipo, err, contexto = {}) {
+      itens.push({
+        tipo,
+        categoria: classificarErro(err),
+        mensagem: err ? err.message : "",
+        tentativas: (err && err.tentativas) || 1,
+        quando: new Date().toISOString(),
+        ...contexto,
+      });
+    },
+
+    /** Taxa de falhas por tipo (falhas / tentados); imóvel retirado não conta */
+    taxas() {
+      const taxas = {};
+      for (const tipo of Object.keys(tentados)) {
+        const n = itens.filter(
+          (f) => f.tipo === tipo && !NAO_REPETIR.has(f.categoria)
+        ).length;
+        taxas[tipo] = tentados[tipo] > 0 ? n / tentados[tipo] : 0;
+      }
+      return taxas;
+    },
+
+    resumo() {
+      const porCategoria = {};
+      for (const f of itens) {
+        porCategoria[f.categoria] = (porCategoria[f.categoria] || 0) + 1;
+      }
+      return { tentados: { ...tentados }, taxas: this.taxas(), porCategoria };
+    },
+
+    /** Conteúdo do failures.json */
+    relatorio() {
+      return { geradoEm: new Date().toISOString(), ...this.resumo(), falhas: itens };
+    },
+
+    gravar(file, { log = logConsole } = {}) {
+      const conteudo = this.relatorio();
+      fs.writeFileSync(file, JSON.stringify(conteudo, null, 2), "utf-8");
+      log.info(`💾 Relatório de falhas salvo em: ${file}`, { arquivo: file });
+      return conteudo;
+    },
+  };
+}
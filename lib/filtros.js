@@ -0,0 +1,136 @@
+// lib/filtros.js
+// Filtros da busca da Caixa (etapa 2 do assistente: modalidade, tipo, quartos...).
+//
+// O objeto de filtros preenche os selects da busca (browser ou http) e, como
+// as faixas da Caixa são grossas, os detalhes também passam por um filtro fino
+// depois da extração (valor mínimo, quartos etc.).
+//
+// Exemplo: { tipoImovel: "casa", valorMax: 300000, quartosMin: 2,
+//            modalidade: "venda direta online" }
+
+/** filtro -> id do select na busca */
+export const SELECTS_FILTRO = {
+  modalidade: "cmb_tp_venda",
+  tipoImovel: "cmb_tp_imovel",
+  quartosMin: "cmb_quartos",
+  vagasMin: "cmb_vg_garagem",
+  areaUtil: "cmb_area_util",
+  faixaValor: "cmb_faixa_vlr",
+};
+
+const CHAVES = [...Object.keys(SELECTS_FILTRO), "valorMin", "valorMax"];
+const NUMERICOS = new Set(["quartosMin", "vagasMin", "valorMin", "valorMax"]);
+
+const norm = (s) =>
+  (s == null ? "" : String(s))
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+
+/**
+ * Valida e normaliza o objeto de filtros (chaves desconhecidas = erro).
+ * @returns {object} só as chaves preenchidas
+ */
+export function normalizarFiltros(filtros) {
+  if (!filtros) return {};
+  if (typeof filtros !== "object" || Array.isArray(filtros)) {
+    throw new Error("Filtros devem ser um objeto.");
+  }
+
+  const out = {};
+  for (const [chave, valor] of Object.entries(filtros)) {
+    if (!CHAVES.includes(chave)) {
+      throw new Error(`Filtro desconhecido: ${chave} (válidos: ${CHAVES.join(", ")})`);
+    }
+    if (valor === undefined || valor === null || valor === "") continue;
+
+    if (NUMERICOS.has(chave)) {
+      const n = Number(valor);
+      if (!Number.isFinite(n)) throw new Error(`Filtro ${chave} deve ser numérico.`);
+      out[chave] = n;
+    } else {
+      out[chave] = String(valor).trim();
+    }
+  }
+
+  if (out.valorMin != null && out.valorMax != null && out.valorMin > out.valorMax) {
+    throw new Error("Filtro valorMin maior que valorMax.");
+  }
+  return out;
+}
+
+/** Lê filtros de --filtros='{"tipoImovel":"casa"}' ou ENV FILTROS (JSON) */
+export function lerFiltros(argv = process.argv, env = process.env) {
+  const arg = argv.find((a) => a.startsWith("--filtros="));
+  const raw = arg ? arg.slice("--filtros=".length) : env.FILTROS;
+  if (!raw) return {};
+  try {
+    return normalizarFiltros(JSON.parse(raw));
+  } catch (err) {
+    throw new Error(`FILTROS inválido: ${err.message}`);
+  }
+}
+
+/**
+ * Escolhe a option do select que corresponde ao filtro.
+ * Ordem: value exato, texto igual, texto contendo; números casam pelo 1º inteiro do texto.
+ * @param {{value: string, text: string}[]} options
+ * @returns {string|null} value escolhido
+ */
+export function escolherOpcao(options, desejado) {
+  const validas = (options || []).filter((o) => o.value && o.value !== "0");
+  const alvo = norm(desejado);
+  if (!alvo) return null;
+
+  const porValor = validas.find((o) => norm(o.value) === alvo);
+  if (porValor) return porValor.value;
+
+  if (typeof desejado === "number") {
+    const porNumero = validas.find((o) => {
+      const m = o.text.match(/\d+/);
+      return m && parseInt(m[0], 10) === desejado;
+    });
+    return porNumero ? porNumero.value : null;
+  }
+
+  const igual = validas.find((o) => norm(o.text) === alvo);
+  if (igual) return igual.value;
+
+  const contem = validas.find((o) => norm(o.text).includes(alvo));
+  return contem ? contem.value : null;
+}
+
+/** { idSelect: desejado } só com os filtros que vão para os selects */
+export function filtrosParaSelects(filtros) {
+  const out = {};
+  for (const [chave, id] of Object.entries(SELECTS_FILTRO)) {
+    if (filtros && filtros[chave] != null) out[id] = filtros[chave];
+  }
+  return out;
+}
+
+/** Filtro fino sobre os detalhes extraídos (usa os campos tipados) */
+export function filtrarDetalhes(detalhes, filtros) {
+  const f = filtros || {};
+  if (Object.keys(f).length === 0) return detalhes;
+
+  return detalhes.filter((d) => {
+    // sem valor não passa em filtro de valor (null <= valorMax seria true)
+    const valor = d._imoveis_valor_minimo_brl ?? NaN;
+    if (f.valorMin != null && !(valor >= f.valorMin)) return false;
+    if (f.valorMax != null && !(valor <= f.valorMax)) return false;
+
+    if (f.quartosMin != null && !(d._imoveis_quartos_qtd >= f.quartosMin)) return false;
+    if (f.vagasMin != null && !(d._imoveis_garagem_qtd >= f.vagasMin)) return false;
+
+    // códigos de option ("2") só valem pro select; texto também filtra aqui
+    const casaTexto = (filtro, campo) =>
+      !filtro || /^\d+$/.test(filtro) || norm(campo).includes(norm(filtro));
+
+    if (!casaTexto(f.tipoImovel, d._imoveis_tipo_imovel)) return false;
+    if (!casaTexto(f.modalidade, d._imoveis_tipo_leilao)) return false;
+    return true;
+  });
+}
@@ -0,0 +1,264 @@
+// lib/geocodificacao.js
+// Coordenadas dos imóveis (endereço -> lat/lon) e saída GeoJSON.
+//
+// Provedor plugável: { nome, geocodificar(consulta) -> {lat, lon} | null }, onde
+// consulta = { street, city, state, postalcode } (formato da busca estruturada
+// do Nominatim). Padrão: Nominatim (GEO_URL troca o host, ex.: servidor local).
+//
+// Cascata de precisão: endereço (logradouro + número) -> CEP -> centro da cidade.
+// O campo _imoveis_geo_precisao diz qual nível achou ("endereco"|"cep"|"cidade"),
+// ou "nao_encontrado".
+//
+// Cache persistente (GEO_CACHE, padrão geocache.json) pela consulta normalizada;
+// consultas sem resultado também ficam no cache e só são refeitas depois de
+// GEO_CACHE_FALHA_DIAS (padrão 30).
+
+import fs from "node:fs";
+import path from "node:path";
+import { urlDetalhe } from "./detalhe-parser.js";
+import { comRetry } from "./falhas.js";
+import { logConsole } from "./log.js";
+import { criarLimitador } from "./pool.js";
+
+const USER_AGENT = "api-leilao/1.0 (scraper imoveis caixa)";
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+/** Campos que a geocodificação acrescenta em cada registro */
+export const CAMPOS_GEO = [
+  "_imoveis_latitude",
+  "_imoveis_longitude",
+  "_imoveis_geo_precisao",
+  "_imoveis_geo_fonte",
+];
+
+/** Atributos de cada Feature do GeoJSON */
+export const PROPRIEDADES_GEOJSON = [
+  "_imoveis_codigo_imovel",
+  "_imoveis_titulo",
+  "_imoveis_tipo_imovel",
+  "_imoveis_estado",
+  "_imoveis_cidade",
+  "_imoveis_bairro",
+  "_imoveis_endereco_completo",
+  "_imoveis_tipo_leilao",
+  "_imoveis_valor_avaliacao_brl",
+  "_imoveis_valor_minimo_brl",
+  "_imoveis_desconto_percentual_pct",
+  "_imoveis_quartos_qtd",
+  "_imoveis_area_privativa_m2",
+  "_imoveis_geo_precisao",
+];
+
+const norm = (s) =>
+  (s == null ? "" : String(s))
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+
+const soDigitos = (s) => String(s || "").replace(/\D/g, "");
+
+/**
+ * Provedor compatível com a busca do Nominatim (/search?format=jsonv2).
+ * A política do Nominatim público pede no máximo 1 req/s e um User-Agent.
+ * @param {object} [opts]
+ * @param {string} [opts.baseUrl]
+ * @param {number} [opts.rps]
+ */
+export function criarProvedorNominatim({
+  baseUrl = process.env.GEO_URL || "https://nominatim.openstreetmap.org",
+  rps = parseFloat(process.env.GEO_RPS || "1") || 1,
+  email = process.env.GEO_EMAIL || "",
+  timeoutMs = 30000,
+} = {}) {
+  const base = baseUrl.replace(/\/$/, "");
+  const limitador = criarLimitador({ rps, jitterMs: 0 });
+
+  return {
+    nome: "nominatim",
+
+    async geocodificar(consulta) {
+      const params = new URLSearchParams({
+        format: "jsonv2",
+        limit: "1",
+        countrycodes: "br",
+      });
+      for (const [k, v] of Object.entries(consulta)) if (v) params.set(k, v);
+      if (email) params.set("email", email);
+
+      await limitador.aguardar();
+      const inicio = Date.now();
+      const res = await fetch(`${base}/search?${params}`, {
+        headers: { "User-Agent": USER_AGENT, Accept: "application/json" },
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      limitador.registrar({ duracaoMs: Date.now() - inicio, erro: !res.ok });
+      if (!res.ok) throw new Error(`Geocodificação HTTP ${res.status}`);
+
+      const lista = await res.json();
+      const primeiro = Array.isArray(lista) ? lista[0] : null;
+      if (!primeiro) return null;
+      const lat = parseFloat(primeiro.lat);
+      const lon = parseFloat(primeiro.lon);
+      return Number.isFinite(lat) && Number.isFinite(lon) ? { lat, lon } : null;
+    },
+  };
+}
+
+/** Provedores disponíveis (GEO_PROVEDOR) */
+export const PROVEDORES = {
+  nominatim: criarProvedorNominatim,
+};
+
+/**
+ * Consultas da mais precisa para a menos precisa. Cidade e UF vêm da busca
+ * (_imoveis_cidade/_imoveis_estado, nome oficial); o texto do endereço só
+ * entra na falta deles.
+ */
+export function consultasDoImovel(det) {
+  const cidade = det._imoveis_cidade || det._imoveis_endereco_cidade_texto || "";
+  const uf = det._imoveis_estado || det._imoveis_endereco_estado_texto || "";
+  const cep = soDigitos(det._imoveis_cep);
+  const cepFmt = cep.length === 8 ? `${cep.slice(0, 5)}-${cep.slice(5)}` : "";
+  const rua = [det._imoveis_endereco_logradouro, det._imoveis_endereco_numero]
+    .map((s) => String(s || "").trim())
+    .filter(Boolean)
+    .join(" ");
+
+  const consultas = [];
+  if (rua && cidade) {
+    consultas.push({ precisao: "endereco", consulta: { street: rua, city: cidade, state: uf, postalcode: cepFmt } });
+  }
+  if (cepFmt) consultas.push({ precisao: "cep", consulta: { postalcode: cepFmt } });
+  if (cidade) consultas.push({ precisao: "cidade", consulta: { city: cidade, state: uf } });
+  return consultas;
+}
+
+/** Chave do cache: consulta normalizada */
+export const chaveCache = (consulta) =>
+  ["street", "city", "state", "postalcode"].map((k) => norm(consulta[k])).join("|");
+
+/**
+ * Cria o geocodificador com cache.
+ * @param {object} [opts]
+ * @param {{nome: string, geocodificar: Function}} [opts.provedor]
+ * @param {string} [opts.cacheFile]
+ * @param {{tentativas: number, baseMs: number}} [opts.retry]
+ */
+export function criarGeocodificador({
+  provedor = (PROVEDORES[process.env.GEO_PROVEDOR || "nominatim"] || criarProvedorNominatim)(),
+  cacheFile = process.env.GEO_CACHE || path.join(process.cwd(), "geocache.json"),
+  falhaDias = parseFloat(process.env.GEO_CACHE_FALHA_DIAS || "30"),
+  retry = { tentativas: 3, baseMs: 2000 },
+} = {}) {
+  const cache = fs.existsSync(cacheFile) ? JSON.parse(fs.readFileSync(cacheFile, "utf-8")) : {};
+
+  const salvarCache = () => {
+    const tmp = `${cacheFile}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(cache, null, 2), "utf-8");
+    fs.renameSync(tmp, cacheFile);
+  };
+
+  /** Consulta com cache; lat/lon null = provedor não achou */
+  const consultar = async (consulta, log) => {
+    const chave = chaveCache(consulta);
+    const emCache = cache[chave];
+    if (emCache) {
+      const venceu = emCache.lat == null && Date.now() - Date.parse(emCache.em) > falhaDias * DIA_MS;
+      if (!venceu) return { ...emCache, doCache: true };
+    }
+
+    const r = await comRetry(() => provedor.geocodificar(consulta), {
+      ...retry,
+      rotulo: `Geocodificação ${chave}`,
+      log,
+    });
+    cache[chave] = r
+      ? { lat: r.lat, lon: r.lon, fonte: provedor.nome, em: new Date().toISOString() }
+      : { lat: null, lon: null, fonte: provedor.nome, em: new Date().toISOString() };
+    return cache[chave];
+  };
+
+  /**
+   * Preenche lat/lon/precisão em cada registro
+   * @param {object} [opts.log] logger da fase (estado/fase no contexto)
+   */
+  const processar = async (detalhes, { log = logConsole } = {}) => {
+    const contagem = { endereco: 0, cep: 0, cidade: 0, nao_encontrado: 0, consultas: 0 };
+
+    for (const [i, det] of detalhes.entries()) {
+      Object.assign(det, {
+        _imoveis_latitude: "",
+        _imoveis_longitude: "",
+        _imoveis_geo_precisao: "nao_encontrado",
+        _imoveis_geo_fonte: "",
+      });
+
+      for (const { precisao, consulta } of consultasDoImovel(det)) {
+        try {
+          const r = await consultar(consulta, log);
+          if (!r.doCache) contagem.consultas++;
+          if (r.lat == null) continue;
+          Object.assign(det, {
+            _imoveis_latitude: r.lat,
+            _imoveis_longitude: r.lon,
+            _imoveis_geo_precisao: precisao,
+            _imoveis_geo_fonte: r.fonte,
+          });
+          break;
+        } catch (err) {
+          // erro do provedor não vira cache: tenta o próximo nível agora e tudo de novo na próxima execução
+          log.warn(`      ⚠️ Geocodificação de ${det._imoveis_codigo_imovel} (${precisao}): ${err.message}`, {
+            codigo: det._imoveis_codigo_imovel,
+            precisao,
+          });
+        }
+      }
+      contagem[det._imoveis_geo_precisao]++;
+
+      // cache vai sendo gravado (a cascata pode levar minutos com 1 req/s)
+      if ((i + 1) % 50 === 0) salvarCache();
+    }
+
+    salvarCache();
+    log.info(
+      `🗺  Geocodificação: ${contagem.endereco} endereço, ${contagem.cep} CEP, ${contagem.cidade} cidade, ` +
+        `${contagem.nao_encontrado} sem coordenadas (${contagem.consultas} consultas ao provedor).`,
+      contagem
+    );
+    return contagem;
+  };
+
+  return { processar, consultar, provedor };
+}
+
+/** FeatureCollection com os imóveis que têm coordenadas */
+export function paraGeoJson(detalhes) {
+  const features = [];
+  for (const det of detalhes) {
+    const lat = Number(det._imoveis_latitude);
+    const lon = Number(det._imoveis_longitude);
+    if (det._imoveis_latitude === "" || !Number.isFinite(lat) || !Number.isFinite(lon)) continue;
+
+    const properties = {};
+    for (const campo of PROPRIEDADES_GEOJSON) properties[campo] = det[campo] ?? null;
+    properties.url = urlDetalhe(det._imoveis_codigo_imovel);
+
+    features.push({
+      type: "Feature",
+      id: String(det._imoveis_codigo_imovel),
+      geometry: { type: "Point", coordinates: [lon, lat] },
+      properties,
+    });
+  }
+  return { type: "FeatureCollection", features };
+}
+
+/** Grava o GeoJSON; retorna quantas features foram escritas */
+export function gravarGeoJson(detalhes, file, { log = logConsole } = {}) {
+  const geo = paraGeoJson(detalhes);
+  fs.writeFileSync(file, JSON.stringify(geo), "utf-8");
+  log.info(`💾 GeoJSON salvo em: ${file} (${geo.features.length} imóveis)`, { arquivo: file });
+  return geo.features.length;
+}
@@ -0,0 +1,263 @@
+// lib/historico.js
+// Histórico de preços por imóvel em SQLite (chave: _imoveis_codigo_imovel).
+//
+// Cada execução grava um snapshot do retorno de extrairDetalhesImovel; se nada
+// mudou desde o último snapshot do imóvel, só atualiza a data em que foi visto.
+// A varredura completa de um estado (todas as cidades, sem filtro) grava também
+// os códigos da listagem: é ela que define os imóveis atuais do estado.
+
+import crypto from "node:crypto";
+import Database from "better-sqlite3";
+import { CAMPOS_NAO_COMPARADOS } from "./colunas.js";
+import { parseBRL } from "./detalhe-parser.js";
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS imoveis (
+    codigo         TEXT PRIMARY KEY,
+    estado         TEXT,
+    cidade         TEXT,
+    primeiro_visto TEXT NOT NULL,
+    ultimo_visto   TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS snapshots (
+    id               INTEGER PRIMARY KEY AUTOINCREMENT,
+    codigo           TEXT NOT NULL REFERENCES imoveis(codigo),
+    coletado_em      TEXT NOT NULL,
+    hash             TEXT NOT NULL,
+    valor_avaliacao  REAL,
+    valor_minimo     REAL,
+    valor_minimo_1   REAL,
+    valor_minimo_2   REAL,
+    tipo_leilao      TEXT,
+    data_leilao_1    TEXT,
+    data_leilao_2    TEXT,
+    dados            TEXT NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_snapshots_codigo
+    ON snapshots (codigo, coletado_em);
+
+  -- última varredura completa de cada estado e os códigos que ela listou
+  CREATE TABLE IF NOT EXISTS listagens (
+    estado     TEXT PRIMARY KEY,
+    listado_em TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS listagem_imoveis (
+    estado TEXT NOT NULL,
+    codigo TEXT NOT NULL,
+    PRIMARY KEY (estado, codigo)
+  );
+`;
+
+/** Hash estável do registro (ordem das chaves não importa, sem CAMPOS_NAO_COMPARADOS) */
+function hashRegistro(det) {
+  const ordenado = Object.keys(det)
+    .filter((k) => !CAMPOS_NAO_COMPARADOS.has(k))
+    .sort()
+    .map((k) => [k, det[k] == null ? "" : String(det[k])]);
+  return crypto.createHash("sha1").update(JSON.stringify(ordenado)).digest("hex");
+}
+
+/**
+ * SQL dos imóveis atuais: os da última listagem completa de cada estado; estado
+ * sem listagem completa (ou banco anterior às tabelas) fica com os vistos na sua
+ * execução mais recente.
+ */
+function sqlAtuais(comListagens) {
+  const ultimaExecucao =
+    "i.ultimo_visto = (SELECT MAX(ultimo_visto) FROM imoveis WHERE estado = i.estado)";
+  const filtro = comListagens
+    ? `i.codigo IN (SELECT codigo FROM listagem_imoveis)
+       OR (i.estado NOT IN (SELECT estado FROM listagens) AND ${ultimaExecucao})`
+    : ultimaExecucao;
+  return `SELECT i.codigo, i.primeiro_visto, i.ultimo_visto,
+      (SELECT s.dados FROM snapshots s WHERE s.codigo = i.codigo
+       ORDER BY s.coletado_em DESC, s.id DESC LIMIT 1) AS dados
+    FROM imoveis i
+    WHERE ${filtro}
+    ORDER BY i.codigo`;
+}
+
+/** Consultas comuns ao banco de escrita e ao somente leitura */
+function consultas(db) {
+  const comListagens = !!db
+    .prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'listagem_imoveis'")
+    .get();
+  const stmts = {
+    getImovel: db.prepare("SELECT * FROM imoveis WHERE codigo = ?"),
+    timeline: db.prepare(
+      `SELECT coletado_em, valor_avaliacao, valor_minimo, valor_minimo_1, valor_minimo_2,
+         tipo_leilao, data_leilao_1, data_leilao_2
+       FROM snapshots WHERE codigo = ? ORDER BY coletado_em, id`
+    ),
+    ultimoSnapshot: db.prepare(
+      `SELECT dados FROM snapshots WHERE codigo = ?
+       ORDER BY coletado_em DESC, id DESC LIMIT 1`
+    ),
+    atuais: db.prepare(sqlAtuais(comListagens)),
+  };
+
+  /** Linha do tempo de preços do imóvel (um item por snapshot) */
+  const linhaDoTempo = (codigo) => stmts.timeline.all(String(codigo));
+
+  /**
+   * Resumo do imóvel: primeiro/último visto, dias à venda e linha do tempo.
+   * @returns {object|null} null se o código nunca foi visto
+   */
+  const consultarImovel = (codigo) => {
+    const im = stmts.getImovel.get(String(codigo));
+    if (!im) return null;
+
+    const dias = Math.floor(
+      (Date.parse(im.ultimo_visto) - Date.parse(im.primeiro_visto)) / DIA_MS
+    );
+    const ultimo = stmts.ultimoSnapshot.get(im.codigo);
+
+    return {
+      codigo: im.codigo,
+      estado: im.estado,
+      cidade: im.cidade,
+      primeiroVisto: im.primeiro_visto,
+      ultimoVisto: im.ultimo_visto,
+      diasAVenda: Number.isNaN(dias) ? null : dias,
+      precos: linhaDoTempo(im.codigo),
+      ultimoRegistro: ultimo ? JSON.parse(ultimo.dados) : null,
+    };
+  };
+
+  /** Último registro dos imóveis da listagem completa mais recente de cada estado */
+  const imoveisAtuais = () =>
+    stmts.atuais
+      .all()
+      .filter((r) => r.dados)
+      .map((r) => JSON.parse(r.dados));
+
+  return { linhaDoTempo, consultarImovel, imoveisAtuais };
+}
+
+/**
+ * Abre o banco só para consulta (API, historico.js): não cria o arquivo, não
+ * grava schema nem pragma e não disputa o lock com o scraper.
+ * @param {string} file caminho do .sqlite (precisa existir)
+ */
+export function abrirHistoricoLeitura(file) {
+  const db = new Database(file, { readonly: true, fileMustExist: true });
+  return { db, ...consultas(db), fechar: () => db.close() };
+}
+
+/**
+ * Abre (ou cria) o banco de histórico.
+ * @param {string} file caminho do .sqlite (":memory:" para testes)
+ */
+export function abrirHistorico(file) {
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.exec(SCHEMA);
+
+  const stmts = {
+    getImovel: db.prepare("SELECT * FROM imoveis WHERE codigo = ?"),
+    insImovel: db.prepare(
+      `INSERT INTO imoveis (codigo, estado, cidade, primeiro_visto, ultimo_visto)
+       VALUES (@codigo, @estado, @cidade, @data, @data)`
+    ),
+    updImovel: db.prepare(
+      `UPDATE imoveis SET ultimo_visto = @data, estado = @estado, cidade = @cidade
+       WHERE codigo = @codigo`
+    ),
+    ultimoHash: db.prepare(
+      `SELECT hash FROM snapshots WHERE codigo = ?
+       ORDER BY coletado_em DESC, id DESC LIMIT 1`
+    ),
+    insSnapshot: db.prepare(
+      `INSERT INTO snapshots (codigo, coletado_em, hash, valor_avaliacao, valor_minimo,
+         valor_minimo_1, valor_minimo_2, tipo_leilao, data_leilao_1, data_leilao_2, dados)
+       VALUES (@codigo, @coletado_em, @hash, @valor_avaliacao, @valor_minimo,
+         @valor_minimo_1, @valor_minimo_2, @tipo_leilao, @data_leilao_1, @data_leilao_2, @dados)`
+    ),
+    upsListagem: db.prepare(
+      `INSERT INTO listagens (estado, listado_em) VALUES (?, ?)
+       ON CONFLICT (estado) DO UPDATE SET listado_em = excluded.listado_em`
+    ),
+    delListagem: db.prepare("DELETE FROM listagem_imoveis WHERE estado = ?"),
+    insListagem: db.prepare(
+      "INSERT OR IGNORE INTO listagem_imoveis (estado, codigo) VALUES (?, ?)"
+    ),
+  };
+  /**
+   * Grava um snapshot por imóvel (deduplicado pelo hash do último snapshot).
+   * @returns {{novos: number, alterados: number, inalterados: number}}
+   */
+  const registrarExecucao = db.transaction((detalhes, { data } = {}) => {
+    const coletadoEm = data || new Date().toISOString();
+    const contagem = { novos: 0, alterados: 0, inalterados: 0 };
+
+    for (const det of detalhes || []) {
+      const codigo = (det._imoveis_codigo_imovel || "").trim();
+      if (!codigo) continue;
+
+      const base = {
+        codigo,
+        estado: det._imoveis_estado || "",
+        cidade: det._imoveis_cidade || "",
+        data: coletadoEm,
+      };
+
+      if (stmts.getImovel.get(codigo)) stmts.updImovel.run(base);
+      else stmts.insImovel.run(base);
+
+      const hash = hashRegistro(det);
+      const ultimo = stmts.ultimoHash.get(codigo);
+      if (ultimo && ultimo.hash === hash) {
+        contagem.inalterados++;
+        continue;
+      }
+
+      stmts.insSnapshot.run({
+        codigo,
+        coletado_em: coletadoEm,
+        hash,
+        valor_avaliacao: parseBRL(det._imoveis_valor_avaliacao),
+        valor_minimo: parseBRL(det._imoveis_valor_minimo),
+        valor_minimo_1: parseBRL(det._imoveis_valor_minimo_1_leilao),
+        valor_minimo_2: parseBRL(det._imoveis_valor_minimo_2_leilao),
+        tipo_leilao: det._imoveis_tipo_leilao || "",
+        data_leilao_1: det._imoveis_data_leilao_1 || "",
+        data_leilao_2: det._imoveis_data_leilao_2 || "",
+        dados: JSON.stringify(det),
+      });
+
+      if (ultimo) contagem.alterados++;
+      else contagem.novos++;
+    }
+
+    return contagem;
+  });
+
+  /**
+   * Troca os códigos da listagem do estado pelos desta varredura. Só para a
+   * varredura completa (todas as cidades sem erro, sem filtro): execução parcial
+   * ou com URLs informadas não pode encolher os imóveis atuais.
+   * @param {string} estado UF
+   * @param {Iterable<string>} codigos
+   */
+  const registrarListagem = db.transaction((estado, codigos, { data } = {}) => {
+    stmts.upsListagem.run(estado, data || new Date().toISOString());
+    stmts.delListagem.run(estado);
+    for (const codigo of codigos || []) {
+      const c = String(codigo || "").trim();
+      if (c) stmts.insListagem.run(estado, c);
+    }
+  });
+
+  return {
+    db,
+    registrarExecucao,
+    registrarListagem,
+    ...consultas(db),
+    fechar: () => db.close(),
+  };
+}
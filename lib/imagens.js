@@ -0,0 +1,229 @@
+// lib/imagens.js
+// Espelho local das fotos dos imóveis (_imoveis_imgs_lista).
+//
+// Estrutura (IMAGENS_DIR, padrão ./imagens):
+//   <codigo>/<sha256>.<ext>   fotos do imóvel (nome = hash, a mesma foto repetida vira um arquivo)
+//   indice.json               url -> { sha256, ext, bytes, largura, altura, baixadoEm }
+//
+// Incremental: URL já no índice com o arquivo no lugar não é baixada de novo;
+// a mesma foto em outro imóvel é copiada (hard link) do arquivo existente.
+// O índice é gravado durante a fase (salvarACadaMs) e no fim, mesmo com erro.
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { comRetry } from "./falhas.js";
+import { logConsole } from "./log.js";
+
+const USER_AGENT =
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36";
+
+/** Campos que o espelho acrescenta em cada registro (alinhados com _imoveis_imgs_lista) */
+export const CAMPOS_IMAGENS = [
+  "_imoveis_imgs_local",
+  "_imoveis_imgs_dimensoes",
+  "_imoveis_imgs_bytes",
+];
+
+/**
+ * Formato e dimensões lendo só o cabeçalho (JPEG, PNG, GIF, WebP).
+ * @returns {{ext: string, largura: number|null, altura: number|null}}
+ */
+export function lerDimensoes(buf) {
+  if (buf.length >= 24 && buf.readUInt32BE(0) === 0x89504e47) {
+    return { ext: "png", largura: buf.readUInt32BE(16), altura: buf.readUInt32BE(20) };
+  }
+
+  if (buf.length >= 10 && buf.toString("ascii", 0, 3) === "GIF") {
+    return { ext: "gif", largura: buf.readUInt16LE(6), altura: buf.readUInt16LE(8) };
+  }
+
+  if (buf.length >= 30 && buf.toString("ascii", 0, 4) === "RIFF" && buf.toString("ascii", 8, 12) === "WEBP") {
+    const tipo = buf.toString("ascii", 12, 16);
+    if (tipo === "VP8X") {
+      return { ext: "webp", largura: 1 + buf.readUIntLE(24, 3), altura: 1 + buf.readUIntLE(27, 3) };
+    }
+    if (tipo === "VP8 ") {
+      return { ext: "webp", largura: buf.readUInt16LE(26) & 0x3fff, altura: buf.readUInt16LE(28) & 0x3fff };
+    }
+    if (tipo === "VP8L") {
+      const b = buf.readUInt32LE(21);
+      return { ext: "webp", largura: (b & 0x3fff) + 1, altura: ((b >> 14) & 0x3fff) + 1 };
+    }
+    return { ext: "webp", largura: null, altura: null };
+  }
+
+  if (buf.length >= 4 && buf[0] === 0xff && buf[1] === 0xd8) {
+    // percorre os segmentos até um SOFn (frame header)
+    let i = 2;
+    while (i + 9 < buf.length) {
+      if (buf[i] !== 0xff) {
+        i++;
+        continue;
+      }
+      const marcador = buf[i + 1];
+      if (marcador >= 0xc0 && marcador <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marcador)) {
+        return { ext: "jpg", largura: buf.readUInt16BE(i + 7), altura: buf.readUInt16BE(i + 5) };
+      }
+      if (marcador === 0xd8 || marcador === 0x01 || (marcador >= 0xd0 && marcador <= 0xd7)) {
+        i += 2;
+        continue;
+      }
+      i += 2 + buf.readUInt16BE(i + 2);
+    }
+    return { ext: "jpg", largura: null, altura: null };
+  }
+
+  return { ext: "bin", largura: null, altura: null };
+}
+
+/** Copia por hard link (mesmo disco) ou cópia normal */
+function vincular(origem, destino) {
+  try {
+    fs.linkSync(origem, destino);
+  } catch {
+    fs.copyFileSync(origem, destino);
+  }
+}
+
+/**
+ * Cria o espelho de imagens.
+ * @param {object} [opts]
+ * @param {string} [opts.dir] pasta do espelho
+ * @param {number} [opts.timeoutMs]
+ * @param {{tentativas: number, baseMs: number}} [opts.retry]
+ * @param {number} [opts.salvarACadaMs] intervalo mínimo entre gravações do índice
+ *   durante a fase (uma execução interrompida não perde o que já baixou)
+ */
+export function criarEspelhoImagens({
+  dir = process.env.IMAGENS_DIR || path.join(process.cwd(), "imagens"),
+  timeoutMs = 60000,
+  retry = { tentativas: 3, baseMs: 2000 },
+  salvarACadaMs = 5000,
+} = {}) {
+  const indiceFile = path.join(dir, "indice.json");
+  fs.mkdirSync(dir, { recursive: true });
+
+  const indice = fs.existsSync(indiceFile)
+    ? JSON.parse(fs.readFileSync(indiceFile, "utf-8"))
+    : {};
+
+  // sha256 -> caminho de um arquivo já gravado (para o hard link)
+  const porHash = new Map();
+  for (const info of Object.values(indice)) {
+    if (info.arquivo && fs.existsSync(path.join(dir, info.arquivo))) {
+      porHash.set(info.sha256, path.join(dir, info.arquivo));
+    }
+  }
+
+  let indiceSujo = false;
+  let ultimaGravacao = Date.now();
+  const salvarIndice = () => {
+    const tmp = `${indiceFile}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(indice, null, 2), "utf-8");
+    fs.renameSync(tmp, indiceFile);
+    indiceSujo = false;
+    ultimaGravacao = Date.now();
+  };
+  const salvarIndiceSeDevido = () => {
+    if (indiceSujo && Date.now() - ultimaGravacao >= salvarACadaMs) salvarIndice();
+  };
+
+  const baixar = async (url) => {
+    const res = await fetch(url, {
+      headers: { "User-Agent": USER_AGENT },
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return Buffer.from(await res.arrayBuffer());
+  };
+
+  /** Garante a foto na pasta do imóvel; devolve a entrada do índice + caminho relativo */
+  const espelhar = async (codigo, url, log) => {
+    let info = indice[url];
+    let buf = null;
+
+    if (!info) {
+      buf = await comRetry(() => baixar(url), { ...retry, rotulo: `imagem ${url}`, log });
+      info = {
+        sha256: crypto.createHash("sha256").update(buf).digest("hex"),
+        bytes: buf.length,
+        ...lerDimensoes(buf),
+        baixadoEm: new Date().toISOString(),
+      };
+    }
+
+    const relativo = path.posix.join(codigo, `${info.sha256}.${info.ext}`);
+    const destino = path.join(dir, relativo);
+
+    if (!fs.existsSync(destino)) {
+      fs.mkdirSync(path.dirname(destino), { recursive: true });
+      const existente = porHash.get(info.sha256);
+      if (existente && fs.existsSync(existente)) {
+        vincular(existente, destino);
+      } else {
+        if (!buf) buf = await comRetry(() => baixar(url), { ...retry, rotulo: `imagem ${url}`, log });
+        fs.writeFileSync(destino, buf);
+      }
+    }
+
+    porHash.set(info.sha256, destino);
+    if (!indice[url] || indice[url].arquivo !== relativo) {
+      indice[url] = { ...info, arquivo: relativo };
+      indiceSujo = true;
+    }
+    return { ...info, arquivo: relativo, baixou: buf !== null };
+  };
+
+  /**
+   * Espelha as fotos de cada registro e preenche os campos locais
+   * (uma entrada por URL da lista; vazia se a foto falhou).
+   * @param {object} [opts.log] logger da fase (estado/fase no contexto)
+   */
+  const processar = async (detalhes, { log = logConsole } = {}) => {
+    let baixadas = 0;
+    let falhas = 0;
+
+    try {
+      for (const det of detalhes) {
+        const codigo = String(det._imoveis_codigo_imovel || "").replace(/[^\w-]/g, "");
+        const urls = (det._imoveis_imgs_lista || "").split("|").map((u) => u.trim()).filter(Boolean);
+
+        const locais = [];
+        const dimensoes = [];
+        const bytes = [];
+
+        for (const url of codigo ? urls : []) {
+          try {
+            const info = await espelhar(codigo, url, log);
+            if (info.baixou) baixadas++;
+            locais.push(info.arquivo);
+            dimensoes.push(info.largura && info.altura ? `${info.largura}x${info.altura}` : "");
+            bytes.push(String(info.bytes));
+          } catch (err) {
+            falhas++;
+            log.warn(`      ⚠️ Imagem de ${codigo} (${url}): ${err.message}`, { codigo, url });
+            locais.push("");
+            dimensoes.push("");
+            bytes.push("");
+          }
+          salvarIndiceSeDevido();
+        }
+
+        det._imoveis_imgs_local = locais.join("|");
+        det._imoveis_imgs_dimensoes = dimensoes.join("|");
+        det._imoveis_imgs_bytes = bytes.join("|");
+      }
+    } finally {
+      salvarIndice();
+    }
+
+    log.info(`🖼  Imagens: ${baixadas} baixadas, ${falhas} com falha (espelho em ${dir}).`, {
+      baixadas,
+      falhas,
+    });
+    return detalhes;
+  };
+
+  return { dir, processar };
+}
@@ -0,0 +1,78 @@
+// lib/log.js
+// Logger com níveis e contexto para o fluxo do scraper.
+//
+// O console continua recebendo as mesmas mensagens (emoji, texto livre);
+// LOG_NIVEL (debug|info|warn|error, padrão info) corta as menos importantes.
+// Com LOG_JSON=<arquivo> cada linha também é acrescentada a um JSON-lines com
+// data, nível, mensagem e o contexto (execucao, estado, cidadeCodigo, cidade,
+// codigo, fase, duracaoMs, categoria...), para responder com jq/grep perguntas
+// como "quantos detalhes falharam em Ji-Paraná ontem?".
+
+import fs from "node:fs";
+
+/** Níveis em ordem crescente de importância */
+export const NIVEIS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const METODO_CONSOLE = { debug: "log", info: "log", warn: "warn", error: "error" };
+
+/** Mensagem sem emoji/quebras do começo (campo msg do JSON) */
+const limparMensagem = (msg) => String(msg).replace(/^[^\p{L}\p{N}]+/u, "").trim();
+
+/**
+ * Cria o logger.
+ * @param {object} [opts]
+ * @param {string} [opts.nivel] padrão LOG_NIVEL ou info
+ * @param {string|null} [opts.arquivoJson] JSON-lines (acrescenta), padrão LOG_JSON
+ * @param {object} [opts.contexto] campos presentes em toda linha JSON
+ */
+export function criarLogger({
+  nivel = process.env.LOG_NIVEL || "info",
+  arquivoJson = process.env.LOG_JSON || null,
+  contexto = {},
+} = {}) {
+  const minimo = NIVEIS[String(nivel).toLowerCase()];
+  if (!minimo) {
+    throw new Error(`LOG_NIVEL inválido: ${nivel} (${Object.keys(NIVEIS).join("|")})`);
+  }
+  // descritor compartilhado com os filhos
+  const saida = { fd: arquivoJson ? fs.openSync(arquivoJson, "a") : null };
+
+  const montar = (ctx) => {
+    const escrever = (nivelLinha, msg, campos = {}) => {
+      if (NIVEIS[nivelLinha] < minimo) return;
+      console[METODO_CONSOLE[nivelLinha]](msg);
+      if (saida.fd === null) return;
+      const linha = {
+        ts: new Date().toISOString(),
+        nivel: nivelLinha,
+        msg: limparMensagem(msg),
+        ...ctx,
+        ...campos,
+      };
+      fs.writeSync(saida.fd, `${JSON.stringify(linha)}\n`);
+    };
+
+    return {
+      nivel: String(nivel).toLowerCase(),
+      arquivoJson,
+      debug: (msg, campos) => escrever("debug", msg, campos),
+      info: (msg, campos) => escrever("info", msg, campos),
+      warn: (msg, campos) => escrever("warn", msg, campos),
+      error: (msg, campos) => escrever("error", msg, campos),
+
+      /** Logger com contexto extra (ex.: { estado, cidadeCodigo }) */
+      filho: (extra) => montar({ ...ctx, ...extra }),
+
+      fechar() {
+        if (saida.fd === null) return;
+        fs.closeSync(saida.fd);
+        saida.fd = null;
+      },
+    };
+  };
+
+  return montar(contexto);
+}
+
+/** Logger só de console (padrão de quem não recebe um) */
+export const logConsole = criarLogger({ nivel: "info", arquivoJson: null });
@@ -0,0 +1,142 @@
+// lib/manifesto.js
+// run-manifest.json: o que rodou, com qual configuração e o que saiu.
+//
+// Início/fim e situação da execução, versões (scraper, node, perfil, motor e
+// dependências instaladas), configuração efetiva, contagens por estado e cidade
+// (URLs, extraídos, falhas), resumo das falhas e da qualidade, e cada arquivo
+// gerado com bytes + sha256 (caminhos relativos ao diretório das saídas).
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { gravarJsonAtomico } from "./checkpoint.js";
+
+export const ARQUIVO_MANIFESTO = "run-manifest.json";
+
+const RAIZ = fileURLToPath(new URL("..", import.meta.url));
+
+const lerJson = (file) => {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch {
+    return null;
+  }
+};
+
+/** sha256 (hex) do conteúdo de um arquivo */
+export function hashArquivo(file) {
+  return crypto.createHash("sha256").update(fs.readFileSync(file)).digest("hex");
+}
+
+/** Versões do scraper, do node e das dependências instaladas (+ extras) */
+export function versoesExecucao(extras = {}) {
+  const pacote = lerJson(path.join(RAIZ, "package.json")) || {};
+  const dependencias = {};
+  for (const nome of Object.keys(pacote.dependencies || {})) {
+    const instalado = lerJson(path.join(RAIZ, "node_modules", nome, "package.json"));
+    dependencias[nome] = instalado ? instalado.version : null;
+  }
+  return { scraper: pacote.version || null, node: process.version, ...extras, dependencias };
+}
+
+/**
+ * Contagens por estado e cidade.
+ * @param {Object<string, object>} porEstado UF -> resultado de scrapeEstado
+ * @param {object[]} falhas itens do registro de falhas
+ */
+export function contagensExecucao(porEstado, falhas = []) {
+  const estados = {};
+  for (const [uf, res] of Object.entries(porEstado)) {
+    const extraidos = {};
+    for (const d of res.detalhes || []) {
+      const cod = String(d._imoveis_cidade_codigo || "");
+      extraidos[cod] = (extraidos[cod] || 0) + 1;
+    }
+    const falhasUf = falhas.filter((f) => f.estado === uf);
+
+    const cidades = {};
+    for (const [cod, info] of Object.entries(res.urlsPorCidade || {})) {
+      cidades[cod] = {
+        cidade: info.cidade || "",
+        urls: (info.urls || []).length,
+        extraidos: extraidos[cod] || 0,
+        falhas: falhasUf.filter((f) => String(f.cidadeCodigo || "") === cod).length,
+        ...(info.erro ? { erro: info.erro } : {}),
+      };
+    }
+
+    estados[uf] = {
+      urls: Object.values(cidades).reduce((n, c) => n + c.urls, 0),
+      extraidos: (res.detalhes || []).length,
+      falhas: falhasUf.length,
+      qualidadeAprovada: res.qualidade ? res.qualidade.aprovado : null,
+      cidades,
+    };
+  }
+  return estados;
+}
+
+/** Arquivos que existem, com bytes e sha256 (sem repetir) */
+export function descreverArquivos(arquivos, dir) {
+  return Array.from(new Set(arquivos.filter(Boolean)))
+    .filter((f) => fs.existsSync(f))
+    .map((f) => ({
+      arquivo: path.relative(dir, f),
+      bytes: fs.statSync(f).size,
+      sha256: hashArquivo(f),
+    }));
+}
+
+/**
+ * Monta o manifesto.
+ * @param {object} dados
+ * @param {string} dados.execucao id da execução (também nas linhas de log)
+ * @param {Date} dados.inicio
+ * @param {"concluida"|"falhou"|"erro"|"cancelada"|"interrompida"} dados.situacao
+ * @param {object} dados.versoes ver versoesExecucao
+ * @param {object} dados.configuracao
+ * @param {Object<string, object>} dados.porEstado
+ * @param {object} dados.falhas relatório de falhas (resumo + itens)
+ * @param {string[]} dados.arquivos caminhos gerados
+ * @param {string} dados.dir
+ * @param {string} [dados.erro] mensagem (ou sinal), quando a execução não terminou
+ */
+export function montarManifesto({
+  execucao,
+  inicio,
+  situacao,
+  versoes,
+  configuracao,
+  porEstado,
+  falhas,
+  arquivos,
+  dir,
+  erro = null,
+}) {
+  const fim = new Date();
+  return {
+    execucao,
+    situacao,
+    ...(erro ? { erro } : {}),
+    inicio: inicio.toISOString(),
+    fim: fim.toISOString(),
+    duracaoMs: fim - inicio,
+    versoes,
+    configuracao,
+    contagens: contagensExecucao(porEstado, falhas.falhas || []),
+    falhas: {
+      total: (falhas.falhas || []).length,
+      tentados: falhas.tentados,
+      taxas: falhas.taxas,
+      porCategoria: falhas.porCategoria,
+    },
+    arquivos: descreverArquivos(arquivos, dir),
+  };
+}
+
+/** Grava o manifesto (escrita atômica) */
+export function gravarManifesto(manifesto, file) {
+  gravarJsonAtomico(file, manifesto);
+  return file;
+}
@@ -0,0 +1,275 @@
+// lib/metricas.js
+// Métricas de investimento de cada imóvel e ranking por cidade.
+//
+// Por imóvel (logo depois da extração): preço/m² da área privativa, total e do
+// terreno (valor mínimo de venda / área) e desconto sobre a avaliação em cada
+// leilão. No estado todo (enriquecerMetricas): percentil do preço/m² entre os
+// comparáveis (mesma cidade, bairro e _imoveis_tipo_imovel; 0 = o mais barato),
+// score ponderado de 0 a 100 e posição no ranking da cidade.
+//
+// Score = média ponderada dos componentes disponíveis (cada um de 0 a 1):
+//   desconto   desconto sobre a avaliação
+//   precoM2    1 - percentil do preço/m² entre os comparáveis
+//   pagamento  fração de financiamento, FGTS e parcelamento aceitos
+//   ocupacao   1 desocupado, 0 ocupado (documentos ou descrição)
+// Componente sem dado sai da média (os pesos restantes são renormalizados).
+// METRICAS_PESOS (JSON componente -> peso, mesclado sobre PESOS_PADRAO; null
+// remove), METRICAS_MIN_COMPARAVEIS (padrão 3) e METRICAS_TOP (padrão 10,
+// imóveis por cidade na aba Oportunidades da planilha de análise).
+
+/** Pesos do score quando METRICAS_PESOS não é informado */
+export const PESOS_PADRAO = { desconto: 0.4, precoM2: 0.3, pagamento: 0.15, ocupacao: 0.15 };
+
+/** Campos que as métricas acrescentam em cada registro */
+export const CAMPOS_METRICAS = [
+  "_imoveis_preco_m2_privativa_brl",
+  "_imoveis_preco_m2_total_brl",
+  "_imoveis_preco_m2_terreno_brl",
+  "_imoveis_desconto_1_leilao_pct",
+  "_imoveis_desconto_2_leilao_pct",
+  "_imoveis_comparaveis_qtd",
+  "_imoveis_percentil_preco_m2_pct",
+  "_imoveis_score",
+  "_imoveis_ranking_cidade",
+];
+
+// área -> campo de preço/m²; a primeira que o imóvel tiver é a base do percentil
+const AREAS = [
+  ["_imoveis_area_privativa_m2", "_imoveis_preco_m2_privativa_brl"],
+  ["_imoveis_area_total_m2", "_imoveis_preco_m2_total_brl"],
+  ["_imoveis_area_terreno_m2", "_imoveis_preco_m2_terreno_brl"],
+];
+
+const FORMAS_PAGAMENTO = ["financiamento", "fgts", "parcelamento"];
+
+const numero = (v) => {
+  if (v === "" || v == null) return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+};
+
+const arredondar = (n, casas = 2) => (n == null ? null : Number(n.toFixed(casas)));
+
+const norm = (s) =>
+  (s == null ? "" : String(s))
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+
+/** Lê pesos, mínimo de comparáveis e tamanho do top das ENVs */
+export function lerConfigMetricas(env = process.env) {
+  let extras = {};
+  if (env.METRICAS_PESOS) {
+    try {
+      extras = JSON.parse(env.METRICAS_PESOS);
+    } catch (err) {
+      throw new Error(`METRICAS_PESOS inválido: ${err.message}`);
+    }
+  }
+  const pesos = { ...PESOS_PADRAO };
+  for (const [componente, peso] of Object.entries(extras)) {
+    if (!(componente in PESOS_PADRAO)) {
+      throw new Error(
+        `METRICAS_PESOS: componente desconhecido ${componente} (${Object.keys(PESOS_PADRAO).join("|")}).`
+      );
+    }
+    if (peso == null) delete pesos[componente];
+    else if (Number.isFinite(Number(peso)) && Number(peso) >= 0) pesos[componente] = Number(peso);
+    else throw new Error(`METRICAS_PESOS: peso inválido para ${componente}.`);
+  }
+
+  return {
+    pesos,
+    minComparaveis: Math.max(1, parseInt(env.METRICAS_MIN_COMPARAVEIS || "3", 10) || 1),
+    top: Math.max(1, parseInt(env.METRICAS_TOP || "10", 10) || 10),
+  };
+}
+
+/** Preço/m² de cada área e desconto de cada leilão (só o próprio registro) */
+export function metricasImovel(det) {
+  const valorMinimo = numero(det._imoveis_valor_minimo_brl);
+  const avaliacao = numero(det._imoveis_valor_avaliacao_brl);
+
+  const metricas = {};
+  for (const [campoArea, campoPreco] of AREAS) {
+    const area = numero(det[campoArea]);
+    metricas[campoPreco] = valorMinimo != null && area > 0 ? arredondar(valorMinimo / area) : null;
+  }
+
+  const desconto = (campo) => {
+    const valor = numero(det[campo]);
+    return valor != null && avaliacao > 0 ? arredondar((1 - valor / avaliacao) * 100) : null;
+  };
+  metricas._imoveis_desconto_1_leilao_pct = desconto("_imoveis_valor_minimo_1_leilao_brl");
+  metricas._imoveis_desconto_2_leilao_pct = desconto("_imoveis_valor_minimo_2_leilao_brl");
+  return metricas;
+}
+
+/** Fração (0..1) das formas de pagamento aceitas; null sem o texto */
+export function pontuarPagamento(texto) {
+  const t = norm(texto);
+  if (!t) return null;
+  // "Permite financiamento. Não permite utilização de FGTS." -> frase a frase
+  const frases = t.split(/[.;\n|]+/);
+  const aceitas = FORMAS_PAGAMENTO.filter((forma) =>
+    frases.some((f) => f.includes(forma) && !/\b(nao|sem)\b/.test(f))
+  );
+  return aceitas.length / FORMAS_PAGAMENTO.length;
+}
+
+/** 1 desocupado, 0 ocupado, null sem informação (documentos têm prioridade) */
+export function pontuarOcupacao(det) {
+  const doc = det._imoveis_doc_ocupado;
+  if (doc === "sim") return 0;
+  if (doc === "nao") return 1;
+  const t = norm(det._imoveis_descricao);
+  if (/\bdesocupad[oa]\b/.test(t)) return 1;
+  if (/\bocupad[oa]\b/.test(t)) return 0;
+  return null;
+}
+
+/** Média ponderada (0..100) dos componentes disponíveis; null se nenhum */
+export function calcularScore(componentes, pesos = PESOS_PADRAO) {
+  let soma = 0;
+  let pesoTotal = 0;
+  for (const [componente, peso] of Object.entries(pesos)) {
+    const valor = componentes[componente];
+    if (valor == null || !peso) continue;
+    soma += peso * Math.min(1, Math.max(0, valor));
+    pesoTotal += peso;
+  }
+  return pesoTotal > 0 ? arredondar((soma / pesoTotal) * 100, 1) : null;
+}
+
+const chaveCidade = (det) =>
+  `${det._imoveis_estado || ""}|${det._imoveis_cidade_codigo || norm(det._imoveis_cidade)}`;
+
+/** Agrupa preservando a ordem de chegada */
+function agrupar(itens, chave) {
+  const grupos = new Map();
+  for (const item of itens) {
+    const k = chave(item);
+    if (k == null) continue;
+    if (!grupos.has(k)) grupos.set(k, []);
+    grupos.get(k).push(item);
+  }
+  return grupos;
+}
+
+/**
+ * Percentil (0..100) do preço/m² de cada imóvel entre os outros do grupo, na
+ * mesma base de área; null com menos de minComparaveis outros.
+ */
+function percentis(grupo, minComparaveis) {
+  const resultado = new Map();
+  for (const det of grupo) {
+    const base = AREAS.map(([, campo]) => campo).find((c) => numero(det[c]) != null);
+    if (!base) {
+      resultado.set(det, { comparaveis: 0, percentil: null });
+      continue;
+    }
+    const preco = numero(det[base]);
+    const outros = grupo
+      .filter((o) => o !== det)
+      .map((o) => numero(o[base]))
+      .filter((n) => n != null);
+    const abaixo = outros.filter((n) => n < preco).length;
+    const iguais = outros.filter((n) => n === preco).length;
+    resultado.set(det, {
+      comparaveis: outros.length,
+      percentil:
+        outros.length >= minComparaveis
+          ? arredondar(((abaixo + iguais / 2) / outros.length) * 100, 1)
+          : null,
+    });
+  }
+  return resultado;
+}
+
+/**
+ * Calcula as métricas de todos os registros (altera os objetos): preço/m²,
+ * descontos, percentil entre comparáveis, score e ranking na cidade.
+ * @param {object[]} detalhes registros do estado (ou de vários)
+ * @param {ReturnType<typeof lerConfigMetricas>} [config]
+ * @returns {{ imoveis: number, comparados: number, pontuados: number }}
+ */
+export function enriquecerMetricas(detalhes, config = lerConfigMetricas()) {
+  for (const det of detalhes) Object.assign(det, metricasImovel(det));
+
+  // comparáveis: mesma cidade, bairro e tipo (sem bairro ou tipo, sem grupo)
+  const comparaveis = agrupar(detalhes, (det) => {
+    const bairro = norm(det._imoveis_bairro);
+    const tipo = norm(det._imoveis_tipo_imovel);
+    return bairro && tipo ? `${chaveCidade(det)}|${bairro}|${tipo}` : null;
+  });
+  const porImovel = new Map();
+  for (const grupo of comparaveis.values()) {
+    for (const [det, p] of percentis(grupo, config.minComparaveis)) porImovel.set(det, p);
+  }
+
+  let comparados = 0;
+  let pontuados = 0;
+  for (const det of detalhes) {
+    const { comparaveis: qtd = 0, percentil = null } = porImovel.get(det) || {};
+    const desconto = numero(det._imoveis_desconto_percentual_pct);
+    const score = calcularScore(
+      {
+        desconto: desconto == null ? null : desconto / 100,
+        precoM2: percentil == null ? null : 1 - percentil / 100,
+        pagamento: pontuarPagamento(det._imoveis_formas_pagamento),
+        ocupacao: pontuarOcupacao(det),
+      },
+      config.pesos
+    );
+    Object.assign(det, {
+      _imoveis_comparaveis_qtd: qtd,
+      _imoveis_percentil_preco_m2_pct: percentil,
+      _imoveis_score: score,
+      _imoveis_ranking_cidade: null,
+    });
+    if (percentil != null) comparados++;
+    if (score != null) pontuados++;
+  }
+
+  // ranking por cidade: maior score primeiro; empate -> maior desconto
+  for (const grupo of agrupar(detalhes, chaveCidade).values()) {
+    grupo
+      .filter((d) => d._imoveis_score != null)
+      .sort(
+        (a, b) =>
+          b._imoveis_score - a._imoveis_score ||
+          (numero(b._imoveis_desconto_percentual_pct) ?? -Infinity) -
+            (numero(a._imoveis_desconto_percentual_pct) ?? -Infinity) ||
+          String(a._imoveis_codigo_imovel).localeCompare(String(b._imoveis_codigo_imovel))
+      )
+      .forEach((det, i) => {
+        det._imoveis_ranking_cidade = i + 1;
+      });
+  }
+
+  return { imoveis: detalhes.length, comparados, pontuados };
+}
+
+/**
+ * Melhores oportunidades de cada cidade, pelo ranking já calculado.
+ * @returns {{ estado: string, cidade: string, imoveis: object[] }[]}
+ */
+export function oportunidadesPorCidade(detalhes, top = lerConfigMetricas().top) {
+  const cidades = [];
+  for (const grupo of agrupar(detalhes, chaveCidade).values()) {
+    const imoveis = grupo
+      .filter((d) => numero(d._imoveis_ranking_cidade) != null && d._imoveis_ranking_cidade <= top)
+      .sort((a, b) => a._imoveis_ranking_cidade - b._imoveis_ranking_cidade);
+    if (imoveis.length === 0) continue;
+    cidades.push({
+      estado: grupo[0]._imoveis_estado || "",
+      cidade: grupo[0]._imoveis_cidade || "",
+      imoveis,
+    });
+  }
+  return cidades.sort(
+    (a, b) => a.estado.localeCompare(b.estado) || a.cidade.localeCompare(b.cidade, "pt-BR")
+  );
+}
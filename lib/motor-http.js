@@ -0,0 +1,278 @@
+// lib/motor-http.js
+// Motor sem browser: chama os mesmos endpoints ASP da busca com fetch + cookies
+// e interpreta o HTML das respostas.
+//
+// Mesma interface do motor puppeteer (index.js):
+//   listarEstados(), listarCidades(uf), buscarUrlsCidade(uf, cidade, filtros, { log }),
+//   workers[], abrirDetalhe(worker, url, meta), fechar()
+//
+// CAIXA_BASE_URL troca o host (ex.: servidor local com respostas gravadas).
+// Seletores e textos das respostas vêm do perfil de extração (lib/perfil.js).
+
+import { parseHTML } from "linkedom";
+import { parseDetalheImovel, CAIXA_ORIGIN } from "./detalhe-parser.js";
+import { ErroScraper, classificarTextoPagina } from "./falhas.js";
+import { escolherOpcao, filtrosParaSelects } from "./filtros.js";
+import { logConsole } from "./log.js";
+import { carregarPerfil, regexPerfil } from "./perfil.js";
+
+/** Endpoints usados pelo JS da página de busca */
+export const ENDPOINTS = {
+  busca: "/sistema/busca-imovel.asp?sltTipoBusca=imoveis",
+  cidades: "/sistema/carregaListaCidades.asp",
+  pesquisa: "/sistema/carregaPesquisaImoveis.asp",
+  detalhe: "/sistema/detalhe-imovel.asp?hdnimovel=",
+};
+
+const USER_AGENT =
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36";
+
+/** Cliente HTTP com cookie jar simples (nome=valor por host) */
+export function criarClienteHttp({ timeoutMs = 120000 } = {}) {
+  const cookies = new Map();
+
+  const guardarCookies = (res) => {
+    const lista =
+      typeof res.headers.getSetCookie === "function"
+        ? res.headers.getSetCookie()
+        : [res.headers.get("set-cookie")].filter(Boolean);
+    for (const c of lista) {
+      const [par] = c.split(";");
+      const i = par.indexOf("=");
+      if (i > 0) cookies.set(par.slice(0, i).trim(), par.slice(i + 1).trim());
+    }
+  };
+
+  const cookieHeader = () =>
+    Array.from(cookies, ([k, v]) => `${k}=${v}`).join("; ");
+
+  /** Decodifica respeitando o charset (a Caixa serve ISO-8859-1) */
+  const lerTexto = async (res) => {
+    const buf = Buffer.from(await res.arrayBuffer());
+    const ct = res.headers.get("content-type") || "";
+    const m = ct.match(/charset=([^;]+)/i);
+    const charset = m ? m[1].trim().toLowerCase() : "utf-8";
+    try {
+      return new TextDecoder(charset).decode(buf);
+    } catch {
+      return buf.toString("utf-8");
+    }
+  };
+
+  return {
+    /** Requisição; retorna { status, url, texto } */
+    async request(url, { method = "GET", form = null, referer = "" } = {}) {
+      const headers = {
+        "User-Agent": USER_AGENT,
+        Accept: "text/html,*/*",
+      };
+      const cookie = cookieHeader();
+      if (cookie) headers.Cookie = cookie;
+      if (referer) headers.Referer = referer;
+
+      let body;
+      if (form) {
+        headers["Content-Type"] = "application/x-www-form-urlencoded; charset=UTF-8";
+        headers["X-Requested-With"] = "XMLHttpRequest";
+        body = new URLSearchParams(form).toString();
+      }
+
+      const res = await fetch(url, {
+        method,
+        headers,
+        body,
+        redirect: "follow",
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      guardarCookies(res);
+
+      return { status: res.status, url: res.url || url, texto: await lerTexto(res) };
+    },
+  };
+}
+
+/** Falha de HTTP: 403/429 = bloqueado; demais = desconhecido */
+function checarStatus({ status, texto }) {
+  if (status === 403 || status === 429) {
+    throw new ErroScraper("bloqueado", `HTTP ${status}`, { status });
+  }
+  if (status >= 400) {
+    const categoria = classificarTextoPagina(texto) || "desconhecido";
+    throw new ErroScraper(categoria, `HTTP ${status}`, { status });
+  }
+}
+
+/** Opções <option value=...> de um fragmento/página */
+function lerOptions(html, seletor = "option") {
+  const { document } = parseHTML(`<select>${html || ""}</select>`);
+  return Array.from(document.querySelectorAll(seletor)).map((o) => ({
+    value: (o.getAttribute("value") || "").trim(),
+    text: (o.textContent || "").trim(),
+  }));
+}
+
+/** IDs de imóveis na resposta da pesquisa (hdnImov* "id||id||..." ou detalhe_imovel(ID)) */
+export function lerIdsPesquisa(html, perfil = carregarPerfil()) {
+  const ids = [];
+  const { document } = parseHTML(`<div>${html || ""}</div>`);
+
+  document.querySelectorAll(perfil.busca.idsPesquisa).forEach((inp) => {
+    (inp.getAttribute("value") || "")
+      .split("||")
+      .map((s) => s.trim())
+      .filter((s) => /^\d+$/.test(s))
+      .forEach((id) => ids.push(id));
+  });
+
+  if (ids.length === 0) {
+    for (const m of (html || "").matchAll(regexPerfil(perfil.busca.idDetalhe, "g"))) ids.push(m[1]);
+  }
+
+  return Array.from(new Set(ids));
+}
+
+/**
+ * Cria o motor HTTP.
+ * @param {object} [opts]
+ * @param {string} [opts.baseUrl] padrão CAIXA_BASE_URL ou o host da Caixa
+ * @param {number} [opts.concorrencia] quantos workers para a fase de detalhes
+ * @param {object} [opts.perfil] perfil de extração (padrão perfis/caixa.json)
+ */
+export function criarMotorHttp({
+  baseUrl = process.env.CAIXA_BASE_URL || CAIXA_ORIGIN,
+  concorrencia = 1,
+  timeoutMs = 120000,
+  perfil = carregarPerfil(),
+} = {}) {
+  const base = baseUrl.replace(/\/$/, "");
+  const cliente = criarClienteHttp({ timeoutMs });
+  const buscaUrl = `${base}${ENDPOINTS.busca}`;
+  let sessaoAberta = false;
+  let htmlBusca = "";
+
+  const detalheUrl = (id) => `${base}${ENDPOINTS.detalhe}${id}`;
+
+  // A busca seta os cookies de sessão usados pelos endpoints AJAX
+  const abrirSessao = async () => {
+    if (sessaoAberta) return;
+    const res = await cliente.request(buscaUrl);
+    checarStatus(res);
+    sessaoAberta = true;
+    htmlBusca = res.texto;
+    return res;
+  };
+
+  /**
+   * Campos de filtro do formulário (cmb_* ou hdn_*), resolvendo o texto do
+   * filtro para o value da option nos selects da página de busca.
+   */
+  const camposFiltro = (prefixo, filtros = {}, log = logConsole) => {
+    const campos = {
+      [`${prefixo}_tp_venda`]: "",
+      [`${prefixo}_tp_imovel`]: "",
+      [`${prefixo}_area_util`]: "",
+      [`${prefixo}_faixa_vlr`]: "",
+      [`${prefixo}_quartos`]: "",
+      [`${prefixo}_vg_garagem`]: "",
+      strValorSimulador: "",
+      strAceitaFGTS: "",
+      strAceitaFinanciamento: "",
+    };
+
+    const selects = filtrosParaSelects(filtros);
+    if (Object.keys(selects).length === 0) return campos;
+
+    const { document } = parseHTML(htmlBusca || "");
+    for (const [id, desejado] of Object.entries(selects)) {
+      const options = Array.from(document.querySelectorAll(`#${id} option`)).map(
+        (o) => ({
+          value: (o.getAttribute("value") || "").trim(),
+          text: (o.textContent || "").trim(),
+        })
+      );
+      // sem o select na página, só dá pra usar código de option ("2")
+      const valor =
+        options.length > 0
+          ? escolherOpcao(options, desejado)
+          : /^\d+$/.test(String(desejado))
+            ? String(desejado)
+            : null;
+      if (!valor) {
+        log.warn(`   ⚠️ Nenhuma opção de #${id} casa com "${desejado}".`, { select: id });
+        continue;
+      }
+      campos[id.replace(/^cmb/, prefixo)] = valor;
+    }
+    return campos;
+  };
+
+  return {
+    nome: "http",
+
+    // sem estado por página: cada worker é só um índice
+    workers: Array.from({ length: Math.max(1, concorrencia) }, (_, i) => i),
+
+    async listarEstados() {
+      sessaoAberta = false;
+      const res = await abrirSessao();
+      const { document } = parseHTML(res.texto);
+      const select = document.querySelector(perfil.busca.estado);
+      return Array.from(select ? select.querySelectorAll("option") : [])
+        .map((o) => (o.getAttribute("value") || "").trim().toUpperCase())
+        .filter((v) => /^[A-Z]{2}$/.test(v));
+    },
+
+    async listarCidades(uf) {
+      await abrirSessao();
+      const res = await cliente.request(`${base}${ENDPOINTS.cidades}`, {
+        method: "POST",
+        referer: buscaUrl,
+        form: { cmb_estado: uf, cmb_cidade: "", ...camposFiltro("cmb") },
+      });
+      checarStatus(res);
+      return lerOptions(res.texto).filter((o) => o.value && o.value !== "0");
+    },
+
+    async buscarUrlsCidade(uf, cidade, filtros = {}, { log = logConsole } = {}) {
+      await abrirSessao();
+      const res = await cliente.request(`${base}${ENDPOINTS.pesquisa}`, {
+        method: "POST",
+        referer: buscaUrl,
+        form: {
+          hdn_estado: uf,
+          hdn_cidade: cidade.value,
+          hdn_bairro: "",
+          ...camposFiltro("hdn", filtros, log),
+        },
+      });
+      checarStatus(res);
+
+      const ids = lerIdsPesquisa(res.texto, perfil);
+      if (ids.length > 0) return ids.map(detalheUrl);
+
+      // mesma regra do browser: vazio só com a mensagem explícita
+      if (res.texto.toUpperCase().includes(perfil.busca.mensagemVazia.toUpperCase())) return [];
+      throw new ErroScraper(
+        classificarTextoPagina(res.texto) || "dados_ausentes",
+        "Resposta da pesquisa sem lista nem mensagem de vazio"
+      );
+    },
+
+    async abrirDetalhe(_worker, url, meta) {
+      await abrirSessao();
+      const res = await cliente.request(url, { referer: buscaUrl });
+      checarStatus(res);
+
+      const dados = parseDetalheImovel(res.texto, { ...(meta || {}), url: res.url }, perfil);
+      if (!dados) {
+        throw new ErroScraper(
+          classificarTextoPagina(res.texto) || "dados_ausentes",
+          `${perfil.detalhe.raiz} não encontrado`
+        );
+      }
+      return dados;
+    },
+
+    async fechar() {},
+  };
+}
@@ -0,0 +1,223 @@
+// lib/perfil.js
+// Perfil de extração: seletores CSS, rótulos e regexes das páginas da Caixa num
+// JSON versionado (padrão perfis/caixa.json), lido em tempo de execução pelo
+// parser do detalhe, pela coleta de URLs e pelo assistente de busca.
+//
+// PERFIL (ou --perfil=arquivo.json) troca o perfil: uma mudança de layout vira
+// um perfil novo (ou um ajuste no JSON), e o antigo continua servindo para
+// reprocessar páginas salvas. A carga valida tudo (seletor que não compila,
+// regex inválida, rótulo vazio, chave faltando ou desconhecida) antes de a
+// execução começar. Cada regex é um texto (sem flags) ou { regex, flags }, com
+// as flags que aquela entrada precisa (ex.: "i" para ignorar maiúsculas).
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseHTML } from "linkedom";
+
+/** Versão do formato do perfil que este código entende */
+export const FORMATO_PERFIL = 1;
+
+export const PERFIL_PADRAO = fileURLToPath(new URL("../perfis/caixa.json", import.meta.url));
+
+const RE_CAMPO = /^_imoveis_[a-z0-9_]+$/;
+
+// tipos: "texto" | "seletor" | "regex" (texto ou { regex, flags }) | "rotulo"
+// (texto ou lista de alternativas)
+// ["tipo"] = lista não vazia; { mapa: tipo } = campo _imoveis_* -> tipo;
+// "regras" = lista de { campo, detectar, remover? }
+const ESQUEMA = {
+  nome: "texto",
+  versao: "texto",
+  formato: "formato",
+  descricao: "opcional",
+  busca: {
+    overlays: ["seletor"],
+    estado: "seletor",
+    cidade: "seletor",
+    botaoEtapa1: "seletor",
+    botaoEtapa2: "seletor",
+    aguardarEtapa2: ["seletor"],
+    itemLista: "seletor",
+    linkDetalhe: "seletor",
+    idDetalhe: "regex",
+    totalPaginas: "seletor",
+    funcaoPaginacao: "texto",
+    idsPesquisa: "seletor",
+    mensagemVazia: "texto",
+  },
+  detalhe: {
+    raiz: "seletor",
+    titulo: "seletor",
+    codigo: "seletor",
+    paragrafosValores: "seletor",
+    marcadorValores: "texto",
+    valores: { mapa: "regex" },
+    colunas: "seletor",
+    rotulosDados: { mapa: "rotulo" },
+    rotulosAreas: { mapa: "rotulo" },
+    caixaRelacionada: "seletor",
+    tipoLeilao: ["seletor"],
+    spansRelacionados: "regras",
+    paragrafosRelacionados: "regras",
+    linkMatricula: "seletor",
+    linksDocumento: "seletor",
+    textoLinkEdital: "texto",
+    miniaturas: "seletor",
+    ocultos: { estado: "seletor", cidade: "seletor", bairro: "seletor" },
+  },
+};
+
+const { document: docValidacao } = parseHTML("<html><body></body></html>");
+
+const textoValido = (v) => typeof v === "string" && v.trim() !== "";
+
+/** Valida um valor escalar; retorna a mensagem de erro ou null */
+function erroEscalar(tipo, v) {
+  if (tipo === "opcional") return v === undefined || typeof v === "string" ? null : "deve ser texto";
+  if (tipo === "formato") {
+    return v === FORMATO_PERFIL ? null : `formato ${v} não suportado (esperado ${FORMATO_PERFIL})`;
+  }
+  if (tipo === "regex") return erroRegex(v);
+  if (tipo === "rotulo") {
+    const lista = Array.isArray(v) ? v : [v];
+    return lista.length > 0 && lista.every(textoValido) ? null : "deve ser texto ou lista de textos";
+  }
+  if (!textoValido(v)) return "deve ser texto não vazio";
+  if (tipo === "seletor") {
+    try {
+      docValidacao.querySelector(v);
+    } catch (err) {
+      return `seletor inválido (${err.message})`;
+    }
+  }
+  return null;
+}
+
+/** Flags aceitas: "g" e "y" deixariam test()/match() dependentes de lastIndex */
+const RE_FLAGS = /^[imsu]*$/;
+
+/** Valida uma regex do perfil (texto ou { regex, flags }) */
+function erroRegex(v) {
+  const objeto = v !== null && typeof v === "object" && !Array.isArray(v);
+  const fonte = objeto ? v.regex : v;
+  const flags = objeto ? v.flags ?? "" : "";
+  if (!textoValido(fonte)) {
+    return objeto ? "regex deve ser texto não vazio" : "deve ser texto não vazio ou { regex, flags }";
+  }
+  if (objeto) {
+    const extra = Object.keys(v).filter((k) => k !== "regex" && k !== "flags");
+    if (extra.length > 0) return `chave desconhecida (${extra.join(", ")})`;
+    if (typeof flags !== "string" || !RE_FLAGS.test(flags)) return `flags inválidas (${flags}); use i, m, s, u`;
+  }
+  try {
+    new RegExp(fonte, flags);
+  } catch (err) {
+    return `regex inválida (${err.message})`;
+  }
+  return null;
+}
+
+/** Percorre o esquema acumulando erros com o caminho da chave */
+function validar(esquema, valor, caminho, erros) {
+  if (typeof esquema === "string" && esquema !== "regras") {
+    const erro = erroEscalar(esquema, valor);
+    if (erro) erros.push(`${caminho}: ${erro}`);
+    return;
+  }
+
+  if (esquema === "regras") {
+    if (!Array.isArray(valor) || valor.length === 0) {
+      erros.push(`${caminho}: deve ser lista não vazia de { campo, detectar, remover? }`);
+      return;
+    }
+    valor.forEach((regra, i) => {
+      const c = `${caminho}[${i}]`;
+      if (!regra || typeof regra !== "object") return erros.push(`${c}: deve ser objeto`);
+      if (!RE_CAMPO.test(regra.campo || "")) erros.push(`${c}.campo: deve ser um campo _imoveis_*`);
+      validar("regex", regra.detectar, `${c}.detectar`, erros);
+      if (regra.remover !== undefined) validar("regex", regra.remover, `${c}.remover`, erros);
+      for (const k of Object.keys(regra)) {
+        if (!["campo", "detectar", "remover"].includes(k)) erros.push(`${c}.${k}: chave desconhecida`);
+      }
+    });
+    return;
+  }
+
+  if (Array.isArray(esquema)) {
+    if (!Array.isArray(valor) || valor.length === 0) {
+      erros.push(`${caminho}: deve ser lista não vazia`);
+      return;
+    }
+    valor.forEach((item, i) => validar(esquema[0], item, `${caminho}[${i}]`, erros));
+    return;
+  }
+
+  if (!valor || typeof valor !== "object" || Array.isArray(valor)) {
+    erros.push(`${caminho}: deve ser objeto`);
+    return;
+  }
+
+  if (esquema.mapa) {
+    const entradas = Object.entries(valor);
+    if (entradas.length === 0) erros.push(`${caminho}: vazio`);
+    for (const [campo, v] of entradas) {
+      if (!RE_CAMPO.test(campo)) erros.push(`${caminho}.${campo}: deve ser um campo _imoveis_*`);
+      validar(esquema.mapa, v, `${caminho}.${campo}`, erros);
+    }
+    return;
+  }
+
+  for (const [chave, sub] of Object.entries(esquema)) {
+    validar(sub, valor[chave], caminho ? `${caminho}.${chave}` : chave, erros);
+  }
+  for (const chave of Object.keys(valor)) {
+    if (!(chave in esquema)) erros.push(`${caminho ? `${caminho}.` : ""}${chave}: chave desconhecida`);
+  }
+}
+
+/**
+ * Valida um perfil já lido; lança Error listando todos os problemas.
+ * @returns {object} o próprio perfil
+ */
+export function validarPerfil(perfil, origem = "perfil") {
+  const erros = [];
+  validar(ESQUEMA, perfil, "", erros);
+  if (erros.length > 0) {
+    throw new Error(`Perfil de extração inválido (${origem}):\n - ${erros.join("\n - ")}`);
+  }
+  return perfil;
+}
+
+const cache = new Map();
+
+/** Lê e valida um perfil (cache por caminho) */
+export function carregarPerfil(file = PERFIL_PADRAO) {
+  const abs = path.resolve(file);
+  if (!cache.has(abs)) {
+    let perfil;
+    try {
+      perfil = JSON.parse(fs.readFileSync(abs, "utf-8"));
+    } catch (err) {
+      throw new Error(`Perfil de extração ilegível (${abs}): ${err.message}`);
+    }
+    cache.set(abs, validarPerfil(perfil, abs));
+  }
+  return cache.get(abs);
+}
+
+/** Perfil de --perfil=arquivo ou ENV PERFIL (padrão perfis/caixa.json) */
+export function lerPerfil(argv = process.argv, env = process.env) {
+  const arg = argv.find((a) => a.startsWith("--perfil="));
+  return carregarPerfil((arg ? arg.slice("--perfil=".length) : env.PERFIL) || PERFIL_PADRAO);
+}
+
+/**
+ * Regex de uma entrada do perfil, com as flags dela (texto = sem flags)
+ * @param {string|{regex: string, flags?: string}} entrada
+ * @param {string} [extras] flags somadas às da entrada (ex.: "g" para matchAll)
+ */
+export function regexPerfil(entrada, extras = "") {
+  const { regex, flags = "" } = typeof entrada === "string" ? { regex: entrada } : entrada;
+  return new RegExp(regex, flags + extras);
+}
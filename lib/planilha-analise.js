@@ -0,0 +1,272 @@
+// lib/planilha-analise.js
+// Planilha para análise (exportador "analise" -> <base>.analise.xlsx).
+//
+// Abas: Resumo (por cidade e tipo: quantidade, desconto médio, faixas de valor),
+// Oportunidades (top METRICAS_TOP de cada cidade pelo score, lib/metricas.js),
+// Imoveis (todos) e uma aba por cidade, com cabeçalhos em português, valores
+// numéricos formatados (R$, m², %), datas, links clicáveis (página do imóvel,
+// edital, matrícula), cabeçalho congelado e autofiltro; Metadados no fim.
+//
+// A planilha "plana" (exportador xlsx, colunas _imoveis_*) continua sendo a
+// lida pelo sync-wp.js, diff e API; esta é só para leitura humana.
+
+import ExcelJS from "exceljs";
+import { urlDetalhe } from "./detalhe-parser.js";
+import { oportunidadesPorCidade } from "./metricas.js";
+
+const FORMATOS = {
+  moeda: '"R$" #,##0.00',
+  area: '#,##0.00 "m²"',
+  pct: "0.0%",
+  inteiro: "0",
+  decimal: "0.0",
+  data: "dd/mm/yyyy hh:mm",
+};
+
+/** Colunas das abas de imóveis: campo de origem, título e formato */
+export const COLUNAS_ANALISE = [
+  { campo: "_imoveis_codigo_imovel", titulo: "Código", largura: 16 },
+  { campo: "_imoveis_estado", titulo: "UF", largura: 5 },
+  { campo: "_imoveis_cidade", titulo: "Cidade", largura: 22 },
+  { campo: "_imoveis_bairro", titulo: "Bairro", largura: 22 },
+  { campo: "_imoveis_tipo_imovel", titulo: "Tipo", largura: 14 },
+  { campo: "_imoveis_titulo", titulo: "Título", largura: 40 },
+  { campo: "_imoveis_endereco_completo", titulo: "Endereço", largura: 45 },
+  { campo: "_imoveis_valor_avaliacao_brl", titulo: "Valor de avaliação", formato: "moeda" },
+  { campo: "_imoveis_valor_minimo_brl", titulo: "Valor mínimo de venda", formato: "moeda" },
+  { campo: "_imoveis_valor_minimo_1_leilao_brl", titulo: "Valor mínimo 1º leilão", formato: "moeda" },
+  { campo: "_imoveis_valor_minimo_2_leilao_brl", titulo: "Valor mínimo 2º leilão", formato: "moeda" },
+  { campo: "_imoveis_desconto_percentual_pct", titulo: "Desconto", formato: "pct" },
+  { campo: "_imoveis_area_privativa_m2", titulo: "Área privativa", formato: "area" },
+  { campo: "_imoveis_area_total_m2", titulo: "Área total", formato: "area" },
+  { campo: "_imoveis_area_terreno_m2", titulo: "Área do terreno", formato: "area" },
+  { campo: "_imoveis_quartos_qtd", titulo: "Quartos", formato: "inteiro", largura: 9 },
+  { campo: "_imoveis_garagem_qtd", titulo: "Vagas", formato: "inteiro", largura: 9 },
+  { campo: "_imoveis_preco_m2_privativa_brl", titulo: "R$/m² privativa", formato: "moeda" },
+  { campo: "_imoveis_preco_m2_total_brl", titulo: "R$/m² total", formato: "moeda" },
+  { campo: "_imoveis_preco_m2_terreno_brl", titulo: "R$/m² terreno", formato: "moeda" },
+  { campo: "_imoveis_desconto_1_leilao_pct", titulo: "Desconto 1º leilão", formato: "pct" },
+  { campo: "_imoveis_desconto_2_leilao_pct", titulo: "Desconto 2º leilão", formato: "pct" },
+  { campo: "_imoveis_percentil_preco_m2_pct", titulo: "Percentil R$/m²", formato: "pct" },
+  { campo: "_imoveis_comparaveis_qtd", titulo: "Comparáveis", formato: "inteiro", largura: 12 },
+  { campo: "_imoveis_score", titulo: "Score", formato: "decimal", largura: 9 },
+  { campo: "_imoveis_ranking_cidade", titulo: "Ranking na cidade", formato: "inteiro", largura: 12 },
+  { campo: "_imoveis_tipo_leilao", titulo: "Modalidade", largura: 22 },
+  { campo: "_imoveis_data_leilao_1", titulo: "Data 1º leilão", formato: "data" },
+  { campo: "_imoveis_data_leilao_2", titulo: "Data 2º leilão", formato: "data" },
+  { campo: "_imoveis_matricula", titulo: "Matrícula", largura: 12 },
+  { campo: "_imoveis_comarca", titulo: "Comarca", largura: 18 },
+  { campo: "_imoveis_formas_pagamento", titulo: "Formas de pagamento", largura: 30 },
+  { campo: "_imoveis_codigo_imovel", titulo: "Página do imóvel", link: urlDetalhe, texto: "Abrir" },
+  { campo: "_imoveis_link_edital", titulo: "Edital", link: (url) => url, texto: "Edital" },
+  { campo: "_imoveis_link_matricula", titulo: "Matrícula (PDF)", link: (url) => url, texto: "Matrícula" },
+];
+
+const COLUNAS_RESUMO = [
+  { titulo: "UF", largura: 5 },
+  { titulo: "Cidade", largura: 24 },
+  { titulo: "Tipo", largura: 16 },
+  { titulo: "Imóveis", formato: "inteiro", largura: 9 },
+  { titulo: "Desconto médio", formato: "pct" },
+  { titulo: "Menor valor mínimo", formato: "moeda" },
+  { titulo: "Maior valor mínimo", formato: "moeda" },
+  { titulo: "Valor mínimo médio", formato: "moeda" },
+  { titulo: "Menor avaliação", formato: "moeda" },
+  { titulo: "Maior avaliação", formato: "moeda" },
+];
+
+// aba Oportunidades: posição na cidade primeiro, depois as colunas de sempre
+const COLUNAS_OPORTUNIDADES = [
+  { campo: "_imoveis_ranking_cidade", titulo: "Posição", formato: "inteiro", largura: 9 },
+  ...COLUNAS_ANALISE.filter((c) => c.campo !== "_imoveis_ranking_cidade"),
+];
+
+const ABAS_FIXAS = ["Resumo", "Oportunidades", "Imoveis", "Metadados"];
+
+const numero = (v) => {
+  if (v === "" || v == null) return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+};
+
+/** "dd/mm/aaaa [hh:mm]" -> Date (em UTC, para o Excel mostrar a mesma hora) */
+function dataCelula(texto) {
+  const m = String(texto || "").match(/(\d{2})\/(\d{2})\/(\d{4})(?:\D+(\d{2})[:h](\d{2}))?/);
+  if (!m) return null;
+  const [, d, mes, a, h = "0", min = "0"] = m;
+  return new Date(Date.UTC(+a, +mes - 1, +d, +h, +min));
+}
+
+/** Valor da célula conforme o formato da coluna (texto original se não converter) */
+function valorAnalise(det, coluna) {
+  const bruto = det[coluna.campo];
+  if (coluna.link) {
+    const url = bruto ? coluna.link(bruto) : "";
+    return url ? { text: coluna.texto, hyperlink: url } : null;
+  }
+  if (coluna.formato === "data") return dataCelula(bruto) || (bruto ? String(bruto) : null);
+  if (coluna.formato === "pct") {
+    const n = numero(bruto);
+    return n == null ? null : n / 100;
+  }
+  if (coluna.formato) return numero(bruto);
+  return bruto == null || bruto === "" ? null : String(bruto).replace(/\s+/g, " ").trim();
+}
+
+/** Nome de aba válido no Excel (31 caracteres, sem []:*?/\) e único */
+function nomeAba(nome, usados) {
+  const base = String(nome || "Sem cidade")
+    .replace(/[[\]:*?/\\]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, 31)
+    .trimEnd() || "Sem cidade";
+  let candidato = base;
+  for (let i = 2; usados.has(candidato.toLowerCase()); i++) {
+    const sufixo = ` (${i})`;
+    candidato = base.slice(0, 31 - sufixo.length).trimEnd() + sufixo;
+  }
+  usados.add(candidato.toLowerCase());
+  return candidato;
+}
+
+/** Cabeçalho em negrito, congelado, com autofiltro e larguras */
+function prepararAba(ws, colunas) {
+  ws.columns = colunas.map((c) => ({
+    header: c.titulo,
+    width: c.largura || 18,
+    style: c.formato ? { numFmt: FORMATOS[c.formato] } : {},
+  }));
+  ws.getRow(1).font = { bold: true };
+  ws.views = [{ state: "frozen", ySplit: 1 }];
+  ws.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: colunas.length } };
+}
+
+/** Preenche uma aba de imóveis */
+function abaImoveis(wb, nome, detalhes, colunas = COLUNAS_ANALISE) {
+  const ws = wb.addWorksheet(nome);
+  prepararAba(ws, colunas);
+  for (const det of detalhes) {
+    const row = ws.addRow(colunas.map((c) => valorAnalise(det, c)));
+    colunas.forEach((c, i) => {
+      if (c.link && row.getCell(i + 1).value) {
+        row.getCell(i + 1).font = { color: { argb: "FF0563C1" }, underline: true };
+      }
+    });
+  }
+  return ws;
+}
+
+/** Agrega quantidade, desconto médio e faixas de valor */
+function agregar(detalhes) {
+  const vals = (campo) =>
+    detalhes.map((d) => numero(d[campo])).filter((n) => n != null);
+  const media = (ns) => (ns.length ? ns.reduce((a, b) => a + b, 0) / ns.length : null);
+  const minimos = vals("_imoveis_valor_minimo_brl");
+  const avaliacoes = vals("_imoveis_valor_avaliacao_brl");
+  const descontos = vals("_imoveis_desconto_percentual_pct");
+
+  return [
+    detalhes.length,
+    descontos.length ? media(descontos) / 100 : null,
+    minimos.length ? Math.min(...minimos) : null,
+    minimos.length ? Math.max(...minimos) : null,
+    media(minimos),
+    avaliacoes.length ? Math.min(...avaliacoes) : null,
+    avaliacoes.length ? Math.max(...avaliacoes) : null,
+  ];
+}
+
+/** Agrupa preservando a ordem de chegada */
+function agrupar(itens, chave) {
+  const grupos = new Map();
+  for (const item of itens) {
+    const k = chave(item);
+    if (!grupos.has(k)) grupos.set(k, []);
+    grupos.get(k).push(item);
+  }
+  return grupos;
+}
+
+/**
+ * Monta a planilha de análise.
+ * @param {object[]} detalhes registros com os campos tipados
+ * @param {object} [meta] metadados da execução (aba Metadados)
+ * @param {object} [opts]
+ * @param {number} [opts.top] imóveis por cidade na aba Oportunidades (METRICAS_TOP)
+ * @returns {ExcelJS.Workbook}
+ */
+export function montarPlanilhaAnalise(detalhes, meta = null, { top } = {}) {
+  const wb = new ExcelJS.Workbook();
+  wb.created = new Date();
+
+  const porCidade = agrupar(
+    [...detalhes].sort(
+      (a, b) =>
+        String(a._imoveis_estado || "").localeCompare(String(b._imoveis_estado || "")) ||
+        String(a._imoveis_cidade || "").localeCompare(String(b._imoveis_cidade || ""), "pt-BR")
+    ),
+    (d) => `${d._imoveis_estado || ""}|${d._imoveis_cidade || ""}`
+  );
+  // com mais de um estado a aba leva a UF (cidades homônimas)
+  const variosEstados = new Set(detalhes.map((d) => d._imoveis_estado || "")).size > 1;
+  const usados = new Set(ABAS_FIXAS.map((n) => n.toLowerCase()));
+
+  const resumo = wb.addWorksheet("Resumo");
+  prepararAba(resumo, COLUNAS_RESUMO);
+  abaImoveis(
+    wb,
+    "Oportunidades",
+    oportunidadesPorCidade(detalhes, top).flatMap((c) => c.imoveis),
+    COLUNAS_OPORTUNIDADES
+  );
+  abaImoveis(wb, "Imoveis", detalhes);
+
+  for (const grupo of porCidade.values()) {
+    const { _imoveis_estado: uf = "", _imoveis_cidade: cidade = "" } = grupo[0];
+    const aba = nomeAba(variosEstados ? `${uf} - ${cidade}` : cidade, usados);
+    abaImoveis(wb, aba, grupo);
+
+    // linha da cidade (todos os tipos) com link para a aba, depois cada tipo;
+    // link interno via fórmula (o hyperlink do exceljs vira relação externa)
+    const rotulo = cidade || "Sem cidade";
+    const destino = `#'${aba.replace(/'/g, "''")}'!A1`;
+    const linhaCidade = resumo.addRow([
+      uf,
+      {
+        formula: `HYPERLINK("${destino.replace(/"/g, '""')}","${rotulo.replace(/"/g, '""')}")`,
+        result: rotulo,
+      },
+      "Todos",
+      ...agregar(grupo),
+    ]);
+    linhaCidade.font = { bold: true };
+    const porTipo = agrupar(grupo, (d) => d._imoveis_tipo_imovel || "Não informado");
+    for (const [tipo, doTipo] of porTipo) {
+      resumo.addRow([uf, cidade, tipo, ...agregar(doTipo)]);
+    }
+  }
+
+  if (detalhes.length > 0) {
+    resumo.addRow(["", "Total", "Todos", ...agregar(detalhes)]).font = { bold: true };
+  }
+
+  if (meta) {
+    const ws = wb.addWorksheet("Metadados");
+    ws.columns = [
+      { header: "Chave", width: 20 },
+      { header: "Valor", width: 60 },
+    ];
+    ws.getRow(1).font = { bold: true };
+    for (const [chave, valor] of Object.entries(meta)) {
+      ws.addRow([chave, typeof valor === "object" ? JSON.stringify(valor) : String(valor)]);
+    }
+  }
+
+  return wb;
+}
+
+/** Grava a planilha de análise em arquivo */
+export async function gravarPlanilhaAnalise(detalhes, arquivo, meta = null) {
+  await montarPlanilhaAnalise(detalhes, meta).xlsx.writeFile(arquivo);
+}
@@ -0,0 +1,133 @@
+// lib/pool.js
+// Pool de páginas para a fase de detalhes + limitador global de requisições.
+//
+// - limitador: intervalo mínimo entre requisições (rps), com jitter, e freio
+//   automático quando o tempo de resposta sobe ou aparecem erros
+// - processarEmPool: N workers (um por página) consumindo a mesma fila; o
+//   resultado sai na ordem dos itens, igual a uma execução sequencial
+
+import { logConsole } from "./log.js";
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Cria o limitador global.
+ * @param {object} opts
+ * @param {number} [opts.rps] requisições por segundo (somando todas as páginas)
+ * @param {number} [opts.jitterMs] atraso aleatório extra por requisição (0..jitterMs)
+ * @param {number} [opts.fatorMax] quanto o intervalo pode crescer no freio
+ * @param {object} [opts.log] logger do freio (padrão: só console)
+ */
+export function criarLimitador({ rps = 0.66, jitterMs = 500, fatorMax = 8, log = logConsole } = {}) {
+  const intervaloBase = rps > 0 ? 1000 / rps : 0;
+  let proximo = 0;
+  let fator = 1;
+  let mediaMs = null; // média móvel do tempo de resposta
+  let referenciaMs = null; // média das primeiras respostas (linha de base)
+  let amostras = 0;
+
+  return {
+    /** Espera a vez desta requisição */
+    async aguardar() {
+      const agora = Date.now();
+      const intervalo = intervaloBase * fator;
+      const jitter = jitterMs > 0 ? Math.random() * jitterMs : 0;
+      const vez = Math.max(agora, proximo);
+      proximo = vez + intervalo;
+      const espera = vez - agora + jitter;
+      if (espera > 0) await delay(espera);
+    },
+
+    /** Informa duração/erro da requisição para ajustar o ritmo */
+    registrar({ duracaoMs, erro = false }) {
+      if (typeof duracaoMs === "number") {
+        mediaMs = mediaMs === null ? duracaoMs : mediaMs * 0.8 + duracaoMs * 0.2;
+        amostras++;
+        if (amostras <= 5) referenciaMs = mediaMs;
+      }
+
+      const lento = referenciaMs !== null && mediaMs > referenciaMs * 2;
+
+      if (erro || lento) {
+        const antes = fator;
+        fator = Math.min(fator * 1.5, fatorMax);
+        if (fator !== antes) {
+          log.warn(
+            `   🐢 Reduzindo ritmo (x${fator.toFixed(1)}) — ${erro ? "erro" : "respostas lentas"}.`,
+            { fator }
+          );
+        }
+      } else if (fator > 1) {
+        fator = Math.max(1, fator * 0.9);
+      }
+    },
+
+    /**
+     * Roda uma requisição na vez do limitador e registra o resultado; é o
+     * caminho para quem repete (retry) — cada tentativa espera a sua vez.
+     */
+    async executar(fn) {
+      await this.aguardar();
+      const inicio = Date.now();
+      try {
+        const res = await fn();
+        this.registrar({ duracaoMs: Date.now() - inicio });
+        return res;
+      } catch (err) {
+        this.registrar({ duracaoMs: Date.now() - inicio, erro: true });
+        throw err;
+      }
+    },
+
+    get fator() {
+      return fator;
+    },
+  };
+}
+
+/**
+ * Processa itens com um worker por página; resultados na ordem original.
+ * @param {Array} itens
+ * @param {Array} paginas páginas (ou contexts) do puppeteer, uma por worker
+ * @param {(item, pagina, indice) => Promise<any>} worker
+ * @param {object} [opts]
+ * @param {ReturnType<typeof criarLimitador>} [opts.limitador] uma vaga por item; o
+ *   worker que repete requisições deve usar limitador.executar em cada tentativa
+ * @param {(resultado, item, indice) => void} [opts.aoConcluir] chamado a cada item
+ * @param {AbortSignal} [opts.signal] abortado, nenhum item novo é iniciado
+ * @param {object} [opts.log] logger dos erros do worker (padrão: só console)
+ */
+export async function processarEmPool(itens, paginas, worker, opts = {}) {
+  const { limitador = null, aoConcluir = null, signal = null, log = logConsole } = opts;
+  const resultados = new Array(itens.length).fill(null);
+  let cursor = 0;
+  const abortado = () => !!(signal && signal.aborted);
+
+  const rodar = async (pagina) => {
+    while (cursor < itens.length && !abortado()) {
+      const i = cursor++;
+      const item = itens[i];
+
+      if (limitador) await limitador.aguardar();
+      if (abortado()) break;
+
+      const inicio = Date.now();
+      let res = null;
+      try {
+        res = await worker(item, pagina, i);
+      } catch (err) {
+        log.error(`      ❌ Erro no worker: ${err.message}`);
+        res = null;
+      }
+      if (limitador) {
+        limitador.registrar({ duracaoMs: Date.now() - inicio, erro: res == null });
+      }
+
+      resultados[i] = res;
+      if (aoConcluir) aoConcluir(res, item, i);
+    }
+  };
+
+  await Promise.all(paginas.map((p) => rodar(p)));
+  return resultados;
+}
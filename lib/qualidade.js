@@ -0,0 +1,211 @@
+// lib/qualidade.js
+// Relatório de qualidade dos dados por estado (qualidade_<uf>.json).
+//
+// Se a Caixa muda o HTML, o parser continua devolvendo registros, só que com
+// campos vazios. O relatório mede a taxa de preenchimento de cada _imoveis_*,
+// compara com a última execução aprovada, lista registros que violam
+// invariantes básicas e aplica um gate:
+//   - campo crítico abaixo do mínimo (QUALIDADE_MINIMOS, JSON campo -> fração,
+//     mesclado sobre MINIMOS_PADRAO; null remove o campo)
+//   - campo que costumava vir preenchido (>= 50%) e caiu mais que
+//     QUALIDADE_QUEDA_MAX (padrão 0.3) em relação à referência
+// Com menos de QUALIDADE_MIN_REGISTROS (padrão 10) imóveis o gate não avalia.
+// QUALIDADE_GATE=false só grava o relatório, sem reprovar a execução.
+
+import fs from "node:fs";
+import { logConsole } from "./log.js";
+import { COLUNAS } from "./colunas.js";
+import { CAMPOS_DOCUMENTOS } from "./documentos.js";
+import { CAMPOS_IMAGENS } from "./imagens.js";
+import { CAMPOS_GEO } from "./geocodificacao.js";
+import { CAMPOS_METRICAS } from "./metricas.js";
+
+/** Mínimo de preenchimento dos campos críticos */
+export const MINIMOS_PADRAO = {
+  _imoveis_codigo_imovel: 1,
+  _imoveis_titulo: 0.9,
+  _imoveis_tipo_imovel: 0.9,
+  _imoveis_valor_avaliacao: 0.9,
+  _imoveis_valor_minimo: 0.9,
+  _imoveis_endereco_completo: 0.9,
+  _imoveis_matricula: 0.5,
+};
+
+// só entram no relatório quando a fase opcional rodou
+const CAMPOS_OPCIONAIS = new Set([...CAMPOS_DOCUMENTOS, ...CAMPOS_IMAGENS, ...CAMPOS_GEO]);
+
+// derivados (dependem das áreas e dos comparáveis), não medem o parser
+const CAMPOS_DERIVADOS = new Set(CAMPOS_METRICAS);
+
+// campo que costumava vir preenchido a partir desta taxa entra na checagem de queda
+const BASE_QUEDA = 0.5;
+
+const preenchido = (v) => v != null && String(v).trim() !== "";
+const pct = (x) => `${(x * 100).toFixed(1)}%`;
+const numero = (v) => (preenchido(v) && Number.isFinite(Number(v)) ? Number(v) : null);
+
+/** Invariantes por registro: nome -> (det) => true quando violada */
+export const INVARIANTES = {
+  codigo_ausente: (det) => !preenchido(det._imoveis_codigo_imovel),
+  valor_minimo_acima_avaliacao: (det) => {
+    const minimo = numero(det._imoveis_valor_minimo_brl);
+    const avaliacao = numero(det._imoveis_valor_avaliacao_brl);
+    return minimo != null && avaliacao != null && minimo > avaliacao;
+  },
+  cep_invalido: (det) =>
+    preenchido(det._imoveis_cep) && String(det._imoveis_cep).replace(/\D/g, "").length !== 8,
+  desconto_fora_da_faixa: (det) => {
+    const desconto = numero(det._imoveis_desconto_percentual_pct);
+    return desconto != null && (desconto < 0 || desconto > 100);
+  },
+};
+
+/** Lê os limites do gate das variáveis de ambiente */
+export function lerConfigQualidade(env = process.env) {
+  let extras = {};
+  if (env.QUALIDADE_MINIMOS) {
+    try {
+      extras = JSON.parse(env.QUALIDADE_MINIMOS);
+    } catch (err) {
+      throw new Error(`QUALIDADE_MINIMOS inválido: ${err.message}`);
+    }
+  }
+  const minimos = { ...MINIMOS_PADRAO };
+  for (const [campo, valor] of Object.entries(extras)) {
+    if (valor == null) delete minimos[campo];
+    else if (Number.isFinite(Number(valor))) minimos[campo] = Number(valor);
+    else throw new Error(`QUALIDADE_MINIMOS: valor inválido para ${campo}.`);
+  }
+
+  const quedaLida = parseFloat(env.QUALIDADE_QUEDA_MAX || "0.3");
+  return {
+    minimos,
+    quedaMax: Number.isNaN(quedaLida) ? 0.3 : quedaLida,
+    minRegistros: parseInt(env.QUALIDADE_MIN_REGISTROS || "10", 10) || 0,
+    gate: env.QUALIDADE_GATE !== "false",
+  };
+}
+
+/** Taxa de preenchimento (0..1) de cada campo; null sem registros */
+export function taxasPreenchimento(detalhes) {
+  const campos = COLUNAS.filter(
+    (c) =>
+      !CAMPOS_DERIVADOS.has(c) && (!CAMPOS_OPCIONAIS.has(c) || detalhes.some((d) => c in d))
+  );
+  const taxas = {};
+  for (const campo of campos) {
+    const cheios = detalhes.filter((d) => preenchido(d[campo])).length;
+    taxas[campo] = detalhes.length ? cheios / detalhes.length : null;
+  }
+  return taxas;
+}
+
+/** Registros que violam alguma invariante */
+export function verificarInvariantes(detalhes) {
+  const resumo = Object.fromEntries(Object.keys(INVARIANTES).map((n) => [n, 0]));
+  const registros = [];
+  for (const det of detalhes) {
+    const problemas = Object.entries(INVARIANTES)
+      .filter(([, violada]) => violada(det))
+      .map(([nome]) => nome);
+    if (problemas.length === 0) continue;
+    for (const p of problemas) resumo[p]++;
+    registros.push({
+      codigo: det._imoveis_codigo_imovel || "",
+      cidade: det._imoveis_cidade || "",
+      problemas,
+    });
+  }
+  return { resumo, registros };
+}
+
+/**
+ * Monta o relatório e avalia o gate.
+ * @param {object[]} detalhes registros da execução
+ * @param {object} opts
+ * @param {string} opts.estado
+ * @param {object|null} [opts.anterior] relatório da execução anterior
+ * @param {ReturnType<typeof lerConfigQualidade>} [opts.config]
+ */
+export function avaliarQualidade(detalhes, { estado, anterior = null, config = lerConfigQualidade() }) {
+  const taxas = taxasPreenchimento(detalhes);
+
+  // referência = última execução aprovada (uma reprovada não vira régua)
+  const referencia = !anterior
+    ? null
+    : anterior.aprovado === false
+      ? anterior.referencia || null
+      : { geradoEm: anterior.geradoEm, taxas: anterior.taxas || {} };
+
+  const campos = {};
+  for (const [campo, taxa] of Object.entries(taxas)) {
+    const ant = referencia ? referencia.taxas[campo] : undefined;
+    campos[campo] = {
+      taxa,
+      anterior: ant ?? null,
+      variacao: taxa != null && ant != null ? taxa - ant : null,
+    };
+  }
+
+  const motivos = [];
+  const avaliado = detalhes.length >= config.minRegistros;
+  if (avaliado) {
+    for (const [campo, minimo] of Object.entries(config.minimos)) {
+      const taxa = taxas[campo];
+      if (taxa != null && taxa < minimo) {
+        motivos.push(`${campo}: ${pct(taxa)} preenchido (mínimo ${pct(minimo)})`);
+      }
+    }
+    for (const [campo, { taxa, anterior: ant }] of Object.entries(campos)) {
+      if (taxa == null || ant == null || ant < BASE_QUEDA) continue;
+      if (ant - taxa > config.quedaMax) {
+        motivos.push(`${campo}: caiu de ${pct(ant)} para ${pct(taxa)}`);
+      }
+    }
+  }
+
+  return {
+    estado,
+    geradoEm: new Date().toISOString(),
+    total: detalhes.length,
+    aprovado: !config.gate || motivos.length === 0,
+    gate: { ativo: config.gate, avaliado, motivos },
+    taxas,
+    campos,
+    invariantes: verificarInvariantes(detalhes),
+    referencia,
+  };
+}
+
+/** Lê o relatório anterior (null se não houver ou estiver ilegível) */
+export function lerRelatorioQualidade(file) {
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch {
+    return null;
+  }
+}
+
+/** Grava o relatório e resume no log (padrão: só console) */
+export function gravarRelatorioQualidade(relatorio, file, { log = logConsole } = {}) {
+  fs.writeFileSync(file, JSON.stringify(relatorio, null, 2), "utf-8");
+
+  const { estado, gate, invariantes } = relatorio;
+  const violacoes = Object.entries(invariantes.resumo).filter(([, n]) => n > 0);
+  log.info(`💾 Relatório de qualidade salvo em: ${file}`, { arquivo: file });
+  if (violacoes.length > 0) {
+    log.warn(
+      `   ⚠️ ${estado}: invariantes violadas — ${violacoes.map(([n, q]) => `${n}: ${q}`).join(", ")}.`,
+      { invariantes: Object.fromEntries(violacoes) }
+    );
+  }
+  if (!gate.avaliado) {
+    log.info(`   ℹ️ ${estado}: poucos imóveis (${relatorio.total}), gate de qualidade não avaliado.`, {
+      total: relatorio.total,
+    });
+  }
+  for (const motivo of gate.motivos) {
+    log[gate.ativo ? "error" : "warn"](`   ${gate.ativo ? "❌" : "⚠️"} ${estado}: ${motivo}`, { motivo });
+  }
+}
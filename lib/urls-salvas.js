@@ -0,0 +1,98 @@
+// lib/urls-salvas.js
+// Leitura dos JSONs de URLs gravados pelo scraper, para extrair detalhes de novo
+// sem varrer as cidades (cli.js details).
+//
+// Aceita o arquivo por estado (urls_<uf>_por_cidade.json, _meta.estado) ou o
+// combinado (urls_por_estado.json, { UF: { codCidade: { cidade, urls } } }).
+// Códigos avulsos são localizados nos urls_<uf>_por_cidade.json do diretório
+// (para saber estado e cidade); os não encontrados vão para o único estado pedido.
+
+import fs from "node:fs";
+import path from "node:path";
+import { codigoDaUrl } from "./checkpoint.js";
+import { urlDetalhe } from "./detalhe-parser.js";
+import { logConsole } from "./log.js";
+
+const RE_URLS_ESTADO = /^urls_([a-z]{2})_por_cidade\.json$/i;
+
+/** Remove as chaves de metadados (_meta) de um { codCidade: {...} } */
+const semMeta = (obj) =>
+  Object.fromEntries(Object.entries(obj || {}).filter(([k]) => !k.startsWith("_")));
+
+/**
+ * Lê um JSON de URLs (por estado ou combinado).
+ * @returns {{ meta: object|null, porEstado: Object<string, object> }} UF -> { codCidade: { cidade, urls } }
+ */
+export function lerArquivoUrls(file) {
+  let conteudo;
+  try {
+    conteudo = JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (err) {
+    throw new Error(`JSON de URLs ilegível (${file}): ${err.message}`);
+  }
+  const meta = conteudo._meta || null;
+
+  const match = path.basename(file).match(RE_URLS_ESTADO);
+  const estado = (meta && meta.estado) || (match && match[1]);
+  if (estado) {
+    return { meta, porEstado: { [estado.toUpperCase()]: semMeta(conteudo) } };
+  }
+
+  const porEstado = {};
+  for (const [uf, cidades] of Object.entries(conteudo)) {
+    if (/^[A-Z]{2}$/i.test(uf)) porEstado[uf.toUpperCase()] = semMeta(cidades);
+  }
+  if (Object.keys(porEstado).length === 0) {
+    throw new Error(`Nenhum estado em ${file} (esperado urls_<uf>_por_cidade.json ou urls_por_estado.json).`);
+  }
+  return { meta, porEstado };
+}
+
+/**
+ * Monta { UF: { codCidade: { cidade, urls } } } só com os códigos pedidos.
+ * @param {string[]} codigos
+ * @param {object} opts
+ * @param {string} [opts.dir] onde procurar urls_<uf>_por_cidade.json
+ * @param {string[]} [opts.estados] restringe a busca; com um só estado, recebe os não encontrados
+ * @param {object} [opts.log] logger (padrão: só console)
+ */
+export function urlsDosCodigos(codigos, { dir = process.cwd(), estados = [], log = logConsole } = {}) {
+  const pendentes = new Set(codigos.map((c) => String(c).trim()).filter(Boolean));
+  const porEstado = {};
+  const incluir = (uf, codCidade, cidade, url) => {
+    const cidades = (porEstado[uf] ||= {});
+    (cidades[codCidade] ||= { cidade, urls: [] }).urls.push(url);
+  };
+
+  const arquivos = fs.existsSync(dir)
+    ? fs.readdirSync(dir).filter((f) => RE_URLS_ESTADO.test(f)).sort()
+    : [];
+  for (const file of arquivos) {
+    const uf = file.match(RE_URLS_ESTADO)[1].toUpperCase();
+    if (estados.length > 0 && !estados.includes(uf)) continue;
+    const { porEstado: lido } = lerArquivoUrls(path.join(dir, file));
+    for (const [codCidade, info] of Object.entries(lido[uf] || {})) {
+      for (const url of info.urls || []) {
+        const codigo = codigoDaUrl(url);
+        if (!pendentes.has(codigo)) continue;
+        pendentes.delete(codigo);
+        incluir(uf, codCidade, info.cidade || "", url);
+      }
+    }
+  }
+
+  if (pendentes.size > 0) {
+    if (estados.length !== 1) {
+      throw new Error(
+        `Códigos sem estado conhecido: ${[...pendentes].join(", ")} (informe um único estado em --states).`
+      );
+    }
+    log.warn(
+      `⚠️ ${pendentes.size} código(s) fora dos JSONs de URLs, buscando em ${estados[0]} sem cidade: ${[...pendentes].join(", ")}`,
+      { estado: estados[0], codigos: [...pendentes] }
+    );
+    for (const codigo of pendentes) incluir(estados[0], "", "", urlDetalhe(codigo));
+  }
+
+  return porEstado;
+}
@@ -0,0 +1,376 @@
+// lib/wordpress.js
+// Sincronização dos detalhes com o WordPress (endpoint do plugin de importação).
+//
+// Cada lote vai para POST <WP_URL>/wp-json/imoveis/v1/import como
+//   { estado, meta, chave: "_imoveis_codigo_imovel", lote: {numero, total}, imoveis: [...] }
+// e o plugin faz upsert pela chave (rodar de novo atualiza, não duplica).
+//
+// O que já foi enviado fica em .wp_sync.json (codigo -> hash do registro): só
+// vai o que é novo ou mudou, e o --dry-run mostra o que seria criado/atualizado.
+//
+// Imóveis enviados antes que sumiram da busca (por estado/cidade) vão para
+//   POST <WP_URL>/wp-json/imoveis/v1/unpublish
+//   { estado, chave, acao: "indisponivel", modo: "draft"|"trash"|"meta", codigos: [...] }
+// com trava de segurança contra execução truncada (ver planejarRetirada).
+//
+// Autenticação por ENV:
+//   WP_TOKEN                      -> Authorization: Bearer (plugin JWT)
+//   WP_USER + WP_APP_PASSWORD     -> Authorization: Basic (Application Passwords)
+//   WP_AUTH=bearer|basic força um dos dois quando os dois estão definidos
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { codigoDaUrl } from "./checkpoint.js";
+import { CAMPOS_NAO_COMPARADOS } from "./colunas.js";
+import { comRetry } from "./falhas.js";
+import { logConsole } from "./log.js";
+
+export const CHAVE_IMOVEL = "_imoveis_codigo_imovel";
+export const ROTA_IMPORT = "/wp-json/imoveis/v1/import";
+export const ROTA_RETIRAR = "/wp-json/imoveis/v1/unpublish";
+export const MODOS_RETIRADA = ["draft", "trash", "meta"];
+
+/** Header Authorization a partir do ENV (erro se nada configurado) */
+export function autorizacaoWp(env = process.env) {
+  const temBearer = Boolean(env.WP_TOKEN);
+  const temBasic = Boolean(env.WP_USER && env.WP_APP_PASSWORD);
+  const modo = (env.WP_AUTH || (temBearer ? "bearer" : temBasic ? "basic" : "")).toLowerCase();
+
+  if (modo === "bearer" && temBearer) return `Bearer ${env.WP_TOKEN}`;
+  if (modo === "basic" && temBasic) {
+    // Application Passwords vêm com espaços ("abcd efgh ..."), o WP aceita assim
+    const par = `${env.WP_USER}:${env.WP_APP_PASSWORD}`;
+    return `Basic ${Buffer.from(par).toString("base64")}`;
+  }
+  throw new Error(
+    "Autenticação WP: defina WP_TOKEN (Bearer) ou WP_USER + WP_APP_PASSWORD (Basic)."
+  );
+}
+
+/** Hash estável do registro (chaves ordenadas, sem CAMPOS_NAO_COMPARADOS) */
+export function hashRegistro(registro) {
+  const ordenado = Object.fromEntries(
+    Object.keys(registro)
+      .filter((k) => !CAMPOS_NAO_COMPARADOS.has(k))
+      .sort()
+      .map((k) => [k, registro[k]])
+  );
+  return crypto.createHash("sha1").update(JSON.stringify(ordenado)).digest("hex");
+}
+
+/** Divide em lotes de tamanho n */
+export function emLotes(itens, n) {
+  const tamanho = Math.max(1, n);
+  const lotes = [];
+  for (let i = 0; i < itens.length; i += tamanho) lotes.push(itens.slice(i, i + tamanho));
+  return lotes;
+}
+
+/**
+ * Estado local da sincronização (o que o WP já recebeu).
+ * @param {string} file padrão .wp_sync.json
+ */
+export function abrirEstadoSync(file = path.join(process.cwd(), ".wp_sync.json")) {
+  const dados = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf-8")) : {};
+  dados.imoveis = dados.imoveis || {};
+  dados.estados = dados.estados || {};
+
+  return {
+    file,
+    dados,
+
+    /** "criar" | "atualizar" | "igual" (retirado que voltou = atualizar) */
+    acao(registro) {
+      const anterior = dados.imoveis[String(registro[CHAVE_IMOVEL])];
+      if (!anterior) return "criar";
+      if (anterior.indisponivelEm) return "atualizar";
+      return anterior.hash === hashRegistro(registro) ? "igual" : "atualizar";
+    },
+
+    marcarEnviado(registro, estado) {
+      dados.imoveis[String(registro[CHAVE_IMOVEL])] = {
+        hash: hashRegistro(registro),
+        estado,
+        cidade: String(registro._imoveis_cidade_codigo || ""),
+        enviadoEm: new Date().toISOString(),
+      };
+    },
+
+    /** Mantém estado/cidade em dia para registros que não precisaram de envio */
+    atualizarLocal(registro, estado) {
+      const anterior = dados.imoveis[String(registro[CHAVE_IMOVEL])];
+      if (!anterior) return;
+      anterior.estado = estado;
+      anterior.cidade = String(registro._imoveis_cidade_codigo || anterior.cidade || "");
+    },
+
+    marcarIndisponivel(codigo, modo) {
+      const anterior = dados.imoveis[String(codigo)];
+      if (anterior) Object.assign(anterior, { indisponivelEm: new Date().toISOString(), modo });
+    },
+
+    /** Imóveis do estado publicados (enviados e não retirados) */
+    publicados(estado) {
+      return Object.entries(dados.imoveis)
+        .filter(([, info]) => info.estado === estado && !info.indisponivelEm)
+        .map(([codigo, info]) => ({ codigo, cidade: info.cidade || "" }));
+    },
+
+    /** Filtros da última sincronização do estado (para detectar mudança de busca) */
+    filtrosDoEstado(estado) {
+      return dados.estados[estado] ? dados.estados[estado].filtros : undefined;
+    },
+
+    marcarEstado(estado, filtros) {
+      dados.estados[estado] = { filtros: filtros || {}, sincronizadoEm: new Date().toISOString() };
+    },
+
+    gravar() {
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(dados, null, 2), "utf-8");
+      fs.renameSync(tmp, file);
+    },
+  };
+}
+
+/**
+ * Cliente do endpoint de importação.
+ * @param {object} opts
+ * @param {string} opts.url WP_URL
+ * @param {string} opts.autorizacao header Authorization
+ * @param {{tentativas: number, baseMs: number}} [opts.retry]
+ * @param {object} [opts.log] logger das novas tentativas (padrão: só console)
+ */
+export function criarClienteWp({
+  url,
+  autorizacao,
+  retry = { tentativas: 3, baseMs: 2000 },
+  timeoutMs = 120000,
+  log = logConsole,
+}) {
+  const base = url.replace(/\/$/, "");
+
+  /** POST com retry; 4xx (exceto 408/429) não adianta repetir */
+  const post = (rota, corpo, rotulo) =>
+    comRetry(
+      async () => {
+        const res = await fetch(`${base}${rota}`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json", Authorization: autorizacao },
+          body: JSON.stringify(corpo),
+          signal: AbortSignal.timeout(timeoutMs),
+        });
+        const texto = await res.text();
+        if (!res.ok) {
+          const err = new Error(`HTTP ${res.status}: ${texto.slice(0, 300)}`);
+          err.status = res.status;
+          throw err;
+        }
+        try {
+          return JSON.parse(texto);
+        } catch {
+          return texto;
+        }
+      },
+      {
+        ...retry,
+        rotulo,
+        log,
+        repetir: (err) => !(err.status >= 400 && err.status < 500) || [408, 429].includes(err.status),
+      }
+    );
+
+  return { base, post };
+}
+
+/**
+ * Sincroniza os registros de um estado em lotes.
+ * @returns {Promise<{criar: number, atualizar: number, igual: number, enviados: number, lotesComFalha: number}>}
+ */
+export async function sincronizarEstado(
+  { estado, meta = null, registros },
+  { cliente = null, estadoSync, lote = 50, dryRun = false, forcar = false, log = logConsole }
+) {
+  const contagem = { criar: 0, atualizar: 0, igual: 0, enviados: 0, lotesComFalha: 0 };
+  const pendentes = [];
+
+  for (const r of registros) {
+    if (!r[CHAVE_IMOVEL]) continue;
+    const acao = estadoSync.acao(r);
+    contagem[acao]++;
+    if (acao === "igual") estadoSync.atualizarLocal(r, estado);
+    if (acao !== "igual" || forcar) pendentes.push({ acao, registro: r });
+  }
+
+  if (dryRun) {
+    for (const { acao, registro } of pendentes) {
+      log.info(`   [dry-run] ${acao} ${registro[CHAVE_IMOVEL]} (${estado})`, {
+        estado,
+        codigo: registro[CHAVE_IMOVEL],
+      });
+    }
+    return contagem;
+  }
+
+  const lotes = emLotes(pendentes, lote);
+  for (const [i, itens] of lotes.entries()) {
+    const rotulo = `lote ${i + 1}/${lotes.length} ${estado}`;
+    try {
+      const resposta = await cliente.post(
+        ROTA_IMPORT,
+        {
+          estado,
+          meta,
+          chave: CHAVE_IMOVEL,
+          lote: { numero: i + 1, total: lotes.length },
+          imoveis: itens.map((p) => p.registro),
+        },
+        rotulo
+      );
+      for (const { registro } of itens) estadoSync.marcarEnviado(registro, estado);
+      estadoSync.gravar();
+      contagem.enviados += itens.length;
+      log.info(
+        `   ✅ ${rotulo}: ${itens.length} imóveis ${resposta ? JSON.stringify(resposta).slice(0, 200) : ""}`.trimEnd(),
+        { estado, imoveis: itens.length }
+      );
+    } catch (err) {
+      contagem.lotesComFalha++;
+      log.error(`   ❌ ${rotulo}: ${err.message}`, { estado });
+    }
+  }
+
+  return contagem;
+}
+
+const mesmoJson = (a, b) =>
+  JSON.stringify(Object.entries(a || {}).sort()) === JSON.stringify(Object.entries(b || {}).sort());
+
+/**
+ * Decide quais imóveis publicados sumiram da busca e podem ser retirados.
+ *
+ * Presentes = códigos das URLs da busca (urls_<uf>_por_cidade.json) + registros
+ * do XLSX; detalhe que falhou não conta como vendido. Travas:
+ * - execução parcial (_meta.parcial) ou filtros diferentes do último sync: nada sai
+ * - cidade com "erro" na coleta: ignorada
+ * - cidade fora do JSON: numa execução completa e sem filtros, saiu da lista de
+ *   cidades da Caixa e conta como zerada; senão não foi coletada e é ignorada
+ * - cidade que zerou tendo minCidade+ publicados: ignorada (parece erro de scrape)
+ * - ausentes/publicados do estado acima de limite: nada sai
+ *
+ * @returns {{retirar: {codigo: string, cidade: string}[], recusado: string|null, ignoradas: object[]}}
+ */
+export function planejarRetirada(
+  { estado, urlsPorCidade = {}, registros = [], meta = null },
+  estadoSync,
+  { limite = 0.2, minCidade = 3, forcar = false } = {}
+) {
+  const plano = { retirar: [], recusado: null, ignoradas: [] };
+  const publicados = estadoSync.publicados(estado);
+  if (publicados.length === 0) return plano;
+
+  const presentes = new Set(registros.map((r) => String(r[CHAVE_IMOVEL] || "")));
+  for (const info of Object.values(urlsPorCidade)) {
+    for (const url of (info && info.urls) || []) presentes.add(String(codigoDaUrl(url)));
+  }
+
+  // a Caixa só lista cidades com imóveis: sem filtro, cidade fora da lista zerou
+  const listaCompleta =
+    Boolean(meta) && !meta.parcial && Object.keys(meta.filtros || {}).length === 0;
+
+  const ausentesPorCidade = new Map();
+  const publicadosPorCidade = new Map();
+  for (const p of publicados) {
+    publicadosPorCidade.set(p.cidade, (publicadosPorCidade.get(p.cidade) || 0) + 1);
+    if (presentes.has(p.codigo)) continue;
+    if (!ausentesPorCidade.has(p.cidade)) ausentesPorCidade.set(p.cidade, []);
+    ausentesPorCidade.get(p.cidade).push(p);
+  }
+
+  for (const [cidade, ausentes] of ausentesPorCidade) {
+    const info = urlsPorCidade[cidade];
+    const zerouComMuitos = publicadosPorCidade.get(cidade) >= minCidade && !forcar;
+    let motivo = null;
+    if (!info) {
+      if (!listaCompleta) motivo = "cidade não coletada nesta execução";
+      else if (zerouComMuitos) {
+        motivo = `cidade saiu da lista com ${publicadosPorCidade.get(cidade)} publicados`;
+      }
+    } else if (info.erro) motivo = `erro na coleta da cidade (${info.erro})`;
+    else if (info.urls.length === 0 && zerouComMuitos) {
+      motivo = `cidade zerou com ${publicadosPorCidade.get(cidade)} publicados`;
+    }
+
+    if (motivo) {
+      plano.ignoradas.push({ cidade, nome: info ? info.cidade : "", ausentes: ausentes.length, motivo });
+    } else {
+      plano.retirar.push(...ausentes);
+    }
+  }
+
+  if (forcar) return plano;
+
+  if (meta && meta.parcial) {
+    plano.recusado = "execução parcial (interrompida)";
+  } else if (
+    estadoSync.filtrosDoEstado(estado) !== undefined &&
+    !mesmoJson(estadoSync.filtrosDoEstado(estado), meta ? meta.filtros : {})
+  ) {
+    plano.recusado = "filtros da busca mudaram desde o último sync";
+  } else if (plano.retirar.length / publicados.length > limite) {
+    plano.recusado = `${plano.retirar.length}/${publicados.length} ausentes passa do limite de ${Math.round(limite * 100)}%`;
+  }
+  if (plano.recusado) plano.retirar = [];
+  return plano;
+}
+
+/**
+ * Aplica a retirada (draft/trash/meta) em lotes.
+ * @returns {Promise<{retirados: number, lotesComFalha: number}>}
+ */
+export async function retirarAusentes(
+  { estado, retirar },
+  { cliente = null, estadoSync, modo = "meta", lote = 50, dryRun = false, log = logConsole }
+) {
+  const contagem = { retirados: 0, lotesComFalha: 0 };
+
+  if (dryRun) {
+    for (const { codigo, cidade } of retirar) {
+      log.info(`   [dry-run] retirar (${modo}) ${codigo} (${estado}/${cidade})`, {
+        estado,
+        codigo,
+        cidadeCodigo: cidade,
+      });
+    }
+    return contagem;
+  }
+
+  const lotes = emLotes(retirar, lote);
+  for (const [i, itens] of lotes.entries()) {
+    const rotulo = `retirada ${i + 1}/${lotes.length} ${estado}`;
+    try {
+      await cliente.post(
+        ROTA_RETIRAR,
+        {
+          estado,
+          chave: CHAVE_IMOVEL,
+          acao: "indisponivel",
+          modo,
+          lote: { numero: i + 1, total: lotes.length },
+          codigos: itens.map((p) => p.codigo),
+        },
+        rotulo
+      );
+      for (const { codigo } of itens) estadoSync.marcarIndisponivel(codigo, modo);
+      estadoSync.gravar();
+      contagem.retirados += itens.length;
+      log.info(`   🗑  ${rotulo}: ${itens.length} imóveis (${modo})`, { estado, imoveis: itens.length });
+    } catch (err) {
+      contagem.lotesComFalha++;
+      log.error(`   ❌ ${rotulo}: ${err.message}`, { estado });
+    }
+  }
+
+  return contagem;
+}
@@ -1,67 +1,254 @@
 // sync-wp.js
-// Envia os resultados do scraper para o WordPress.
-// Requer que seu plugin tenha um endpoint de importação, por exemplo:
+// Envia os detalhes dos imóveis (imoveis_<uf>_detalhes.xlsx) para o WordPress,
+// em lotes, com upsert por _imoveis_codigo_imovel (ver lib/wordpress.js).
+// Requer que seu plugin tenha o endpoint de importação:
 //   POST /wp-json/imoveis/v1/import
 //
-// Secrets no GitHub Actions:
-//   WP_URL   -> https://seusite.com
-//   WP_TOKEN -> JWT Bearer token ou Application Password (ver comentário abaixo)
+// Uso:
+//   node sync-wp.js [--dry-run] [--forcar] [--sem-retirada] [--forcar-retirada]
+//                   [--ignorar-qualidade]
+//
+// ENV / Secrets no GitHub Actions:
+//   WP_URL                    -> https://seusite.com (ou um servidor local de teste)
+//   WP_TOKEN                  -> JWT Bearer token
+//   WP_USER + WP_APP_PASSWORD -> Application Password (Basic), alternativa sem plugin
+//   WP_AUTH                   -> bearer|basic quando os dois estão definidos
+//   WP_LOTE                   -> imóveis por requisição (padrão 50)
+//   WP_TENTATIVAS, WP_RETRY_BASE_MS -> retry por lote (padrão 3 / 2000ms)
+//   WP_SYNC_ESTADO            -> arquivo do estado local (padrão .wp_sync.json)
+//   WP_RETIRAR_ACAO           -> draft|trash|meta para imóveis que sumiram (padrão meta)
+//   WP_RETIRAR_LIMITE         -> fração máxima de ausentes por estado (padrão 0.2)
+//   WP_RETIRAR_MIN_CIDADE     -> cidade que zera (ou sai da lista) com tantos publicados é ignorada (padrão 3)
+//
+// --dry-run lista o que seria criado/atualizado/retirado sem enviar nada;
+// --forcar reenvia também o que não mudou desde o último envio;
+// --sem-retirada não mexe nos imóveis que sumiram; --forcar-retirada ignora as travas;
+// estado reprovado no relatório de qualidade (qualidade_<uf>.json) não é enviado,
+// a não ser com --ignorar-qualidade.
+//
+// Também usado por cli.js (sync/run): runSync({ dir, estados, ... }) lê os arquivos
+// de `dir` (padrão cwd) e devolve quantos estados falharam.
+//
+// Saída pelo logger de lib/log.js (LOG_NIVEL, LOG_JSON), com fase "sync" e o estado.
 
 import fs from "node:fs";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import { lerDetalhesXlsx } from "./lib/diff-execucoes.js";
+import { criarLogger } from "./lib/log.js";
+import { lerRelatorioQualidade } from "./lib/qualidade.js";
+import { lerArquivoUrls } from "./lib/urls-salvas.js";
+import {
+  autorizacaoWp,
+  abrirEstadoSync,
+  criarClienteWp,
+  sincronizarEstado,
+  planejarRetirada,
+  retirarAusentes,
+  MODOS_RETIRADA,
+} from "./lib/wordpress.js";
 
-const WP_URL = process.env.WP_URL;
-const WP_TOKEN = process.env.WP_TOKEN;
+// detalhes por estado gerados pelo scraper (imoveis_<uf>_detalhes.xlsx)
+const RE_XLSX_ESTADO = /^imoveis_([a-z]{2})_detalhes\.xlsx$/i;
 
-if (!WP_URL || !WP_TOKEN) {
-  console.error("❌ Defina WP_URL e WP_TOKEN nas variáveis de ambiente.");
-  process.exit(1);
-}
+/**
+ * Sincroniza os estados de `dir` com o WordPress.
+ * Flags padrão vêm de process.argv; erro de configuração lança Error.
+ * @param {object} [opts]
+ * @param {string} [opts.dir] onde estão os imoveis_<uf>_detalhes.xlsx (padrão cwd)
+ * @param {string[]} [opts.estados] só estas UFs (padrão todas do diretório)
+ * @param {object} [opts.log] logger (lib/log.js); padrão um novo com LOG_NIVEL/LOG_JSON
+ * @returns {Promise<{ falhas: number, estados: string[] }>}
+ */
+export async function runSync({
+  dir = process.cwd(),
+  estados = null,
+  dryRun = process.argv.includes("--dry-run"),
+  forcar = process.argv.includes("--forcar"),
+  semRetirada = process.argv.includes("--sem-retirada"),
+  forcarRetirada = process.argv.includes("--forcar-retirada"),
+  ignorarQualidade = process.argv.includes("--ignorar-qualidade"),
+  log: logOpt = null,
+} = {}) {
+  const log = logOpt ? logOpt.filho({ fase: "sync" }) : criarLogger({ contexto: { fase: "sync" } });
+  try {
+    const WP_URL = process.env.WP_URL;
 
-// carrega o JSON gerado pelo scraper (ajuste o nome se mudar de estado)
-const jsonFile = fs
-  .readdirSync(process.cwd())
-  .find((f) => f.startsWith("urls_") && f.endsWith("_por_cidade.json"));
+    const modoRetirada = (process.env.WP_RETIRAR_ACAO || "meta").toLowerCase();
+    if (!MODOS_RETIRADA.includes(modoRetirada)) {
+      throw new Error(`WP_RETIRAR_ACAO inválido: ${modoRetirada} (${MODOS_RETIRADA.join("|")})`);
+    }
+    const limiteLido = parseFloat(process.env.WP_RETIRAR_LIMITE || "0.2");
+    const limiteRetirada = Number.isNaN(limiteLido) ? 0.2 : limiteLido;
+    const minCidade = parseInt(process.env.WP_RETIRAR_MIN_CIDADE || "3", 10) || 3;
 
-if (!jsonFile) {
-  console.error("❌ JSON de URLs não encontrado. Rode o scraper antes.");
-  process.exit(1);
-}
+    if (!WP_URL && !dryRun) {
+      throw new Error("Defina WP_URL nas variáveis de ambiente.");
+    }
+
+    const autorizacao = dryRun ? null : autorizacaoWp();
+
+    const xlsxFiles = (fs.existsSync(dir) ? fs.readdirSync(dir) : [])
+      .filter((f) => RE_XLSX_ESTADO.test(f))
+      .filter((f) => !estados || estados.includes(f.match(RE_XLSX_ESTADO)[1].toUpperCase()))
+      .sort();
+
+    if (xlsxFiles.length === 0) {
+      throw new Error("XLSX de detalhes não encontrado. Rode o scraper antes.");
+    }
+
+    const estadoSync = abrirEstadoSync(
+      process.env.WP_SYNC_ESTADO || path.join(dir, ".wp_sync.json")
+    );
+    const cliente = dryRun
+      ? null
+      : criarClienteWp({
+          url: WP_URL,
+          autorizacao,
+          retry: {
+            tentativas: Math.max(1, parseInt(process.env.WP_TENTATIVAS || "3", 10) || 1),
+            baseMs: parseInt(process.env.WP_RETRY_BASE_MS || "2000", 10) || 0,
+          },
+          log,
+        });
+    const lote = Math.max(1, parseInt(process.env.WP_LOTE || "50", 10) || 50);
+
+    log.info(
+      `📤 ${dryRun ? "[dry-run] " : ""}Sincronizando detalhes com WP: ${WP_URL || "(sem WP_URL)"} (lotes de ${lote})`,
+      { dryRun, lote }
+    );
 
-const urlsPorCidade = JSON.parse(fs.readFileSync(jsonFile, "utf8"));
-
-// Se preferir enviar os detalhes também:
-const xlsxFile = fs
-  .readdirSync(process.cwd())
-  .find((f) => f.startsWith("imoveis_") && f.endsWith("_detalhes.xlsx"));
-
-console.log(`📤 Enviando dados para WP: ${WP_URL}`);
-console.log(`   JSON: ${jsonFile}`);
-if (xlsxFile) console.log(`   XLSX: ${xlsxFile}`);
-
-// Envio principal (JSON)
-const res = await fetch(`${WP_URL}/wp-json/imoveis/v1/import`, {
-  method: "POST",
-  headers: {
-    "Content-Type": "application/json",
-    "Authorization": `Bearer ${WP_TOKEN}`
-  },
-  body: JSON.stringify({
-    urlsPorCidade
-  })
-});
-
-const text = await res.text();
-if (!res.ok) {
-  console.error("❌ Erro no import WP:", text);
-  process.exit(1);
+    // Um estado com erro não impede os demais
+    let falhas = 0;
+
+    for (const xlsxFile of xlsxFiles) {
+      const estado = xlsxFile.match(RE_XLSX_ESTADO)[1].toUpperCase();
+      const logEstado = log.filho({ estado });
+
+      const jsonFile = `urls_${estado.toLowerCase()}_por_cidade.json`;
+      const jsonPath = path.join(dir, jsonFile);
+
+      // dados que reprovaram no gate (ex.: seletor quebrado, campos vazios) não sobem
+      const qualidade = lerRelatorioQualidade(
+        path.join(dir, `qualidade_${estado.toLowerCase()}.json`)
+      );
+      if (qualidade && qualidade.aprovado === false && !ignorarQualidade) {
+        logEstado.error(
+          `   🛑 ${estado}: qualidade reprovada (${qualidade.gate.motivos[0]}` +
+            `${qualidade.gate.motivos.length > 1 ? ` e mais ${qualidade.gate.motivos.length - 1}` : ""}; ` +
+            `ver qualidade_${estado.toLowerCase()}.json) — não enviado (use --ignorar-qualidade).`,
+          { motivos: qualidade.gate.motivos }
+        );
+        falhas++;
+        continue;
+      }
+
+      try {
+        // _meta (filtros, motor, data) e cidades do JSON do mesmo estado, se existir;
+        // JSON truncado/corrompido é falha só deste estado
+        const { meta, porEstado } = fs.existsSync(jsonPath)
+          ? lerArquivoUrls(jsonPath)
+          : { meta: null, porEstado: {} };
+        const urlsPorCidade = porEstado[estado] || {};
+        const registros = lerDetalhesXlsx(path.join(dir, xlsxFile), { raw: true });
+        logEstado.info(`   XLSX: ${xlsxFile} (${estado}, ${registros.length} imóveis)`, {
+          arquivo: xlsxFile,
+          imoveis: registros.length,
+        });
+
+        const r = await sincronizarEstado(
+          { estado, meta, registros },
+          { cliente, estadoSync, lote, dryRun, forcar, log: logEstado }
+        );
+        const resumo = {
+          novos: r.criar,
+          alterados: r.atualizar,
+          semMudanca: r.igual,
+          ...(dryRun ? {} : { enviados: r.enviados, lotesComFalha: r.lotesComFalha }),
+        };
+        logEstado[r.lotesComFalha > 0 ? "warn" : "info"](
+          `   ${r.lotesComFalha > 0 ? "⚠️" : "✅"} ${estado}: ${r.criar} novos, ${r.atualizar} alterados, ${r.igual} sem mudança` +
+            (dryRun ? "" : `, ${r.enviados} enviados, ${r.lotesComFalha} lotes com falha`),
+          resumo
+        );
+        if (r.lotesComFalha > 0) {
+          falhas++;
+          continue;
+        }
+
+        // Imóveis que sumiram da busca (vendidos/retirados); o plano compara com os
+        // filtros do sync anterior, então vem antes de marcarEstado
+        const plano =
+          semRetirada || !fs.existsSync(jsonPath)
+            ? null
+            : planejarRetirada({ estado, urlsPorCidade, registros, meta }, estadoSync, {
+                limite: limiteRetirada,
+                minCidade,
+                forcar: forcarRetirada,
+              });
+        if (!dryRun) {
+          estadoSync.marcarEstado(estado, meta ? meta.filtros : {});
+          estadoSync.gravar();
+        }
+
+        if (!plano) {
+          if (!semRetirada) logEstado.warn(`   ⚠️ ${estado}: sem ${jsonFile}, retirada ignorada.`);
+          continue;
+        }
+        for (const ig of plano.ignoradas) {
+          logEstado.warn(
+            `   ⚠️ ${estado}/${ig.nome || ig.cidade || "?"}: ${ig.ausentes} ausentes não retirados — ${ig.motivo}.`,
+            { cidadeCodigo: ig.cidade, cidade: ig.nome, ausentes: ig.ausentes, motivo: ig.motivo }
+          );
+        }
+        if (plano.recusado) {
+          logEstado.error(
+            `   🛑 ${estado}: retirada recusada — ${plano.recusado} (use --forcar-retirada se for real).`,
+            { motivo: plano.recusado }
+          );
+          falhas++;
+          continue;
+        }
+        if (plano.retirar.length === 0) continue;
+
+        const ret = await retirarAusentes(
+          { estado, retirar: plano.retirar },
+          { cliente, estadoSync, modo: modoRetirada, lote, dryRun, log: logEstado }
+        );
+        logEstado.info(
+          `   ${dryRun ? "[dry-run] " : ""}🗑  ${estado}: ${plano.retirar.length} imóveis indisponíveis (${modoRetirada})` +
+            (dryRun ? "" : `, ${ret.retirados} retirados`),
+          {
+            retirar: plano.retirar.length,
+            modo: modoRetirada,
+            ...(dryRun ? {} : { retirados: ret.retirados }),
+          }
+        );
+        if (ret.lotesComFalha > 0) falhas++;
+      } catch (err) {
+        logEstado.error(`❌ Erro no sync WP (${estado}): ${err.message}`);
+        falhas++;
+      }
+    }
+
+    return { falhas, estados: xlsxFiles.map((f) => f.match(RE_XLSX_ESTADO)[1].toUpperCase()) };
+  } finally {
+    if (!logOpt) log.fechar();
+  }
 }
 
-console.log("✅ Import WP OK:", text);
+/** Detecção de main (Windows-friendly) */
+const isMain =
+  process.argv[1] &&
+  import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href;
 
-/**
- * Sobre autenticação:
- * - Mais simples: plugin JWT (token Bearer)
- * - Alternativa sem plugin: Application Passwords do WP
- *   -> use Basic Auth e troque o header acima para:
- *     "Authorization": "Basic " + Buffer.from("usuario:app_password").toString("base64")
- */
\ No newline at end of file
+if (isMain) {
+  runSync()
+    .then(({ falhas }) => {
+      if (falhas > 0) process.exitCode = 1;
+    })
+    .catch((err) => {
+      console.error(`❌ ${err.message}`);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,109 @@
+// test/alertas.test.js
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { lerBuscas, processarAlertas, registrarCanal, resumoAlerta } from "../lib/alertas.js";
+import { criarLogger } from "../lib/log.js";
+
+const log = criarLogger({ nivel: "error", arquivoJson: null });
+
+// canal de teste: guarda o que recebeu; falha enquanto `fora.doAr` for true
+const recebidos = [];
+const fora = { doAr: false };
+registrarCanal("teste", () => ({
+  async enviar(busca, imoveis) {
+    if (fora.doAr) throw new Error("canal fora do ar");
+    recebidos.push({ busca: busca.nome, codigos: imoveis.map((i) => i._imoveis_codigo_imovel) });
+  },
+}));
+
+const imovel = (codigo, extra = {}) => ({
+  _imoveis_codigo_imovel: codigo,
+  _imoveis_estado: "RO",
+  _imoveis_cidade: "PORTO VELHO",
+  _imoveis_tipo_imovel: "Casa",
+  _imoveis_valor_minimo_brl: 100000,
+  ...extra,
+});
+
+const escreverBuscas = (buscas) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "alertas-"));
+  const buscasFile = path.join(dir, "buscas.json");
+  fs.writeFileSync(buscasFile, JSON.stringify({ buscas }));
+  return buscasFile;
+};
+
+const retry = { tentativas: 1, baseMs: 0 };
+
+test("lerBuscas valida nome, canais e filtros", () => {
+  const ok = escreverBuscas([{ nome: "casas", filtros: { tipo: "casa", valorMax: 200000 }, canais: { teste: {} } }]);
+  const [busca] = lerBuscas(ok);
+  assert.equal(busca.filtrosApi.valorMax, 200000);
+  assert.equal(busca.notificarExistentes, false);
+
+  const erros = [
+    [[{ canais: { teste: {} } }], /busca #1 sem nome/],
+    [[{ nome: "a", canais: { teste: {} } }, { nome: "a", canais: { teste: {} } }], /"a" repetida/],
+    [[{ nome: "a", canais: { pombo: {} } }], /canal desconhecido "pombo"/],
+    [[{ nome: "a", canais: {} }], /"a" sem canais/],
+    [[{ nome: "a", canais: { teste: {} }, filtros: { valorMax: "barato" } }], /filtros de "a": .*valorMax/],
+  ];
+  for (const [buscas, erro] of erros) assert.throws(() => lerBuscas(escreverBuscas(buscas)), erro);
+});
+
+test("primeira execução registra os existentes; depois só os novos que casam", async () => {
+  recebidos.length = 0;
+  const buscasFile = escreverBuscas([
+    { nome: "casas-baratas", filtros: { tipo: "casa", valorMax: 150000 }, canais: { teste: {} } },
+  ]);
+  const rodar = (detalhes) => processarAlertas(detalhes, { buscasFile, retry, log });
+
+  // sem notificarExistentes, a primeira vez só marca
+  assert.deepEqual(await rodar([imovel("1"), imovel("2")]), []);
+  assert.deepEqual(recebidos, []);
+
+  const resultado = await rodar([
+    imovel("1"),
+    imovel("2"),
+    imovel("3"),
+    imovel("4", { _imoveis_valor_minimo_brl: 300000 }),
+    imovel("5", { _imoveis_tipo_imovel: "Apartamento" }),
+  ]);
+  assert.deepEqual(resultado, [{ busca: "casas-baratas", canal: "teste", enviados: 1 }]);
+  assert.deepEqual(recebidos, [{ busca: "casas-baratas", codigos: ["3"] }]);
+
+  // repetir a execução não reenvia
+  await rodar([imovel("1"), imovel("3")]);
+  assert.equal(recebidos.length, 1);
+});
+
+test("canal com erro não marca os imóveis: a próxima execução tenta de novo", async () => {
+  recebidos.length = 0;
+  const buscasFile = escreverBuscas([{ nome: "todas", canais: { teste: {} }, notificarExistentes: true }]);
+  fora.doAr = true;
+  try {
+    const [falha] = await processarAlertas([imovel("1")], { buscasFile, retry, log });
+    assert.equal(falha.enviados, 0);
+    assert.match(falha.erro, /fora do ar/);
+  } finally {
+    fora.doAr = false;
+  }
+
+  await processarAlertas([imovel("1")], { buscasFile, retry, log });
+  assert.deepEqual(recebidos, [{ busca: "todas", codigos: ["1"] }]);
+  const enviados = JSON.parse(
+    fs.readFileSync(path.join(path.dirname(buscasFile), ".alertas_enviados.json"), "utf-8")
+  );
+  assert.deepEqual(Object.keys(enviados.todas.teste), ["1"]);
+});
+
+test("resumoAlerta leva os campos do alerta e a URL do detalhe", () => {
+  const resumo = resumoAlerta(imovel("1444400123456"));
+  assert.equal(resumo._imoveis_cidade, "PORTO VELHO");
+  assert.equal(resumo._imoveis_bairro, "");
+  assert.match(resumo.url, /hdnimovel=1444400123456/);
+  assert.equal(resumo._imoveis_valor_minimo_brl, undefined);
+});
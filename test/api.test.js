@@ -0,0 +1,181 @@
+// test/api.test.js
+// Rotas da API contra uma fonte em memória (sem XLSX nem SQLite).
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { after, before, test } from "node:test";
+import { criarFonteDados, criarHandlerApi } from "../lib/api.js";
+import { criarLogger } from "../lib/log.js";
+
+const IMOVEIS = [
+  {
+    _imoveis_codigo_imovel: "1444400123456",
+    _imoveis_estado: "RO",
+    _imoveis_cidade: "PORTO VELHO",
+    _imoveis_cidade_codigo: "4577",
+    _imoveis_bairro: "NOVA PORTO VELHO",
+    _imoveis_tipo_imovel: "Casa",
+    _imoveis_tipo_leilao: "Venda Online",
+    _imoveis_valor_minimo_brl: 150000,
+    _imoveis_desconto_percentual_pct: 40,
+    _imoveis_quartos_qtd: 3,
+    _imoveis_data_leilao_1: "10/03/2026 - 10h00",
+  },
+  {
+    _imoveis_codigo_imovel: "8555500987654",
+    _imoveis_estado: "RO",
+    _imoveis_cidade: "JI-PARANA",
+    _imoveis_cidade_codigo: "4592",
+    _imoveis_bairro: "CENTRO",
+    _imoveis_tipo_imovel: "Apartamento",
+    _imoveis_tipo_leilao: "Licitação Aberta",
+    _imoveis_valor_minimo_brl: 90000,
+    _imoveis_desconto_percentual_pct: 10,
+    _imoveis_quartos_qtd: 2,
+    _imoveis_data_leilao_1: "01/02/2026",
+    _imoveis_data_leilao_2: "20/04/2026",
+  },
+  // célula vazia do XLSX nos campos numéricos
+  {
+    _imoveis_codigo_imovel: "1444400777888",
+    _imoveis_estado: "AC",
+    _imoveis_cidade: "RIO BRANCO",
+    _imoveis_cidade_codigo: "1",
+    _imoveis_tipo_imovel: "Casa",
+    _imoveis_valor_minimo_brl: "",
+    _imoveis_desconto_percentual_pct: "",
+    _imoveis_quartos_qtd: "",
+  },
+];
+
+const fonteMemoria = (imoveis) => ({
+  dados: () => ({
+    imoveis,
+    porCodigo: new Map(imoveis.map((d) => [d._imoveis_codigo_imovel, d])),
+    origem: "teste",
+    carregadoEm: "2026-01-01T00:00:00.000Z",
+  }),
+  historicoImovel: () => null,
+});
+
+let servidor;
+let base;
+
+before(async () => {
+  servidor = http.createServer(criarHandlerApi(fonteMemoria(IMOVEIS)));
+  await new Promise((resolve) => servidor.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${servidor.address().port}`;
+});
+
+after(() => new Promise((resolve) => servidor.close(resolve)));
+
+const get = async (caminho) => {
+  const res = await fetch(`${base}${caminho}`);
+  return { status: res.status, corpo: await res.json() };
+};
+
+test("GET /imoveis/:codigo devolve o registro", async () => {
+  const { status, corpo } = await get("/imoveis/1444400123456");
+  assert.equal(status, 200);
+  assert.equal(corpo.imovel._imoveis_cidade, "PORTO VELHO");
+  assert.equal(corpo.historico, null);
+});
+
+test("GET /imoveis/:codigo inexistente é 404", async () => {
+  const { status, corpo } = await get("/imoveis/999");
+  assert.equal(status, 404);
+  assert.match(corpo.erro, /999 não encontrado/);
+});
+
+test("escape quebrado no código é 400, não 500", async () => {
+  const { status, corpo } = await get("/imoveis/%E0%A4%A");
+  assert.equal(status, 400);
+  assert.deepEqual(Object.keys(corpo), ["erro"]);
+  assert.match(corpo.erro, /%E0%A4%A/);
+});
+
+const codigos = (corpo) => corpo.itens.map((d) => d._imoveis_codigo_imovel);
+
+test("GET /imoveis combina os filtros", async () => {
+  const casos = [
+    ["estado=ro", ["1444400123456", "8555500987654"]],
+    ["estado=AC,RO&tipo=casa", ["1444400123456", "1444400777888"]],
+    ["cidade=4592", ["8555500987654"]],
+    ["cidade=porto%20velho", ["1444400123456"]],
+    ["bairro=centro", ["8555500987654"]],
+    ["modalidade=licitacao", ["8555500987654"]],
+    ["valorMin=100000", ["1444400123456"]],
+    // sem valor não entra em faixa de valor
+    ["valorMax=200000", ["1444400123456", "8555500987654"]],
+    ["descontoMin=30", ["1444400123456"]],
+    ["quartos=3", ["1444400123456"]],
+    // basta uma das praças cair no período
+    ["dataDe=2026-04-01", ["8555500987654"]],
+    ["dataDe=2026-03-01&dataAte=2026-03-31", ["1444400123456"]],
+  ];
+  for (const [query, esperado] of casos) {
+    const { status, corpo } = await get(`/imoveis?${query}`);
+    assert.equal(status, 200, query);
+    assert.deepEqual(codigos(corpo), esperado, query);
+  }
+});
+
+test("GET /imoveis pagina na ordem dos códigos", async () => {
+  const primeira = await get("/imoveis?porPagina=2");
+  assert.deepEqual(
+    { ...primeira.corpo, itens: codigos(primeira.corpo) },
+    { total: 3, pagina: 1, porPagina: 2, paginas: 2, itens: ["1444400123456", "1444400777888"] }
+  );
+  const segunda = await get("/imoveis?porPagina=2&pagina=2");
+  assert.deepEqual(codigos(segunda.corpo), ["8555500987654"]);
+  const alem = await get("/imoveis?porPagina=2&pagina=5");
+  assert.deepEqual(alem.corpo.itens, []);
+});
+
+test("GET /imoveis: parâmetro inválido é 400", async () => {
+  for (const [query, erro] of [
+    ["cor=azul", /Parâmetro desconhecido: cor/],
+    ["valorMin=muito", /valorMin deve ser numérico/],
+    ["dataDe=10/03/2026", /dataDe deve ser AAAA-MM-DD/],
+    ["pagina=0", /pagina deve ser inteiro/],
+    ["porPagina=101", /porPagina deve ser inteiro entre 1 e 100/],
+  ]) {
+    const { status, corpo } = await get(`/imoveis?${query}`);
+    assert.equal(status, 400, query);
+    assert.match(corpo.erro, erro);
+  }
+});
+
+test("GET /cidades conta por cidade e filtra por estado", async () => {
+  const { corpo } = await get("/cidades?estado=ro");
+  assert.deepEqual(corpo, [
+    { estado: "RO", codigo: "4592", cidade: "JI-PARANA", total: 1 },
+    { estado: "RO", codigo: "4577", cidade: "PORTO VELHO", total: 1 },
+  ]);
+});
+
+test("fonte historico sem o banco: erro claro, sem criar o arquivo", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "api-"));
+  const historicoDb = path.join(dir, "historico_imoveis.sqlite");
+  const fonte = criarFonteDados({
+    dir,
+    historicoDb,
+    fonte: "historico",
+    log: criarLogger({ nivel: "error", arquivoJson: null }),
+  });
+  assert.throws(() => fonte.dados(), /Histórico não encontrado/);
+
+  const srv = http.createServer(criarHandlerApi(fonte));
+  await new Promise((resolve) => srv.listen(0, "127.0.0.1", resolve));
+  try {
+    const res = await fetch(`http://127.0.0.1:${srv.address().port}/imoveis`);
+    assert.equal(res.status, 503);
+    assert.match((await res.json()).erro, /Histórico não encontrado/);
+  } finally {
+    await new Promise((resolve) => srv.close(resolve));
+  }
+  assert.deepEqual(fs.readdirSync(dir), []);
+});
@@ -0,0 +1,57 @@
+// test/campos-tipados.test.js
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { CAMPO_NAO_PARSEADOS, parseNumeroBR, tiparDetalhe } from "../lib/campos-tipados.js";
+import { parseBRL } from "../lib/detalhe-parser.js";
+
+test("parseNumeroBR: milhar com ponto, decimal com vírgula, primeiro número do texto", () => {
+  assert.equal(parseNumeroBR("R$ 1.234.567,89"), 1234567.89);
+  assert.equal(parseNumeroBR("120,50m2"), 120.5);
+  assert.equal(parseNumeroBR("35,20%"), 35.2);
+  assert.equal(parseNumeroBR("250"), 250);
+  assert.equal(parseNumeroBR("-10,5"), -10.5);
+  // "1.5" não é milhar: lê só o 1
+  assert.equal(parseNumeroBR("1.5"), 1);
+  assert.equal(parseNumeroBR("Área: 48,00 m² (privativa 40,00 m²)"), 48);
+  assert.equal(parseNumeroBR("não informado"), null);
+  assert.equal(parseNumeroBR(null), null);
+});
+
+test("parseBRL do histórico", () => {
+  assert.equal(parseBRL("R$ 150.000,00"), 150000);
+  assert.equal(parseBRL("R$ 99.999,99"), 99999.99);
+  assert.equal(parseBRL(""), null);
+  assert.equal(parseBRL(undefined), null);
+});
+
+test("tiparDetalhe: áreas, valores, contagens e o que não converteu", () => {
+  const tipados = tiparDetalhe({
+    _imoveis_valor_avaliacao: "R$ 200.000,00",
+    _imoveis_valor_minimo: "R$ 130.000,00",
+    _imoveis_desconto_percentual: "35,00%",
+    _imoveis_area_total: "250,00m2",
+    _imoveis_area_privativa: "80,35 m²",
+    _imoveis_area_terreno: "consultar edital",
+    _imoveis_quartos: "3",
+    _imoveis_garagem: "Não",
+  });
+
+  assert.equal(tipados._imoveis_valor_avaliacao_brl, 200000);
+  assert.equal(tipados._imoveis_valor_minimo_brl, 130000);
+  assert.equal(tipados._imoveis_desconto_percentual_pct, 35);
+  assert.equal(tipados._imoveis_area_total_m2, 250);
+  assert.equal(tipados._imoveis_area_privativa_m2, 80.35);
+  assert.equal(tipados._imoveis_area_terreno_m2, null);
+  assert.equal(tipados._imoveis_quartos_qtd, 3);
+  assert.equal(tipados._imoveis_garagem_qtd, 0);
+  // vazio vira null sem marcar; texto sem número é marcado
+  assert.equal(tipados._imoveis_valor_minimo_2_leilao_brl, null);
+  assert.equal(tipados[CAMPO_NAO_PARSEADOS], "_imoveis_area_terreno");
+});
+
+test("tiparDetalhe: quartos sem número nem negativa fica marcado", () => {
+  const tipados = tiparDetalhe({ _imoveis_quartos: "vários" });
+  assert.equal(tipados._imoveis_quartos_qtd, null);
+  assert.equal(tipados[CAMPO_NAO_PARSEADOS], "_imoveis_quartos");
+});
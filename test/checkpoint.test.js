@@ -0,0 +1,70 @@
+// test/checkpoint.test.js
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { criarCheckpoint, removerCheckpoint } from "../lib/checkpoint.js";
+
+const URL_1 = "https://venda-imoveis.caixa.gov.br/sistema/detalhe-imovel.asp?hdnimovel=111";
+const URL_2 = "https://venda-imoveis.caixa.gov.br/sistema/detalhe-imovel.asp?hdnimovel=222";
+
+const tmpDir = () => fs.mkdtempSync(path.join(os.tmpdir(), "checkpoint-"));
+
+test("imóveis vão para o JSON-lines e voltam com resume", () => {
+  const dir = tmpDir();
+  const cp = criarCheckpoint("RO", { dir });
+  cp.marcarCidade("1", { cidade: "PORTO VELHO", urls: [URL_1, URL_2] });
+  cp.marcarDetalhe(URL_1, { _imoveis_codigo_imovel: "111" });
+  cp.marcarDetalhe(URL_2, { _imoveis_codigo_imovel: "222" });
+
+  // o JSON principal não carrega os imóveis (não é regravado a cada um)
+  const principal = JSON.parse(fs.readFileSync(cp.file, "utf-8"));
+  assert.equal(principal.detalhes, undefined);
+  assert.deepEqual(Object.keys(principal.cidades), ["1"]);
+
+  const retomado = criarCheckpoint("RO", { dir, resume: true });
+  assert.ok(retomado.cidadeFeita("1"));
+  assert.deepEqual(retomado.detalhe(URL_2), { _imoveis_codigo_imovel: "222" });
+});
+
+test("linha cortada no fim do JSON-lines é ignorada", () => {
+  const dir = tmpDir();
+  const cp = criarCheckpoint("RO", { dir });
+  cp.marcarDetalhe(URL_1, { _imoveis_codigo_imovel: "111" });
+  fs.appendFileSync(path.join(dir, ".checkpoint_ro.detalhes.jsonl"), '{"codigo":"222","det":{');
+
+  const retomado = criarCheckpoint("RO", { dir, resume: true });
+  assert.deepEqual(retomado.detalhe(URL_1), { _imoveis_codigo_imovel: "111" });
+  assert.equal(retomado.detalhe(URL_2), undefined);
+});
+
+test("sem resume descarta os imóveis gravados", () => {
+  const dir = tmpDir();
+  criarCheckpoint("RO", { dir }).marcarDetalhe(URL_1, { _imoveis_codigo_imovel: "111" });
+  assert.equal(criarCheckpoint("RO", { dir }).detalhe(URL_1), undefined);
+  assert.equal(criarCheckpoint("RO", { dir, resume: true }).detalhe(URL_1), undefined);
+});
+
+test("checkpoint antigo (imóveis no JSON) continua sendo lido", () => {
+  const dir = tmpDir();
+  fs.writeFileSync(
+    path.join(dir, ".checkpoint_ro.json"),
+    JSON.stringify({ estado: "RO", concluido: false, cidades: {}, detalhes: { 111: { a: 1 } } })
+  );
+  assert.deepEqual(criarCheckpoint("RO", { dir, resume: true }).detalhe(URL_1), { a: 1 });
+});
+
+test("removerCheckpoint apaga o JSON e o JSON-lines do estado", () => {
+  const dir = tmpDir();
+  const cp = criarCheckpoint("RO", { dir });
+  cp.marcarDetalhe(URL_1, { _imoveis_codigo_imovel: "111" });
+  cp.concluir();
+  criarCheckpoint("AC", { dir }).concluir();
+
+  removerCheckpoint("ro", { dir });
+  assert.deepEqual(fs.readdirSync(dir), [".checkpoint_ac.json"]);
+  // sem checkpoint no disco não é erro
+  removerCheckpoint("ro", { dir });
+});
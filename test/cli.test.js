@@ -0,0 +1,84 @@
+// test/cli.test.js
+// cli.js num processo filho, contra os servidores locais da Caixa e do WordPress.
+
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { test } from "node:test";
+import { iniciarServidorCaixa } from "./servidor-caixa.js";
+import { iniciarServidorWp } from "./servidor-wp.js";
+
+const CLI = fileURLToPath(new URL("../cli.js", import.meta.url));
+
+/** Roda o cli.js; resolve com { codigo, stdout, stderr } (código != 0 não rejeita) */
+function rodarCli(caixa, args, env = {}) {
+  return new Promise((resolve) => {
+    execFile(
+      process.execPath,
+      [CLI, ...args],
+      {
+        timeout: 60000,
+        env: {
+          ...process.env,
+          ENGINE: "http",
+          CAIXA_BASE_URL: caixa.baseUrl,
+          DETALHES_RPS: "100",
+          DETALHES_JITTER_MS: "0",
+          RETRY_TENTATIVAS: "1",
+          HISTORICO: "false",
+          LOG_NIVEL: "error",
+          ...env,
+        },
+      },
+      (err, stdout, stderr) => resolve({ codigo: err ? err.code : 0, stdout, stderr })
+    );
+  });
+}
+
+/** run de RO com o stub do WP */
+async function run(opcoesCaixa, env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cli-run-"));
+  const caixa = await iniciarServidorCaixa(opcoesCaixa);
+  const wp = await iniciarServidorWp();
+  try {
+    const r = await rodarCli(caixa, ["run", `--out-dir=${dir}`, "--states=RO"], {
+      WP_URL: `${wp.url}/`,
+      WP_TOKEN: "token-teste",
+      WP_SYNC_ESTADO: path.join(dir, ".wp_sync.json"),
+      ...env,
+    });
+    return { ...r, requisicoes: wp.requisicoes };
+  } finally {
+    await wp.fechar();
+    await caixa.fechar();
+  }
+}
+
+test("run com a taxa de falhas acima do limite não sincroniza e sai com 1", async () => {
+  // 1 detalhe com erro em 4 (o retirado não conta): 25% > FALHAS_LIMITE 20%
+  const { codigo, stderr, requisicoes } = await run({ falharDetalhes: ["1444400777888"] });
+  assert.equal(codigo, 1);
+  assert.deepEqual(requisicoes, []);
+  assert.match(stderr, /sync com o WordPress não executado/);
+});
+
+test("run dentro do limite sincroniza os detalhes", async () => {
+  const logJson = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "cli-log-")), "log.jsonl");
+  const { codigo, requisicoes } = await run(undefined, { LOG_NIVEL: "info", LOG_JSON: logJson });
+  assert.equal(codigo, 0);
+  assert.equal(requisicoes.length, 1);
+  assert.equal(requisicoes[0].corpo.imoveis.length, 3);
+
+  // o sync escreve no mesmo JSON-lines do scraper
+  const linhas = fs
+    .readFileSync(logJson, "utf-8")
+    .trim()
+    .split("\n")
+    .map((l) => JSON.parse(l));
+  const sync = linhas.filter((l) => l.fase === "sync");
+  assert.ok(sync.some((l) => /Sincronizando/.test(l.msg)));
+  assert.ok(sync.some((l) => l.estado === "RO" && l.enviados === 3));
+});
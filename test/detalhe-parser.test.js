@@ -0,0 +1,130 @@
+// test/detalhe-parser.test.js
+// Páginas de detalhe salvas (test/fixtures/detalhes/*.html) contra o registro
+// esperado (<nome>.json: { meta, registro }). Para regravar um esperado depois de
+// uma mudança intencional no parser, rode o parser na página e revise o diff.
+// Página nova da Caixa: node test/gravar-detalhe.js <hdnimovel> <nome> (baixa,
+// limpa e grava o .html e um .json para revisar).
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { CAMPOS_DETALHE } from "../lib/campos-detalhe.js";
+import { parseDetalheImovel } from "../lib/detalhe-parser.js";
+import { carregarPerfil } from "../lib/perfil.js";
+import { sanitizarDetalhe } from "./gravar-detalhe.js";
+
+const DIR = fileURLToPath(new URL("./fixtures/detalhes/", import.meta.url));
+
+const fixtures = fs
+  .readdirSync(DIR)
+  .filter((f) => f.endsWith(".html"))
+  .map((f) => path.basename(f, ".html"));
+
+const carregar = (nome) => ({
+  html: fs.readFileSync(path.join(DIR, `${nome}.html`), "utf-8"),
+  ...JSON.parse(fs.readFileSync(path.join(DIR, `${nome}.json`), "utf-8")),
+});
+
+for (const nome of fixtures) {
+  test(`detalhe: ${nome}`, () => {
+    const { html, meta, registro } = carregar(nome);
+    assert.deepEqual(parseDetalheImovel(html, meta), registro);
+  });
+}
+
+test("1º e 2º leilão: valor mínimo é o menor e o desconto vem dele", () => {
+  const { html, meta } = carregar("leilao-1-2");
+  const det = parseDetalheImovel(html, meta);
+  assert.equal(det._imoveis_valor_minimo_brl, 148320.55);
+  assert.equal(det._imoveis_desconto_percentual, "40,67%");
+  assert.equal(det._imoveis_valor_minimo_generico, "");
+});
+
+test("venda direta: só o valor genérico, sem datas de leilão", () => {
+  const { html, meta } = carregar("venda-direta");
+  const det = parseDetalheImovel(html, meta);
+  assert.equal(det._imoveis_valor_minimo_generico_brl, 98385.12);
+  assert.equal(det._imoveis_valor_minimo_1_leilao, "");
+  assert.equal(det._imoveis_data_leilao_1, "");
+  assert.equal(det._imoveis_garagem_qtd, 0);
+});
+
+test("sem fotos: lista vazia; fotos lazy (data-src/data-original) entram resolvidas", () => {
+  assert.equal(parseDetalheImovel(carregar("sem-imagens").html)._imoveis_imgs_lista, "");
+  const { html, meta } = carregar("endereco-estranho");
+  assert.equal(
+    parseDetalheImovel(html, meta)._imoveis_imgs_lista,
+    "https://venda-imoveis.caixa.gov.br/fotos/F1444400777888_1.jpg"
+  );
+});
+
+test("endereço: UF por extenso ou sigla, S/N sem número", () => {
+  const porExtenso = parseDetalheImovel(carregar("leilao-1-2").html);
+  assert.equal(porExtenso._imoveis_endereco_cidade_texto, "PORTO VELHO");
+  assert.equal(porExtenso._imoveis_endereco_estado_texto, "RO");
+
+  const hifen = parseDetalheImovel(carregar("venda-direta").html);
+  assert.equal(hifen._imoveis_endereco_cidade_texto, "JI-PARANA");
+
+  const estranho = parseDetalheImovel(carregar("endereco-estranho").html);
+  assert.equal(estranho._imoveis_endereco_numero, "");
+  assert.equal(estranho._imoveis_endereco_bairro_texto, "SETOR 03");
+  assert.equal(estranho._imoveis_cep, "76870-000");
+});
+
+test("<br> separa campos: endereço, descrição e pagamento no mesmo <p> não se misturam", () => {
+  const { html, meta } = carregar("paragrafo-com-br");
+  const det = parseDetalheImovel(html, meta);
+  assert.equal(
+    det._imoveis_endereco_completo,
+    "AVENIDA SETE DE SETEMBRO, N. 1010, CENTRO - CEP: 76801-096, PORTO VELHO - RONDONIA"
+  );
+  assert.equal(det._imoveis_endereco_cidade_texto, "PORTO VELHO");
+  assert.equal(det._imoveis_descricao, "Loja térrea com banheiro e depósito.\nImóvel desocupado.");
+  assert.match(det._imoveis_formas_pagamento, /^FORMAS DE PAGAMENTO ACEITAS:\nRecursos próprios\.\n/);
+  assert.equal(det._imoveis_valor_minimo_generico, "201.600,00");
+});
+
+test("página sem #dadosImovel (imóvel retirado) devolve null", () => {
+  assert.equal(parseDetalheImovel(carregar("retirado").html), null);
+  assert.equal(parseDetalheImovel(""), null);
+});
+
+test("registro tem os CAMPOS_DETALHE na ordem, mesmo sem o dado na página", () => {
+  const det = parseDetalheImovel(carregar("sem-imagens").html);
+  assert.deepEqual(Object.keys(det).slice(0, CAMPOS_DETALHE.length), CAMPOS_DETALHE);
+});
+
+test("campo novo no perfil sai no registro depois dos CAMPOS_DETALHE", () => {
+  const padrao = carregarPerfil();
+  const perfil = {
+    ...padrao,
+    detalhe: {
+      ...padrao.detalhe,
+      rotulosDados: { ...padrao.detalhe.rotulosDados, _imoveis_cartorio: "Ofício" },
+      paragrafosRelacionados: [
+        ...padrao.detalhe.paragrafosRelacionados,
+        { campo: "_imoveis_observacoes", detectar: "^Observa[cç][oõ]es:" },
+      ],
+    },
+  };
+  const { html, meta } = carregar("leilao-1-2");
+  const det = parseDetalheImovel(html, meta, perfil);
+
+  assert.equal(det._imoveis_cartorio, "01");
+  assert.equal(det._imoveis_observacoes, "");
+  const chaves = Object.keys(det);
+  assert.ok(chaves.indexOf("_imoveis_cartorio") > chaves.indexOf(CAMPOS_DETALHE.at(-1)));
+});
+
+test("página limpa pelo gravar-detalhe extrai o mesmo registro", () => {
+  const { html, meta, registro } = carregar("leilao-1-2");
+  const sujo = html
+    .replace("<head>", '<head>\n<script src="/js/jquery.js"></script><link rel="stylesheet" href="/css/x.css">')
+    .replace("<body>", "<body>\n<!-- banner --><iframe src=\"/cookies.asp\"></iframe><script>var x = '<p>Endereço: falso</p>';</script>");
+  const limpo = sanitizarDetalhe(sujo);
+  assert.doesNotMatch(limpo, /<script|<iframe|<link|<!--/);
+  assert.deepEqual(parseDetalheImovel(limpo, meta), registro);
+});
@@ -0,0 +1,154 @@
+// test/diff-execucoes.test.js
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import {
+  compararExecucoes,
+  gravarRelatorioDiff,
+  lerDetalhesXlsx,
+} from "../lib/diff-execucoes.js";
+
+const imovel = (codigo, cidade, extra = {}) => ({
+  _imoveis_codigo_imovel: codigo,
+  _imoveis_estado: "RO",
+  _imoveis_cidade_codigo: cidade,
+  _imoveis_cidade: cidade === "4577" ? "PORTO VELHO" : "JI-PARANA",
+  _imoveis_valor_minimo: "R$ 100.000,00",
+  ...extra,
+});
+
+const codigos = (lista) => lista.map((r) => r.codigo).sort();
+
+test("novos, removidos e alterados, com os campos principais primeiro", () => {
+  const anteriores = [
+    imovel("1", "4577"),
+    imovel("2", "4577", { _imoveis_matricula: "10", _imoveis_valor_avaliacao: "R$ 1" }),
+    imovel("3", "4592"),
+  ];
+  const atuais = [
+    imovel("1", "4577"),
+    imovel("2", "4577", {
+      _imoveis_matricula: "11",
+      _imoveis_valor_avaliacao: "R$ 2",
+      _imoveis_valor_minimo: "R$ 90.000,00",
+    }),
+    imovel("4", "4592"),
+  ];
+
+  const diff = compararExecucoes(anteriores, atuais);
+  assert.deepEqual(diff.resumo, {
+    anteriores: 3,
+    atuais: 3,
+    novos: 1,
+    removidos: 1,
+    alterados: 1,
+    inalterados: 1,
+    foraDoEscopo: 0,
+  });
+  assert.deepEqual(codigos(diff.novos), ["4"]);
+  assert.deepEqual(codigos(diff.removidos), ["3"]);
+  const [alterado] = diff.alterados;
+  assert.deepEqual(
+    alterado.campos.map((c) => c.campo),
+    ["_imoveis_valor_minimo", "_imoveis_valor_avaliacao", "_imoveis_matricula"]
+  );
+  assert.deepEqual(alterado.principais, ["_imoveis_valor_minimo", "_imoveis_valor_avaliacao"]);
+});
+
+test("espelhos numéricos, quebras de linha e espaços não contam como mudança", () => {
+  const antes = imovel("1", "4577", { _imoveis_titulo: "CASA  NOVA", _imoveis_valor_minimo_brl: 100000 });
+  const depois = imovel("1", "4577", { _imoveis_titulo: "CASA\nNOVA", _imoveis_valor_minimo_brl: 99999 });
+  assert.equal(compararExecucoes([antes], [depois]).resumo.inalterados, 1);
+});
+
+test("escopo: cidade com erro na coleta não vira removida", () => {
+  const anteriores = [imovel("1", "4577"), imovel("2", "4592")];
+  const diff = compararExecucoes(anteriores, [imovel("1", "4577")], {
+    urlsPorCidade: {
+      4577: { cidade: "PORTO VELHO", urls: ["?hdnimovel=1"] },
+      4592: { cidade: "JI-PARANA", urls: [], erro: "timeout" },
+    },
+    listaCompleta: true,
+  });
+  assert.equal(diff.resumo.removidos, 0);
+  assert.equal(diff.resumo.foraDoEscopo, 1);
+});
+
+test("escopo: cidade fora da varredura só conta como removida na lista completa", () => {
+  const anteriores = [imovel("1", "4577"), imovel("2", "4592")];
+  const atuais = [imovel("1", "4577")];
+  const urlsPorCidade = { 4577: { cidade: "PORTO VELHO", urls: ["?hdnimovel=1"] } };
+
+  // sem filtro, a Caixa tirou a cidade da lista: os imóveis dela saíram
+  const completa = compararExecucoes(anteriores, atuais, { urlsPorCidade, listaCompleta: true });
+  assert.deepEqual(codigos(completa.removidos), ["2"]);
+
+  // com filtro (ou --cidades), a cidade só não foi varrida
+  const recortada = compararExecucoes(anteriores, atuais, { urlsPorCidade, listaCompleta: false });
+  assert.equal(recortada.resumo.removidos, 0);
+  assert.equal(recortada.resumo.foraDoEscopo, 1);
+});
+
+test("escopo: códigos avulsos comparam só os pedidos", () => {
+  const anteriores = [imovel("1", "4577"), imovel("2", "4577"), imovel("3", "4592")];
+  const atuais = [imovel("1", "4577", { _imoveis_valor_minimo: "R$ 1,00" })];
+  const diff = compararExecucoes(anteriores, atuais, {
+    urlsPorCidade: { 4577: { cidade: "PORTO VELHO", urls: ["?hdnimovel=1"] } },
+    codigos: ["1"],
+  });
+  assert.deepEqual(diff.resumo, {
+    anteriores: 1,
+    atuais: 1,
+    novos: 0,
+    removidos: 0,
+    alterados: 1,
+    inalterados: 0,
+    foraDoEscopo: 2,
+  });
+});
+
+test("escopo: filtro diferente da execução anterior compara só os presentes nas duas", () => {
+  const urlsPorCidade = { 4577: { cidade: "PORTO VELHO", urls: [] } };
+  const anteriores = [imovel("1", "4577"), imovel("2", "4577")];
+  const atuais = [imovel("1", "4577"), imovel("3", "4577")];
+
+  const mudou = compararExecucoes(anteriores, atuais, {
+    urlsPorCidade,
+    filtros: { tipoImovel: "Casa" },
+    filtrosAnteriores: {},
+  });
+  assert.equal(mudou.resumo.removidos, 0);
+  assert.equal(mudou.resumo.novos, 0);
+  assert.equal(mudou.resumo.inalterados, 1);
+  assert.equal(mudou.resumo.foraDoEscopo, 1);
+
+  // mesmo filtro (em outra ordem): comparação normal dentro das cidades varridas
+  const igual = compararExecucoes(anteriores, atuais, {
+    urlsPorCidade,
+    filtros: { tipoImovel: "Casa", quartos: "2" },
+    filtrosAnteriores: { quartos: "2", tipoImovel: "Casa" },
+  });
+  assert.deepEqual(codigos(igual.removidos), ["2"]);
+  assert.deepEqual(codigos(igual.novos), ["3"]);
+});
+
+test("relatório em JSON e XLSX", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "diff-"));
+  const diff = compararExecucoes([imovel("1", "4577")], [imovel("2", "4577")]);
+  const jsonPath = path.join(dir, "mudancas_ro.json");
+  const xlsxPath = path.join(dir, "mudancas_ro.xlsx");
+  gravarRelatorioDiff(diff, { jsonPath, xlsxPath, origem: { estado: "RO" } });
+
+  const relatorio = JSON.parse(fs.readFileSync(jsonPath, "utf-8"));
+  assert.equal(relatorio.estado, "RO");
+  assert.equal(relatorio.resumo.novos, 1);
+  // a primeira aba é o resumo
+  const resumo = lerDetalhesXlsx(xlsxPath, { raw: true });
+  assert.deepEqual(
+    resumo.find((l) => l.Item === "removidos"),
+    { Item: "removidos", Quantidade: 1 }
+  );
+});
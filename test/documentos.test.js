@@ -0,0 +1,164 @@
+// test/documentos.test.js
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { criarArquivoDocumentos, marcarPalavrasChave, trechoDoImovel } from "../lib/documentos.js";
+
+// edital com cláusulas gerais (que citam "ocupado" e "débitos de condomínio")
+// e um item por imóvel
+const EDITAL = `
+EDITAL DE LEILÃO PÚBLICO Nº 0015/2026
+3.2 Os imóveis ocupados serão vendidos no estado em que se encontram, cabendo ao
+arrematante a desocupação. 3.3 Débitos de condomínio e IPTU são do comprador.
+ANEXO I - RELAÇÃO DE IMÓVEIS
+ITEM 11 Imóvel 1444400111111 Casa, RUA A, 10. Imóvel ocupado. Matrícula 40.001.
+ITEM 12 Imóvel 1444400123456 Casa, RUA DAS MANGUEIRAS, 450. Desocupado. Existe
+penhora averbada na matrícula.
+ITEM 13 Imóvel 1444400999999 Apartamento. Débitos de IPTU em aberto.
+`;
+
+const tmpDir = () => fs.mkdtempSync(path.join(os.tmpdir(), "documentos-"));
+
+test("trechoDoImovel pega só o item do imóvel", () => {
+  const trecho = trechoDoImovel(EDITAL, {
+    _imoveis_codigo_imovel: "1444400123456",
+    _imoveis_numero_item: "12",
+  });
+  assert.match(trecho, /^item 12 /);
+  assert.match(trecho, /penhora/);
+  assert.doesNotMatch(trecho, /item 13|iptu|os imoveis ocupados/);
+});
+
+test("trechoDoImovel acha o imóvel só pelo código e volta ao cabeçalho do item", () => {
+  const trecho = trechoDoImovel(EDITAL, { _imoveis_codigo_imovel: "1444400111111" });
+  assert.match(trecho, /^item 11 imovel 1444400111111/);
+});
+
+test("trechoDoImovel: imóvel que não está no edital fica sem trecho", () => {
+  assert.equal(trechoDoImovel(EDITAL, { _imoveis_codigo_imovel: "8555500987654" }), "");
+});
+
+test("cláusulas gerais do edital não marcam o imóvel", () => {
+  const det = { _imoveis_codigo_imovel: "1444400123456", _imoveis_numero_item: "12" };
+  const marcas = marcarPalavrasChave(trechoDoImovel(EDITAL, det));
+  assert.equal(marcas._imoveis_doc_ocupado, "nao");
+  assert.equal(marcas._imoveis_doc_debitos_condominio, "nao");
+  assert.equal(marcas._imoveis_doc_debitos_iptu, "nao");
+  assert.equal(marcas._imoveis_doc_penhora, "sim");
+});
+
+test("processar usa matrícula + item do edital e grava o índice durante a fase", async () => {
+  const dir = tmpDir();
+
+  // objetos já arquivados: o servidor só responde 304
+  const objetos = {
+    edital: { sha: "a".repeat(64), texto: EDITAL },
+    m1: { sha: "b".repeat(64), texto: "MATRÍCULA 45.678. Nada consta." },
+    m2: { sha: "c".repeat(64), texto: "MATRÍCULA 40.001. Alienação fiduciária em favor da CEF." },
+  };
+  for (const { sha, texto } of Object.values(objetos)) {
+    const base = path.join(dir, "objetos", sha.slice(0, 2), sha);
+    fs.mkdirSync(path.dirname(base), { recursive: true });
+    fs.writeFileSync(`${base}.pdf`, "%PDF");
+    fs.writeFileSync(`${base}.txt`, texto);
+  }
+
+  const vistosNoDisco = [];
+  const servidor = http.createServer((req, res) => {
+    const indiceFile = path.join(dir, "indice.json");
+    const noDisco = fs.existsSync(indiceFile) ? JSON.parse(fs.readFileSync(indiceFile, "utf-8")) : {};
+    vistosNoDisco.push(Object.values(noDisco).filter((e) => e.verificadoEm).length);
+    res.writeHead(req.headers["if-none-match"] ? 304 : 500);
+    res.end();
+  });
+  await new Promise((resolve) => servidor.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${servidor.address().port}`;
+
+  const url = (nome) => `${base}/${nome}.pdf`;
+  const indice = Object.fromEntries(
+    Object.entries(objetos).map(([nome, { sha }]) => [
+      url(nome),
+      { sha256: sha, etag: `"${nome}"`, lastModified: "", baixadoEm: "2026-01-01T00:00:00.000Z" },
+    ])
+  );
+  fs.writeFileSync(path.join(dir, "indice.json"), JSON.stringify(indice));
+  const arquivo = criarArquivoDocumentos({
+    dir,
+    salvarACadaMs: 0,
+    retry: { tentativas: 1, baseMs: 1 },
+  });
+
+  const detalhes = [
+    {
+      _imoveis_codigo_imovel: "1444400123456",
+      _imoveis_numero_item: "12",
+      _imoveis_link_edital: url("edital"),
+      _imoveis_link_matricula: url("m1"),
+    },
+    {
+      _imoveis_codigo_imovel: "1444400111111",
+      _imoveis_numero_item: "11",
+      _imoveis_link_edital: url("edital"),
+      _imoveis_link_matricula: url("m2"),
+    },
+  ];
+
+  try {
+    await arquivo.processar(detalhes);
+  } finally {
+    await new Promise((resolve) => servidor.close(resolve));
+  }
+
+  const [d1, d2] = detalhes;
+  assert.equal(d1._imoveis_edital_sha256, objetos.edital.sha);
+  assert.equal(d1._imoveis_doc_ocupado, "nao");
+  assert.equal(d1._imoveis_doc_penhora, "sim");
+  assert.equal(d1._imoveis_doc_alienacao_fiduciaria, "nao");
+  assert.equal(d2._imoveis_doc_ocupado, "sim");
+  assert.equal(d2._imoveis_doc_alienacao_fiduciaria, "sim");
+  assert.equal(d2._imoveis_doc_debitos_condominio, "nao");
+
+  // a cada requisição o índice no disco já tem as verificações anteriores
+  assert.deepEqual(vistosNoDisco, [0, 1, 2]);
+});
+
+test("erro no meio da fase ainda grava o índice do que foi baixado", async () => {
+  const dir = tmpDir();
+  const servidor = http.createServer((req, res) => {
+    res.writeHead(200, { ETag: '"m1"' });
+    res.end("%PDF-1.4 matrícula");
+  });
+  await new Promise((resolve) => servidor.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${servidor.address().port}`;
+  const arquivo = criarArquivoDocumentos({
+    dir,
+    salvarACadaMs: 60000,
+    retry: { tentativas: 1, baseMs: 1 },
+  });
+
+  const quebrado = { _imoveis_codigo_imovel: "1444400111111" };
+  Object.defineProperty(quebrado, "_imoveis_link_edital", {
+    enumerable: true,
+    get() {
+      throw new Error("registro quebrado");
+    },
+  });
+  const detalhes = [
+    { _imoveis_codigo_imovel: "1444400123456", _imoveis_link_matricula: `${base}/m1.pdf` },
+    quebrado,
+  ];
+
+  try {
+    await assert.rejects(arquivo.processar(detalhes), /registro quebrado/);
+  } finally {
+    await new Promise((resolve) => servidor.close(resolve));
+  }
+
+  const indice = JSON.parse(fs.readFileSync(path.join(dir, "indice.json"), "utf-8"));
+  assert.deepEqual(Object.keys(indice), [`${base}/m1.pdf`]);
+  assert.equal(indice[`${base}/m1.pdf`].sha256, detalhes[0]._imoveis_matricula_sha256);
+});
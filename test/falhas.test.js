@@ -0,0 +1,126 @@
+// test/falhas.test.js
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import {
+  classificarErro,
+  classificarTextoPagina,
+  comRetry,
+  criarRegistroFalhas,
+  ErroScraper,
+} from "../lib/falhas.js";
+import { criarLogger } from "../lib/log.js";
+
+// sem os avisos de nova tentativa no console
+const log = criarLogger({ nivel: "error", arquivoJson: null });
+
+test("classificarTextoPagina: bloqueio e imóvel retirado, com ou sem acento", () => {
+  assert.equal(classificarTextoPagina("Access Denied - Request Rejected"), "bloqueado");
+  assert.equal(classificarTextoPagina("Por favor, resolva o CAPTCHA"), "bloqueado");
+  assert.equal(classificarTextoPagina("Este imóvel não está mais disponível"), "imovel_retirado");
+  assert.equal(classificarTextoPagina("IMOVEL   VENDIDO"), "imovel_retirado");
+  assert.equal(classificarTextoPagina("Não foi possível localizar o imóvel"), "imovel_retirado");
+  assert.equal(classificarTextoPagina("Casa com 2 quartos"), null);
+});
+
+test("classificarErro: categoria própria, timeout, bloqueio e o resto", () => {
+  assert.equal(classificarErro(new ErroScraper("dados_ausentes", "sem #dadosImovel")), "dados_ausentes");
+  const timeout = new Error("Navigation timeout of 30000 ms exceeded");
+  assert.equal(classificarErro(timeout), "timeout_navegacao");
+  assert.equal(classificarErro(Object.assign(new Error("x"), { name: "TimeoutError" })), "timeout_navegacao");
+  assert.equal(classificarErro(new Error("net::ERR_BLOCKED_BY_CLIENT")), "bloqueado");
+  assert.equal(classificarErro(new Error("status 429")), "bloqueado");
+  assert.equal(classificarErro(new Error("ECONNRESET")), "desconhecido");
+  assert.equal(classificarErro(null), "desconhecido");
+});
+
+test("comRetry repete com backoff e marca as tentativas no erro", async () => {
+  let chamadas = 0;
+  const res = await comRetry(
+    async (t) => {
+      chamadas++;
+      if (t < 3) throw new Error("timeout");
+      return t;
+    },
+    { tentativas: 3, baseMs: 1, log }
+  );
+  assert.equal(res, 3);
+  assert.equal(chamadas, 3);
+
+  const err = await comRetry(() => Promise.reject(new Error("timeout")), {
+    tentativas: 2,
+    baseMs: 1,
+    log,
+  }).catch((e) => e);
+  assert.equal(err.tentativas, 2);
+});
+
+test("comRetry não repete imóvel retirado nem o que repetir() recusa", async () => {
+  let chamadas = 0;
+  const retirado = await comRetry(
+    () => {
+      chamadas++;
+      throw new ErroScraper("imovel_retirado", "vendido");
+    },
+    { tentativas: 5, baseMs: 1, log }
+  ).catch((e) => e);
+  assert.equal(chamadas, 1);
+  assert.equal(retirado.tentativas, 1);
+
+  chamadas = 0;
+  await assert.rejects(
+    comRetry(
+      () => {
+        chamadas++;
+        throw Object.assign(new Error("HTTP 400"), { status: 400 });
+      },
+      { tentativas: 5, baseMs: 1, repetir: (e) => e.status >= 500, log }
+    )
+  );
+  assert.equal(chamadas, 1);
+});
+
+test("comRetry: abort durante o backoff corta a espera e não tenta de novo", async () => {
+  const ctrl = new AbortController();
+  let chamadas = 0;
+  const inicio = Date.now();
+  const err = await comRetry(
+    () => {
+      chamadas++;
+      setTimeout(() => ctrl.abort(), 20);
+      throw new Error("timeout");
+    },
+    { tentativas: 3, baseMs: 60000, signal: ctrl.signal, log }
+  ).catch((e) => e);
+
+  assert.ok(Date.now() - inicio < 5000);
+  assert.equal(chamadas, 1);
+  assert.equal(err.message, "timeout");
+  assert.equal(err.tentativas, 1);
+});
+
+test("taxas por tipo não contam imóvel retirado; relatório vai para o failures.json", () => {
+  const falhas = criarRegistroFalhas();
+  for (let i = 0; i < 4; i++) falhas.contar("detalhe");
+  falhas.contar("cidade");
+  falhas.registrar("detalhe", new ErroScraper("imovel_retirado", "vendido"), { codigo: "1" });
+  falhas.registrar("detalhe", Object.assign(new Error("timeout"), { tentativas: 3 }), { codigo: "2" });
+
+  assert.deepEqual(falhas.taxas(), { cidade: 0, detalhe: 0.25 });
+  assert.deepEqual(falhas.resumo().porCategoria, { imovel_retirado: 1, timeout_navegacao: 1 });
+
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "falhas-")), "failures.json");
+  falhas.gravar(file, { log });
+  const gravado = JSON.parse(fs.readFileSync(file, "utf-8"));
+  assert.deepEqual(gravado.tentados, { cidade: 1, detalhe: 4 });
+  assert.deepEqual(
+    gravado.falhas.map((f) => [f.tipo, f.categoria, f.tentativas, f.codigo]),
+    [
+      ["detalhe", "imovel_retirado", 1, "1"],
+      ["detalhe", "timeout_navegacao", 3, "2"],
+    ]
+  );
+});
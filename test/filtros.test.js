@@ -0,0 +1,87 @@
+// test/filtros.test.js
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  escolherOpcao,
+  filtrarDetalhes,
+  filtrosParaSelects,
+  lerFiltros,
+  normalizarFiltros,
+} from "../lib/filtros.js";
+
+const TIPOS = [
+  { value: "", text: "Indiferente" },
+  { value: "0", text: "Selecione" },
+  { value: "1", text: "Apartamento" },
+  { value: "2", text: "Casa" },
+  { value: "4", text: "Casa em condomínio" },
+];
+const QUARTOS = [
+  { value: "", text: "Indiferente" },
+  { value: "11", text: "1 ou mais" },
+  { value: "12", text: "2 ou mais" },
+  { value: "13", text: "3 ou mais" },
+];
+
+test("escolherOpcao: value exato, texto igual, texto contendo, sem acento e caixa", () => {
+  assert.equal(escolherOpcao(TIPOS, "4"), "4");
+  assert.equal(escolherOpcao(TIPOS, "casa"), "2");
+  assert.equal(escolherOpcao(TIPOS, "CONDOMINIO"), "4");
+  assert.equal(escolherOpcao(TIPOS, "apto"), null);
+  // "Indiferente"/"Selecione" (value vazio ou 0) nunca são escolhidos
+  assert.equal(escolherOpcao(TIPOS, "selecione"), null);
+  assert.equal(escolherOpcao(TIPOS, ""), null);
+});
+
+test("escolherOpcao: número casa pelo primeiro inteiro do texto", () => {
+  assert.equal(escolherOpcao(QUARTOS, 2), "12");
+  assert.equal(escolherOpcao(QUARTOS, 5), null);
+  // value igual ao número ganha do texto
+  assert.equal(escolherOpcao(QUARTOS, 11), "11");
+});
+
+test("normalizarFiltros: números, vazios e erros", () => {
+  assert.deepEqual(
+    normalizarFiltros({ tipoImovel: " Casa ", quartosMin: "2", valorMax: 300000, vagasMin: "" }),
+    { tipoImovel: "Casa", quartosMin: 2, valorMax: 300000 }
+  );
+  assert.deepEqual(normalizarFiltros(null), {});
+  assert.throws(() => normalizarFiltros({ cor: "azul" }), /Filtro desconhecido: cor/);
+  assert.throws(() => normalizarFiltros({ quartosMin: "dois" }), /quartosMin deve ser numérico/);
+  assert.throws(() => normalizarFiltros({ valorMin: 10, valorMax: 5 }), /valorMin maior que valorMax/);
+  assert.throws(() => normalizarFiltros(["casa"]), /objeto/);
+});
+
+test("lerFiltros: --filtros ganha do ENV; JSON quebrado é erro claro", () => {
+  assert.deepEqual(
+    lerFiltros(['--filtros={"tipoImovel":"casa"}'], { FILTROS: '{"tipoImovel":"apartamento"}' }),
+    { tipoImovel: "casa" }
+  );
+  assert.deepEqual(lerFiltros([], { FILTROS: '{"quartosMin":"3"}' }), { quartosMin: 3 });
+  assert.deepEqual(lerFiltros([], {}), {});
+  assert.throws(() => lerFiltros(["--filtros={tipo"], {}), /FILTROS inválido/);
+});
+
+test("filtrosParaSelects só leva os filtros que têm select", () => {
+  assert.deepEqual(filtrosParaSelects({ tipoImovel: "casa", quartosMin: 2, valorMax: 1 }), {
+    cmb_tp_imovel: "casa",
+    cmb_quartos: 2,
+  });
+});
+
+test("filtrarDetalhes: faixa de valor, quartos e texto; código de option não filtra", () => {
+  const detalhes = [
+    { _imoveis_codigo_imovel: "1", _imoveis_valor_minimo_brl: 100000, _imoveis_quartos_qtd: 2, _imoveis_tipo_imovel: "Casa" },
+    { _imoveis_codigo_imovel: "2", _imoveis_valor_minimo_brl: 400000, _imoveis_quartos_qtd: 3, _imoveis_tipo_imovel: "Casa" },
+    { _imoveis_codigo_imovel: "3", _imoveis_valor_minimo_brl: 150000, _imoveis_quartos_qtd: 1, _imoveis_tipo_imovel: "Apartamento" },
+    { _imoveis_codigo_imovel: "4", _imoveis_valor_minimo_brl: null, _imoveis_quartos_qtd: 2, _imoveis_tipo_imovel: "Casa" },
+  ];
+  const codigos = (filtros) => filtrarDetalhes(detalhes, filtros).map((d) => d._imoveis_codigo_imovel);
+
+  assert.deepEqual(codigos({}), ["1", "2", "3", "4"]);
+  // sem valor não passa em filtro de valor
+  assert.deepEqual(codigos({ valorMax: 300000 }), ["1", "3"]);
+  assert.deepEqual(codigos({ quartosMin: 2, tipoImovel: "casa" }), ["1", "2", "4"]);
+  assert.deepEqual(codigos({ tipoImovel: "2" }), ["1", "2", "3", "4"]);
+});
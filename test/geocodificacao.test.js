@@ -0,0 +1,184 @@
+// test/geocodificacao.test.js
+// Cascata e cache da geocodificação com um provedor de teste no lugar do Nominatim.
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import {
+  chaveCache,
+  consultasDoImovel,
+  criarGeocodificador,
+  criarProvedorNominatim,
+} from "../lib/geocodificacao.js";
+
+const tmpCache = () =>
+  path.join(fs.mkdtempSync(path.join(os.tmpdir(), "geocache-")), "geocache.json");
+
+/**
+ * Provedor de teste: responde pelo mapa chaveCache(consulta) -> {lat, lon};
+ * "erro" lança, ausente = não achou. Guarda as consultas recebidas.
+ */
+function criarProvedorTeste(respostas = {}) {
+  const consultas = [];
+  return {
+    nome: "teste",
+    consultas,
+    async geocodificar(consulta) {
+      consultas.push(consulta);
+      const r = respostas[chaveCache(consulta)];
+      if (r === "erro") throw new Error("HTTP 500");
+      return r || null;
+    },
+  };
+}
+
+// o texto da cidade no endereço vem como a Caixa escreveu (com bairro, sem acento...)
+const imovel = (extra = {}) => ({
+  _imoveis_codigo_imovel: "1444400123456",
+  _imoveis_endereco_logradouro: "RUA DAS MANGUEIRAS",
+  _imoveis_endereco_numero: "450",
+  _imoveis_endereco_cidade_texto: "NOVA PORTO VELHO, PORTO VELHO",
+  _imoveis_endereco_estado_texto: "RONDONIA",
+  _imoveis_cidade: "PORTO VELHO",
+  _imoveis_estado: "RO",
+  _imoveis_cep: "76820000",
+  ...extra,
+});
+
+const ENDERECO = chaveCache({
+  street: "RUA DAS MANGUEIRAS 450",
+  city: "PORTO VELHO",
+  state: "RO",
+  postalcode: "76820-000",
+});
+const CEP = chaveCache({ postalcode: "76820-000" });
+const CIDADE = chaveCache({ city: "PORTO VELHO", state: "RO" });
+
+test("consultasDoImovel usa a cidade e a UF da busca, não o texto do endereço", () => {
+  assert.deepEqual(consultasDoImovel(imovel()), [
+    {
+      precisao: "endereco",
+      consulta: { street: "RUA DAS MANGUEIRAS 450", city: "PORTO VELHO", state: "RO", postalcode: "76820-000" },
+    },
+    { precisao: "cep", consulta: { postalcode: "76820-000" } },
+    { precisao: "cidade", consulta: { city: "PORTO VELHO", state: "RO" } },
+  ]);
+});
+
+test("consultasDoImovel cai no texto do endereço sem cidade/UF da busca", () => {
+  const [endereco] = consultasDoImovel(
+    imovel({
+      _imoveis_cidade: "",
+      _imoveis_estado: "",
+      _imoveis_endereco_cidade_texto: "ARIQUEMES",
+      _imoveis_endereco_estado_texto: "RO",
+    })
+  );
+  assert.equal(endereco.consulta.city, "ARIQUEMES");
+  assert.equal(endereco.consulta.state, "RO");
+});
+
+test("cascata: endereço não achado cai no CEP", async () => {
+  const provedor = criarProvedorTeste({ [CEP]: { lat: -8.76, lon: -63.9 } });
+  const geo = criarGeocodificador({ provedor, cacheFile: tmpCache() });
+  const det = imovel();
+
+  const contagem = await geo.processar([det]);
+
+  assert.equal(det._imoveis_geo_precisao, "cep");
+  assert.equal(det._imoveis_latitude, -8.76);
+  assert.equal(det._imoveis_longitude, -63.9);
+  assert.equal(det._imoveis_geo_fonte, "teste");
+  assert.equal(contagem.consultas, 2);
+});
+
+test("cache em disco: outra execução não consulta o provedor de novo", async () => {
+  const cacheFile = tmpCache();
+  const respostas = { [ENDERECO]: { lat: -8.7612, lon: -63.9004 } };
+
+  const primeiro = criarProvedorTeste(respostas);
+  await criarGeocodificador({ provedor: primeiro, cacheFile }).processar([imovel()]);
+  assert.equal(primeiro.consultas.length, 1);
+  assert.ok(JSON.parse(fs.readFileSync(cacheFile, "utf-8"))[ENDERECO]);
+
+  const segundo = criarProvedorTeste(respostas);
+  const det = imovel();
+  const contagem = await criarGeocodificador({ provedor: segundo, cacheFile }).processar([det]);
+  assert.equal(segundo.consultas.length, 0);
+  assert.equal(contagem.consultas, 0);
+  assert.equal(det._imoveis_geo_precisao, "endereco");
+  assert.equal(det._imoveis_latitude, -8.7612);
+});
+
+test("consulta sem resultado fica no cache até vencer", async () => {
+  const cacheFile = tmpCache();
+  const provedor = criarProvedorTeste({ [CIDADE]: { lat: -8.76, lon: -63.9 } });
+  await criarGeocodificador({ provedor, cacheFile }).processar([imovel()]);
+  assert.equal(provedor.consultas.length, 3);
+
+  // ainda dentro do prazo: nada de novo
+  await criarGeocodificador({ provedor, cacheFile, falhaDias: 30 }).processar([imovel()]);
+  assert.equal(provedor.consultas.length, 3);
+
+  // vencido: endereço e CEP são refeitos; a cidade (achada) não
+  const cache = JSON.parse(fs.readFileSync(cacheFile, "utf-8"));
+  for (const chave of [ENDERECO, CEP]) cache[chave].em = "2000-01-01T00:00:00.000Z";
+  fs.writeFileSync(cacheFile, JSON.stringify(cache));
+  await criarGeocodificador({ provedor, cacheFile, falhaDias: 30 }).processar([imovel()]);
+  assert.equal(provedor.consultas.length, 5);
+});
+
+test("erro do provedor não vai para o cache", async () => {
+  const cacheFile = tmpCache();
+  const provedor = criarProvedorTeste({ [ENDERECO]: "erro", [CEP]: { lat: -8.76, lon: -63.9 } });
+  const det = imovel();
+  await criarGeocodificador({ provedor, cacheFile, retry: { tentativas: 1, baseMs: 1 } }).processar([det]);
+
+  assert.equal(det._imoveis_geo_precisao, "cep");
+  const cache = JSON.parse(fs.readFileSync(cacheFile, "utf-8"));
+  assert.equal(cache[ENDERECO], undefined);
+  assert.ok(cache[CEP]);
+});
+
+test("provedor Nominatim manda a busca estruturada e lê o primeiro resultado", async () => {
+  const recebidas = [];
+  const servidor = http.createServer((req, res) => {
+    const params = new URL(req.url, "http://localhost").searchParams;
+    recebidas.push({
+      caminho: req.url.split("?")[0],
+      params: Object.fromEntries(params),
+      ua: req.headers["user-agent"],
+    });
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(params.get("city") === "PORTO VELHO" ? [{ lat: "-8.76", lon: "-63.90" }] : []));
+  });
+  await new Promise((resolve) => servidor.listen(0, "127.0.0.1", resolve));
+
+  try {
+    const provedor = criarProvedorNominatim({
+      baseUrl: `http://127.0.0.1:${servidor.address().port}/`,
+      rps: 100,
+    });
+    assert.deepEqual(await provedor.geocodificar({ city: "PORTO VELHO", state: "RO" }), {
+      lat: -8.76,
+      lon: -63.9,
+    });
+    assert.equal(await provedor.geocodificar({ city: "ARIQUEMES", state: "RO", street: "" }), null);
+  } finally {
+    await new Promise((resolve) => servidor.close(resolve));
+  }
+
+  assert.equal(recebidas[0].caminho, "/search");
+  assert.deepEqual(recebidas[0].params, {
+    format: "jsonv2",
+    limit: "1",
+    countrycodes: "br",
+    city: "PORTO VELHO",
+    state: "RO",
+  });
+  assert.equal("street" in recebidas[1].params, false);
+  assert.match(recebidas[0].ua, /api-leilao/);
+});
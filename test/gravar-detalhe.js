@@ -0,0 +1,69 @@
+// test/gravar-detalhe.js
+// Grava uma página de detalhe real da Caixa como fixture do parser:
+//
+//   node test/gravar-detalhe.js <hdnimovel> <nome> [UF] [codigoCidade] [nomeCidade]
+//
+// Abre a sessão pela busca (como o motor HTTP), baixa detalhe-imovel.asp e salva
+// test/fixtures/detalhes/<nome>.html sem scripts, estilos, iframes e comentários,
+// em UTF-8. O <nome>.json sai com o registro que o parser extrai hoje: revise
+// campo a campo contra a página antes de commitar, o esperado é a página, não o
+// parser.
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { parseHTML } from "linkedom";
+import { CAIXA_ORIGIN, parseDetalheImovel } from "../lib/detalhe-parser.js";
+import { ENDPOINTS, criarClienteHttp } from "../lib/motor-http.js";
+
+const DIR = fileURLToPath(new URL("./fixtures/detalhes/", import.meta.url));
+
+/** Tira o que não serve ao parser (e muda de página para página) */
+export function sanitizarDetalhe(html) {
+  const { document } = parseHTML(html.replace(/<!--[\s\S]*?-->/g, ""));
+  document
+    .querySelectorAll("script, noscript, style, link, iframe, meta:not([charset])")
+    .forEach((el) => el.remove());
+  const charset = document.querySelector("meta[charset]");
+  if (charset) charset.setAttribute("charset", "utf-8");
+  return `<!DOCTYPE html>\n${document.documentElement.toString()}\n`;
+}
+
+async function main() {
+  const [codigo, nome, estado = "", cidadeCodigo = "", cidadeNome = ""] =
+    process.argv.slice(2);
+  if (!/^\d+$/.test(codigo || "") || !nome) {
+    console.error("uso: node test/gravar-detalhe.js <hdnimovel> <nome> [UF] [codigoCidade] [nomeCidade]");
+    process.exit(2);
+  }
+
+  const base = (process.env.CAIXA_BASE_URL || CAIXA_ORIGIN).replace(/\/$/, "");
+  const cliente = criarClienteHttp();
+  await cliente.request(`${base}${ENDPOINTS.busca}`);
+  const res = await cliente.request(`${base}${ENDPOINTS.detalhe}${codigo}`, {
+    referer: `${base}${ENDPOINTS.busca}`,
+  });
+  if (res.status !== 200) throw new Error(`HTTP ${res.status} em ${res.url}`);
+
+  const html = sanitizarDetalhe(res.texto);
+  const meta = { url: `${CAIXA_ORIGIN}${ENDPOINTS.detalhe}${codigo}`, estado, cidadeCodigo, cidadeNome };
+  const registro = parseDetalheImovel(html, meta);
+
+  fs.writeFileSync(path.join(DIR, `${nome}.html`), html);
+  fs.writeFileSync(
+    path.join(DIR, `${nome}.json`),
+    `${JSON.stringify({ meta, registro }, null, 2)}\n`
+  );
+  console.log(`gravado ${nome}.html/.json (${registro ? registro._imoveis_tipo_imovel || "sem tipo" : "sem #dadosImovel"}); revise o .json`);
+}
+
+const isMain =
+  process.argv[1] &&
+  import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href;
+
+if (isMain) {
+  main().catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,185 @@
+// test/historico.test.js
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { abrirHistorico, abrirHistoricoLeitura } from "../lib/historico.js";
+import { enriquecerMetricas, lerConfigMetricas } from "../lib/metricas.js";
+
+// casas do mesmo bairro: comparáveis entre si
+const casa = (codigo, valor, extra = {}) => ({
+  _imoveis_codigo_imovel: codigo,
+  _imoveis_estado: "RO",
+  _imoveis_cidade: "PORTO VELHO",
+  _imoveis_bairro: "NOVA PORTO VELHO",
+  _imoveis_tipo_imovel: "Casa",
+  _imoveis_valor_minimo: `R$ ${valor}`,
+  _imoveis_valor_minimo_brl: valor,
+  _imoveis_area_total_m2: 100,
+  ...extra,
+});
+
+const execucao = (lista) => {
+  const detalhes = lista.map((d) => ({ ...d }));
+  enriquecerMetricas(detalhes, lerConfigMetricas({}));
+  return detalhes;
+};
+
+const CASAS = [casa("1", 100000), casa("2", 120000), casa("3", 140000), casa("4", 160000)];
+
+test("comparável novo não marca os outros como alterados", () => {
+  const historico = abrirHistorico(":memory:");
+  try {
+    historico.registrarExecucao(execucao(CASAS), { data: "2026-01-01T00:00:00.000Z" });
+
+    // a casa 5 muda percentil, score e qtd de comparáveis das outras quatro
+    const segunda = execucao([...CASAS, casa("5", 110000)]);
+    assert.notEqual(segunda[0]._imoveis_comparaveis_qtd, execucao(CASAS)[0]._imoveis_comparaveis_qtd);
+
+    const contagem = historico.registrarExecucao(segunda, { data: "2026-01-02T00:00:00.000Z" });
+    assert.deepEqual(contagem, { novos: 1, alterados: 0, inalterados: 4 });
+  } finally {
+    historico.fechar();
+  }
+});
+
+test("fases opcionais não contam como mudança; o valor conta", () => {
+  const historico = abrirHistorico(":memory:");
+  try {
+    historico.registrarExecucao(execucao(CASAS), { data: "2026-01-01T00:00:00.000Z" });
+
+    const comGeo = execucao(CASAS).map((d) => ({
+      ...d,
+      _imoveis_latitude: -8.76,
+      _imoveis_longitude: -63.9,
+      _imoveis_geo_precisao: "cidade",
+      _imoveis_edital_sha256: "a".repeat(64),
+    }));
+    comGeo[1]._imoveis_valor_minimo = "R$ 115000";
+
+    const contagem = historico.registrarExecucao(comGeo, { data: "2026-01-02T00:00:00.000Z" });
+    assert.deepEqual(contagem, { novos: 0, alterados: 1, inalterados: 3 });
+  } finally {
+    historico.fechar();
+  }
+});
+
+test("consultarImovel: linha do tempo só com as mudanças e dias à venda", () => {
+  const historico = abrirHistorico(":memory:");
+  try {
+    const leilao = (valor, extra = {}) =>
+      casa("1", valor, {
+        _imoveis_valor_minimo: `R$ ${valor / 1000}.000,00`,
+        _imoveis_valor_avaliacao: "R$ 200.000,00",
+        _imoveis_tipo_leilao: "Venda Online",
+        ...extra,
+      });
+    historico.registrarExecucao([leilao(150000)], { data: "2026-01-01T00:00:00.000Z" });
+    historico.registrarExecucao([leilao(150000)], { data: "2026-01-05T00:00:00.000Z" });
+    historico.registrarExecucao([leilao(120000, { _imoveis_tipo_leilao: "Licitação Aberta" })], {
+      data: "2026-01-11T12:00:00.000Z",
+    });
+
+    const imovel = historico.consultarImovel("1");
+    assert.equal(imovel.primeiroVisto, "2026-01-01T00:00:00.000Z");
+    assert.equal(imovel.ultimoVisto, "2026-01-11T12:00:00.000Z");
+    assert.equal(imovel.diasAVenda, 10);
+    assert.equal(imovel.estado, "RO");
+    assert.equal(imovel.ultimoRegistro._imoveis_tipo_leilao, "Licitação Aberta");
+    // a execução sem mudança não vira snapshot
+    assert.deepEqual(
+      imovel.precos.map((p) => [p.coletado_em, p.valor_minimo, p.valor_avaliacao, p.tipo_leilao]),
+      [
+        ["2026-01-01T00:00:00.000Z", 150000, 200000, "Venda Online"],
+        ["2026-01-11T12:00:00.000Z", 120000, 200000, "Licitação Aberta"],
+      ]
+    );
+    assert.deepEqual(historico.linhaDoTempo("1"), imovel.precos);
+
+    assert.equal(historico.consultarImovel("999"), null);
+  } finally {
+    historico.fechar();
+  }
+});
+
+test("imoveisAtuais traz só os vistos na última execução de cada estado", () => {
+  const historico = abrirHistorico(":memory:");
+  try {
+    historico.registrarExecucao([casa("1", 100000), casa("2", 110000)], {
+      data: "2026-01-01T00:00:00.000Z",
+    });
+    historico.registrarExecucao(
+      [casa("2", 105000), casa("7", 90000, { _imoveis_estado: "AC" })],
+      { data: "2026-01-02T00:00:00.000Z" }
+    );
+
+    const atuais = historico.imoveisAtuais();
+    assert.deepEqual(atuais.map((d) => d._imoveis_codigo_imovel), ["2", "7"]);
+    assert.equal(atuais[0]._imoveis_valor_minimo, "R$ 105000");
+  } finally {
+    historico.fechar();
+  }
+});
+
+test("execução parcial depois da listagem completa não encolhe os imóveis atuais", () => {
+  const historico = abrirHistorico(":memory:");
+  try {
+    historico.registrarExecucao([casa("1", 100000), casa("2", 110000), casa("3", 120000)], {
+      data: "2026-01-01T00:00:00.000Z",
+    });
+    historico.registrarListagem("RO", ["1", "2", "3"], { data: "2026-01-01T00:00:00.000Z" });
+
+    // details --codes 2: só o re-extraído avança ultimo_visto
+    historico.registrarExecucao([casa("2", 105000)], { data: "2026-01-02T00:00:00.000Z" });
+    let atuais = historico.imoveisAtuais();
+    assert.deepEqual(atuais.map((d) => d._imoveis_codigo_imovel), ["1", "2", "3"]);
+    assert.equal(atuais[1]._imoveis_valor_minimo, "R$ 105000");
+
+    // a próxima listagem completa é que tira o 3
+    historico.registrarListagem("RO", ["1", "2"], { data: "2026-01-03T00:00:00.000Z" });
+    atuais = historico.imoveisAtuais();
+    assert.deepEqual(atuais.map((d) => d._imoveis_codigo_imovel), ["1", "2"]);
+  } finally {
+    historico.fechar();
+  }
+});
+
+test("abrirHistoricoLeitura só consulta: não cria o banco nem grava nele", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "historico-"));
+  const file = path.join(dir, "historico_imoveis.sqlite");
+  assert.throws(() => abrirHistoricoLeitura(file));
+  assert.equal(fs.existsSync(file), false);
+
+  const escrita = abrirHistorico(file);
+  escrita.registrarExecucao([casa("1", 100000)], { data: "2026-01-01T00:00:00.000Z" });
+  escrita.registrarListagem("RO", ["1"]);
+  escrita.fechar();
+
+  const leitura = abrirHistoricoLeitura(file);
+  try {
+    assert.deepEqual(leitura.imoveisAtuais().map((d) => d._imoveis_codigo_imovel), ["1"]);
+    assert.equal(leitura.consultarImovel("1").estado, "RO");
+    assert.equal(leitura.registrarExecucao, undefined);
+    assert.throws(() => leitura.db.exec("DELETE FROM imoveis"), /readonly/);
+  } finally {
+    leitura.fechar();
+  }
+});
+
+test("banco anterior às tabelas de listagem ainda é lido", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "historico-"));
+  const file = path.join(dir, "historico_imoveis.sqlite");
+  const escrita = abrirHistorico(file);
+  escrita.registrarExecucao([casa("1", 100000)], { data: "2026-01-01T00:00:00.000Z" });
+  escrita.db.exec("DROP TABLE listagens; DROP TABLE listagem_imoveis;");
+  escrita.fechar();
+
+  const leitura = abrirHistoricoLeitura(file);
+  try {
+    assert.deepEqual(leitura.imoveisAtuais().map((d) => d._imoveis_codigo_imovel), ["1"]);
+  } finally {
+    leitura.fechar();
+  }
+});
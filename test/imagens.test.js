@@ -0,0 +1,132 @@
+// test/imagens.test.js
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { criarEspelhoImagens, lerDimensoes } from "../lib/imagens.js";
+import { criarLogger } from "../lib/log.js";
+
+const log = criarLogger({ nivel: "error", arquivoJson: null });
+
+/** PNG só com a assinatura + IHDR (largura x altura) */
+const png = (largura, altura) => {
+  const buf = Buffer.alloc(33);
+  buf.writeUInt32BE(0x89504e47, 0);
+  buf.writeUInt32BE(0x0d0a1a0a, 4);
+  buf.writeUInt32BE(13, 8);
+  buf.write("IHDR", 12, "ascii");
+  buf.writeUInt32BE(largura, 16);
+  buf.writeUInt32BE(altura, 20);
+  return buf;
+};
+
+/** JPEG: SOI, um APP0 curto e o SOF0 com altura/largura */
+const jpeg = (largura, altura) =>
+  Buffer.from([
+    0xff, 0xd8,
+    0xff, 0xe0, 0x00, 0x04, 0x00, 0x00,
+    0xff, 0xc0, 0x00, 0x11, 0x08, altura >> 8, altura & 0xff, largura >> 8, largura & 0xff, 0x03,
+    0x00, 0x00, 0x00, 0x00,
+  ]);
+
+test("lerDimensoes: PNG, JPEG, GIF e WebP pelo cabeçalho", () => {
+  assert.deepEqual(lerDimensoes(png(800, 600)), { ext: "png", largura: 800, altura: 600 });
+  assert.deepEqual(lerDimensoes(jpeg(1024, 768)), { ext: "jpg", largura: 1024, altura: 768 });
+
+  const gif = Buffer.alloc(13);
+  gif.write("GIF89a", 0, "ascii");
+  gif.writeUInt16LE(320, 6);
+  gif.writeUInt16LE(240, 8);
+  assert.deepEqual(lerDimensoes(gif), { ext: "gif", largura: 320, altura: 240 });
+
+  const webp = Buffer.alloc(30);
+  webp.write("RIFF", 0, "ascii");
+  webp.write("WEBPVP8X", 8, "ascii");
+  webp.writeUIntLE(1919, 24, 3);
+  webp.writeUIntLE(1079, 27, 3);
+  assert.deepEqual(lerDimensoes(webp), { ext: "webp", largura: 1920, altura: 1080 });
+
+  assert.deepEqual(lerDimensoes(Buffer.from("<html>")), { ext: "bin", largura: null, altura: null });
+});
+
+test("lerDimensoes: JPEG cortado antes do SOF fica sem dimensões", () => {
+  assert.deepEqual(lerDimensoes(jpeg(10, 10).subarray(0, 12)), { ext: "jpg", largura: null, altura: null });
+});
+
+test("espelho incremental: mesma foto vira um arquivo, segunda execução não baixa", async () => {
+  const fotos = { "/a.png": png(800, 600), "/b.jpg": jpeg(640, 480) };
+  const pedidos = [];
+  const servidor = http.createServer((req, res) => {
+    pedidos.push(req.url);
+    const foto = fotos[req.url];
+    res.writeHead(foto ? 200 : 404);
+    res.end(foto || "");
+  });
+  await new Promise((resolve) => servidor.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${servidor.address().port}`;
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "imagens-"));
+  const registros = () => [
+    { _imoveis_codigo_imovel: "111", _imoveis_imgs_lista: `${base}/a.png | ${base}/b.jpg` },
+    { _imoveis_codigo_imovel: "222", _imoveis_imgs_lista: `${base}/a.png|${base}/sumiu.png` },
+  ];
+
+  try {
+    const retry = { tentativas: 1, baseMs: 0 };
+    const [um, dois] = await criarEspelhoImagens({ dir, retry }).processar(registros(), { log });
+
+    const [localA, localB] = um._imoveis_imgs_local.split("|");
+    assert.match(localA, /^111\/[0-9a-f]{64}\.png$/);
+    assert.match(localB, /^111\/[0-9a-f]{64}\.jpg$/);
+    assert.equal(um._imoveis_imgs_dimensoes, "800x600|640x480");
+    assert.equal(um._imoveis_imgs_bytes, `${fotos["/a.png"].length}|${fotos["/b.jpg"].length}`);
+    // a foto repetida no 222 não foi baixada de novo; a que falhou fica vazia
+    assert.equal(dois._imoveis_imgs_local, `${localA.replace("111/", "222/")}|`);
+    assert.deepEqual(pedidos.sort(), ["/a.png", "/b.jpg", "/sumiu.png"]);
+    assert.deepEqual(fs.readFileSync(path.join(dir, dois._imoveis_imgs_local.split("|")[0])), fotos["/a.png"]);
+
+    // nova execução (índice relido do disco): só a que falhou é tentada de novo
+    pedidos.length = 0;
+    fs.rmSync(path.join(dir, localA.replace("111/", "222/")));
+    const [umDeNovo, doisDeNovo] = await criarEspelhoImagens({ dir, retry }).processar(registros(), { log });
+    assert.deepEqual(pedidos, ["/sumiu.png"]);
+    assert.equal(umDeNovo._imoveis_imgs_local, um._imoveis_imgs_local);
+    // o arquivo apagado volta a partir da cópia do outro imóvel
+    assert.equal(doisDeNovo._imoveis_imgs_local, dois._imoveis_imgs_local);
+    assert.ok(fs.existsSync(path.join(dir, localA.replace("111/", "222/"))));
+  } finally {
+    await new Promise((resolve) => servidor.close(resolve));
+  }
+});
+
+test("processar grava o índice durante a fase", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "imagens-"));
+  const indiceFile = path.join(dir, "indice.json");
+  const vistosNoDisco = [];
+  const servidor = http.createServer((req, res) => {
+    const noDisco = fs.existsSync(indiceFile) ? JSON.parse(fs.readFileSync(indiceFile, "utf-8")) : {};
+    vistosNoDisco.push(Object.keys(noDisco).length);
+    res.writeHead(200);
+    res.end(png(10, 10 + vistosNoDisco.length));
+  });
+  await new Promise((resolve) => servidor.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${servidor.address().port}`;
+
+  try {
+    await criarEspelhoImagens({ dir, salvarACadaMs: 0, retry: { tentativas: 1, baseMs: 0 } }).processar(
+      [
+        { _imoveis_codigo_imovel: "111", _imoveis_imgs_lista: `${base}/a.png|${base}/b.png` },
+        { _imoveis_codigo_imovel: "222", _imoveis_imgs_lista: `${base}/c.png` },
+      ],
+      { log }
+    );
+  } finally {
+    await new Promise((resolve) => servidor.close(resolve));
+  }
+
+  // a cada download o índice no disco já tem as fotos anteriores
+  assert.deepEqual(vistosNoDisco, [0, 1, 2]);
+  assert.equal(Object.keys(JSON.parse(fs.readFileSync(indiceFile, "utf-8"))).length, 3);
+});
@@ -0,0 +1,151 @@
+// test/metricas.test.js
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  PESOS_PADRAO,
+  calcularScore,
+  enriquecerMetricas,
+  lerConfigMetricas,
+  metricasImovel,
+  oportunidadesPorCidade,
+  pontuarOcupacao,
+  pontuarPagamento,
+} from "../lib/metricas.js";
+
+const imovel = (codigo, valor, desconto, extra = {}) => ({
+  _imoveis_codigo_imovel: codigo,
+  _imoveis_estado: "RO",
+  _imoveis_cidade: "PORTO VELHO",
+  _imoveis_cidade_codigo: "4577",
+  _imoveis_bairro: "CENTRO",
+  _imoveis_tipo_imovel: "Casa",
+  _imoveis_area_privativa_m2: 100,
+  _imoveis_valor_minimo_brl: valor,
+  _imoveis_desconto_percentual_pct: desconto,
+  ...extra,
+});
+
+/** 4 comparáveis no CENTRO, 1 sozinho em outro bairro e 1 em outra cidade */
+const estado = () => [
+  imovel("A", 100000, 20),
+  imovel("B", 200000, 50),
+  imovel("C", 200000, 50),
+  imovel("D", 400000, 0),
+  imovel("E", 300000, 80, { _imoveis_bairro: "NOVA PORTO VELHO" }),
+  imovel("F", 100000, 10, { _imoveis_cidade: "ARIQUEMES", _imoveis_cidade_codigo: "4550" }),
+];
+
+const porCodigo = (detalhes) => Object.fromEntries(detalhes.map((d) => [d._imoveis_codigo_imovel, d]));
+
+test("lerConfigMetricas: padrões, mescla dos pesos e valores inválidos", () => {
+  assert.deepEqual(lerConfigMetricas({}), { pesos: PESOS_PADRAO, minComparaveis: 3, top: 10 });
+
+  const c = lerConfigMetricas({
+    METRICAS_PESOS: '{"desconto": 1, "ocupacao": null}',
+    METRICAS_MIN_COMPARAVEIS: "0",
+    METRICAS_TOP: "abc",
+  });
+  assert.deepEqual(c, {
+    pesos: { desconto: 1, precoM2: 0.3, pagamento: 0.15 },
+    minComparaveis: 1,
+    top: 10,
+  });
+
+  assert.throws(() => lerConfigMetricas({ METRICAS_PESOS: "{" }), /METRICAS_PESOS inválido/);
+  assert.throws(
+    () => lerConfigMetricas({ METRICAS_PESOS: '{"liquidez": 1}' }),
+    /componente desconhecido liquidez/
+  );
+  assert.throws(() => lerConfigMetricas({ METRICAS_PESOS: '{"desconto": -1}' }), /peso inválido para desconto/);
+});
+
+test("metricasImovel: preço/m² por área e desconto de cada leilão", () => {
+  assert.deepEqual(
+    metricasImovel({
+      _imoveis_valor_minimo_brl: 100000,
+      _imoveis_valor_avaliacao_brl: 200000,
+      _imoveis_area_privativa_m2: 30,
+      _imoveis_area_total_m2: "",
+      _imoveis_area_terreno_m2: 0,
+      _imoveis_valor_minimo_1_leilao_brl: 120000,
+    }),
+    {
+      _imoveis_preco_m2_privativa_brl: 3333.33,
+      _imoveis_preco_m2_total_brl: null,
+      _imoveis_preco_m2_terreno_brl: null,
+      _imoveis_desconto_1_leilao_pct: 40,
+      _imoveis_desconto_2_leilao_pct: null,
+    }
+  );
+});
+
+test("componentes de pagamento e ocupação", () => {
+  const texto = "Permite financiamento. Não permite utilização de FGTS. Permite parcelamento.";
+  assert.equal(pontuarPagamento(texto), 2 / 3);
+  assert.equal(pontuarPagamento("Sem financiamento"), 0);
+  assert.equal(pontuarPagamento(""), null);
+
+  assert.equal(pontuarOcupacao({ _imoveis_doc_ocupado: "sim", _imoveis_descricao: "Imóvel desocupado." }), 0);
+  assert.equal(pontuarOcupacao({ _imoveis_doc_ocupado: "nao" }), 1);
+  assert.equal(pontuarOcupacao({ _imoveis_descricao: "Casa. Imóvel ocupado." }), 0);
+  assert.equal(pontuarOcupacao({ _imoveis_descricao: "Casa. Imóvel DESOCUPADO." }), 1);
+  assert.equal(pontuarOcupacao({ _imoveis_descricao: "Casa." }), null);
+});
+
+test("calcularScore renormaliza os pesos dos componentes disponíveis", () => {
+  assert.equal(calcularScore({ desconto: 0.5, precoM2: null, pagamento: null, ocupacao: null }), 50);
+  assert.equal(calcularScore({ desconto: 1, precoM2: 0, pagamento: 1, ocupacao: 0 }), 55);
+  // fora de 0..1 é limitado; peso 0 não conta
+  assert.equal(calcularScore({ desconto: 2, precoM2: -1 }, { desconto: 1, precoM2: 1 }), 50);
+  assert.equal(calcularScore({ desconto: 0.2, precoM2: 1 }, { desconto: 1, precoM2: 0 }), 20);
+  assert.equal(calcularScore({}), null);
+});
+
+test("percentil entre comparáveis (empate conta meio), score e ranking por cidade", () => {
+  const detalhes = estado();
+  const resumo = enriquecerMetricas(detalhes, lerConfigMetricas({}));
+  assert.deepEqual(resumo, { imoveis: 6, comparados: 4, pontuados: 6 });
+
+  const m = porCodigo(detalhes);
+  const ver = (codigo) => [
+    m[codigo]._imoveis_comparaveis_qtd,
+    m[codigo]._imoveis_percentil_preco_m2_pct,
+    m[codigo]._imoveis_score,
+    m[codigo]._imoveis_ranking_cidade,
+  ];
+  assert.deepEqual(ver("A"), [3, 0, 54.3, 2]);
+  // B e C empatam em score e desconto: o código desempata
+  assert.deepEqual(ver("B"), [3, 50, 50, 3]);
+  assert.deepEqual(ver("C"), [3, 50, 50, 4]);
+  assert.deepEqual(ver("D"), [3, 100, 0, 5]);
+  // sozinho no bairro: sem percentil, o score é só o desconto
+  assert.deepEqual(ver("E"), [0, null, 80, 1]);
+  assert.deepEqual(ver("F"), [0, null, 10, 1]);
+});
+
+test("abaixo do mínimo de comparáveis não há percentil", () => {
+  const detalhes = estado();
+  enriquecerMetricas(detalhes, lerConfigMetricas({ METRICAS_MIN_COMPARAVEIS: "4" }));
+  const a = porCodigo(detalhes).A;
+  assert.equal(a._imoveis_comparaveis_qtd, 3);
+  assert.equal(a._imoveis_percentil_preco_m2_pct, null);
+  assert.equal(a._imoveis_score, 20);
+});
+
+test("oportunidadesPorCidade: top N de cada cidade, cidades em ordem alfabética", () => {
+  const detalhes = estado();
+  enriquecerMetricas(detalhes, lerConfigMetricas({}));
+  const cidades = oportunidadesPorCidade(detalhes, 2).map(({ estado: uf, cidade, imoveis }) => [
+    uf,
+    cidade,
+    imoveis.map((d) => d._imoveis_codigo_imovel),
+  ]);
+  assert.deepEqual(
+    cidades,
+    [
+      ["RO", "ARIQUEMES", ["F"]],
+      ["RO", "PORTO VELHO", ["E", "A"]],
+    ]
+  );
+});
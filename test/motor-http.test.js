@@ -0,0 +1,105 @@
+// test/motor-http.test.js
+// Motor HTTP contra o servidor local com respostas gravadas (test/servidor-caixa.js).
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { after, before, test } from "node:test";
+import { CAIXA_ORIGIN } from "../lib/detalhe-parser.js";
+import { criarMotorHttp, lerIdsPesquisa } from "../lib/motor-http.js";
+import { iniciarServidorCaixa } from "./servidor-caixa.js";
+
+let servidor;
+let motor;
+
+before(async () => {
+  servidor = await iniciarServidorCaixa();
+  motor = criarMotorHttp({ baseUrl: servidor.baseUrl, timeoutMs: 5000 });
+});
+
+after(async () => {
+  await motor.fechar();
+  await servidor.fechar();
+});
+
+const esperado = (nome) => {
+  const texto = fs.readFileSync(new URL(`./fixtures/detalhes/${nome}.json`, import.meta.url), "utf-8");
+  // links da página resolvem contra o host que serviu a página
+  return JSON.parse(texto.replaceAll(CAIXA_ORIGIN, servidor.baseUrl));
+};
+
+test("listarEstados lê as UFs do select da busca", async () => {
+  assert.deepEqual(await motor.listarEstados(), ["RO", "SP"]);
+});
+
+test("listarCidades devolve as options sem o 'Selecione'", async () => {
+  assert.deepEqual(await motor.listarCidades("RO"), [
+    { value: "4577", text: "PORTO VELHO" },
+    { value: "4592", text: "JI-PARANA" },
+    { value: "4560", text: "ARIQUEMES" },
+  ]);
+  const req = servidor.requisicoes.findLast((r) => r.caminho.endsWith("carregaListaCidades.asp"));
+  assert.equal(req.form.cmb_estado, "RO");
+});
+
+test("listarCidades de UF sem resposta falha", async () => {
+  await assert.rejects(motor.listarCidades("AC"), { message: "HTTP 404" });
+});
+
+test("buscarUrlsCidade lê hdnImov* e manda o cookie da sessão", async () => {
+  const urls = await motor.buscarUrlsCidade("RO", { value: "4577", text: "PORTO VELHO" });
+  assert.deepEqual(urls, [
+    `${servidor.baseUrl}/sistema/detalhe-imovel.asp?hdnimovel=1444400123456`,
+    `${servidor.baseUrl}/sistema/detalhe-imovel.asp?hdnimovel=1444400777888`,
+    `${servidor.baseUrl}/sistema/detalhe-imovel.asp?hdnimovel=1444400000000`,
+  ]);
+  const req = servidor.requisicoes.findLast((r) => r.caminho.endsWith("carregaPesquisaImoveis.asp"));
+  assert.equal(req.form.hdn_estado, "RO");
+  assert.equal(req.form.hdn_cidade, "4577");
+});
+
+test("buscarUrlsCidade cai no detalhe_imovel(ID) da lista", async () => {
+  const urls = await motor.buscarUrlsCidade("RO", { value: "4592", text: "JI-PARANA" });
+  assert.deepEqual(urls, [`${servidor.baseUrl}/sistema/detalhe-imovel.asp?hdnimovel=8555500987654`]);
+});
+
+test("buscarUrlsCidade: cidade sem imóveis (mensagem em ISO-8859-1) é vazia", async () => {
+  assert.deepEqual(await motor.buscarUrlsCidade("RO", { value: "4560", text: "ARIQUEMES" }), []);
+});
+
+test("buscarUrlsCidade: resposta sem lista nem mensagem de vazio é erro", async () => {
+  await assert.rejects(motor.buscarUrlsCidade("RO", { value: "9999", text: "X" }), {
+    categoria: "dados_ausentes",
+  });
+});
+
+test("buscarUrlsCidade resolve o filtro de texto para o value do select", async () => {
+  await motor.buscarUrlsCidade("RO", { value: "4577", text: "PORTO VELHO" }, { tipoImovel: "Casa" });
+  const req = servidor.requisicoes.findLast((r) => r.caminho.endsWith("carregaPesquisaImoveis.asp"));
+  assert.equal(req.form.hdn_tp_imovel, "2");
+});
+
+test("sem o cookie da sessão a pesquisa volta 403", async () => {
+  const semCookie = await fetch(`${servidor.baseUrl}/sistema/carregaPesquisaImoveis.asp`, {
+    method: "POST",
+  });
+  assert.equal(semCookie.status, 403);
+});
+
+test("abrirDetalhe devolve o mesmo registro da página gravada", async () => {
+  const { meta, registro } = esperado("leilao-1-2");
+  const url = `${servidor.baseUrl}/sistema/detalhe-imovel.asp?hdnimovel=1444400123456`;
+  const det = await motor.abrirDetalhe(motor.workers[0], url, meta);
+  assert.deepEqual(det, registro);
+});
+
+test("abrirDetalhe de imóvel retirado falha como imovel_retirado", async () => {
+  const url = `${servidor.baseUrl}/sistema/detalhe-imovel.asp?hdnimovel=1444400000000`;
+  await assert.rejects(motor.abrirDetalhe(motor.workers[0], url, {}), {
+    categoria: "imovel_retirado",
+  });
+});
+
+test("lerIdsPesquisa junta e deduplica os ids", () => {
+  const html = '<input id="hdnImov1" value="1||2"><input id="hdnImov2" value="2||3||">';
+  assert.deepEqual(lerIdsPesquisa(html), ["1", "2", "3"]);
+});
@@ -0,0 +1,127 @@
+// test/perfil.test.js
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { PERFIL_PADRAO, carregarPerfil, lerPerfil, regexPerfil, validarPerfil } from "../lib/perfil.js";
+
+const padrao = () => structuredClone(carregarPerfil());
+
+/** Problemas apontados pela validação (um por linha " - ") */
+const errosDe = (perfil) => {
+  try {
+    validarPerfil(perfil, "teste");
+  } catch (err) {
+    assert.match(err.message, /^Perfil de extração inválido \(teste\):/);
+    return err.message.split("\n - ").slice(1);
+  }
+  return [];
+};
+
+test("o perfil padrão é válido", () => {
+  assert.deepEqual(errosDe(padrao()), []);
+});
+
+test("a validação lista todos os problemas com o caminho da chave", () => {
+  const p = padrao();
+  p.formato = 2;
+  p.busca.estado = "select[";
+  p.busca.idDetalhe = "(";
+  p.busca.overlays = [];
+  delete p.busca.itemLista;
+  p.busca.extra = "x";
+  p.detalhe.rotulosDados._imoveis_quartos = ["Quartos", ""];
+  p.detalhe.valores.valor_minimo = "Valor";
+  p.detalhe.spansRelacionados = [{ campo: "cidade", detectar: "[", outra: 1 }];
+
+  const esperados = [
+    /^formato: formato 2 não suportado \(esperado 1\)$/,
+    /^busca\.estado: seletor inválido \(.+\)$/,
+    /^busca\.idDetalhe: regex inválida \(.+\)$/,
+    /^busca\.overlays: deve ser lista não vazia$/,
+    /^busca\.itemLista: deve ser texto não vazio$/,
+    /^busca\.extra: chave desconhecida$/,
+    /^detalhe\.rotulosDados\._imoveis_quartos: deve ser texto ou lista de textos$/,
+    /^detalhe\.valores\.valor_minimo: deve ser um campo _imoveis_\*$/,
+    /^detalhe\.spansRelacionados\[0\]\.campo: deve ser um campo _imoveis_\*$/,
+    /^detalhe\.spansRelacionados\[0\]\.detectar: regex inválida \(.+\)$/,
+    /^detalhe\.spansRelacionados\[0\]\.outra: chave desconhecida$/,
+  ];
+  const erros = errosDe(p);
+  assert.equal(erros.length, esperados.length, erros.join("\n"));
+  for (const re of esperados) assert.ok(erros.some((e) => re.test(e)), `${re}\n${erros.join("\n")}`);
+});
+
+test("tipos errados de bloco, lista e mapa", () => {
+  const p = padrao();
+  p.busca = "div";
+  p.detalhe.tipoLeilao = "span";
+  p.detalhe.rotulosAreas = {};
+  p.detalhe.paragrafosRelacionados = [];
+  assert.deepEqual(errosDe(p), [
+    "busca: deve ser objeto",
+    "detalhe.rotulosAreas: vazio",
+    "detalhe.tipoLeilao: deve ser lista não vazia",
+    "detalhe.paragrafosRelacionados: deve ser lista não vazia de { campo, detectar, remover? }",
+  ]);
+});
+
+test("regex: texto sem flags ou { regex, flags } com as flags da entrada", () => {
+  assert.equal(regexPerfil("^Endere[cç]o:").flags, "");
+  assert.equal(regexPerfil({ regex: "^EDITAL", flags: "i" }).test("Edital: 1"), true);
+  assert.equal(regexPerfil({ regex: "^EDITAL" }).test("Edital: 1"), false);
+  assert.equal(regexPerfil({ regex: "x", flags: "i" }, "g").flags, "gi");
+
+  const p = padrao();
+  p.busca.idDetalhe = { regex: "detalhe_imovel\\((\\d+)\\)", flags: "g" };
+  p.detalhe.valores._imoveis_valor_avaliacao = { regex: "", flags: "i" };
+  p.detalhe.spansRelacionados[0].remover = { regex: "^Edital:", flags: "i", outra: 1 };
+  p.detalhe.paragrafosRelacionados[0].detectar = { regex: "(", flags: "i" };
+  assert.deepEqual(errosDe(p), [
+    "busca.idDetalhe: flags inválidas (g); use i, m, s, u",
+    "detalhe.valores._imoveis_valor_avaliacao: regex deve ser texto não vazio",
+    "detalhe.spansRelacionados[0].remover: chave desconhecida (outra)",
+    "detalhe.paragrafosRelacionados[0].detectar: regex inválida (Invalid regular expression: /(/i: Unterminated group)",
+  ]);
+});
+
+test("perfil padrão: cada regex com as flags do parser original", () => {
+  const { busca, detalhe } = carregarPerfil();
+  assert.equal(regexPerfil(busca.idDetalhe).flags, "");
+  for (const re of Object.values(detalhe.valores)) assert.equal(regexPerfil(re).flags, "i");
+
+  const regra = (lista, campo) => lista.find((r) => r.campo === campo);
+  const endereco = regra(detalhe.paragrafosRelacionados, "_imoveis_endereco_completo");
+  assert.equal(regexPerfil(endereco.detectar).test("ENDEREÇO: RUA X"), false);
+  assert.equal("endereço: RUA X".replace(regexPerfil(endereco.remover), ""), "RUA X");
+  assert.ok(regexPerfil(regra(detalhe.spansRelacionados, "_imoveis_leiloeiro").detectar).test("Leiloeiro(a): Y"));
+  assert.equal(regexPerfil(regra(detalhe.spansRelacionados, "_imoveis_data_leilao_1").detectar).flags, "");
+});
+
+test("carregarPerfil: JSON ilegível e perfil inválido falham antes da execução", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "perfil-"));
+  const quebrado = path.join(dir, "quebrado.json");
+  fs.writeFileSync(quebrado, "{");
+  assert.throws(() => carregarPerfil(quebrado), /Perfil de extração ilegível \(.*quebrado\.json\)/);
+
+  const invalido = path.join(dir, "invalido.json");
+  fs.writeFileSync(invalido, JSON.stringify({ ...padrao(), nome: "" }));
+  assert.throws(() => carregarPerfil(invalido), /invalido\.json\):\n - nome: deve ser texto não vazio$/);
+});
+
+test("lerPerfil: --perfil tem prioridade sobre PERFIL", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "perfil-"));
+  const arquivo = (nome) => {
+    const file = path.join(dir, `${nome}.json`);
+    fs.writeFileSync(file, JSON.stringify({ ...padrao(), nome }));
+    return file;
+  };
+  const argumento = arquivo("argumento");
+  const ambiente = arquivo("ambiente");
+
+  assert.equal(lerPerfil([`--perfil=${argumento}`], { PERFIL: ambiente }).nome, "argumento");
+  assert.equal(lerPerfil([], { PERFIL: ambiente }).nome, "ambiente");
+  assert.equal(lerPerfil([], {}), carregarPerfil(PERFIL_PADRAO));
+});
@@ -0,0 +1,107 @@
+// test/planilha-analise.test.js
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import ExcelJS from "exceljs";
+import { COLUNAS_ANALISE, gravarPlanilhaAnalise, montarPlanilhaAnalise } from "../lib/planilha-analise.js";
+
+const imovel = (codigo, cidade, extra = {}) => ({
+  _imoveis_codigo_imovel: codigo,
+  _imoveis_estado: "RO",
+  _imoveis_cidade: cidade,
+  _imoveis_tipo_imovel: "Casa",
+  _imoveis_valor_minimo_brl: 100000,
+  _imoveis_valor_avaliacao_brl: 160000,
+  _imoveis_desconto_percentual_pct: 37.5,
+  ...extra,
+});
+
+const nomesAbas = (wb) => wb.worksheets.map((ws) => ws.name);
+
+/** Linha de dados da aba como { título: valor } */
+const linha = (ws, n) => {
+  const titulos = ws.getRow(1).values;
+  const valores = ws.getRow(n).values;
+  return Object.fromEntries(titulos.map((t, i) => [t, valores[i]]).filter(([t]) => t));
+};
+
+test("abas por cidade: nome válido no Excel, único e sem colidir com as fixas", () => {
+  const wb = montarPlanilhaAnalise(
+    [
+      imovel("1", "PORTO VELHO"),
+      imovel("2", "SAO JOSE DO RIO CLARO / DISTRITO INDUSTRIAL NORTE"),
+      imovel("3", "SAO JOSE DO RIO CLARO / DISTRITO INDUSTRIAL NORTE II"),
+      imovel("4", "Resumo"),
+      imovel("5", ""),
+    ],
+    { estado: "RO" }
+  );
+
+  assert.deepEqual(nomesAbas(wb), [
+    "Resumo",
+    "Oportunidades",
+    "Imoveis",
+    "Sem cidade",
+    "PORTO VELHO",
+    "Resumo (2)",
+    "SAO JOSE DO RIO CLARO DISTRITO",
+    "SAO JOSE DO RIO CLARO DISTR (2)",
+    "Metadados",
+  ]);
+  for (const nome of nomesAbas(wb)) {
+    assert.ok(nome.length <= 31 && nome === nome.trim() && !/[[\]:*?/\\]/.test(nome), nome);
+  }
+});
+
+test("com mais de um estado a aba da cidade leva a UF", () => {
+  const wb = montarPlanilhaAnalise([
+    imovel("1", "SANTA LUZIA"),
+    imovel("2", "SANTA LUZIA", { _imoveis_estado: "MG" }),
+  ]);
+  assert.deepEqual(nomesAbas(wb).slice(3), ["MG - SANTA LUZIA", "RO - SANTA LUZIA"]);
+});
+
+test("links, formatos e o resumo apontando para a aba da cidade", () => {
+  const wb = montarPlanilhaAnalise([
+    imovel("1444400123456", "PORTO VELHO", {
+      _imoveis_link_edital: "https://venda-imoveis.caixa.gov.br/editais/EL0015.pdf",
+      _imoveis_data_leilao_1: "10/03/2026 - 10h00",
+      _imoveis_area_privativa_m2: "",
+    }),
+  ]);
+
+  const imoveis = wb.getWorksheet("Imoveis");
+  const registro = linha(imoveis, 2);
+  assert.equal(registro["Valor mínimo de venda"], 100000);
+  assert.equal(registro.Desconto, 0.375);
+  assert.equal(registro["Área privativa"], undefined);
+  assert.deepEqual(registro["Data 1º leilão"], new Date(Date.UTC(2026, 2, 10, 10, 0)));
+  assert.equal(registro["Página do imóvel"].text, "Abrir");
+  assert.match(registro["Página do imóvel"].hyperlink, /hdnimovel=1444400123456/);
+  assert.deepEqual(registro.Edital, {
+    text: "Edital",
+    hyperlink: "https://venda-imoveis.caixa.gov.br/editais/EL0015.pdf",
+  });
+  assert.equal(registro["Matrícula (PDF)"], undefined);
+
+  const colDesconto = COLUNAS_ANALISE.findIndex((c) => c.titulo === "Desconto") + 1;
+  assert.equal(imoveis.getColumn(colDesconto).numFmt, "0.0%");
+  assert.deepEqual(imoveis.views[0], { state: "frozen", ySplit: 1 });
+
+  const cidade = wb.getWorksheet("Resumo").getRow(2).getCell(2).value;
+  assert.equal(cidade.formula, `HYPERLINK("#'PORTO VELHO'!A1","PORTO VELHO")`);
+  assert.equal(cidade.result, "PORTO VELHO");
+});
+
+test("o arquivo gravado abre com as mesmas abas", async () => {
+  const arquivo = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "analise-")), "ro.analise.xlsx");
+  await gravarPlanilhaAnalise([imovel("1", "PORTO VELHO")], arquivo, { estado: "RO" });
+
+  const lido = new ExcelJS.Workbook();
+  await lido.xlsx.readFile(arquivo);
+  assert.deepEqual(nomesAbas(lido), ["Resumo", "Oportunidades", "Imoveis", "PORTO VELHO", "Metadados"]);
+  assert.equal(linha(lido.getWorksheet("Metadados"), 2).Valor, "RO");
+});
@@ -0,0 +1,59 @@
+// test/pool.test.js
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { comRetry } from "../lib/falhas.js";
+import { criarLimitador, processarEmPool } from "../lib/pool.js";
+
+test("cada tentativa do retry passa pelo limitador", async () => {
+  const limitador = criarLimitador({ rps: 0, jitterMs: 0 });
+  const vezes = [];
+  const aguardar = limitador.aguardar.bind(limitador);
+  limitador.aguardar = async () => {
+    vezes.push("aguardar");
+    await aguardar();
+  };
+
+  let chamadas = 0;
+  const res = await comRetry(
+    () =>
+      limitador.executar(async () => {
+        chamadas++;
+        if (chamadas < 3) throw new Error("timeout");
+        return "ok";
+      }),
+    { tentativas: 3, baseMs: 1 }
+  );
+
+  assert.equal(res, "ok");
+  assert.equal(chamadas, 3);
+  assert.equal(vezes.length, 3);
+});
+
+test("erros nas tentativas freiam o limitador", async () => {
+  const limitador = criarLimitador({ rps: 100, jitterMs: 0 });
+  await assert.rejects(
+    comRetry(() => limitador.executar(async () => Promise.reject(new Error("timeout"))), {
+      tentativas: 2,
+      baseMs: 1,
+    })
+  );
+  assert.ok(limitador.fator > 1.5);
+});
+
+test("processarEmPool devolve na ordem dos itens, não na de conclusão", async () => {
+  const atrasos = [40, 5, 25, 1, 10];
+  const concluidos = [];
+  const resultados = await processarEmPool(
+    atrasos,
+    ["p1", "p2", "p3"],
+    async (ms, pagina, i) => {
+      await new Promise((resolve) => setTimeout(resolve, ms));
+      return `item ${i}`;
+    },
+    { aoConcluir: (_res, _item, i) => concluidos.push(i) }
+  );
+
+  assert.notDeepEqual(concluidos, [0, 1, 2, 3, 4]);
+  assert.deepEqual(resultados, ["item 0", "item 1", "item 2", "item 3", "item 4"]);
+});
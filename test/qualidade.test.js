@@ -0,0 +1,143 @@
+// test/qualidade.test.js
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { MINIMOS_PADRAO, avaliarQualidade, lerConfigQualidade, verificarInvariantes } from "../lib/qualidade.js";
+
+const completo = (i) => ({
+  _imoveis_codigo_imovel: `14444001${String(i).padStart(5, "0")}`,
+  _imoveis_titulo: "CASA",
+  _imoveis_tipo_imovel: "Casa",
+  _imoveis_valor_avaliacao: "R$ 160.000,00",
+  _imoveis_valor_minimo: "R$ 100.000,00",
+  _imoveis_endereco_completo: "RUA A, 1",
+  _imoveis_matricula: "12345",
+  _imoveis_bairro: "CENTRO",
+});
+
+/** n registros completos; os `vazios` primeiros ficam sem `campo` */
+const lote = (n, campo, vazios) =>
+  Array.from({ length: n }, (_, i) => ({ ...completo(i), ...(i < vazios ? { [campo]: "" } : {}) }));
+
+const config = (extra = {}) => ({ ...lerConfigQualidade({}), ...extra });
+
+test("lerConfigQualidade: padrões, mescla de QUALIDADE_MINIMOS e valores inválidos", () => {
+  assert.deepEqual(lerConfigQualidade({}), {
+    minimos: MINIMOS_PADRAO,
+    quedaMax: 0.3,
+    minRegistros: 10,
+    gate: true,
+  });
+
+  const c = lerConfigQualidade({
+    QUALIDADE_MINIMOS: '{"_imoveis_bairro": "0.8", "_imoveis_matricula": null}',
+    QUALIDADE_QUEDA_MAX: "abc",
+    QUALIDADE_MIN_REGISTROS: "3",
+    QUALIDADE_GATE: "false",
+  });
+  assert.equal(c.minimos._imoveis_bairro, 0.8);
+  assert.equal("_imoveis_matricula" in c.minimos, false);
+  assert.equal(c.minimos._imoveis_titulo, 0.9);
+  assert.equal(c.quedaMax, 0.3);
+  assert.equal(c.minRegistros, 3);
+  assert.equal(c.gate, false);
+
+  assert.throws(() => lerConfigQualidade({ QUALIDADE_MINIMOS: "{" }), /QUALIDADE_MINIMOS inválido/);
+  assert.throws(
+    () => lerConfigQualidade({ QUALIDADE_MINIMOS: '{"_imoveis_titulo": "muito"}' }),
+    /valor inválido para _imoveis_titulo/
+  );
+});
+
+test("campo crítico reprova só abaixo do mínimo", () => {
+  const noLimite = avaliarQualidade(lote(10, "_imoveis_titulo", 1), { estado: "RO", config: config() });
+  assert.equal(noLimite.taxas._imoveis_titulo, 0.9);
+  assert.equal(noLimite.aprovado, true);
+
+  const abaixo = avaliarQualidade(lote(10, "_imoveis_titulo", 2), { estado: "RO", config: config() });
+  assert.equal(abaixo.aprovado, false);
+  assert.deepEqual(abaixo.gate.motivos, ["_imoveis_titulo: 80.0% preenchido (mínimo 90.0%)"]);
+});
+
+test("com menos de minRegistros o gate não avalia", () => {
+  const r = avaliarQualidade(lote(9, "_imoveis_titulo", 9), { estado: "RO", config: config() });
+  assert.deepEqual(r.gate, { ativo: true, avaliado: false, motivos: [] });
+  assert.equal(r.aprovado, true);
+});
+
+test("queda em relação à referência: só conta campo que vinha >= 50% e caiu mais que quedaMax", () => {
+  const anterior = {
+    aprovado: true,
+    geradoEm: "2026-01-01T00:00:00.000Z",
+    taxas: { _imoveis_bairro: 0.9, _imoveis_descricao: 0.4 },
+  };
+  const r = avaliarQualidade(lote(10, "_imoveis_bairro", 5), { estado: "RO", anterior, config: config() });
+  assert.equal(r.campos._imoveis_bairro.anterior, 0.9);
+  assert.ok(Math.abs(r.campos._imoveis_bairro.variacao + 0.4) < 1e-9);
+  // descrição caiu de 40% para 0%, mas nunca foi um campo confiável
+  assert.deepEqual(r.gate.motivos, ["_imoveis_bairro: caiu de 90.0% para 50.0%"]);
+
+  const tolerante = avaliarQualidade(lote(10, "_imoveis_bairro", 5), {
+    estado: "RO",
+    anterior,
+    config: config({ quedaMax: 0.5 }),
+  });
+  assert.equal(tolerante.aprovado, true);
+});
+
+test("execução reprovada não vira referência", () => {
+  const aprovada = { aprovado: true, geradoEm: "2026-01-01T00:00:00.000Z", taxas: { _imoveis_bairro: 1 } };
+  const reprovada = avaliarQualidade(lote(10, "_imoveis_bairro", 10), {
+    estado: "RO",
+    anterior: aprovada,
+    config: config(),
+  });
+  assert.equal(reprovada.aprovado, false);
+
+  // o bairro continua vazio: a régua ainda é a execução aprovada
+  const seguinte = avaliarQualidade(lote(10, "_imoveis_bairro", 10), {
+    estado: "RO",
+    anterior: reprovada,
+    config: config(),
+  });
+  assert.deepEqual(seguinte.referencia, { geradoEm: aprovada.geradoEm, taxas: aprovada.taxas });
+  assert.equal(seguinte.aprovado, false);
+});
+
+test("gate desligado grava os motivos sem reprovar", () => {
+  const r = avaliarQualidade(lote(10, "_imoveis_titulo", 5), {
+    estado: "RO",
+    config: config({ gate: false }),
+  });
+  assert.equal(r.aprovado, true);
+  assert.equal(r.gate.ativo, false);
+  assert.equal(r.gate.motivos.length, 1);
+});
+
+test("invariantes por registro", () => {
+  const { resumo, registros } = verificarInvariantes([
+    { _imoveis_codigo_imovel: "1", _imoveis_cep: "76.800-000" },
+    { _imoveis_codigo_imovel: "", _imoveis_cidade: "PORTO VELHO" },
+    {
+      _imoveis_codigo_imovel: "3",
+      _imoveis_valor_minimo_brl: 200000,
+      _imoveis_valor_avaliacao_brl: 100000,
+      _imoveis_cep: "7680",
+      _imoveis_desconto_percentual_pct: -100,
+    },
+  ]);
+  assert.deepEqual(resumo, {
+    codigo_ausente: 1,
+    valor_minimo_acima_avaliacao: 1,
+    cep_invalido: 1,
+    desconto_fora_da_faixa: 1,
+  });
+  assert.deepEqual(registros, [
+    { codigo: "", cidade: "PORTO VELHO", problemas: ["codigo_ausente"] },
+    {
+      codigo: "3",
+      cidade: "",
+      problemas: ["valor_minimo_acima_avaliacao", "cep_invalido", "desconto_fora_da_faixa"],
+    },
+  ]);
+});
@@ -0,0 +1,374 @@
+// test/run-scrape.test.js
+// runScrape de ponta a ponta (motor HTTP + servidor local com respostas gravadas).
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, test } from "node:test";
+import * as XLSX from "xlsx";
+import { opcoesDaLinhaDeComando, runScrape } from "../index.js";
+import { criarFonteDados } from "../lib/api.js";
+import { abrirHistorico } from "../lib/historico.js";
+import { criarLogger } from "../lib/log.js";
+import { lerArquivoUrls } from "../lib/urls-salvas.js";
+import { iniciarServidorCaixa } from "./servidor-caixa.js";
+
+let servidor;
+const envAntes = { ...process.env };
+
+before(async () => {
+  servidor = await iniciarServidorCaixa();
+  Object.assign(process.env, {
+    CAIXA_BASE_URL: servidor.baseUrl,
+    DETALHES_RPS: "100",
+    DETALHES_JITTER_MS: "0",
+    RETRY_TENTATIVAS: "1",
+    LOG_NIVEL: "error",
+  });
+});
+
+after(async () => {
+  process.env = envAntes;
+  await servidor.fechar();
+});
+
+test("opcoesDaLinhaDeComando só traz as flags presentes", () => {
+  assert.deepEqual(opcoesDaLinhaDeComando([]), {});
+  assert.deepEqual(
+    opcoesDaLinhaDeComando([
+      "--estados=ro,ac",
+      '--filtros={"tipoImovel":"Casa"}',
+      "--exportar=csv,json",
+      "--perfil=perfis/caixa.json",
+      "--resume",
+      "--geocodificar",
+    ]),
+    {
+      estados: ["RO", "AC"],
+      filtros: { tipoImovel: "Casa" },
+      formatos: ["csv", "json"],
+      perfil: "perfis/caixa.json",
+      resume: true,
+      geocodificar: true,
+    }
+  );
+});
+
+test("runScrape usa só opts e ENV, não as flags do processo", async () => {
+  const argvAntes = process.argv;
+  // se runScrape lesse argv, --exportar inválido e --estados=SP quebrariam a execução
+  process.argv = [...argvAntes, "--estados=SP", "--exportar=nada", "--documentos", "--resume"];
+  const imoveis = [];
+  try {
+    const resultado = await runScrape({
+      engine: "http",
+      estados: "RO",
+      dir: null,
+      sinais: false,
+      aoEvento: (e) => {
+        if (e.tipo === "property") imoveis.push(e.detalhe._imoveis_codigo_imovel);
+      },
+    });
+
+    assert.equal(resultado.detalhes.length, 3);
+    assert.deepEqual(imoveis.sort(), ["1444400123456", "1444400777888", "8555500987654"]);
+  } finally {
+    process.argv = argvAntes;
+  }
+});
+
+test("embutido, runScrape não instala handlers de SIGINT/SIGTERM", async () => {
+  const antes = [process.listenerCount("SIGINT"), process.listenerCount("SIGTERM")];
+  const durante = [];
+  await runScrape({
+    engine: "http",
+    estados: "RO",
+    dir: null,
+    aoEvento: (e) => {
+      if (e.tipo === "property") {
+        durante.push([process.listenerCount("SIGINT"), process.listenerCount("SIGTERM")]);
+      }
+    },
+  });
+  assert.ok(durante.length > 0);
+  for (const contagem of durante) assert.deepEqual(contagem, antes);
+});
+
+test("avisos da fase de URLs e erros do callback vão para o LOG_JSON com contexto", async () => {
+  const arquivoJson = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "log-")), "log.jsonl");
+  const log = criarLogger({ nivel: "warn", arquivoJson });
+  try {
+    await runScrape({
+      engine: "http",
+      estados: "RO",
+      dir: null,
+      sinais: false,
+      filtros: { tipoImovel: "Castelo" },
+      log,
+      aoEvento: (e) => {
+        if (e.tipo === "city:start") throw new Error("callback quebrado");
+      },
+    });
+  } finally {
+    log.fechar();
+  }
+
+  const linhas = fs.readFileSync(arquivoJson, "utf-8").trim().split("\n").map((l) => JSON.parse(l));
+  const semOpcao = linhas.find((l) => l.select === "cmb_tp_imovel" && l.cidadeCodigo === "4577");
+  assert.ok(semOpcao, "aviso do filtro sem opção no JSON");
+  assert.equal(semOpcao.nivel, "warn");
+  assert.equal(semOpcao.estado, "RO");
+  assert.equal(semOpcao.fase, "urls");
+
+  const callback = linhas.find((l) => l.evento === "city:start" && l.cidadeCodigo === "4577");
+  assert.ok(callback, "erro do callback no JSON");
+  assert.equal(callback.nivel, "error");
+  assert.equal(callback.estado, "RO");
+  assert.ok(callback.execucao);
+});
+
+test("outbox e dedup dos alertas ficam no dir da execução", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "run-alertas-"));
+  fs.writeFileSync(
+    path.join(dir, "buscas.json"),
+    JSON.stringify({
+      buscas: [{ nome: "ro", filtros: { estado: "RO" }, canais: { arquivo: {} }, notificarExistentes: true }],
+    })
+  );
+  const cwdAntes = process.cwd();
+  process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), "run-cwd-")));
+  try {
+    await runScrape({ engine: "http", estados: "RO", dir, sinais: false });
+    assert.deepEqual(fs.readdirSync(process.cwd()), []);
+  } finally {
+    process.chdir(cwdAntes);
+  }
+
+  const [linha] = fs
+    .readFileSync(path.join(dir, "alertas_outbox.jsonl"), "utf-8")
+    .trim()
+    .split("\n")
+    .map((l) => JSON.parse(l));
+  assert.equal(linha.busca, "ro");
+  assert.equal(linha.imoveis.length, 3);
+  const enviados = JSON.parse(fs.readFileSync(path.join(dir, ".alertas_enviados.json"), "utf-8"));
+  assert.equal(Object.keys(enviados.ro.arquivo).length, 3);
+});
+
+test("estado reprovado no gate de qualidade não dispara alertas", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "run-alertas-"));
+  fs.writeFileSync(
+    path.join(dir, "buscas.json"),
+    JSON.stringify({
+      buscas: [{ nome: "ro", filtros: { estado: "RO" }, canais: { arquivo: {} }, notificarExistentes: true }],
+    })
+  );
+  // 1 em 3 com leiloeiro: abaixo do mínimo exigido
+  process.env.QUALIDADE_MIN_REGISTROS = "1";
+  process.env.QUALIDADE_MINIMOS = '{"_imoveis_leiloeiro": 1}';
+  try {
+    const { ufsReprovadas, execucaoFalhou } = await runScrape({
+      engine: "http",
+      estados: "RO",
+      dir,
+      sinais: false,
+    });
+    assert.deepEqual(ufsReprovadas, ["RO"]);
+    assert.equal(execucaoFalhou, true);
+  } finally {
+    delete process.env.QUALIDADE_MIN_REGISTROS;
+    delete process.env.QUALIDADE_MINIMOS;
+  }
+
+  assert.equal(fs.existsSync(path.join(dir, "alertas_outbox.jsonl")), false);
+  const enviados = JSON.parse(fs.readFileSync(path.join(dir, ".alertas_enviados.json"), "utf-8"));
+  assert.deepEqual(Object.keys((enviados.ro || {}).arquivo || {}), []);
+});
+
+test("códigos avulsos: histórico e diff só com os re-extraídos", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "run-codigos-"));
+  const db = path.join(dir, "historico_imoveis.sqlite");
+  const ultimoVisto = (codigo) => {
+    const historico = abrirHistorico(db);
+    try {
+      return historico.consultarImovel(codigo).ultimoVisto;
+    } finally {
+      historico.fechar();
+    }
+  };
+
+  await runScrape({ engine: "http", estados: "RO", dir, sinais: false });
+  const antes = ultimoVisto("8555500987654");
+  await new Promise((resolve) => setTimeout(resolve, 5));
+
+  const url = `${servidor.baseUrl}/sistema/detalhe-imovel.asp?hdnimovel=1444400123456`;
+  const { porEstado } = await runScrape({
+    engine: "http",
+    estados: "RO",
+    dir,
+    sinais: false,
+    urls: { RO: { 4577: { cidade: "PORTO VELHO", urls: [url] } } },
+    mesclar: true,
+  });
+
+  // os salvos continuam no XLSX, mas não foram vistos de novo
+  assert.equal(porEstado.RO.detalhes.length, 3);
+  assert.deepEqual(
+    porEstado.RO.coletados.map((d) => d._imoveis_codigo_imovel),
+    ["1444400123456"]
+  );
+  assert.equal(ultimoVisto("8555500987654"), antes);
+  assert.notEqual(ultimoVisto("1444400123456"), antes);
+  assert.equal(porEstado.RO.mudancas.resumo.removidos, 0);
+
+  // a API continua com a listagem completa da primeira execução
+  const fonte = criarFonteDados({
+    dir,
+    fonte: "historico",
+    log: criarLogger({ nivel: "error", arquivoJson: null }),
+  });
+  try {
+    assert.deepEqual(
+      fonte.dados().imoveis.map((d) => d._imoveis_codigo_imovel).sort(),
+      porEstado.RO.detalhes.map((d) => d._imoveis_codigo_imovel).sort()
+    );
+  } finally {
+    fonte.fechar();
+  }
+});
+
+test("checkpoints são apagados só quando a execução termina sem falhas", async () => {
+  const checkpoints = (dir) => fs.readdirSync(dir).filter((f) => f.startsWith(".checkpoint_"));
+
+  const dirOk = fs.mkdtempSync(path.join(os.tmpdir(), "run-checkpoint-"));
+  const ok = await runScrape({ engine: "http", estados: "RO", dir: dirOk, sinais: false });
+  assert.equal(ok.execucaoFalhou, false);
+  assert.deepEqual(checkpoints(dirOk), []);
+
+  // 1 detalhe com erro em 4: taxa acima do limite, o --resume ainda precisa do checkpoint
+  const comFalha = await iniciarServidorCaixa({ falharDetalhes: ["1444400777888"] });
+  const dirFalha = fs.mkdtempSync(path.join(os.tmpdir(), "run-checkpoint-"));
+  process.env.CAIXA_BASE_URL = comFalha.baseUrl;
+  try {
+    const falhou = await runScrape({ engine: "http", estados: "RO", dir: dirFalha, sinais: false });
+    assert.equal(falhou.execucaoFalhou, true);
+  } finally {
+    process.env.CAIXA_BASE_URL = servidor.baseUrl;
+    await comFalha.fechar();
+  }
+  assert.deepEqual(checkpoints(dirFalha).sort(), [
+    ".checkpoint_ro.detalhes.jsonl",
+    ".checkpoint_ro.json",
+  ]);
+});
+
+test("diff de uma execução com filtro não marca como removido o que ficou fora do filtro", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "run-diff-"));
+  await runScrape({ engine: "http", estados: "RO", dir, sinais: false });
+
+  const { porEstado } = await runScrape({
+    engine: "http",
+    estados: "RO",
+    dir,
+    sinais: false,
+    filtros: { tipoImovel: "Casa" },
+  });
+  const { resumo } = porEstado.RO.mudancas;
+  assert.ok(porEstado.RO.detalhes.length < 3, "o filtro fino tirou imóveis da saída");
+  assert.equal(resumo.removidos, 0);
+  assert.equal(resumo.foraDoEscopo, 3 - porEstado.RO.detalhes.length);
+});
+
+test("com LOG_NIVEL=error nenhuma fase escreve info ou warn no console", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "run-log-nivel-"));
+  fs.writeFileSync(
+    path.join(dir, "buscas.json"),
+    JSON.stringify({ buscas: [{ nome: "ro", filtros: { estado: "RO" }, canais: { arquivo: {} } }] })
+  );
+  const escritos = [];
+  const originais = { log: console.log, warn: console.warn, error: console.error };
+  for (const metodo of Object.keys(originais)) {
+    console[metodo] = (...args) => escritos.push({ metodo, texto: args.join(" ") });
+  }
+  try {
+    // a segunda execução passa também por checkpoint, diff e alertas já registrados
+    await runScrape({ engine: "http", estados: "RO", dir, sinais: false });
+    await runScrape({ engine: "http", estados: "RO", dir, sinais: false, resume: true });
+  } finally {
+    Object.assign(console, originais);
+  }
+  assert.deepEqual(escritos.filter((e) => e.metodo !== "error"), []);
+});
+
+test("detalhes em paralelo saem na ordem da execução sequencial", async () => {
+  const codigos = (detalhes) => detalhes.map((d) => d._imoveis_codigo_imovel);
+  const sequencial = await runScrape({ engine: "http", estados: "RO", dir: null, sinais: false });
+
+  // o primeiro imóvel da fila responde por último
+  const lento = await iniciarServidorCaixa({
+    atrasarDetalhes: { [codigos(sequencial.detalhes)[0]]: 300 },
+  });
+  process.env.CAIXA_BASE_URL = lento.baseUrl;
+  const eventos = [];
+  try {
+    const paralelo = await runScrape({
+      engine: "http",
+      estados: "RO",
+      dir: null,
+      sinais: false,
+      concorrencia: 4,
+      aoEvento: (e) => {
+        if (e.tipo === "property") eventos.push(e.detalhe._imoveis_codigo_imovel);
+      },
+    });
+    assert.notDeepEqual(eventos, codigos(sequencial.detalhes));
+    assert.deepEqual(codigos(paralelo.detalhes), codigos(sequencial.detalhes));
+  } finally {
+    process.env.CAIXA_BASE_URL = servidor.baseUrl;
+    await lento.fechar();
+  }
+});
+
+test("gate da taxa de falhas: acima de FALHAS_LIMITE a execução falha", async () => {
+  const comFalha = await iniciarServidorCaixa({ falharDetalhes: ["1444400777888"] });
+  process.env.CAIXA_BASE_URL = comFalha.baseUrl;
+  const rodar = async (limite) => {
+    process.env.FALHAS_LIMITE = limite;
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "run-falhas-"));
+    const r = await runScrape({ engine: "http", estados: "RO", dir, sinais: false });
+    return { ...r, failures: JSON.parse(fs.readFileSync(path.join(dir, "failures.json"), "utf-8")) };
+  };
+  try {
+    // 1 erro em 4 detalhes (o retirado não conta): 25%
+    const reprovada = await rodar("0.2");
+    assert.equal(reprovada.execucaoFalhou, true);
+    assert.equal(reprovada.relatorioFalhas.taxas.detalhe, 0.25);
+    assert.deepEqual(reprovada.failures.porCategoria, { desconhecido: 1, imovel_retirado: 1 });
+
+    const aprovada = await rodar("0.3");
+    assert.equal(aprovada.execucaoFalhou, false);
+  } finally {
+    delete process.env.FALHAS_LIMITE;
+    process.env.CAIXA_BASE_URL = servidor.baseUrl;
+    await comFalha.fechar();
+  }
+});
+
+test("filtros vão para o formulário da busca e para os metadados das saídas", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "run-filtros-"));
+  const antes = servidor.requisicoes.length;
+  await runScrape({ engine: "http", estados: "RO", dir, sinais: false, filtros: { tipoImovel: "casa" } });
+
+  const pesquisas = servidor.requisicoes
+    .slice(antes)
+    .filter((r) => r.caminho.endsWith("carregaPesquisaImoveis.asp"));
+  assert.ok(pesquisas.length > 0);
+  assert.ok(pesquisas.every((r) => r.form.hdn_tp_imovel === "2"));
+
+  const { meta } = lerArquivoUrls(path.join(dir, "urls_ro_por_cidade.json"));
+  assert.deepEqual(meta.filtros, { tipoImovel: "casa" });
+  const wb = XLSX.read(fs.readFileSync(path.join(dir, "imoveis_ro_detalhes.xlsx")));
+  const linhas = XLSX.utils.sheet_to_json(wb.Sheets.Metadados);
+  assert.equal(linhas.find((l) => l.chave === "filtros").valor, '{"tipoImovel":"casa"}');
+});
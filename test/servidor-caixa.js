@@ -0,0 +1,100 @@
+// test/servidor-caixa.js
+// Servidor local com respostas gravadas da Caixa, para rodar os motores com
+// CAIXA_BASE_URL (ou baseUrl) apontando para ele.
+//
+// - busca-imovel.asp: test/fixtures/caixa/busca-imovel.html + cookie de sessão
+// - carregaListaCidades.asp: cidades-<UF>.html (404 sem o arquivo)
+// - carregaPesquisaImoveis.asp: pesquisa-<cidade>.html ou pesquisa-vazia.html;
+//   403 sem o cookie, como a Caixa
+// - detalhe-imovel.asp: a página de test/fixtures/detalhes com o mesmo
+//   hdnimovel, senão retirado.html; 500 para os códigos em `falharDetalhes`,
+//   resposta atrasada para os de `atrasarDetalhes`
+//
+// Tudo sai em ISO-8859-1, igual ao site.
+
+import fs from "node:fs";
+import http from "node:http";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { ENDPOINTS } from "../lib/motor-http.js";
+
+const DIR_CAIXA = fileURLToPath(new URL("./fixtures/caixa/", import.meta.url));
+const DIR_DETALHES = fileURLToPath(new URL("./fixtures/detalhes/", import.meta.url));
+const COOKIE = "ASPSESSIONIDTESTE=gravado";
+
+const ler = (dir, nome) => {
+  const file = path.join(dir, nome);
+  return fs.existsSync(file) ? fs.readFileSync(file, "utf-8") : null;
+};
+
+/** hdnimovel -> página de detalhe gravada */
+function indexarDetalhes() {
+  const porCodigo = new Map();
+  for (const f of fs.readdirSync(DIR_DETALHES).filter((f) => f.endsWith(".html"))) {
+    const html = ler(DIR_DETALHES, f);
+    const m = html.match(/id="hdnimovel"[^>]*value="(\d+)"/);
+    if (m) porCodigo.set(m[1], html);
+  }
+  return porCodigo;
+}
+
+/**
+ * Sobe o servidor numa porta livre.
+ * @param {object} [opts]
+ * @param {string[]} [opts.falharDetalhes] hdnimovel que respondem 500
+ * @param {Object<string, number>} [opts.atrasarDetalhes] hdnimovel -> atraso da resposta (ms)
+ * @returns {Promise<{ baseUrl: string, requisicoes: Array<{metodo, caminho, form}>, fechar: () => Promise<void> }>}
+ */
+export async function iniciarServidorCaixa({ falharDetalhes = [], atrasarDetalhes = {} } = {}) {
+  const detalhes = indexarDetalhes();
+  const requisicoes = [];
+
+  const servidor = http.createServer((req, res) => {
+    let corpo = "";
+    req.on("data", (c) => (corpo += c));
+    req.on("end", () => {
+      const url = new URL(req.url, "http://localhost");
+      const form = Object.fromEntries(new URLSearchParams(corpo));
+      requisicoes.push({ metodo: req.method, caminho: url.pathname, form });
+
+      const responder = (status, html) => {
+        res.writeHead(status, { "Content-Type": "text/html; charset=iso-8859-1" });
+        res.end(Buffer.from(html || "", "latin1"));
+      };
+      const temSessao = (req.headers.cookie || "").includes(COOKIE);
+
+      if (url.pathname === ENDPOINTS.busca.split("?")[0]) {
+        res.setHeader("Set-Cookie", `${COOKIE}; path=/`);
+        return responder(200, ler(DIR_CAIXA, "busca-imovel.html"));
+      }
+      if (url.pathname === ENDPOINTS.cidades) {
+        const html = ler(DIR_CAIXA, `cidades-${form.cmb_estado}.html`);
+        return responder(html ? 200 : 404, html || "Not Found");
+      }
+      if (url.pathname === ENDPOINTS.pesquisa) {
+        if (!temSessao) return responder(403, "Forbidden");
+        const html =
+          ler(DIR_CAIXA, `pesquisa-${form.hdn_cidade}.html`) || ler(DIR_CAIXA, "pesquisa-vazia.html");
+        return responder(200, html);
+      }
+      if (url.pathname === ENDPOINTS.detalhe.split("?")[0]) {
+        const codigo = url.searchParams.get("hdnimovel");
+        if (falharDetalhes.includes(codigo)) return responder(500, "Internal Server Error");
+        const html = detalhes.get(codigo);
+        const enviar = () => responder(200, html || ler(DIR_DETALHES, "retirado.html"));
+        if (atrasarDetalhes[codigo]) return void setTimeout(enviar, atrasarDetalhes[codigo]);
+        return enviar();
+      }
+      responder(404, "Not Found");
+    });
+  });
+
+  await new Promise((resolve) => servidor.listen(0, "127.0.0.1", resolve));
+  const { port } = servidor.address();
+
+  return {
+    baseUrl: `http://127.0.0.1:${port}`,
+    requisicoes,
+    fechar: () => new Promise((resolve) => servidor.close(() => resolve())),
+  };
+}
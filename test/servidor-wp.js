@@ -0,0 +1,41 @@
+// test/servidor-wp.js
+// Endpoint local no lugar do plugin de importação do WordPress (ROTA_IMPORT e
+// ROTA_RETIRAR): guarda cada requisição e responde com o status da fila
+// `respostas` (um por requisição, depois 200).
+
+import http from "node:http";
+
+/**
+ * Sobe o stub numa porta livre.
+ * @param {object} [opts]
+ * @param {number[]} [opts.respostas] status das próximas requisições (ex.: [503, 503])
+ * @returns {Promise<{ url: string, requisicoes: Array<{rota, autorizacao, corpo, status}>, respostas: number[], fechar: () => Promise<void> }>}
+ */
+export async function iniciarServidorWp({ respostas = [] } = {}) {
+  const requisicoes = [];
+  const fila = [...respostas];
+
+  const servidor = http.createServer((req, res) => {
+    let texto = "";
+    req.on("data", (c) => (texto += c));
+    req.on("end", () => {
+      const status = fila.length > 0 ? fila.shift() : 200;
+      const corpo = texto ? JSON.parse(texto) : null;
+      requisicoes.push({ rota: req.url, autorizacao: req.headers.authorization || "", corpo, status });
+
+      res.writeHead(status, { "Content-Type": "application/json" });
+      if (status >= 400) return res.end(JSON.stringify({ code: "erro_teste", status }));
+      const n = corpo ? (corpo.imoveis || corpo.codigos || []).length : 0;
+      res.end(JSON.stringify({ ok: true, processados: n }));
+    });
+  });
+
+  await new Promise((resolve) => servidor.listen(0, "127.0.0.1", resolve));
+
+  return {
+    url: `http://127.0.0.1:${servidor.address().port}`,
+    requisicoes,
+    respostas: fila,
+    fechar: () => new Promise((resolve) => servidor.close(() => resolve())),
+  };
+}
@@ -0,0 +1,112 @@
+// test/sync-wp.test.js
+// runSync lendo os arquivos de um diretório de execução, contra o stub do WP.
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { exportarDetalhes } from "../lib/exportadores.js";
+import { criarLogger } from "../lib/log.js";
+import { runSync } from "../sync-wp.js";
+import { iniciarServidorWp } from "./servidor-wp.js";
+
+const registro = (codigo, cidade) => ({
+  _imoveis_codigo_imovel: codigo,
+  _imoveis_cidade_codigo: cidade,
+  _imoveis_valor_minimo: "R$ 100.000,00",
+});
+
+async function gravarEstado(dir, uf, registros, jsonUrls) {
+  await exportarDetalhes(registros, {
+    base: path.join(dir, `imoveis_${uf}_detalhes`),
+    formatos: ["xlsx"],
+    sheetName: `Imoveis_${uf.toUpperCase()}`,
+  });
+  fs.writeFileSync(path.join(dir, `urls_${uf}_por_cidade.json`), jsonUrls);
+}
+
+test("JSON de URLs corrompido é falha só do seu estado", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sync-wp-"));
+  await gravarEstado(
+    dir,
+    "ro",
+    [registro("1444400123456", "4577")],
+    JSON.stringify({ _meta: { estado: "RO" }, 4577: { cidade: "PORTO VELHO", urls: [] } })
+  );
+  await gravarEstado(dir, "ac", [registro("1444400111111", "1")], '{"_meta": {"estado": "AC"}, "1": {');
+
+  const servidor = await iniciarServidorWp();
+  const envAntes = { ...process.env };
+  Object.assign(process.env, {
+    WP_URL: `${servidor.url}/`,
+    WP_TOKEN: "token-teste",
+    WP_SYNC_ESTADO: path.join(dir, ".wp_sync.json"),
+  });
+  const logJson = path.join(dir, "log.jsonl");
+  const log = criarLogger({ nivel: "error", arquivoJson: logJson });
+  let r;
+  try {
+    r = await runSync({ dir, semRetirada: true, dryRun: false, forcar: false, log });
+  } finally {
+    process.env = envAntes;
+    log.fechar();
+    await servidor.fechar();
+  }
+
+  assert.equal(r.falhas, 1);
+  assert.deepEqual(r.estados, ["AC", "RO"]);
+  // AC (quebrado) vem antes e não impede o RO
+  assert.deepEqual(
+    servidor.requisicoes.map((req) => req.corpo.imoveis.map((i) => i._imoveis_codigo_imovel)),
+    [["1444400123456"]]
+  );
+  const erros = fs
+    .readFileSync(logJson, "utf-8")
+    .trim()
+    .split("\n")
+    .map((l) => JSON.parse(l));
+  assert.deepEqual(
+    erros.map((l) => [l.nivel, l.fase, l.estado]),
+    [["error", "sync", "AC"]]
+  );
+});
+
+test("saída do sync vai para o logger, com fase e estado", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sync-wp-"));
+  await gravarEstado(
+    dir,
+    "ro",
+    [registro("1444400123456", "4577")],
+    JSON.stringify({ _meta: { estado: "RO" }, 4577: { cidade: "PORTO VELHO", urls: [] } })
+  );
+  const logJson = path.join(dir, "log.jsonl");
+  const envAntes = { ...process.env };
+  Object.assign(process.env, {
+    LOG_NIVEL: "info",
+    LOG_JSON: logJson,
+    WP_SYNC_ESTADO: path.join(dir, ".wp_sync.json"),
+  });
+  delete process.env.WP_URL;
+  const console_ = { log: console.log, warn: console.warn, error: console.error };
+  const naTela = [];
+  for (const m of Object.keys(console_)) console[m] = (msg) => naTela.push(String(msg));
+  try {
+    await runSync({ dir, dryRun: true, forcar: false, semRetirada: false });
+  } finally {
+    Object.assign(console, console_);
+    process.env = envAntes;
+  }
+
+  const linhas = fs
+    .readFileSync(logJson, "utf-8")
+    .trim()
+    .split("\n")
+    .map((l) => JSON.parse(l));
+  // cada linha da tela também está no JSON-lines
+  assert.equal(linhas.length, naTela.length);
+  assert.ok(linhas.every((l) => l.fase === "sync"));
+  const resumo = linhas.find((l) => l.novos !== undefined);
+  assert.equal(resumo.estado, "RO");
+  assert.equal(resumo.novos, 1);
+});
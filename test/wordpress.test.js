@@ -0,0 +1,415 @@
+// test/wordpress.test.js
+// Sincronização com o WordPress contra o stub local (test/servidor-wp.js).
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import {
+  abrirEstadoSync,
+  criarClienteWp,
+  planejarRetirada,
+  retirarAusentes,
+  sincronizarEstado,
+  CHAVE_IMOVEL,
+  ROTA_IMPORT,
+  ROTA_RETIRAR,
+} from "../lib/wordpress.js";
+import { iniciarServidorWp } from "./servidor-wp.js";
+
+const AUTORIZACAO = "Bearer token-teste";
+
+const tmpSync = () =>
+  path.join(fs.mkdtempSync(path.join(os.tmpdir(), "wp-sync-")), ".wp_sync.json");
+
+const registro = (codigo, cidade = "4577", extra = {}) => ({
+  [CHAVE_IMOVEL]: String(codigo),
+  _imoveis_cidade_codigo: cidade,
+  _imoveis_valor_minimo_brl: 100000,
+  ...extra,
+});
+
+/** Roda fn com o stub no ar e um cliente apontando para ele */
+async function comServidor(opts, fn) {
+  const servidor = await iniciarServidorWp(opts);
+  const cliente = criarClienteWp({
+    url: `${servidor.url}/`,
+    autorizacao: AUTORIZACAO,
+    retry: { tentativas: 3, baseMs: 1 },
+    timeoutMs: 5000,
+  });
+  try {
+    return await fn(servidor, cliente);
+  } finally {
+    await servidor.fechar();
+  }
+}
+
+test("envia em lotes com a chave, o lote e o header de autenticação", async () => {
+  await comServidor({}, async (servidor, cliente) => {
+    const estadoSync = abrirEstadoSync(tmpSync());
+    const registros = [1, 2, 3, 4, 5].map((c) => registro(c));
+    const meta = { filtros: {}, motor: "http" };
+
+    const r = await sincronizarEstado(
+      { estado: "RO", meta, registros },
+      { cliente, estadoSync, lote: 2 }
+    );
+
+    assert.deepEqual(r, { criar: 5, atualizar: 0, igual: 0, enviados: 5, lotesComFalha: 0 });
+    assert.equal(servidor.requisicoes.length, 3);
+    for (const req of servidor.requisicoes) {
+      assert.equal(req.rota, ROTA_IMPORT);
+      assert.equal(req.autorizacao, AUTORIZACAO);
+      assert.equal(req.corpo.chave, CHAVE_IMOVEL);
+      assert.equal(req.corpo.estado, "RO");
+      assert.deepEqual(req.corpo.meta, meta);
+    }
+    assert.deepEqual(
+      servidor.requisicoes.map((req) => [req.corpo.lote, req.corpo.imoveis.length]),
+      [
+        [{ numero: 1, total: 3 }, 2],
+        [{ numero: 2, total: 3 }, 2],
+        [{ numero: 3, total: 3 }, 1],
+      ]
+    );
+  });
+});
+
+test("5xx é repetido com backoff até dar certo", async () => {
+  await comServidor({ respostas: [503, 502] }, async (servidor, cliente) => {
+    const estadoSync = abrirEstadoSync(tmpSync());
+    const r = await sincronizarEstado(
+      { estado: "RO", registros: [registro(1)] },
+      { cliente, estadoSync }
+    );
+
+    assert.equal(r.enviados, 1);
+    assert.equal(r.lotesComFalha, 0);
+    assert.deepEqual(servidor.requisicoes.map((req) => req.status), [503, 502, 200]);
+  });
+});
+
+test("4xx não é repetido, o lote falha e não fica marcado como enviado", async () => {
+  await comServidor({ respostas: [400] }, async (servidor, cliente) => {
+    const estadoSync = abrirEstadoSync(tmpSync());
+    const r = await sincronizarEstado(
+      { estado: "RO", registros: [registro(1), registro(2)] },
+      { cliente, estadoSync, lote: 1 }
+    );
+
+    assert.equal(r.lotesComFalha, 1);
+    assert.equal(r.enviados, 1);
+    assert.equal(servidor.requisicoes.length, 2);
+    assert.equal(estadoSync.acao(registro(1)), "criar");
+    assert.equal(estadoSync.acao(registro(2)), "igual");
+  });
+});
+
+test("429 é repetido; esgotadas as tentativas o lote falha", async () => {
+  await comServidor({ respostas: [429, 429, 429] }, async (servidor, cliente) => {
+    const estadoSync = abrirEstadoSync(tmpSync());
+    const r = await sincronizarEstado(
+      { estado: "RO", registros: [registro(1)] },
+      { cliente, estadoSync }
+    );
+
+    assert.equal(r.lotesComFalha, 1);
+    assert.equal(servidor.requisicoes.length, 3);
+  });
+});
+
+test(".wp_sync.json: rodar de novo só envia o que mudou", async () => {
+  await comServidor({}, async (servidor, cliente) => {
+    const file = tmpSync();
+    const registros = [registro(1), registro(2), registro(3)];
+    await sincronizarEstado({ estado: "RO", registros }, { cliente, estadoSync: abrirEstadoSync(file) });
+    assert.equal(servidor.requisicoes.length, 1);
+
+    // nova execução lê o estado gravado em disco
+    const segunda = await sincronizarEstado(
+      { estado: "RO", registros },
+      { cliente, estadoSync: abrirEstadoSync(file) }
+    );
+    assert.deepEqual(segunda, { criar: 0, atualizar: 0, igual: 3, enviados: 0, lotesComFalha: 0 });
+    assert.equal(servidor.requisicoes.length, 1);
+
+    const alterados = [registro(1), registro(2, "4577", { _imoveis_valor_minimo_brl: 90000 }), registro(4)];
+    const terceira = await sincronizarEstado(
+      { estado: "RO", registros: alterados },
+      { cliente, estadoSync: abrirEstadoSync(file) }
+    );
+    assert.deepEqual(terceira, { criar: 1, atualizar: 1, igual: 1, enviados: 2, lotesComFalha: 0 });
+    assert.deepEqual(
+      servidor.requisicoes[1].corpo.imoveis.map((r) => r[CHAVE_IMOVEL]),
+      ["2", "4"]
+    );
+
+    // --forcar reenvia também o que não mudou
+    const forcada = await sincronizarEstado(
+      { estado: "RO", registros: alterados },
+      { cliente, estadoSync: abrirEstadoSync(file), forcar: true }
+    );
+    assert.equal(forcada.enviados, 3);
+  });
+});
+
+test("métricas e fases opcionais não mudam o hash do registro", () => {
+  const estadoSync = abrirEstadoSync(tmpSync());
+  estadoSync.marcarEnviado(registro(1, "4577", { _imoveis_score: 0.71 }), "RO");
+
+  const recalculado = registro(1, "4577", {
+    _imoveis_score: 0.64,
+    _imoveis_comparaveis_qtd: 5,
+    _imoveis_latitude: -8.76,
+    _imoveis_imgs_local: "1/abc.jpg",
+  });
+  assert.equal(estadoSync.acao(recalculado), "igual");
+  assert.equal(estadoSync.acao({ ...recalculado, _imoveis_valor_minimo_brl: 90000 }), "atualizar");
+});
+
+test("dry-run conta mas não envia nem grava o estado", async () => {
+  const file = tmpSync();
+  const estadoSync = abrirEstadoSync(file);
+  const r = await sincronizarEstado(
+    { estado: "RO", registros: [registro(1), registro(2)] },
+    { cliente: null, estadoSync, dryRun: true }
+  );
+  const ret = await retirarAusentes(
+    { estado: "RO", retirar: [{ codigo: "9", cidade: "4577" }] },
+    { cliente: null, estadoSync, dryRun: true }
+  );
+
+  assert.deepEqual(r, { criar: 2, atualizar: 0, igual: 0, enviados: 0, lotesComFalha: 0 });
+  assert.deepEqual(ret, { retirados: 0, lotesComFalha: 0 });
+  assert.equal(fs.existsSync(file), false);
+  assert.equal(estadoSync.acao(registro(1)), "criar");
+});
+
+test("retirada manda os códigos e o imóvel que volta é reenviado", async () => {
+  await comServidor({}, async (servidor, cliente) => {
+    const estadoSync = abrirEstadoSync(tmpSync());
+    await sincronizarEstado({ estado: "RO", registros: [registro(1), registro(2)] }, { cliente, estadoSync });
+
+    const ret = await retirarAusentes(
+      { estado: "RO", retirar: [{ codigo: "2", cidade: "4577" }] },
+      { cliente, estadoSync, modo: "draft" }
+    );
+
+    assert.equal(ret.retirados, 1);
+    const req = servidor.requisicoes.at(-1);
+    assert.equal(req.rota, ROTA_RETIRAR);
+    assert.deepEqual(
+      { acao: req.corpo.acao, modo: req.corpo.modo, codigos: req.corpo.codigos },
+      { acao: "indisponivel", modo: "draft", codigos: ["2"] }
+    );
+    assert.deepEqual(estadoSync.publicados("RO"), [{ codigo: "1", cidade: "4577" }]);
+    assert.equal(estadoSync.acao(registro(2)), "atualizar");
+  });
+});
+
+// --- travas do planejarRetirada ---
+
+/** Estado com publicados por cidade: { "4577": ["1", "2"], ... } */
+function estadoPublicado(porCidade, filtros = {}) {
+  const estadoSync = abrirEstadoSync(tmpSync());
+  for (const [cidade, codigos] of Object.entries(porCidade)) {
+    for (const c of codigos) estadoSync.marcarEnviado(registro(c, cidade), "RO");
+  }
+  estadoSync.marcarEstado("RO", filtros);
+  return estadoSync;
+}
+
+const url = (codigo) => `https://venda-imoveis.caixa.gov.br/sistema/detalhe-imovel.asp?hdnimovel=${codigo}`;
+const cidade = (nome, codigos, extra = {}) => ({ cidade: nome, urls: codigos.map(url), ...extra });
+
+// 10 publicados em Porto Velho, 2 em Ariquemes
+const PUBLICADOS = {
+  4577: ["1", "2", "3", "4", "5", "6", "7", "8", "9", "10"],
+  4560: ["21", "22"],
+};
+
+test("retira quem sumiu da cidade coletada", () => {
+  const estadoSync = estadoPublicado(PUBLICADOS);
+  const plano = planejarRetirada(
+    {
+      estado: "RO",
+      urlsPorCidade: {
+        4577: cidade("PORTO VELHO", ["1", "2", "3", "4", "5", "6", "7", "8", "9"]),
+        4560: cidade("ARIQUEMES", ["21", "22"]),
+      },
+      meta: { filtros: {} },
+    },
+    estadoSync
+  );
+  assert.deepEqual(plano, { retirar: [{ codigo: "10", cidade: "4577" }], recusado: null, ignoradas: [] });
+});
+
+test("o registro do XLSX conta como presente mesmo fora das URLs", () => {
+  const estadoSync = estadoPublicado(PUBLICADOS);
+  const plano = planejarRetirada(
+    {
+      estado: "RO",
+      urlsPorCidade: {
+        4577: cidade("PORTO VELHO", ["1", "2", "3", "4", "5", "6", "7", "8", "9"]),
+        4560: cidade("ARIQUEMES", ["21", "22"]),
+      },
+      registros: [registro(10)],
+      meta: { filtros: {} },
+    },
+    estadoSync
+  );
+  assert.deepEqual(plano.retirar, []);
+});
+
+test("execução parcial não retira nada", () => {
+  const estadoSync = estadoPublicado(PUBLICADOS);
+  const plano = planejarRetirada(
+    {
+      estado: "RO",
+      urlsPorCidade: { 4577: cidade("PORTO VELHO", ["1", "2", "3", "4", "5", "6", "7", "8", "9"]) },
+      meta: { filtros: {}, parcial: true },
+    },
+    estadoSync
+  );
+  assert.deepEqual(plano.retirar, []);
+  assert.match(plano.recusado, /parcial/);
+});
+
+test("filtros diferentes do último sync não retiram nada", () => {
+  const estadoSync = estadoPublicado(PUBLICADOS, { tipoImovel: "Casa" });
+  const plano = planejarRetirada(
+    {
+      estado: "RO",
+      urlsPorCidade: { 4577: cidade("PORTO VELHO", ["1", "2", "3", "4", "5", "6", "7", "8", "9"]) },
+      meta: { filtros: {} },
+    },
+    estadoSync
+  );
+  assert.deepEqual(plano.retirar, []);
+  assert.match(plano.recusado, /filtros/);
+});
+
+test("ausentes acima do limite não retiram nada", () => {
+  const estadoSync = estadoPublicado(PUBLICADOS);
+  const plano = planejarRetirada(
+    {
+      estado: "RO",
+      urlsPorCidade: {
+        4577: cidade("PORTO VELHO", ["1", "2", "3", "4", "5", "6", "7"]),
+        4560: cidade("ARIQUEMES", ["21", "22"]),
+      },
+      meta: { filtros: {} },
+    },
+    estadoSync,
+    { limite: 0.2 }
+  );
+  assert.deepEqual(plano.retirar, []);
+  assert.match(plano.recusado, /3\/12 ausentes/);
+});
+
+test("cidade que zerou com minCidade+ publicados é ignorada; abaixo disso, retirada", () => {
+  const estadoSync = estadoPublicado(PUBLICADOS);
+  const urlsPorCidade = {
+    4577: cidade("PORTO VELHO", []),
+    4560: cidade("ARIQUEMES", []),
+  };
+
+  const plano = planejarRetirada({ estado: "RO", urlsPorCidade, meta: { filtros: {} } }, estadoSync, {
+    minCidade: 3,
+  });
+  assert.deepEqual(plano.retirar, [
+    { codigo: "21", cidade: "4560" },
+    { codigo: "22", cidade: "4560" },
+  ]);
+  assert.equal(plano.recusado, null);
+  assert.deepEqual(plano.ignoradas, [
+    { cidade: "4577", nome: "PORTO VELHO", ausentes: 10, motivo: "cidade zerou com 10 publicados" },
+  ]);
+});
+
+test("cidade com erro na coleta é ignorada", () => {
+  const estadoSync = estadoPublicado(PUBLICADOS);
+  const plano = planejarRetirada(
+    {
+      estado: "RO",
+      urlsPorCidade: {
+        4577: cidade("PORTO VELHO", [], { erro: "timeout_navegacao" }),
+        4560: cidade("ARIQUEMES", ["21", "22"]),
+      },
+      meta: { filtros: {} },
+    },
+    estadoSync
+  );
+  assert.deepEqual(plano.retirar, []);
+  assert.deepEqual(
+    plano.ignoradas.map((ig) => [ig.cidade, ig.motivo]),
+    [["4577", "erro na coleta da cidade (timeout_navegacao)"]]
+  );
+});
+
+test("busca com filtro: cidade fora do JSON não foi coletada e é ignorada", () => {
+  const filtros = { tipoImovel: "Casa" };
+  const estadoSync = estadoPublicado(PUBLICADOS, filtros);
+  const plano = planejarRetirada(
+    {
+      estado: "RO",
+      urlsPorCidade: { 4577: cidade("PORTO VELHO", PUBLICADOS[4577]) },
+      meta: { filtros },
+    },
+    estadoSync
+  );
+  assert.deepEqual(plano.retirar, []);
+  assert.deepEqual(plano.ignoradas, [
+    { cidade: "4560", nome: "", ausentes: 2, motivo: "cidade não coletada nesta execução" },
+  ]);
+});
+
+test("execução completa sem filtro: cidade que saiu da lista conta como zerada", () => {
+  const estadoSync = estadoPublicado({ ...PUBLICADOS, 4592: ["31", "32", "33"] });
+  const plano = planejarRetirada(
+    {
+      estado: "RO",
+      urlsPorCidade: { 4577: cidade("PORTO VELHO", PUBLICADOS[4577]) },
+      meta: { filtros: {} },
+    },
+    estadoSync,
+    { minCidade: 3 }
+  );
+  // Ariquemes (2 publicados) sai; Ji-Paraná (3 = minCidade) parece erro e fica
+  assert.deepEqual(plano.retirar, [
+    { codigo: "21", cidade: "4560" },
+    { codigo: "22", cidade: "4560" },
+  ]);
+  assert.equal(plano.recusado, null);
+  assert.deepEqual(plano.ignoradas, [
+    { cidade: "4592", nome: "", ausentes: 3, motivo: "cidade saiu da lista com 3 publicados" },
+  ]);
+});
+
+test("cidades que saíram da lista também respeitam o limite do estado", () => {
+  const estadoSync = estadoPublicado(PUBLICADOS);
+  const plano = planejarRetirada(
+    { estado: "RO", urlsPorCidade: {}, meta: { filtros: {} } },
+    estadoSync,
+    { minCidade: 20, limite: 0.2 }
+  );
+  assert.deepEqual(plano.retirar, []);
+  assert.match(plano.recusado, /12\/12 ausentes/);
+});
+
+test("forcar passa por cima do limite, do parcial e da cidade que zerou", () => {
+  const estadoSync = estadoPublicado(PUBLICADOS);
+  const plano = planejarRetirada(
+    {
+      estado: "RO",
+      urlsPorCidade: { 4577: cidade("PORTO VELHO", []), 4560: cidade("ARIQUEMES", ["21", "22"]) },
+      meta: { filtros: {}, parcial: true },
+    },
+    estadoSync,
+    { forcar: true }
+  );
+  assert.equal(plano.retirar.length, 10);
+  assert.equal(plano.recusado, null);
+});